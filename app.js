@@ -0,0 +1,53 @@
+// App - The Express app with its middleware and routes; server.js sets up storage and starts listening
+
+const express = require('express');
+const taskRoutes = require('./routes/taskRoutes');
+const projectRoutes = require('./routes/projectRoutes');
+const labelRoutes = require('./routes/labelRoutes');
+const statsRoutes = require('./routes/statsRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const accountRoutes = require('./routes/accountRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const healthRoutes = require('./routes/healthRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const { httpMetrics } = require('./monitoring/metrics');
+const { resolveAccount } = require('./routes/accountContext');
+const { authenticate } = require('./routes/auth');
+
+// Initialize Express app
+const app = express();
+// Behind a reverse proxy, take the client IP (used to throttle failed logins) from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
+// Record every request in the HTTP metrics (GET /metrics)
+app.use(httpMetrics);
+// Keep the raw body so webhook signatures can be checked against the exact bytes received
+app.use(
+    express.json({
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        },
+    })
+);
+
+// Root endpoint - Shows server status
+app.get('/', (req, res) => {
+    res.send('Server is running! Go to /tasks to fetch tasks.');
+});
+
+// Health checks (no API key) and metrics
+app.use(healthRoutes);
+
+// Mount task, project, label, stats and notification routes (scoped to the calling account), plus account and
+// API key routes, all behind API key authentication; webhooks are authenticated by their signature instead
+app.use('/tasks', authenticate, resolveAccount, taskRoutes);
+app.use('/projects', authenticate, resolveAccount, projectRoutes);
+app.use('/labels', authenticate, resolveAccount, labelRoutes);
+app.use('/stats', authenticate, resolveAccount, statsRoutes);
+app.use('/notifications', authenticate, resolveAccount, notificationRoutes);
+app.use('/accounts', authenticate, accountRoutes);
+app.use('/api-keys', authenticate, apiKeyRoutes);
+app.use('/webhooks', webhookRoutes);
+
+module.exports = app;
@@ -0,0 +1,394 @@
+#!/usr/bin/env node
+// Task Sync CLI - Sync checks, syncs, exports, sync run history, snapshot restores and due digests
+// from the command line
+// Usage: task-sync <command> [options] (or npm run task-sync -- <command> [options]); see USAGE below
+// Uses the same env vars as the server (MONGODB_URI, TODOIST_API_TOKEN, STORAGE_BACKEND, ...)
+// Progress logs go to stderr (or nowhere with --quiet), so stdout only has the command's output
+
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+const connectDB = require('../database/config');
+const Task = require('../database/taskSchema');
+const SyncRun = require('../database/syncRunSchema');
+const { checkSyncStatus, SOURCE_FETCHERS } = require('../database/syncChecker');
+const syncTasks = require('../database/syncTasks');
+const { runForAccount, findAccount, ensureDefaultAccount, DEFAULT_ACCOUNT_NAME } = require('../database/accounts');
+const { isAccountSnapshot, restoreSnapshot } = require('../database/taskSnapshots');
+const { repositoryFor, isMemoryStorage } = require('../database/repositories');
+const { runExclusiveSync, runWithSyncLock } = require('../scheduler/syncScheduler');
+const { ICAL_COMPONENTS, buildICalendar, buildCsv } = require('../routes/taskExport');
+const { sendDueDigests } = require('../notifications/notifier');
+const { getConfiguredChannels } = require('../notifications/channels');
+
+const taskRepository = repositoryFor(Task);
+const syncRunRepository = repositoryFor(SyncRun);
+
+// Exit codes, so cron jobs and scripts can tell the outcomes apart
+const EXIT_CODES = {
+    ok: 0,
+    // The command failed, or a sync finished with errors (e.g. failed pushes or notification channels)
+    error: 1,
+    // check or a dry run found changes to apply (or digests to send), a sync left conflicts to resolve,
+    // or a restore would overwrite local edits
+    pending: 2,
+    // Another sync holds the sync lock
+    busy: 3,
+    // Unknown command or invalid options
+    usage: 64,
+};
+
+// Options that take a value; any other option is a flag
+const VALUE_OPTIONS = ['account', 'source', 'format', 'status', 'component', 'output', 'limit'];
+
+// Options every command accepts
+const GLOBAL_OPTIONS = ['account', 'json', 'quiet'];
+
+const EXPORT_STATUS_FILTERS = { all: {}, active: { is_completed: false }, completed: { is_completed: true } };
+
+const USAGE = `Usage: task-sync <command> [options]
+
+Commands:
+  check [--full] [--source todoist|notion]                  Show what a sync would change
+  sync [--dry-run] [--full] [--source todoist|notion]       Import changes, then push local edits back
+       [--no-push] [--no-resources]
+  export --format csv|json|ics [--status all|active|completed]
+         [--component event|todo] [--output <file>]         Export tasks (to stdout without --output)
+  runs [--limit <n>] [--source todoist|notion] [--status running|success|failed]
+                                                            Show sync run history, newest first
+  restore <snapshot> [--dry-run] [--overwrite-local]        Restore tasks to a snapshot in logs/ (refused while
+                                                            tasks it changes have unpushed edits)
+  notify [--dry-run]                                        Send due tasks not announced yet to each
+                                                            notification channel
+
+Options for every command:
+  --account <name or id>   Account to use (default: ${DEFAULT_ACCOUNT_NAME})
+  --json                   Print JSON instead of a table
+  --quiet                  Leave out progress logs
+
+Exit codes: ${EXIT_CODES.ok} ok, ${EXIT_CODES.error} error, ${EXIT_CODES.pending} pending changes or conflicts, \
+${EXIT_CODES.busy} another sync is running, ${EXIT_CODES.usage} invalid usage`;
+
+const usageError = (message) => Object.assign(new Error(message), { exitCode: EXIT_CODES.usage });
+
+/**
+ * Splits arguments into the command, its parameters and options
+ * (--name value or --name=value for VALUE_OPTIONS, --name for flags)
+ */
+function parseArgs(args) {
+    const positional = [];
+    const options = {};
+    for (let index = 0; index < args.length; index++) {
+        const arg = args[index];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/s, 2);
+        if (VALUE_OPTIONS.includes(name)) {
+            const value = inlineValue ?? args[++index];
+            if (value === undefined) throw usageError(`--${name} needs a value`);
+            options[name] = value;
+        } else {
+            options[name] = true;
+        }
+    }
+    return { command: positional[0], params: positional.slice(1), options };
+}
+
+// Check a value option against its allowed values
+function getChoice(options, name, choices, fallback) {
+    const value = options[name] ?? fallback;
+    if (!choices.includes(value)) {
+        throw usageError(`--${name} must be one of: ${choices.join(', ')}`);
+    }
+    return value;
+}
+
+const getSource = (options) => getChoice(options, 'source', Object.keys(SOURCE_FETCHERS), 'todoist');
+
+const print = (text) => process.stdout.write(`${text}\n`);
+
+// Plain text table; columns are [header, value of a row]
+function formatTable(rows, columns) {
+    const lines = [
+        columns.map(([header]) => header),
+        ...rows.map((row) => columns.map(([, getValue]) => String(getValue(row) ?? ''))),
+    ];
+    const widths = columns.map((column, index) => Math.max(...lines.map((line) => line[index].length)));
+    return lines.map((line) => line.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd()).join('\n');
+}
+
+// Table of task changes ({ todoid, content, action, fields }) as returned by dry runs and restores
+function formatChanges(changes) {
+    if (changes.length === 0) return 'No changes';
+    return formatTable(changes, [
+        ['ACTION', (change) => change.action],
+        ['TODOID', (change) => change.todoid],
+        ['CONTENT', (change) => change.content],
+        ['FIELDS', (change) => (change.fields || []).map(({ field }) => field).join(', ')],
+    ]);
+}
+
+// Print the result as JSON with --json, or as the text built by formatText
+const printResult = (options, result, formatText) =>
+    print(options.json ? JSON.stringify(result, null, 2) : formatText(result));
+
+const COMMANDS = {
+    check: {
+        options: ['full', 'source'],
+        run: async ({ account, options }) => {
+            const source = getSource(options);
+            const check = await runForAccount(account, () =>
+                checkSyncStatus({
+                    source,
+                    full: options.full === true,
+                    accountId: account._id,
+                    rules: account.sync_rules,
+                    snapshot: false,
+                })
+            );
+            const changes = syncTasks.describeChanges(check);
+
+            printResult(options, { source, mode: check.mode, ...check.summary, changes }, (result) =>
+                [
+                    `${result.source} (${result.mode}): ${result.createCount} to create, ${result.updateCount} to ` +
+                        `update, ${result.deleteCount} to delete, ${result.skipCount} skipped by sync rules`,
+                    formatChanges(changes),
+                ].join('\n')
+            );
+            return changes.length > 0 ? EXIT_CODES.pending : EXIT_CODES.ok;
+        },
+    },
+    sync: {
+        options: ['dry-run', 'full', 'source', 'no-push', 'no-resources'],
+        run: async ({ account, options }) => {
+            const syncOptions = {
+                source: getSource(options),
+                account,
+                push: options['no-push'] !== true,
+                full: options.full === true,
+                resources: options['no-resources'] !== true,
+            };
+
+            // A dry run writes nothing, so it does not need the sync lock
+            if (options['dry-run']) {
+                const preview = await syncTasks({ ...syncOptions, dryRun: true });
+                printResult(options, preview, (result) =>
+                    [
+                        `Dry run of ${result.source} (${result.mode}): ${result.created} to create, ` +
+                            `${result.updated} to update, ${result.deleted} to delete`,
+                        formatChanges(result.changes),
+                    ].join('\n')
+                );
+                return preview.changes.length > 0 ? EXIT_CODES.pending : EXIT_CODES.ok;
+            }
+
+            const result = await runExclusiveSync(syncOptions, 'cli');
+            if (!result) {
+                console.error('⏳ A sync is already running, try again shortly');
+                return EXIT_CODES.busy;
+            }
+            // Errors that did not stop the sync (resources, stream events, pushes) are only kept on the run
+            const run = await syncRunRepository.findOne({ _id: result.runId }, { select: 'error_messages' });
+            const errors = run?.error_messages || [];
+
+            const pushed = result.pushed ? result.pushed.created + result.pushed.updated + result.pushed.deleted : '-';
+            printResult(options, { ...result, errors }, () =>
+                [
+                    formatTable(
+                        [result],
+                        [
+                            ['CREATED', (row) => row.created],
+                            ['UPDATED', (row) => row.updated],
+                            ['DELETED', (row) => row.deleted],
+                            ['CONFLICTS', (row) => row.conflicts],
+                            ['SKIPPED', (row) => row.skipped],
+                            ['PUSHED', () => pushed],
+                            ['TASKS', (row) => row.finalCount],
+                        ]
+                    ),
+                    ...errors.map((message) => `Error: ${message}`),
+                ].join('\n')
+            );
+            if (errors.length > 0) return EXIT_CODES.error;
+            return result.conflicts > 0 ? EXIT_CODES.pending : EXIT_CODES.ok;
+        },
+    },
+    export: {
+        options: ['format', 'status', 'component', 'output'],
+        run: async ({ account, options }) => {
+            if (!options.format) throw usageError('--format is required (csv, json or ics)');
+            const format = getChoice(options, 'format', ['csv', 'json', 'ics']);
+            const status = getChoice(options, 'status', Object.keys(EXPORT_STATUS_FILTERS), 'all');
+            const component = getChoice(options, 'component', ICAL_COMPONENTS, 'event');
+
+            const tasks = await taskRepository.find(
+                { ...EXPORT_STATUS_FILTERS[status], account_id: account._id, deleted_at: null },
+                { sort: { created_at: 1, _id: 1 }, populate: Task.relatedPaths() }
+            );
+            const body = {
+                csv: () => buildCsv(tasks),
+                json: () => `${JSON.stringify(tasks, null, 2)}\n`,
+                ics: () => buildICalendar(tasks, { component, calendarName: account.name }),
+            }[format]();
+
+            if (options.output) {
+                fs.writeFileSync(options.output, body);
+                console.error(`📤 Exported ${tasks.length} tasks to ${options.output}`);
+            } else {
+                process.stdout.write(body);
+            }
+            return EXIT_CODES.ok;
+        },
+    },
+    runs: {
+        options: ['limit', 'source', 'status'],
+        run: async ({ account, options }) => {
+            const limit = Number(options.limit ?? 20);
+            if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+                throw usageError('--limit must be a whole number from 1 to 100');
+            }
+            const filter = { account_id: account._id };
+            if (options.source) filter.source = getSource(options);
+            if (options.status) filter.status = getChoice(options, 'status', ['running', 'success', 'failed']);
+
+            const runs = await syncRunRepository.find(filter, { select: '-changes', sort: { started_at: -1 }, limit });
+            printResult(options, runs, () =>
+                runs.length === 0
+                    ? 'No sync runs'
+                    : formatTable(runs, [
+                          ['ID', (run) => run._id],
+                          ['STARTED', (run) => run.started_at.toISOString()],
+                          ['SOURCE', (run) => run.source],
+                          ['TRIGGER', (run) => run.trigger],
+                          ['MODE', (run) => run.mode],
+                          ['STATUS', (run) => run.status],
+                          ['DURATION', (run) => (run.duration_ms != null ? `${run.duration_ms}ms` : '')],
+                          ['CREATED', (run) => run.counts?.created],
+                          ['UPDATED', (run) => run.counts?.updated],
+                          ['DELETED', (run) => run.counts?.deleted],
+                          ['ERRORS', (run) => run.error_messages?.length || 0],
+                      ])
+            );
+            return EXIT_CODES.ok;
+        },
+    },
+    restore: {
+        options: ['dry-run', 'overwrite-local'],
+        run: async ({ account, params, options }) => {
+            const [name] = params;
+            if (!name) throw usageError('restore needs the snapshot name (see node database/taskSnapshots.js list)');
+            if (!isAccountSnapshot(name, account, account.name === DEFAULT_ACCOUNT_NAME)) {
+                throw new Error(`Snapshot ${name} does not belong to the ${account.name} account`);
+            }
+
+            const dryRun = options['dry-run'] === true;
+            const overwriteLocal = options['overwrite-local'] === true;
+            let result;
+            try {
+                result = await runWithSyncLock(
+                    () => restoreSnapshot(name, account._id, { dryRun, overwriteLocal }),
+                    'snapshot-restore'
+                );
+            } catch (error) {
+                if (error.code !== 'SNAPSHOT_LOCAL_EDITS') throw error;
+                console.error(`⚠️ ${error.message} (--overwrite-local):`);
+                error.localEdits.forEach(({ todoid, content }) => console.error(`  • "${content}" (${todoid})`));
+                return EXIT_CODES.pending;
+            }
+            if (!result) {
+                console.error('⏳ A sync is already running, try again shortly');
+                return EXIT_CODES.busy;
+            }
+            printResult(options, result, () =>
+                [
+                    `${dryRun ? 'Dry run of restoring' : 'Restored'} ${name}: ${result.created} created, ` +
+                        `${result.updated} updated, ${result.deleted} deleted`,
+                    formatChanges(result.changes),
+                ].join('\n')
+            );
+            return dryRun && result.changes.length > 0 ? EXIT_CODES.pending : EXIT_CODES.ok;
+        },
+    },
+    notify: {
+        options: ['dry-run'],
+        run: async ({ account, options }) => {
+            const channels = getConfiguredChannels();
+            if (channels.length === 0) {
+                throw new Error('No notification channels configured (set NOTIFY_WEBHOOK_URL or SMTP_HOST)');
+            }
+
+            // A dry run sends and records nothing, so it does not need the sync lock
+            const dryRun = options['dry-run'] === true;
+            const send = () => sendDueDigests(account, { dryRun, channels });
+            const result = dryRun ? await send() : await runWithSyncLock(send, 'notify');
+            if (!result) {
+                console.error('⏳ A sync is already running, try again shortly');
+                return EXIT_CODES.busy;
+            }
+            printResult(options, result, () =>
+                [
+                    `${result.overdue} overdue, ${result.due_soon} due soon`,
+                    formatTable(result.channels, [
+                        ['CHANNEL', (row) => row.channel],
+                        ['STATUS', (row) => row.status],
+                        ['TASKS', (row) => row.tasks],
+                        ['ERROR', (row) => row.error],
+                    ]),
+                ].join('\n')
+            );
+            if (result.channels.some(({ status }) => status === 'failed')) return EXIT_CODES.error;
+            return result.channels.some(({ status }) => status === 'pending') ? EXIT_CODES.pending : EXIT_CODES.ok;
+        },
+    },
+};
+
+// The account of --account (name or _id), or the default account
+async function getAccount(idOrName) {
+    const account = idOrName ? await findAccount(idOrName) : await ensureDefaultAccount();
+    if (!account) throw usageError(`No active account "${idOrName}"`);
+    return account;
+}
+
+// Run a command and resolve with its exit code
+async function main(args) {
+    const { command, params, options } = parseArgs(args);
+    if (!command || command === 'help' || options.help) {
+        print(USAGE);
+        return command || options.help ? EXIT_CODES.ok : EXIT_CODES.usage;
+    }
+    if (!COMMANDS[command]) throw usageError(`Unknown command "${command}"`);
+
+    const unknown = Object.keys(options).filter(
+        (name) => !GLOBAL_OPTIONS.includes(name) && !COMMANDS[command].options.includes(name)
+    );
+    if (unknown.length > 0) {
+        throw usageError(`Unknown option for ${command}: ${unknown.map((name) => `--${name}`).join(', ')}`);
+    }
+
+    console.log = options.quiet ? () => {} : console.error;
+    if (!isMemoryStorage()) await connectDB();
+    const account = await getAccount(options.account);
+    return COMMANDS[command].run({ account, params, options });
+}
+
+// Run when executed; tests require the module for main and parseArgs
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then((exitCode) => {
+            process.exitCode = exitCode;
+        })
+        .catch((error) => {
+            console.error(`❌ ${error.message}`);
+            if (error.exitCode === EXIT_CODES.usage) console.error('Run task-sync help for usage');
+            process.exitCode = error.exitCode ?? EXIT_CODES.error;
+        })
+        .finally(() => mongoose.disconnect());
+}
+
+module.exports = {
+    EXIT_CODES,
+    parseArgs,
+    main,
+};
@@ -0,0 +1,59 @@
+// Account Schema - Defines MongoDB schema for the Todoist accounts synced by this deployment
+
+const mongoose = require('mongoose');
+
+// Account Schema fields
+const accountSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            unique: true,
+            trim: true,
+        },
+        // Todoist API token, encrypted with ACCOUNT_TOKEN_KEY (see accounts.js);
+        // null on the default account, which uses TODOIST_API_TOKEN
+        todoist_token: {
+            type: String,
+            default: null,
+        },
+        // Todoist user ID, used to route webhook events to the account
+        todoist_user_id: {
+            type: String,
+            default: '',
+            index: true,
+        },
+        // Include / exclude rules limiting which tasks are imported (see syncRules.js); null imports everything
+        sync_rules: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+        // Inactive accounts are not synced and cannot be used by API callers
+        is_active: {
+            type: Boolean,
+            default: true,
+        },
+        created_at: {
+            type: Date,
+            default: Date.now,
+        },
+        updated_at: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        timestamps: false, // Timestamps are managed by the account routes
+        toJSON: {
+            // Never send the token, even encrypted
+            transform: (doc, ret) => {
+                delete ret.todoist_token;
+                return ret;
+            },
+        },
+    }
+);
+
+// Create and export the Account model
+const Account = mongoose.model('Account', accountSchema);
+module.exports = Account;
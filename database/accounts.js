@@ -0,0 +1,127 @@
+// Accounts - Encrypted per-account Todoist tokens and the default account
+// Env var ACCOUNT_TOKEN_KEY (any long random string) is required to add accounts with their own token;
+// the default account uses TODOIST_API_TOKEN and needs no key
+
+const crypto = require('crypto');
+const Account = require('./accountSchema');
+const Task = require('./taskSchema');
+const Project = require('./projectSchema');
+const Section = require('./sectionSchema');
+const Label = require('./labelSchema');
+const Comment = require('./commentSchema');
+const Conflict = require('./conflictSchema');
+const SyncState = require('./syncStateSchema');
+const SyncRun = require('./syncRunSchema');
+const { repositoryFor } = require('./repositories');
+const { createTodoistClient, withTodoistClient } = require('../todoist/todoist-client');
+
+const DEFAULT_ACCOUNT_NAME = 'default';
+const TOKEN_CIPHER = 'aes-256-gcm';
+
+const accountRepository = repositoryFor(Account);
+
+// Collections scoped by account_id
+const SCOPED_REPOSITORIES = [Task, Project, Section, Label, Comment, Conflict, SyncState, SyncRun].map(repositoryFor);
+
+// 256-bit key derived from ACCOUNT_TOKEN_KEY
+function getTokenKey() {
+    const secret = process.env.ACCOUNT_TOKEN_KEY;
+    if (!secret) {
+        throw new Error('ACCOUNT_TOKEN_KEY is not set in .env file');
+    }
+    return crypto.createHash('sha256').update(secret).digest();
+}
+
+// Encrypt a Todoist token as "iv:tag:ciphertext" (base64 parts)
+function encryptToken(token) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(TOKEN_CIPHER, getTokenKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(token, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join(':');
+}
+
+// Decrypt a token made by encryptToken (throws if it was tampered with or the key changed)
+function decryptToken(value) {
+    const [iv, tag, encrypted] = value.split(':').map((part) => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(TOKEN_CIPHER, getTokenKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+// Todoist client using the account's token (TODOIST_API_TOKEN for the default account)
+function getAccountClient(account) {
+    return createTodoistClient(account.todoist_token ? { token: decryptToken(account.todoist_token) } : {});
+}
+
+// Run fn with every Todoist call inside it going through the account's token
+function runForAccount(account, fn) {
+    return withTodoistClient(getAccountClient(account), fn);
+}
+
+// Find an active account by _id or name
+async function findAccount(idOrName) {
+    const filter = /^[0-9a-f]{24}$/i.test(idOrName) ? { _id: idOrName } : { name: idOrName };
+    return accountRepository.findOne({ ...filter, is_active: true });
+}
+
+// Get the default account
+async function getDefaultAccount() {
+    return accountRepository.findOne({ name: DEFAULT_ACCOUNT_NAME });
+}
+
+// Get the active accounts, default first
+async function getActiveAccounts() {
+    const accounts = await accountRepository.find({ is_active: true }, { sort: { created_at: 1 } });
+    return accounts.sort((a, b) => (b.name === DEFAULT_ACCOUNT_NAME) - (a.name === DEFAULT_ACCOUNT_NAME));
+}
+
+/**
+ * Creates the default account on first start and assigns data from before
+ * multi-account support (no account_id) to it.
+ * On that first start the old single-account unique indexes (todoid_1, source_1)
+ * are replaced with the per-account ones.
+ */
+async function ensureDefaultAccount() {
+    let account = await getDefaultAccount();
+    let created = false;
+    if (!account) {
+        try {
+            account = await accountRepository.insert({ name: DEFAULT_ACCOUNT_NAME });
+            created = true;
+        } catch (error) {
+            // Duplicate key: another process created it first
+            if (error.code !== 11000) throw error;
+            account = await getDefaultAccount();
+        }
+    }
+
+    for (const repository of SCOPED_REPOSITORIES) {
+        const { modifiedCount } = await repository.updateMany(
+            { account_id: null },
+            { $set: { account_id: account._id } }
+        );
+        if (modifiedCount > 0) {
+            console.log(`👤 Assigned ${modifiedCount} ${repository.collectionName} to the default account`);
+        }
+    }
+
+    if (created) {
+        for (const repository of SCOPED_REPOSITORIES) {
+            await repository.syncIndexes();
+        }
+    }
+
+    return account;
+}
+
+module.exports = {
+    DEFAULT_ACCOUNT_NAME,
+    encryptToken,
+    decryptToken,
+    getAccountClient,
+    runForAccount,
+    findAccount,
+    getDefaultAccount,
+    getActiveAccounts,
+    ensureDefaultAccount,
+};
@@ -0,0 +1,65 @@
+// API Key Schema - Defines MongoDB schema for HTTP API keys (only a hash of each key is stored)
+
+const mongoose = require('mongoose');
+
+// API Key Schema fields
+const apiKeySchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        // SHA-256 of the full key
+        key_hash: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        // Public part of the key (tsk_<prefix>_...), shown in listings and used to throttle failures
+        prefix: {
+            type: String,
+            required: true,
+            index: true,
+        },
+        // read: GET routes only; admin: also sync and write routes
+        scope: {
+            type: String,
+            enum: ['read', 'admin'],
+            default: 'read',
+        },
+        // Account the key is limited to; null for deployment-wide keys
+        account_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Account',
+            default: null,
+        },
+        created_at: {
+            type: Date,
+            default: Date.now,
+        },
+        last_used_at: {
+            type: Date,
+            default: null,
+        },
+        revoked_at: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        collection: 'api_keys',
+        timestamps: false, // Timestamps are managed by the auth middleware
+        toJSON: {
+            // Never send the hash
+            transform: (doc, ret) => {
+                delete ret.key_hash;
+                return ret;
+            },
+        },
+    }
+);
+
+// Create and export the ApiKey model
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+module.exports = ApiKey;
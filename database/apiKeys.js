@@ -0,0 +1,142 @@
+// API Keys - Creates and checks HTTP API keys, and throttles failed attempts
+// Optional env vars: AUTH_MAX_FAILURES (default: 5), AUTH_LOCKOUT_MINUTES (default: 15)
+
+require('dotenv').config();
+const crypto = require('crypto');
+const ApiKey = require('./apiKeySchema');
+const AuthFailure = require('./authFailureSchema');
+const { repositoryFor } = require('./repositories');
+
+const API_KEY_SCOPES = ['read', 'admin'];
+const MAX_FAILURES = Number(process.env.AUTH_MAX_FAILURES) || 5;
+const LOCKOUT_MS = (Number(process.env.AUTH_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+
+const apiKeyRepository = repositoryFor(ApiKey);
+const authFailureRepository = repositoryFor(AuthFailure);
+
+// Keys look like tsk_<8 hex prefix>_<secret>
+const KEY_PATTERN = /^tsk_([0-9a-f]{8})_[A-Za-z0-9_-]{43}$/;
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Public prefix of a well-formed key, or null
+function getKeyPrefix(key) {
+    const match = KEY_PATTERN.exec(key || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Creates an API key with the given scope, optionally limited to one account
+ * Returns { key, apiKey }; the key itself is not stored and cannot be shown again
+ */
+async function createApiKey({ name, scope = 'read', accountId = null }) {
+    if (!API_KEY_SCOPES.includes(scope)) {
+        throw new Error(`Invalid scope "${scope}". Use one of: ${API_KEY_SCOPES.join(', ')}`);
+    }
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const key = `tsk_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+    const apiKey = await apiKeyRepository.insert({
+        name,
+        scope,
+        account_id: accountId,
+        prefix,
+        key_hash: hashApiKey(key),
+    });
+    return { key, apiKey };
+}
+
+// Find the active (not revoked) API key matching a presented key
+async function findApiKey(key) {
+    if (!getKeyPrefix(key)) return null;
+    return apiKeyRepository.findOne({ key_hash: hashApiKey(key), revoked_at: null });
+}
+
+// Get the failure records of the given throttle keys ("ip:<address>") that are still in their window
+async function getAuthFailures(throttleKeys) {
+    return authFailureRepository.find({ key: { $in: throttleKeys }, expires_at: { $gt: new Date() } });
+}
+
+// Latest blocked_until among failure records, or null if none is blocked
+function getBlockedUntil(failures) {
+    const now = Date.now();
+    const blockedTimes = failures
+        .map(({ blocked_until }) => blocked_until?.getTime() || 0)
+        .filter((blockedUntil) => blockedUntil > now);
+    return blockedTimes.length > 0 ? new Date(Math.max(...blockedTimes)) : null;
+}
+
+/**
+ * Counts a failed attempt against each throttle key
+ * A key reaching AUTH_MAX_FAILURES within the window is blocked for AUTH_LOCKOUT_MINUTES
+ */
+async function recordAuthFailure(throttleKeys) {
+    const now = new Date();
+    // Records past their window may still exist until MongoDB's TTL monitor removes them
+    await authFailureRepository.deleteMany({ key: { $in: throttleKeys }, expires_at: { $lte: now } });
+
+    for (const key of throttleKeys) {
+        const failure = await authFailureRepository.findOneAndUpdate(
+            { key },
+            { $inc: { count: 1 }, $setOnInsert: { expires_at: new Date(now.getTime() + LOCKOUT_MS) } },
+            { upsert: true }
+        );
+        if (failure.count >= MAX_FAILURES && !failure.blocked_until) {
+            const blockedUntil = new Date(now.getTime() + LOCKOUT_MS);
+            await authFailureRepository.updateOne(
+                { key },
+                { $set: { blocked_until: blockedUntil, expires_at: blockedUntil } }
+            );
+            console.warn(
+                `🔒 Too many failed API key attempts for ${key}, blocked until ${blockedUntil.toISOString()}`
+            );
+        }
+    }
+}
+
+// Forget failed attempts after a successful one
+async function clearAuthFailures(throttleKeys) {
+    await authFailureRepository.deleteMany({ key: { $in: throttleKeys } });
+}
+
+module.exports = {
+    API_KEY_SCOPES,
+    getKeyPrefix,
+    createApiKey,
+    findApiKey,
+    getAuthFailures,
+    getBlockedUntil,
+    recordAuthFailure,
+    clearAuthFailures,
+};
+
+// Allow direct execution to create the first key: node database/apiKeys.js <name> [read|admin] [account name]
+if (require.main === module) {
+    const mongoose = require('mongoose');
+    const connectDB = require('./config');
+    const Account = require('./accountSchema');
+    const [name, scope = 'admin', accountName] = process.argv.slice(2);
+
+    if (!name) {
+        console.error('Usage: node database/apiKeys.js <name> [read|admin] [account name]');
+        process.exit(1);
+    }
+
+    connectDB()
+        .then(async () => {
+            let accountId = null;
+            if (accountName) {
+                const account = await repositoryFor(Account).findOne({ name: accountName });
+                if (!account) throw new Error(`No account named "${accountName}"`);
+                accountId = account._id;
+            }
+            const { key, apiKey } = await createApiKey({ name, scope, accountId });
+            console.log(`🔑 Created ${apiKey.scope} key "${apiKey.name}" (${apiKey.prefix})`);
+            console.log('Store it now, it is not shown again:');
+            console.log(key);
+        })
+        .catch((error) => {
+            console.error('❌ Failed to create API key:', error.message);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.disconnect());
+}
@@ -0,0 +1,38 @@
+// Auth Failure Schema - Counts failed authentication attempts per client IP
+
+const mongoose = require('mongoose');
+
+// Auth Failure Schema fields
+const authFailureSchema = new mongoose.Schema(
+    {
+        // Who failed: "ip:<address>"
+        key: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        count: {
+            type: Number,
+            default: 0,
+        },
+        // Requests from this IP are refused until then
+        blocked_until: {
+            type: Date,
+            default: null,
+        },
+        // The record is removed once the failure window (or block) has passed
+        expires_at: {
+            type: Date,
+            required: true,
+            expires: 0,
+        },
+    },
+    {
+        collection: 'auth_failures',
+        timestamps: false, // Timestamps are managed by the auth middleware
+    }
+);
+
+// Create and export the AuthFailure model
+const AuthFailure = mongoose.model('AuthFailure', authFailureSchema);
+module.exports = AuthFailure;
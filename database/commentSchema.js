@@ -0,0 +1,55 @@
+// Comment Schema - Defines MongoDB schema for Todoist task comments
+
+const mongoose = require('mongoose');
+
+// Comment Schema fields
+const commentSchema = new mongoose.Schema(
+    {
+        // Account the comment belongs to (see accountSchema.js)
+        account_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Account',
+            default: null,
+        },
+        todoid: {
+            type: String,
+            required: true,
+        },
+        // Todoist ID of the task the comment belongs to
+        task_id: {
+            type: String,
+            required: true,
+            index: true,
+        },
+        content: {
+            type: String,
+            default: '',
+        },
+        posted_at: {
+            type: Date,
+            default: null,
+        },
+        posted_by: {
+            type: String,
+            default: '',
+        },
+        attachment: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+        updated_at: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        timestamps: false, // Timestamps are managed by the sync
+    }
+);
+
+// Todoist IDs are unique per account
+commentSchema.index({ account_id: 1, todoid: 1 }, { unique: true });
+
+// Create and export the Comment model
+const Comment = mongoose.model('Comment', commentSchema);
+module.exports = Comment;
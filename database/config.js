@@ -18,4 +18,12 @@ const connectDB = async () => {
     }
 };
 
+// Name of the connection state (disconnected, connected, connecting, disconnecting)
+const getConnectionState = () => mongoose.STATES[mongoose.connection.readyState] || 'unknown';
+
+// Whether the MongoDB connection is open
+const isConnected = () => mongoose.connection.readyState === mongoose.STATES.connected;
+
 module.exports = connectDB;
+module.exports.getConnectionState = getConnectionState;
+module.exports.isConnected = isConnected;
@@ -0,0 +1,261 @@
+// Conflict Resolver - Three-way merge of local and source task changes against the last-synced snapshot
+// Optional env var: SYNC_CONFLICT_POLICY (todoist-wins | local-wins | newest-wins | manual, default: todoist-wins)
+
+const { normalizeTaskForComparison } = require('./syncChecker');
+const { dueDateFields, toSchemaValue } = require('./taskDue');
+const Task = require('./taskSchema');
+const Conflict = require('./conflictSchema');
+const { recordTaskRevisions } = require('./taskRevisions');
+const { repositoryFor } = require('./repositories');
+
+const taskRepository = repositoryFor(Task);
+const conflictRepository = repositoryFor(Conflict);
+
+const CONFLICT_POLICIES = ['todoist-wins', 'local-wins', 'newest-wins', 'manual'];
+
+// Fields compared and merged field by field
+const MERGE_FIELDS = [
+    'content',
+    'description',
+    'is_completed',
+    'labels',
+    'priority',
+    'project_id',
+    'section_id',
+    'due',
+    'duration',
+    'deadline',
+];
+
+// Read the configured conflict policy, falling back to todoist-wins
+function getConflictPolicy(policy = process.env.SYNC_CONFLICT_POLICY) {
+    if (!policy) return 'todoist-wins';
+    if (!CONFLICT_POLICIES.includes(policy)) {
+        throw new Error(`Invalid conflict policy "${policy}". Use one of: ${CONFLICT_POLICIES.join(', ')}`);
+    }
+    return policy;
+}
+
+// Compare two normalized values (arrays and dates are compared by their JSON form)
+function isSameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Three-way merge of a task
+ * - base: normalized snapshot from the last sync (null if unknown)
+ * - local: MongoDB task
+ * - remote: source task in MongoDB schema format
+ * - remoteUpdatedAt: when the source last changed the task (used by newest-wins)
+ * Fields changed on one side only are taken from that side; fields changed on both
+ * sides to different values are conflicts, settled by the policy unless it is manual.
+ * Returns { remoteFields, localFields, conflicts } where conflicts are the unresolved ones.
+ */
+function mergeTask({ base, local, remote, remoteUpdatedAt, policy = getConflictPolicy(), localPending = true }) {
+    const localNorm = normalizeTaskForComparison(local);
+    const remoteNorm = normalizeTaskForComparison(remote);
+
+    const remoteFields = [];
+    const localFields = [];
+    const conflicts = [];
+
+    for (const field of MERGE_FIELDS) {
+        if (isSameValue(localNorm[field], remoteNorm[field])) continue;
+
+        // Without a snapshot, only tasks with pending local edits count as changed locally
+        const localChanged = base ? !isSameValue(base[field], localNorm[field]) : localPending;
+        const remoteChanged = base ? !isSameValue(base[field], remoteNorm[field]) : true;
+
+        if (remoteChanged && !localChanged) {
+            remoteFields.push(field);
+        } else if (localChanged && !remoteChanged) {
+            localFields.push(field);
+        } else {
+            const winner = resolveConflict(policy, local.updated_at, remoteUpdatedAt);
+            if (winner === 'remote') {
+                remoteFields.push(field);
+            } else if (winner === 'local') {
+                localFields.push(field);
+            } else {
+                conflicts.push({
+                    field,
+                    base: base ? base[field] ?? null : null,
+                    local: localNorm[field] ?? null,
+                    remote: remoteNorm[field] ?? null,
+                });
+            }
+        }
+    }
+
+    return { remoteFields, localFields, conflicts };
+}
+
+/**
+ * Picks the winning side for a conflicting field: 'remote', 'local', or null for manual review
+ * newest-wins compares the local updated_at with the source's updated_at;
+ * when either is unknown the newer side cannot be told, so the field is left for manual review
+ */
+function resolveConflict(policy, localUpdatedAt, remoteUpdatedAt) {
+    switch (policy) {
+        case 'todoist-wins':
+            return 'remote';
+        case 'local-wins':
+            return 'local';
+        case 'newest-wins': {
+            const remoteTime = remoteUpdatedAt ? new Date(remoteUpdatedAt).getTime() : NaN;
+            const localTime = localUpdatedAt ? new Date(localUpdatedAt).getTime() : NaN;
+            if (Number.isNaN(remoteTime) || Number.isNaN(localTime)) return null;
+            return localTime > remoteTime ? 'local' : 'remote';
+        }
+        default:
+            return null;
+    }
+}
+
+// Fields that always follow a merged field (completion time follows completion state,
+// the flat due fields follow the due)
+const COMPANION_FIELDS = {
+    is_completed: ['completed_at'],
+    due: ['due_date', 'due_time'],
+};
+
+/**
+ * Builds the MongoDB $set for a merged task
+ * When nothing local is kept, the source task is imported as-is (same as a one-way sync).
+ * Otherwise only the source-won fields are written and the task stays pending for push.
+ * The snapshot becomes the source state, except conflicting fields keep their old base
+ * so they are detected again until resolved.
+ */
+function buildMergeUpdate(remoteTask, { remoteFields, localFields, conflicts }) {
+    const snapshot = { ...remoteTask.sync_snapshot };
+    conflicts.forEach(({ field, base }) => {
+        if (base === null) delete snapshot[field];
+        else snapshot[field] = base;
+    });
+
+    if (localFields.length === 0 && conflicts.length === 0) {
+        return { ...remoteTask, sync_conflict: false };
+    }
+
+    const update = {
+        url: remoteTask.url,
+        created_at: remoteTask.created_at,
+        deleted_at: remoteTask.deleted_at,
+        sync_snapshot: snapshot,
+        sync_conflict: conflicts.length > 0,
+    };
+    remoteFields.forEach((field) => {
+        update[field] = remoteTask[field];
+        (COMPANION_FIELDS[field] || []).forEach((companion) => {
+            update[companion] = remoteTask[companion];
+        });
+    });
+
+    // Nothing local to push: record the task as synced
+    if (localFields.length === 0) {
+        Object.assign(update, {
+            updated_at: remoteTask.updated_at,
+            synced_at: remoteTask.synced_at,
+            last_updated_by: remoteTask.last_updated_by,
+        });
+    }
+
+    return update;
+}
+
+/**
+ * Saves an account's unresolved conflicts to the conflicts collection (one open conflict per task)
+ * and closes open conflicts of tasks that no longer conflict
+ */
+async function recordConflicts(source, conflictsByTask, checkedTodoids, accountId) {
+    const now = new Date();
+
+    const upserts = conflictsByTask.map(({ todoid, fields }) => ({
+        updateOne: {
+            filter: { todoid, source, account_id: accountId, status: 'open' },
+            update: { $set: { fields, updated_at: now }, $setOnInsert: { created_at: now } },
+            upsert: true,
+        },
+    }));
+    if (upserts.length > 0) {
+        await conflictRepository.bulkApply(upserts);
+    }
+
+    // Conflicts of checked tasks that merged cleanly this time are settled automatically
+    const stillConflicting = new Set(conflictsByTask.map(({ todoid }) => todoid));
+    const settled = checkedTodoids.filter((todoid) => !stillConflicting.has(todoid));
+    if (settled.length > 0) {
+        await conflictRepository.updateMany(
+            { todoid: { $in: settled }, source, account_id: accountId, status: 'open' },
+            { $set: { status: 'resolved', resolution: 'auto', resolved_at: now, updated_at: now } }
+        );
+        await taskRepository.updateMany(
+            { todoid: { $in: settled }, source, account_id: accountId },
+            { $set: { sync_conflict: false } }
+        );
+    }
+}
+
+/**
+ * Resolves an open conflict by taking the Todoist value, the local value,
+ * or custom values ({ field: value }) for every conflicting field.
+ * Fields that end up different from Todoist are pushed on the next sync.
+ * Returns the resolved conflict, or null if the account has no open conflict with that id.
+ */
+async function applyConflictResolution(conflictId, { resolution, values = {} }, accountId) {
+    const conflict = await conflictRepository.findOne({ _id: conflictId, account_id: accountId, status: 'open' });
+    if (!conflict) return null;
+
+    const task = await taskRepository.findOne({
+        todoid: conflict.todoid,
+        source: conflict.source,
+        account_id: conflict.account_id,
+    });
+    const now = new Date();
+
+    if (task) {
+        const update = { sync_conflict: false };
+        const snapshot = { ...task.sync_snapshot };
+        let keepsLocalValue = false;
+
+        conflict.fields.forEach(({ field, local, remote }) => {
+            const chosen = resolution === 'todoist' ? remote : resolution === 'local' ? local : values[field];
+            update[field] = toSchemaValue(field, chosen);
+            if (remote === null) delete snapshot[field];
+            else snapshot[field] = remote;
+            if (!isSameValue(chosen, remote)) keepsLocalValue = true;
+        });
+
+        if ('due' in update) {
+            Object.assign(update, dueDateFields(update.due));
+        }
+        update.sync_snapshot = snapshot;
+        update.updated_at = now;
+        if (keepsLocalValue) {
+            update.last_updated_by = 'conflict-resolution';
+        }
+
+        // Custom values come from the client, so they are checked against the schema (e.g. priority 1-4)
+        await taskRepository.updateOne({ _id: task._id }, { $set: update }, { runValidators: true });
+        // The resolution is saved either way; a failure only loses its revision
+        const revision = { before: task, after: { ...task, ...update } };
+        await recordTaskRevisions(accountId, [revision], 'conflict-resolution').catch((error) =>
+            console.error('❌ Error recording conflict resolution revision:', error.message)
+        );
+    }
+
+    return conflictRepository.findOneAndUpdate(
+        { _id: conflict._id },
+        { $set: { status: 'resolved', resolution, resolved_at: now, updated_at: now } }
+    );
+}
+
+module.exports = {
+    CONFLICT_POLICIES,
+    MERGE_FIELDS,
+    getConflictPolicy,
+    mergeTask,
+    buildMergeUpdate,
+    recordConflicts,
+    applyConflictResolution,
+};
@@ -0,0 +1,74 @@
+// Conflict Schema - Defines MongoDB schema for sync conflicts awaiting manual resolution
+
+const mongoose = require('mongoose');
+
+// One conflicting field: its value at the last sync and on each side
+const conflictFieldSchema = new mongoose.Schema(
+    {
+        field: {
+            type: String,
+            required: true,
+        },
+        base: mongoose.Schema.Types.Mixed,
+        local: mongoose.Schema.Types.Mixed,
+        remote: mongoose.Schema.Types.Mixed,
+    },
+    { _id: false }
+);
+
+// Conflict Schema fields
+const conflictSchema = new mongoose.Schema(
+    {
+        // Account the conflict belongs to (see accountSchema.js)
+        account_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Account',
+            default: null,
+            index: true,
+        },
+        todoid: {
+            type: String,
+            required: true,
+            index: true,
+        },
+        source: {
+            type: String,
+            enum: ['todoist', 'notion'],
+            default: 'todoist',
+        },
+        fields: {
+            type: [conflictFieldSchema],
+            default: [],
+        },
+        status: {
+            type: String,
+            enum: ['open', 'resolved'],
+            default: 'open',
+            index: true,
+        },
+        resolution: {
+            type: String,
+            enum: ['todoist', 'local', 'custom', 'auto', null],
+            default: null,
+        },
+        created_at: {
+            type: Date,
+            default: Date.now,
+        },
+        updated_at: {
+            type: Date,
+            default: Date.now,
+        },
+        resolved_at: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: false, // Timestamps are managed by the sync
+    }
+);
+
+// Create and export the Conflict model
+const Conflict = mongoose.model('Conflict', conflictSchema);
+module.exports = Conflict;
@@ -0,0 +1,27 @@
+// Counter Schema - Named sequence counters shared by all processes (e.g. task event ids)
+
+const mongoose = require('mongoose');
+
+// Counter Schema fields
+const counterSchema = new mongoose.Schema(
+    {
+        // Counter name
+        _id: {
+            type: String,
+            required: true,
+        },
+        // Last value handed out
+        seq: {
+            type: Number,
+            default: 0,
+        },
+    },
+    {
+        collection: 'counters',
+        versionKey: false,
+    }
+);
+
+// Create and export the Counter model
+const Counter = mongoose.model('Counter', counterSchema);
+module.exports = Counter;
@@ -0,0 +1,101 @@
+// Due Digest - Collects an account's overdue tasks and those due soon, grouped by project and priority
+// Overdue follows the stats: timed tasks once their time has passed, all-day tasks once their date is before today
+
+const Task = require('./taskSchema');
+const { startOfToday, getTimezoneOffsetMs, getProjectNames } = require('./taskStats');
+const { repositoryFor } = require('./repositories');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const taskRepository = repositoryFor(Task);
+
+// The due a notification is about (due.date, or the flat due fields for tasks stored without one)
+const getDueKey = (task) => task.due?.date || task.due_time || task.due_date.toISOString().slice(0, 10);
+
+/**
+ * Active tasks that are overdue, or due before now + windowHours (all-day tasks: whose day starts
+ * before then, in the timezone), each with a status of overdue or due_soon
+ * Returns [{ task, status, due_key }], overdue first, then by due date
+ */
+async function collectDueTasks(accountId, { timezone = 'UTC', windowHours = 24, now = new Date() } = {}) {
+    const todayStart = startOfToday(timezone, now);
+    const windowEnd = new Date(now.getTime() + windowHours * HOUR_MS);
+
+    // All-day dues are stored at midnight UTC, so allow a day for timezones ahead of UTC
+    const tasks = await taskRepository.find(
+        {
+            account_id: accountId,
+            deleted_at: null,
+            is_completed: false,
+            due_date: { $ne: null, $lt: new Date(windowEnd.getTime() + DAY_MS) },
+        },
+        { sort: { due_date: 1 } }
+    );
+
+    const classify = (task) => {
+        if (task.due_time) {
+            if (task.due_date < now) return 'overdue';
+            return task.due_date < windowEnd ? 'due_soon' : null;
+        }
+        if (task.due_date < todayStart) return 'overdue';
+        const dayStart = new Date(task.due_date.getTime() - getTimezoneOffsetMs(timezone, task.due_date));
+        return dayStart < windowEnd ? 'due_soon' : null;
+    };
+
+    const dueTasks = tasks
+        .map((task) => ({ task, status: classify(task), due_key: getDueKey(task) }))
+        .filter(({ status }) => status);
+    return [
+        ...dueTasks.filter(({ status }) => status === 'overdue'),
+        ...dueTasks.filter(({ status }) => status === 'due_soon'),
+    ];
+}
+
+/**
+ * Builds the digest of collected due tasks: counts, and per project (by name) the tasks
+ * per priority, most urgent priority first (Todoist priority 4 is p1)
+ */
+async function buildDueDigest(account, dueTasks, { timezone, windowHours, now = new Date() }) {
+    const projectIds = [...new Set(dueTasks.map(({ task }) => task.project_id || ''))];
+    const projectNames = await getProjectNames(account._id, projectIds);
+
+    const projects = projectIds
+        .map((projectId) => {
+            const projectTasks = dueTasks.filter(({ task }) => (task.project_id || '') === projectId);
+            const priorities = [...new Set(projectTasks.map(({ task }) => task.priority || 1))].sort((a, b) => b - a);
+            return {
+                project_id: projectId,
+                name: projectNames.get(projectId) || null,
+                priorities: priorities.map((priority) => ({
+                    priority,
+                    tasks: projectTasks
+                        .filter(({ task }) => (task.priority || 1) === priority)
+                        .map(({ task, status, due_key: dueKey }) => ({
+                            todoid: task.todoid || '',
+                            content: task.content,
+                            status,
+                            due: dueKey,
+                            url: task.url || '',
+                        })),
+                })),
+            };
+        })
+        // Tasks without a known project last
+        .sort((a, b) => (a.name === null) - (b.name === null) || (a.name || '').localeCompare(b.name || ''));
+
+    return {
+        account: account.name,
+        generated_at: now,
+        timezone,
+        window_hours: windowHours,
+        overdue: dueTasks.filter(({ status }) => status === 'overdue').length,
+        due_soon: dueTasks.filter(({ status }) => status === 'due_soon').length,
+        projects,
+    };
+}
+
+module.exports = {
+    collectDueTasks,
+    buildDueDigest,
+};
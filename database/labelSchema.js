@@ -0,0 +1,51 @@
+// Label Schema - Defines MongoDB schema for Todoist personal labels
+
+const mongoose = require('mongoose');
+
+// Label Schema fields
+const labelSchema = new mongoose.Schema(
+    {
+        // Account the label belongs to (see accountSchema.js)
+        account_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Account',
+            default: null,
+        },
+        todoid: {
+            type: String,
+            required: true,
+        },
+        // Tasks reference labels by name
+        name: {
+            type: String,
+            required: true,
+            index: true,
+        },
+        color: {
+            type: String,
+            default: '',
+        },
+        order: {
+            type: Number,
+            default: 0,
+        },
+        is_favorite: {
+            type: Boolean,
+            default: false,
+        },
+        updated_at: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        timestamps: false, // Timestamps are managed by the sync
+    }
+);
+
+// Todoist IDs are unique per account
+labelSchema.index({ account_id: 1, todoid: 1 }, { unique: true });
+
+// Create and export the Label model
+const Label = mongoose.model('Label', labelSchema);
+module.exports = Label;
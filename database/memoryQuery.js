@@ -0,0 +1,618 @@
+// Memory Query - MongoDB query, update, sort and aggregation semantics over plain objects (see memoryRepository.js)
+// Covers the operators and pipeline stages this app uses; anything else throws rather than being silently ignored
+
+const unsupported = (kind, name) => new Error(`The in-memory storage does not support the ${name} ${kind}`);
+
+const isObjectId = (value) => value?._bsontype === 'ObjectId';
+
+const isPlainObject = (value) =>
+    value !== null &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    !(value instanceof RegExp) &&
+    !isObjectId(value) &&
+    !Buffer.isBuffer(value);
+
+// An object of operators such as { $gt: 1, $lt: 5 } (as opposed to an embedded document)
+const isOperatorObject = (value) =>
+    isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every((key) => key.startsWith('$'));
+
+// Deep copy of a stored value; ObjectIds are immutable and shared
+function cloneValue(value) {
+    if (Array.isArray(value)) return value.map(cloneValue);
+    if (value instanceof Date) return new Date(value.getTime());
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, cloneValue(entry)]));
+    }
+    return value;
+}
+
+// Position of a value's type in MongoDB's comparison order (null < numbers < strings < objects < ...)
+function typeRank(value) {
+    if (value === undefined || value === null) return 1;
+    if (typeof value === 'number') return 2;
+    if (typeof value === 'string') return 3;
+    if (Array.isArray(value)) return 5;
+    if (isObjectId(value)) return 7;
+    if (typeof value === 'boolean') return 8;
+    if (value instanceof Date) return 9;
+    if (value instanceof RegExp) return 11;
+    return 4;
+}
+
+// Canonical string of a value; values MongoDB considers equal get the same key
+function valueKey(value) {
+    if (value === undefined || value === null) return 'null';
+    if (isObjectId(value)) return `oid:${value.toHexString()}`;
+    if (value instanceof Date) return `date:${value.getTime()}`;
+    if (value instanceof RegExp) return `regex:${value}`;
+    if (Array.isArray(value)) return `[${value.map(valueKey).join(',')}]`;
+    if (isPlainObject(value)) {
+        const entries = Object.entries(value).filter(([, entry]) => entry !== undefined);
+        return `{${entries.map(([key, entry]) => `${JSON.stringify(key)}:${valueKey(entry)}`).join(',')}}`;
+    }
+    return `${typeof value}:${String(value)}`;
+}
+
+// Compare two values in MongoDB's sort order
+function compareValues(a, b) {
+    const rankA = typeRank(a);
+    const rankB = typeRank(b);
+    if (rankA !== rankB) return rankA - rankB;
+    switch (rankA) {
+        case 1:
+            return 0;
+        case 2:
+        case 8:
+            return Number(a) - Number(b);
+        case 3:
+            return a < b ? -1 : a > b ? 1 : 0;
+        case 5:
+            for (let index = 0; index < Math.min(a.length, b.length); index++) {
+                const difference = compareValues(a[index], b[index]);
+                if (difference !== 0) return difference;
+            }
+            return a.length - b.length;
+        case 7:
+            return compareValues(a.toHexString(), b.toHexString());
+        case 9:
+            return a.getTime() - b.getTime();
+        default:
+            return compareValues(valueKey(a), valueKey(b));
+    }
+}
+
+// Values at a dotted path; arrays of documents along the way are traversed, so a path can reach several values
+function getPathValues(doc, path) {
+    let values = [doc];
+    for (const key of path.split('.')) {
+        const next = [];
+        for (const value of values) {
+            if (Array.isArray(value)) {
+                if (/^\d+$/.test(key)) {
+                    if (value[key] !== undefined) next.push(value[key]);
+                } else {
+                    value.filter(isPlainObject).forEach((entry) => entry[key] !== undefined && next.push(entry[key]));
+                }
+            } else if (isPlainObject(value) && value[key] !== undefined) {
+                next.push(value[key]);
+            }
+        }
+        values = next;
+    }
+    return values;
+}
+
+// Value at a dotted path (undefined when missing)
+function getPath(doc, path) {
+    const values = getPathValues(doc, path);
+    return values.length > 1 ? values : values[0];
+}
+
+// Set a value at a dotted path, creating embedded documents on the way
+function setPath(doc, path, value) {
+    const keys = path.split('.');
+    let target = doc;
+    for (const key of keys.slice(0, -1)) {
+        if (!isPlainObject(target[key]) && !Array.isArray(target[key])) target[key] = {};
+        target = target[key];
+    }
+    target[keys[keys.length - 1]] = value;
+}
+
+// Remove the value at a dotted path
+function unsetPath(doc, path) {
+    const keys = path.split('.');
+    const parent = keys.length > 1 ? getPath(doc, keys.slice(0, -1).join('.')) : doc;
+    if (isPlainObject(parent) || Array.isArray(parent)) delete parent[keys[keys.length - 1]];
+}
+
+// Whether a value is truthy for aggregation expressions (only false, null, missing and 0 are not)
+const isTruthy = (value) => !(value === false || value === null || value === undefined || value === 0);
+
+// ---------- Queries
+
+const matchRegex = (value, pattern) =>
+    Array.isArray(value)
+        ? value.some((entry) => matchRegex(entry, pattern))
+        : typeof value === 'string' && pattern.test(value);
+
+// Whether any of the values equals the operand (or is an array containing it); null also matches missing
+function matchEquals(values, operand) {
+    if (operand instanceof RegExp) return values.some((value) => matchRegex(value, operand));
+    if (operand === null || operand === undefined) {
+        return (
+            values.length === 0 ||
+            values.some((value) => value === null || (Array.isArray(value) && value.some((entry) => entry === null)))
+        );
+    }
+    const key = valueKey(operand);
+    return values.some(
+        (value) => valueKey(value) === key || (Array.isArray(value) && value.some((entry) => valueKey(entry) === key))
+    );
+}
+
+// Range comparison of any value (or array entry) of the same type as the operand
+const matchRange = (values, operand, test) =>
+    values.some((value) =>
+        (Array.isArray(value) ? value : [value]).some(
+            (entry) => typeRank(entry) === typeRank(operand) && test(compareValues(entry, operand))
+        )
+    );
+
+// $type aliases used with the operator
+const TYPE_CHECKS = {
+    string: (value) => typeof value === 'string',
+    number: (value) => typeof value === 'number',
+    double: (value) => typeof value === 'number',
+    int: (value) => Number.isInteger(value),
+    bool: (value) => typeof value === 'boolean',
+    date: (value) => value instanceof Date,
+    null: (value) => value === null,
+    array: (value) => Array.isArray(value),
+    object: isPlainObject,
+    objectId: isObjectId,
+};
+
+const QUERY_OPERATORS = {
+    $eq: (values, operand) => matchEquals(values, operand),
+    $ne: (values, operand) => !matchEquals(values, operand),
+    $in: (values, operand) => operand.some((entry) => matchEquals(values, entry)),
+    $nin: (values, operand) => !operand.some((entry) => matchEquals(values, entry)),
+    $gt: (values, operand) => matchRange(values, operand, (difference) => difference > 0),
+    $gte: (values, operand) => matchRange(values, operand, (difference) => difference >= 0),
+    $lt: (values, operand) => matchRange(values, operand, (difference) => difference < 0),
+    $lte: (values, operand) => matchRange(values, operand, (difference) => difference <= 0),
+    $all: (values, operand) => operand.length > 0 && operand.every((entry) => matchEquals(values, entry)),
+    $exists: (values, operand) => (values.length > 0) === Boolean(operand),
+    $type: (values, operand) => {
+        const check = TYPE_CHECKS[operand];
+        if (!check) throw unsupported('$type alias', operand);
+        return values.some(check);
+    },
+    $regex: (values, operand, condition) =>
+        values.some((value) => matchRegex(value, new RegExp(operand, condition.$options || ''))),
+    $options: () => true,
+    $not: (values, operand) => !matchField(values, operand),
+    $size: (values, operand) => values.some((value) => Array.isArray(value) && value.length === operand),
+    $elemMatch: (values, operand) =>
+        values.some(
+            (value) =>
+                Array.isArray(value) &&
+                value.some((entry) =>
+                    isPlainObject(entry) && !isOperatorObject(operand)
+                        ? matchDocument(entry, operand)
+                        : matchField([entry], operand)
+                )
+        ),
+};
+
+// Whether the values at a path satisfy a condition (a value to equal, or operators)
+function matchField(values, condition) {
+    if (condition instanceof RegExp || !isOperatorObject(condition)) {
+        return matchEquals(values, condition);
+    }
+    return Object.entries(condition).every(([operator, operand]) => {
+        const apply = QUERY_OPERATORS[operator];
+        if (!apply) throw unsupported('query operator', operator);
+        return apply(values, operand, condition);
+    });
+}
+
+// Whether a document matches a MongoDB filter
+function matchDocument(doc, filter = {}) {
+    return Object.entries(filter).every(([key, condition]) => {
+        switch (key) {
+            case '$and':
+                return condition.every((part) => matchDocument(doc, part));
+            case '$or':
+                return condition.some((part) => matchDocument(doc, part));
+            case '$nor':
+                return !condition.some((part) => matchDocument(doc, part));
+            case '$expr':
+                return isTruthy(evaluateExpression(condition, doc));
+            case '$comment':
+                return true;
+            default:
+                if (key.startsWith('$')) throw unsupported('query operator', key);
+                return matchField(getPathValues(doc, key), condition);
+        }
+    });
+}
+
+// Fields a filter pins to one value, which an upsert copies into the document it inserts
+function getEqualityFields(filter = {}) {
+    const fields = {};
+    for (const [key, condition] of Object.entries(filter)) {
+        if (key === '$and') {
+            condition.forEach((part) => Object.assign(fields, getEqualityFields(part)));
+        } else if (!key.startsWith('$')) {
+            if (isOperatorObject(condition)) {
+                if ('$eq' in condition) fields[key] = condition.$eq;
+            } else if (!(condition instanceof RegExp)) {
+                fields[key] = condition;
+            }
+        }
+    }
+    return fields;
+}
+
+// ---------- Sorting and projection
+
+// Sort documents by a MongoDB sort specification ({ field: 1 | -1 } or 'field -other')
+function sortDocuments(docs, sort) {
+    if (!sort) return docs;
+    const keys =
+        typeof sort === 'string'
+            ? sort
+                  .split(/\s+/)
+                  .filter(Boolean)
+                  .map((part) => [part.replace(/^-/, ''), part.startsWith('-') ? -1 : 1])
+            : Object.entries(sort).map(([field, direction]) => [
+                  field,
+                  Number(direction) || (direction === 'desc' ? -1 : 1),
+              ]);
+    return [...docs].sort((a, b) => {
+        for (const [field, direction] of keys) {
+            const difference = compareValues(getPath(a, field), getPath(b, field));
+            if (difference !== 0) return difference * direction;
+        }
+        return 0;
+    });
+}
+
+// Apply a projection ('a b', '-c', or { a: 1 } / { c: 0 }) to a document
+function projectDocument(doc, select) {
+    if (!select) return doc;
+    const fields =
+        typeof select === 'string'
+            ? select
+                  .split(/\s+/)
+                  .filter(Boolean)
+                  .map((part) => [part.replace(/^-/, ''), part.startsWith('-') ? 0 : 1])
+            : Object.entries(select).map(([field, include]) => [field, include ? 1 : 0]);
+    const included = fields.filter(([field, include]) => include && field !== '_id').map(([field]) => field);
+    const excluded = fields.filter(([, include]) => !include).map(([field]) => field);
+
+    if (included.length === 0) {
+        const projected = { ...doc };
+        excluded.forEach((field) => unsetPath(projected, field));
+        return projected;
+    }
+    const projected = excluded.includes('_id') || doc._id === undefined ? {} : { _id: doc._id };
+    for (const field of included) {
+        const value = getPath(doc, field);
+        if (value !== undefined) setPath(projected, field, value);
+    }
+    return projected;
+}
+
+// ---------- Updates
+
+// Compare-and-set helper for $min / $max
+const setIfCloser = (keep) => (doc, path, value) => {
+    const current = getPath(doc, path);
+    if (current === undefined || keep(compareValues(value, current))) setPath(doc, path, cloneValue(value));
+};
+
+const UPDATE_OPERATORS = {
+    $set: (doc, path, value) => setPath(doc, path, cloneValue(value)),
+    $setOnInsert: (doc, path, value) => setPath(doc, path, cloneValue(value)),
+    $unset: (doc, path) => unsetPath(doc, path),
+    $inc: (doc, path, amount) => setPath(doc, path, (getPath(doc, path) || 0) + amount),
+    $min: setIfCloser((difference) => difference < 0),
+    $max: setIfCloser((difference) => difference > 0),
+    $push: (doc, path, value) => {
+        const entries = isPlainObject(value) && '$each' in value ? value.$each : [value];
+        setPath(doc, path, [...(getPath(doc, path) || []), ...entries.map(cloneValue)]);
+    },
+    $addToSet: (doc, path, value) => {
+        const list = [...(getPath(doc, path) || [])];
+        const entries = isPlainObject(value) && '$each' in value ? value.$each : [value];
+        for (const entry of entries) {
+            if (!list.some((existing) => valueKey(existing) === valueKey(entry))) list.push(cloneValue(entry));
+        }
+        setPath(doc, path, list);
+    },
+    $pull: (doc, path, condition) => {
+        const matches = (entry) =>
+            isPlainObject(entry) && isPlainObject(condition) && !isOperatorObject(condition)
+                ? matchDocument(entry, condition)
+                : matchField([entry], condition);
+        setPath(doc, path, (getPath(doc, path) || []).filter((entry) => !matches(entry)));
+    },
+};
+
+/**
+ * Applies a MongoDB update to a copy of a document and returns the copy
+ * Fields outside operators are set, as Mongoose does; $setOnInsert only applies when inserting
+ */
+function applyUpdate(doc, update, { isInsert = false } = {}) {
+    const result = cloneValue(doc);
+    const operations = {};
+    for (const [key, value] of Object.entries(update)) {
+        if (key.startsWith('$')) operations[key] = { ...operations[key], ...value };
+        else operations.$set = { ...operations.$set, [key]: value };
+    }
+    for (const [operator, fields] of Object.entries(operations)) {
+        const apply = UPDATE_OPERATORS[operator];
+        if (!apply) throw unsupported('update operator', operator);
+        if (operator === '$setOnInsert' && !isInsert) continue;
+        Object.entries(fields).forEach(([path, value]) => apply(result, path, value));
+    }
+    return result;
+}
+
+// ---------- Aggregation expressions
+
+// Parts of a date in a timezone, for $dateToString
+function getDateParts(date, timezone) {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+        })
+            .formatToParts(date)
+            .map(({ type, value }) => [type, value])
+    );
+    // ISO 8601 week: the week with the year's first Thursday is week 1
+    const thursday = new Date(Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day)));
+    const weekday = thursday.getUTCDay() || 7;
+    thursday.setUTCDate(thursday.getUTCDate() + 4 - weekday);
+    const isoYear = thursday.getUTCFullYear();
+    const isoWeek = Math.ceil(((thursday - Date.UTC(isoYear, 0, 1)) / 86400000 + 1) / 7);
+
+    return {
+        '%Y': parts.year,
+        '%m': parts.month,
+        '%d': parts.day,
+        '%H': parts.hour,
+        '%M': parts.minute,
+        '%S': parts.second,
+        '%L': String(date.getUTCMilliseconds()).padStart(3, '0'),
+        '%G': String(isoYear),
+        '%V': String(isoWeek).padStart(2, '0'),
+        '%u': String(weekday),
+        '%%': '%',
+    };
+}
+
+// Evaluate the operands of an expression operator
+const evaluateArgs = (operand, doc) =>
+    (Array.isArray(operand) ? operand : [operand]).map((entry) => evaluateExpression(entry, doc));
+
+// Comparison operator of aggregation expressions (compares across types in MongoDB's order)
+const compareWith =
+    (test) =>
+    (operand, doc) => {
+        const [a, b] = evaluateArgs(operand, doc);
+        return test(compareValues(a, b));
+    };
+
+const EXPRESSION_OPERATORS = {
+    $literal: (operand) => operand,
+    $eq: compareWith((difference) => difference === 0),
+    $ne: compareWith((difference) => difference !== 0),
+    $gt: compareWith((difference) => difference > 0),
+    $gte: compareWith((difference) => difference >= 0),
+    $lt: compareWith((difference) => difference < 0),
+    $lte: compareWith((difference) => difference <= 0),
+    $and: (operand, doc) => evaluateArgs(operand, doc).every(isTruthy),
+    $or: (operand, doc) => evaluateArgs(operand, doc).some(isTruthy),
+    $not: (operand, doc) => !isTruthy(evaluateArgs(operand, doc)[0]),
+    $cond: (operand, doc) => {
+        const [condition, then, otherwise] = Array.isArray(operand)
+            ? operand
+            : [operand.if, operand.then, operand.else];
+        return isTruthy(evaluateExpression(condition, doc))
+            ? evaluateExpression(then, doc)
+            : evaluateExpression(otherwise, doc);
+    },
+    $ifNull: (operand, doc) => {
+        const values = evaluateArgs(operand, doc);
+        return values.find((value) => value !== null && value !== undefined) ?? values[values.length - 1];
+    },
+    $in: (operand, doc) => {
+        const [value, list] = evaluateArgs(operand, doc);
+        return (list || []).some((entry) => valueKey(entry) === valueKey(value));
+    },
+    $add: (operand, doc) => {
+        const values = evaluateArgs(operand, doc);
+        if (values.some((value) => value === null || value === undefined)) return null;
+        const total = values.reduce((sum, value) => sum + Number(value), 0);
+        return values.some((value) => value instanceof Date) ? new Date(total) : total;
+    },
+    $subtract: (operand, doc) => {
+        const [a, b] = evaluateArgs(operand, doc);
+        if (a === null || a === undefined || b === null || b === undefined) return null;
+        if (a instanceof Date && !(b instanceof Date)) return new Date(a.getTime() - b);
+        return Number(a) - Number(b);
+    },
+    $size: (operand, doc) => evaluateArgs(operand, doc)[0].length,
+    $dateToString: (operand, doc) => {
+        const date = evaluateExpression(operand.date, doc);
+        if (date === null || date === undefined) {
+            return operand.onNull !== undefined ? evaluateExpression(operand.onNull, doc) : null;
+        }
+        const timezone = operand.timezone ? evaluateExpression(operand.timezone, doc) : 'UTC';
+        const parts = getDateParts(date, timezone);
+        return (operand.format || '%Y-%m-%dT%H:%M:%S.%LZ').replace(/%[YmdHMSLGVu%]/g, (token) => parts[token]);
+    },
+};
+
+// Evaluate an aggregation expression ('$field', literal, { $operator: ... } or an object of expressions)
+function evaluateExpression(expression, doc) {
+    if (typeof expression === 'string' && expression.startsWith('$$')) {
+        if (expression === '$$NOW') return new Date();
+        if (expression === '$$ROOT') return doc;
+        throw unsupported('variable', expression);
+    }
+    if (typeof expression === 'string' && expression.startsWith('$')) return getPath(doc, expression.slice(1));
+    if (Array.isArray(expression)) return expression.map((entry) => evaluateExpression(entry, doc));
+    if (!isPlainObject(expression)) return expression;
+
+    const keys = Object.keys(expression);
+    if (keys.length === 1 && keys[0].startsWith('$')) {
+        const apply = EXPRESSION_OPERATORS[keys[0]];
+        if (!apply) throw unsupported('expression operator', keys[0]);
+        return apply(expression[keys[0]], doc);
+    }
+    return Object.fromEntries(keys.map((key) => [key, evaluateExpression(expression[key], doc)]));
+}
+
+// ---------- Aggregation pipelines
+
+const isNumber = (value) => typeof value === 'number' && !Number.isNaN(value);
+const isMissing = (value) => value === null || value === undefined;
+
+// $group accumulators: start state, add one document's value, final value
+const ACCUMULATORS = {
+    $sum: { init: () => 0, add: (total, value) => (isNumber(value) ? total + value : total), result: (total) => total },
+    $avg: {
+        init: () => ({ total: 0, count: 0 }),
+        add: (state, value) => (isNumber(value) ? { total: state.total + value, count: state.count + 1 } : state),
+        result: ({ total, count }) => (count > 0 ? total / count : null),
+    },
+    $min: {
+        init: () => undefined,
+        add: (min, value) => (isMissing(value) || (min !== undefined && compareValues(value, min) >= 0) ? min : value),
+        result: (min) => min ?? null,
+    },
+    $max: {
+        init: () => undefined,
+        add: (max, value) => (isMissing(value) || (max !== undefined && compareValues(value, max) <= 0) ? max : value),
+        result: (max) => max ?? null,
+    },
+    $first: {
+        init: () => undefined,
+        add: (first, value, index) => (index === 0 ? value : first),
+        result: (first) => first ?? null,
+    },
+    $last: { init: () => undefined, add: (last, value) => value, result: (last) => last ?? null },
+    $push: { init: () => [], add: (list, value) => [...list, value], result: (list) => list },
+};
+
+function groupDocuments(docs, { _id: idExpression, ...fields }) {
+    const groups = new Map();
+    for (const doc of docs) {
+        const id = evaluateExpression(idExpression, doc) ?? null;
+        const key = valueKey(id);
+        if (!groups.has(key)) {
+            const states = Object.fromEntries(
+                Object.entries(fields).map(([name, spec]) => {
+                    const [operator] = Object.keys(spec);
+                    if (!ACCUMULATORS[operator]) throw unsupported('accumulator', operator);
+                    return [name, { operator, state: ACCUMULATORS[operator].init() }];
+                })
+            );
+            groups.set(key, { id, states, count: 0 });
+        }
+        const group = groups.get(key);
+        for (const [name, spec] of Object.entries(fields)) {
+            const entry = group.states[name];
+            const value = evaluateExpression(spec[entry.operator], doc);
+            entry.state = ACCUMULATORS[entry.operator].add(entry.state, value, group.count);
+        }
+        group.count += 1;
+    }
+    return [...groups.values()].map(({ id, states }) => ({
+        _id: id,
+        ...Object.fromEntries(
+            Object.entries(states).map(([name, { operator, state }]) => [name, ACCUMULATORS[operator].result(state)])
+        ),
+    }));
+}
+
+function unwindDocuments(docs, spec) {
+    const { path, preserveNullAndEmptyArrays = false } = typeof spec === 'string' ? { path: spec } : spec;
+    const field = path.slice(1);
+    return docs.flatMap((doc) => {
+        const value = getPath(doc, field);
+        if (Array.isArray(value) && value.length > 0) {
+            return value.map((entry) => {
+                const unwound = { ...doc };
+                setPath(unwound, field, entry);
+                return unwound;
+            });
+        }
+        if (Array.isArray(value) || value === null || value === undefined) {
+            if (!preserveNullAndEmptyArrays) return [];
+            const kept = { ...doc };
+            if (Array.isArray(value)) unsetPath(kept, field);
+            return [kept];
+        }
+        return [doc];
+    });
+}
+
+const PIPELINE_STAGES = {
+    $match: (docs, filter) => docs.filter((doc) => matchDocument(doc, filter)),
+    $addFields: (docs, fields) =>
+        docs.map((doc) => {
+            const result = { ...doc };
+            for (const [path, expression] of Object.entries(fields)) {
+                setPath(result, path, evaluateExpression(expression, doc));
+            }
+            return result;
+        }),
+    $unwind: unwindDocuments,
+    $group: groupDocuments,
+    $sort: (docs, sort) => sortDocuments(docs, sort),
+    $skip: (docs, count) => docs.slice(count),
+    $limit: (docs, count) => docs.slice(0, count),
+    $facet: (docs, facets) => [
+        Object.fromEntries(Object.entries(facets).map(([name, pipeline]) => [name, runPipeline(docs, pipeline)])),
+    ],
+};
+PIPELINE_STAGES.$set = PIPELINE_STAGES.$addFields;
+
+// Run an aggregation pipeline over documents
+function runPipeline(docs, pipeline) {
+    return pipeline.reduce((current, stage) => {
+        const [name] = Object.keys(stage);
+        const run = PIPELINE_STAGES[name];
+        if (!run) throw unsupported('aggregation stage', name);
+        return run(current, stage[name]);
+    }, docs);
+}
+
+module.exports = {
+    cloneValue,
+    valueKey,
+    compareValues,
+    getPath,
+    matchDocument,
+    getEqualityFields,
+    sortDocuments,
+    projectDocument,
+    applyUpdate,
+    evaluateExpression,
+    runPipeline,
+};
@@ -0,0 +1,258 @@
+// Memory Repository - In-memory storage backend with the same operations as MongoDB (see repositories.js)
+// Documents are cast and validated with the model's schema, unique indexes are enforced (duplicate key errors
+// have code 11000, as in MongoDB) and populate follows the schema's virtuals. Save hooks and TTL indexes do not
+// run, and the data lives only as long as the process.
+
+const mongoose = require('mongoose');
+const {
+    cloneValue,
+    valueKey,
+    getPath,
+    matchDocument,
+    getEqualityFields,
+    sortDocuments,
+    projectDocument,
+    applyUpdate,
+    runPipeline,
+} = require('./memoryQuery');
+
+// Collections by model name: { docs: Map of _id key -> document, uniqueIndexes }
+const collections = new Map();
+
+// Drop all in-memory data
+function resetMemoryStorage() {
+    collections.clear();
+}
+
+function getCollection(Model) {
+    if (!collections.has(Model.modelName)) {
+        const uniqueIndexes = Model.schema
+            .indexes()
+            .filter(([, options]) => options?.unique)
+            .map(([fields, options]) => ({ fields: Object.keys(fields), options, entries: new Map() }));
+        collections.set(Model.modelName, { docs: new Map(), uniqueIndexes });
+    }
+    return collections.get(Model.modelName);
+}
+
+// Key of a document in a unique index, or null when the index leaves it out (partial or sparse)
+function getIndexKey({ fields, options }, doc) {
+    if (options.partialFilterExpression && !matchDocument(doc, options.partialFilterExpression)) return null;
+    const values = fields.map((field) => getPath(doc, field));
+    if (options.sparse && values.every((value) => value === undefined)) return null;
+    return valueKey(values);
+}
+
+function duplicateKeyError(Model, fields, doc) {
+    const keyValue = Object.fromEntries(fields.map((field) => [field, getPath(doc, field) ?? null]));
+    const error = new Error(
+        `E11000 duplicate key error collection: ${Model.collection.name} dup key: ${JSON.stringify(keyValue)}`
+    );
+    error.name = 'MongoServerError';
+    error.code = 11000;
+    error.keyValue = keyValue;
+    return error;
+}
+
+// Store a new or changed document, enforcing _id and unique indexes
+function storeDocument(Model, doc, previous = null) {
+    const collection = getCollection(Model);
+    const id = valueKey(doc._id);
+    if (!previous && collection.docs.has(id)) throw duplicateKeyError(Model, ['_id'], doc);
+
+    const keys = collection.uniqueIndexes.map((index) => getIndexKey(index, doc));
+    collection.uniqueIndexes.forEach((index, position) => {
+        const owner = keys[position] !== null && index.entries.get(keys[position]);
+        if (owner && owner !== id) throw duplicateKeyError(Model, index.fields, doc);
+    });
+
+    if (previous) unindexDocument(collection, previous);
+    collection.uniqueIndexes.forEach((index, position) => {
+        if (keys[position] !== null) index.entries.set(keys[position], id);
+    });
+    collection.docs.set(id, doc);
+}
+
+function unindexDocument(collection, doc) {
+    for (const index of collection.uniqueIndexes) {
+        const key = getIndexKey(index, doc);
+        if (key !== null && index.entries.get(key) === valueKey(doc._id)) index.entries.delete(key);
+    }
+}
+
+// Throw the first cast error of a document, or any validation error when validating
+function checkDocument(doc, paths, runValidators) {
+    const error = doc.validateSync(paths);
+    if (!error) return;
+    const castError = Object.values(error.errors).find(({ name }) => name === 'CastError');
+    if (castError) throw castError;
+    if (runValidators) throw error;
+}
+
+// Plain stored form of a document, cast with the schema (defaults are added for new documents)
+function castDocument(Model, data, { isNew, paths, runValidators = isNew }) {
+    const doc = isNew ? new Model(data) : new Model(data, null, { defaults: false });
+    checkDocument(doc, paths, runValidators);
+    const stored = doc.toObject({ virtuals: false, depopulate: true, minimize: false, transform: false });
+    const versionKey = Model.schema.options.versionKey;
+    if (isNew && versionKey && stored[versionKey] === undefined) stored[versionKey] = 0;
+    return stored;
+}
+
+// Filter cast with the schema, as Mongoose does before querying (e.g. strings to ObjectIds and Dates)
+const castFilter = (Model, filter = {}) => Model.find(filter).cast(Model);
+
+// Top-level paths an update touches, for validation
+const getUpdatedPaths = (update) => [
+    ...new Set(
+        Object.entries(update).flatMap(([key, value]) =>
+            (key.startsWith('$') ? Object.keys(value) : [key]).map((path) => path.split('.')[0])
+        )
+    ),
+];
+
+/**
+ * Fills populated paths of lean documents; paths are the schema's populate virtuals
+ * (ref, localField, foreignField, justOne, match and options.sort are honoured)
+ */
+function populateDocuments(Model, docs, populate) {
+    const paths = (Array.isArray(populate) ? populate : [populate]).flatMap((entry) =>
+        typeof entry === 'string' ? entry.split(/\s+/).filter(Boolean) : [entry.path]
+    );
+    for (const path of paths) {
+        const virtual = Model.schema.virtuals[path];
+        if (!virtual?.options?.ref) throw new Error(`The in-memory storage can only populate virtuals (${path})`);
+        const { ref, localField, foreignField, justOne, match, options = {} } = virtual.options;
+        const Related = mongoose.model(ref);
+
+        for (const doc of docs) {
+            const local = getPath(doc, localField);
+            const localValues = (Array.isArray(local) ? local : [local]).filter((value) => value != null);
+            const extra = typeof match === 'function' ? match(doc, virtual) : match || {};
+            const filter = { ...extra, [foreignField]: { $in: localValues } };
+            const related = localValues.length === 0 ? [] : findDocuments(Related, filter, { sort: options.sort });
+            doc[path] = justOne ? related[0] || null : related;
+        }
+    }
+    return docs;
+}
+
+// Matching documents, sorted, paged and projected (copies, safe to change)
+function findDocuments(Model, filter, { select, sort, skip = 0, limit = 0, populate } = {}) {
+    const castedFilter = castFilter(Model, filter);
+    let docs = [...getCollection(Model).docs.values()].filter((doc) => matchDocument(doc, castedFilter));
+    docs = sortDocuments(docs, sort).slice(skip, limit ? skip + limit : undefined);
+    docs = docs.map((doc) => projectDocument(cloneValue(doc), select));
+    return populate ? populateDocuments(Model, docs, populate) : docs;
+}
+
+// Update the first matching document (or all of them), inserting one on upsert when none match
+function updateDocuments(Model, filter, update, { upsert = false, runValidators = false, multi = false } = {}) {
+    const castedFilter = castFilter(Model, filter);
+    const matches = [...getCollection(Model).docs.values()].filter((doc) => matchDocument(doc, castedFilter));
+    const targets = multi ? matches : matches.slice(0, 1);
+    const paths = getUpdatedPaths(update);
+    const result = { acknowledged: true, matchedCount: targets.length, modifiedCount: 0, upsertedCount: 0, docs: [] };
+
+    for (const previous of targets) {
+        const doc = castDocument(Model, applyUpdate(previous, update), { isNew: false, paths, runValidators });
+        if (valueKey(doc) !== valueKey(previous)) {
+            storeDocument(Model, doc, previous);
+            result.modifiedCount += 1;
+        }
+        result.docs.push(doc);
+    }
+
+    if (targets.length === 0 && upsert) {
+        const seed = applyUpdate({}, { $set: getEqualityFields(castedFilter) });
+        const doc = castDocument(Model, applyUpdate(seed, update, { isInsert: true }), { isNew: true, runValidators });
+        storeDocument(Model, doc);
+        result.upsertedCount = 1;
+        result.upsertedId = doc._id;
+        result.docs.push(doc);
+    }
+    return result;
+}
+
+function deleteDocuments(Model, filter, { multi }) {
+    const collection = getCollection(Model);
+    const castedFilter = castFilter(Model, filter);
+    const matches = [...collection.docs.values()].filter((doc) => matchDocument(doc, castedFilter));
+    const targets = multi ? matches : matches.slice(0, 1);
+    for (const doc of targets) {
+        unindexDocument(collection, doc);
+        collection.docs.delete(valueKey(doc._id));
+    }
+    return { acknowledged: true, deletedCount: targets.length };
+}
+
+function insertDocument(Model, data) {
+    const doc = castDocument(Model, cloneValue(data), { isNew: true });
+    storeDocument(Model, doc);
+    return doc;
+}
+
+// Drop the internal list of updated documents from an update result
+const toUpdateResult = ({ docs, ...result }) => result;
+
+function createMemoryRepository(Model) {
+    return {
+        collectionName: Model.collection.name,
+        find: async (filter = {}, options) => findDocuments(Model, filter, options),
+        findOne: async (filter = {}, options = {}) => findDocuments(Model, filter, { ...options, limit: 1 })[0] || null,
+        count: async (filter = {}) => findDocuments(Model, filter).length,
+        distinct: async (field, filter = {}) => {
+            const values = new Map();
+            for (const doc of findDocuments(Model, filter)) {
+                const value = getPath(doc, field);
+                (Array.isArray(value) ? value : [value]).forEach(
+                    (entry) => entry !== undefined && values.set(valueKey(entry), entry)
+                );
+            }
+            return [...values.values()];
+        },
+        iterate: async function* (filter = {}, options) {
+            yield* findDocuments(Model, filter, options);
+        },
+        insert: async (doc) => cloneValue(insertDocument(Model, doc)),
+        updateOne: async (filter, update, options) => toUpdateResult(updateDocuments(Model, filter, update, options)),
+        updateMany: async (filter, update, options) =>
+            toUpdateResult(updateDocuments(Model, filter, update, { ...options, multi: true })),
+        findOneAndUpdate: async (filter, update, { populate, ...options } = {}) => {
+            const [doc] = updateDocuments(Model, filter, update, options).docs;
+            if (!doc) return null;
+            return populate ? populateDocuments(Model, [cloneValue(doc)], populate)[0] : cloneValue(doc);
+        },
+        deleteOne: async (filter) => deleteDocuments(Model, filter, { multi: false }),
+        deleteMany: async (filter = {}) => deleteDocuments(Model, filter, { multi: true }),
+        // Operations run in order and stop at the first error, as an ordered bulkWrite does
+        bulkApply: async (operations) => {
+            const result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0 };
+            for (const operation of operations) {
+                const [type] = Object.keys(operation);
+                const { document, filter, update, upsert } = operation[type];
+                if (type === 'insertOne') {
+                    insertDocument(Model, document);
+                    result.insertedCount += 1;
+                } else if (type === 'updateOne' || type === 'updateMany') {
+                    const updated = updateDocuments(Model, filter, update, { upsert, multi: type === 'updateMany' });
+                    result.matchedCount += updated.matchedCount;
+                    result.modifiedCount += updated.modifiedCount;
+                    result.upsertedCount += updated.upsertedCount;
+                } else if (type === 'deleteOne' || type === 'deleteMany') {
+                    const deleted = deleteDocuments(Model, filter, { multi: type === 'deleteMany' });
+                    result.deletedCount += deleted.deletedCount;
+                } else {
+                    throw new Error(`The in-memory storage does not support the ${type} bulk operation`);
+                }
+            }
+            return result;
+        },
+        // Pipelines are not cast, as in MongoDB
+        aggregate: async (pipeline) =>
+            runPipeline([...getCollection(Model).docs.values()].map(cloneValue), pipeline),
+        syncIndexes: async () => [],
+    };
+}
+
+module.exports = { createMemoryRepository, resetMemoryStorage };
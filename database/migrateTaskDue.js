@@ -0,0 +1,71 @@
+// Migrate Task Due - Adds the structured due, duration and deadline to tasks stored before they existed
+// Runs on server startup; can also be run directly: node database/migrateTaskDue.js
+
+const Task = require('./taskSchema');
+const { dueFromDateFields } = require('./taskDue');
+const { repositoryFor } = require('./repositories');
+
+const BATCH_SIZE = 500;
+
+const taskRepository = repositoryFor(Task);
+
+// Builds the update for one task: the due comes from due_date / due_time, and the sync snapshot
+// gets the same shape so the next sync compares like with like (Todoist then fills in the full due)
+function buildDueMigration(task) {
+    const update = {
+        $set: { due: dueFromDateFields(task.due_date, task.due_time), duration: null, deadline: null },
+    };
+    const snapshot = task.sync_snapshot;
+    if (snapshot) {
+        Object.assign(update.$set, {
+            'sync_snapshot.due': dueFromDateFields(snapshot.due_date, snapshot.due_time),
+            'sync_snapshot.duration': null,
+            'sync_snapshot.deadline': null,
+        });
+        update.$unset = { 'sync_snapshot.due_date': '', 'sync_snapshot.due_time': '' };
+    }
+    return update;
+}
+
+// Migrate every task without a `due` field; returns the number of migrated tasks
+async function migrateTaskDue() {
+    const cursor = taskRepository.iterate({ due: { $exists: false } }, { select: 'due_date due_time sync_snapshot' });
+
+    let operations = [];
+    let migrated = 0;
+    for await (const task of cursor) {
+        operations.push({ updateOne: { filter: { _id: task._id }, update: buildDueMigration(task) } });
+        if (operations.length === BATCH_SIZE) {
+            await taskRepository.bulkApply(operations);
+            migrated += operations.length;
+            operations = [];
+        }
+    }
+    if (operations.length > 0) {
+        await taskRepository.bulkApply(operations);
+        migrated += operations.length;
+    }
+
+    if (migrated > 0) {
+        console.log(`📅 Added structured due dates to ${migrated} tasks`);
+    }
+    return migrated;
+}
+
+module.exports = {
+    migrateTaskDue,
+};
+
+// Allow direct execution
+if (require.main === module) {
+    const mongoose = require('mongoose');
+    const connectDB = require('./config');
+
+    connectDB()
+        .then(() => migrateTaskDue())
+        .catch((error) => {
+            console.error('❌ Failed to migrate task due dates:', error.message);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.disconnect());
+}
@@ -0,0 +1,38 @@
+// Mongo Repository - MongoDB storage backend: the repository operations (see repositories.js) on a Mongoose model
+
+// Plain objects, without virtuals (populated paths are kept)
+const toPlainObject = (doc) => doc.toObject({ virtuals: false, depopulate: false });
+
+function createMongoRepository(Model) {
+    // Apply the read options to a query and return lean documents
+    const withOptions = (query, { select, sort, skip, limit, populate, maxTimeMS } = {}) => {
+        if (select) query.select(select);
+        if (sort) query.sort(sort);
+        if (skip) query.skip(skip);
+        if (limit) query.limit(limit);
+        if (populate) query.populate(populate);
+        if (maxTimeMS) query.maxTimeMS(maxTimeMS);
+        return query.lean();
+    };
+
+    return {
+        collectionName: Model.collection.name,
+        find: (filter = {}, options) => withOptions(Model.find(filter), options).exec(),
+        findOne: (filter = {}, options) => withOptions(Model.findOne(filter), options).exec(),
+        count: (filter = {}) => Model.countDocuments(filter).exec(),
+        distinct: (field, filter = {}) => Model.distinct(field, filter).exec(),
+        iterate: (filter = {}, options) => withOptions(Model.find(filter), options).cursor(),
+        insert: async (doc) => toPlainObject(await Model.create(doc)),
+        updateOne: (filter, update, options = {}) => Model.updateOne(filter, update, options).exec(),
+        updateMany: (filter, update, options = {}) => Model.updateMany(filter, update, options).exec(),
+        findOneAndUpdate: (filter, update, { populate, ...options } = {}) =>
+            withOptions(Model.findOneAndUpdate(filter, update, { ...options, new: true }), { populate }).exec(),
+        deleteOne: (filter) => Model.deleteOne(filter).exec(),
+        deleteMany: (filter = {}) => Model.deleteMany(filter).exec(),
+        bulkApply: (operations) => Model.bulkWrite(operations),
+        aggregate: (pipeline) => Model.aggregate(pipeline).exec(),
+        syncIndexes: () => Model.syncIndexes(),
+    };
+}
+
+module.exports = { createMongoRepository };
@@ -0,0 +1,65 @@
+// Project Schema - Defines MongoDB schema for Todoist projects
+
+const mongoose = require('mongoose');
+
+// Project Schema fields
+const projectSchema = new mongoose.Schema(
+    {
+        // Account the project belongs to (see accountSchema.js)
+        account_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Account',
+            default: null,
+        },
+        todoid: {
+            type: String,
+            required: true,
+        },
+        name: {
+            type: String,
+            required: true,
+        },
+        color: {
+            type: String,
+            default: '',
+        },
+        parent_id: {
+            type: String,
+            default: null,
+        },
+        order: {
+            type: Number,
+            default: 0,
+        },
+        is_favorite: {
+            type: Boolean,
+            default: false,
+        },
+        is_archived: {
+            type: Boolean,
+            default: false,
+        },
+        is_inbox_project: {
+            type: Boolean,
+            default: false,
+        },
+        view_style: {
+            type: String,
+            default: 'list',
+        },
+        updated_at: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        timestamps: false, // Timestamps are managed by the sync
+    }
+);
+
+// Todoist IDs are unique per account
+projectSchema.index({ account_id: 1, todoid: 1 }, { unique: true });
+
+// Create and export the Project model
+const Project = mongoose.model('Project', projectSchema);
+module.exports = Project;
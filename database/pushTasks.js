@@ -0,0 +1,267 @@
+// Task Push - Writes local MongoDB edits back to Todoist or Notion (outbound half of two-way sync)
+
+const Task = require('./taskSchema');
+const {
+    createTodoistTask,
+    buildUpdateCommands,
+    buildCompletionCommand,
+    buildDeleteCommands,
+    sendSyncCommands,
+} = require('../todoist/todoist-task-writer');
+const { createNotionPage, updateNotionPage, archiveNotionPage } = require('../notion/notion-task-fetcher');
+const { mapTodoistTaskToSchema } = require('./taskMapper');
+const { normalizeTaskForComparison, SYNC_WRITERS } = require('./syncChecker');
+const { repositoryFor } = require('./repositories');
+
+const taskRepository = repositoryFor(Task);
+
+/**
+ * Finds tasks of the source (default: todoist) edited or deleted locally since they were last synced,
+ * plus tasks created locally that have no todoid yet.
+ * Tasks with an open conflict are held back until it is resolved, and tasks with a source change
+ * outside the sync rules until a change within them is imported (see sync_out_of_scope).
+ * excludeTodoids leaves out tasks whose source changes a sync held back.
+ */
+async function findLocalChanges(accountId, { source = 'todoist', excludeTodoids = [] } = {}) {
+    const tasks = await taskRepository.find({
+        source,
+        account_id: accountId,
+        todoid: { $nin: excludeTodoids },
+        sync_conflict: { $ne: true },
+        sync_out_of_scope: { $ne: true },
+        last_updated_by: { $nin: SYNC_WRITERS },
+        $or: [{ synced_at: null }, { $expr: { $gt: ['$updated_at', '$synced_at'] } }],
+    });
+
+    return {
+        toCreate: tasks.filter((task) => !task.todoid && !task.deleted_at),
+        toUpdate: tasks.filter((task) => task.todoid && !task.deleted_at),
+        toDelete: tasks.filter((task) => task.todoid && task.deleted_at),
+    };
+}
+
+/**
+ * Pushes an account's local changes to Todoist:
+ * - tasks without a todoid are created through the REST API and get their real ID
+ * - edited tasks become Sync API commands (item_update, item_complete/item_uncomplete)
+ * - tasks deleted locally become item_delete commands
+ * Tasks that fail to push are left pending and retried on the next sync
+ * Todoist calls use the client of the caller's context (see runForAccount)
+ * options: { excludeTodoids } (see findLocalChanges)
+ */
+async function pushLocalChanges(accountId, options) {
+    try {
+        const { toCreate, toUpdate, toDelete } = await findLocalChanges(accountId, options);
+        const errors = [];
+
+        if (toCreate.length === 0 && toUpdate.length === 0 && toDelete.length === 0) {
+            console.log('📤 No local changes to push to Todoist');
+            return { created: 0, updated: 0, deleted: 0, failed: 0, errors };
+        }
+
+        console.log('\n═══════════════ 📤 Push to Todoist ═══════════════');
+        console.log(`📤 To Create: ${toCreate.length} tasks`);
+        console.log(`📤 To Update: ${toUpdate.length} tasks`);
+        console.log(`📤 To Delete: ${toDelete.length} tasks`);
+
+        const operations = [];
+        let created = 0;
+
+        // Create new tasks one by one so each gets its real Todoist ID
+        for (const task of toCreate) {
+            try {
+                const todoistTask = await createTodoistTask(task);
+
+                // Store the real ID (and Todoist's version as the merge base) right away, so a failure
+                // below leaves a task that is updated on the next push instead of created again
+                await taskRepository.updateOne(
+                    { _id: task._id },
+                    {
+                        $set: {
+                            todoid: String(todoistTask.id),
+                            sync_snapshot: normalizeTaskForComparison(mapTodoistTaskToSchema(todoistTask)),
+                        },
+                    }
+                );
+
+                const syncedAt = new Date();
+                const completionCommands = task.is_completed
+                    ? [buildCompletionCommand({ ...task, todoid: String(todoistTask.id) })]
+                    : [];
+                const { sync_status: completionStatus } = await sendSyncCommands(completionCommands);
+                const failedCompletion = completionCommands.find(({ uuid }) => completionStatus[uuid] !== 'ok');
+                if (failedCompletion) {
+                    throw new Error(JSON.stringify(completionStatus[failedCompletion.uuid]));
+                }
+
+                const pushedTask = {
+                    ...mapTodoistTaskToSchema(todoistTask),
+                    is_completed: task.is_completed,
+                    completed_at: task.completed_at,
+                    created_at: task.created_at,
+                    last_updated_by: task.last_updated_by,
+                    updated_at: syncedAt,
+                    synced_at: syncedAt,
+                };
+                pushedTask.sync_snapshot = normalizeTaskForComparison(pushedTask);
+
+                operations.push({
+                    updateOne: {
+                        filter: { _id: task._id },
+                        update: { $set: pushedTask },
+                    },
+                });
+                created++;
+            } catch (error) {
+                errors.push({ task: String(task._id), error: error.message });
+            }
+        }
+
+        // Send all updates and deletes as one Sync API batch
+        const commandsByTask = [
+            ...toUpdate.map((task) => ({ task, commands: buildUpdateCommands(task) })),
+            ...toDelete.map((task) => ({ task, commands: buildDeleteCommands(task) })),
+        ];
+        let syncStatus = {};
+        try {
+            ({ sync_status: syncStatus } = await sendSyncCommands(commandsByTask.flatMap(({ commands }) => commands)));
+        } catch (error) {
+            commandsByTask.forEach(({ task }) => errors.push({ task: task.todoid, error: error.message }));
+            commandsByTask.length = 0;
+        }
+
+        // Mark pushed tasks as synced as of the edit that was pushed, so edits
+        // made while the push was in flight are still picked up next time
+        let updated = 0;
+        let deleted = 0;
+        for (const { task, commands } of commandsByTask) {
+            const failed = commands.find(({ uuid }) => syncStatus[uuid] !== 'ok');
+            if (failed) {
+                errors.push({ task: task.todoid, error: JSON.stringify(syncStatus[failed.uuid]) });
+                continue;
+            }
+            if (task.deleted_at) deleted++;
+            else updated++;
+            operations.push({
+                updateOne: {
+                    filter: { _id: task._id },
+                    update: {
+                        $set: {
+                            synced_at: task.updated_at,
+                            sync_snapshot: normalizeTaskForComparison(task),
+                        },
+                    },
+                },
+            });
+        }
+
+        if (operations.length > 0) {
+            await taskRepository.bulkApply(operations);
+        }
+
+        console.log(`📤 Created: ${created} tasks`);
+        console.log(`📤 Updated: ${updated} tasks`);
+        console.log(`📤 Deleted: ${deleted} tasks`);
+        if (errors.length > 0) {
+            console.log(`❌ Failed: ${errors.length} tasks`);
+            errors.forEach(({ task, error }) => console.log(`  • ${task}: ${error}`));
+        }
+        console.log('═══════════════════════════════════════════════════\n');
+
+        return { created, updated, deleted, failed: errors.length, errors };
+    } catch (error) {
+        console.error('❌ Push to Todoist failed:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Pushes an account's local edits of Notion tasks to their pages in the Notion database:
+ * - tasks without a todoid become new pages, and get the page ID as their todoid
+ * - edited tasks update their page's properties (see buildNotionProperties)
+ * - tasks deleted locally archive their page
+ * Tasks that fail to push are left pending and retried on the next sync
+ * options: { excludeTodoids } (see findLocalChanges)
+ */
+async function pushNotionChanges(accountId, options = {}) {
+    const { toCreate, toUpdate, toDelete } = await findLocalChanges(accountId, { ...options, source: 'notion' });
+    const errors = [];
+    const counts = { created: 0, updated: 0, deleted: 0 };
+
+    if (toCreate.length === 0 && toUpdate.length === 0 && toDelete.length === 0) {
+        console.log('📤 No local changes to push to Notion');
+        return { ...counts, failed: 0, errors };
+    }
+
+    console.log('\n═══════════════ 📤 Push to Notion ═══════════════');
+    const operations = [];
+    // Pages are written one by one (Notion has no batch API); write() returns fields to store on the task
+    const pushTask = async (task, action, write) => {
+        try {
+            const pageFields = await write();
+            // Synced as of the edit that was pushed, so edits made while the push was in flight are picked up
+            operations.push({
+                updateOne: {
+                    filter: { _id: task._id },
+                    update: {
+                        $set: {
+                            ...pageFields,
+                            synced_at: task.updated_at,
+                            sync_snapshot: normalizeTaskForComparison(task),
+                        },
+                    },
+                },
+            });
+            counts[action]++;
+        } catch (error) {
+            errors.push({ task: task.todoid || String(task._id), error: error.message });
+        }
+    };
+
+    for (const task of toCreate) {
+        await pushTask(task, 'created', async () => {
+            const page = await createNotionPage(task);
+            return { todoid: page.id, url: page.url };
+        });
+    }
+    for (const task of toUpdate) {
+        await pushTask(task, 'updated', async () => {
+            await updateNotionPage(task.todoid, task);
+            return {};
+        });
+    }
+    for (const task of toDelete) {
+        await pushTask(task, 'deleted', async () => {
+            await archiveNotionPage(task.todoid);
+            return {};
+        });
+    }
+
+    if (operations.length > 0) {
+        await taskRepository.bulkApply(operations);
+    }
+
+    console.log(`📤 Created: ${counts.created} pages`);
+    console.log(`📤 Updated: ${counts.updated} pages`);
+    console.log(`📤 Archived: ${counts.deleted} pages`);
+    if (errors.length > 0) {
+        console.log(`❌ Failed: ${errors.length} tasks`);
+        errors.forEach(({ task, error }) => console.log(`  • ${task}: ${error}`));
+    }
+    console.log('═══════════════════════════════════════════════════\n');
+
+    return { ...counts, failed: errors.length, errors };
+}
+
+// Push function of each sync source
+const SOURCE_PUSHERS = {
+    todoist: pushLocalChanges,
+    notion: pushNotionChanges,
+};
+
+module.exports = {
+    findLocalChanges,
+    pushLocalChanges,
+    pushNotionChanges,
+    SOURCE_PUSHERS,
+};
@@ -0,0 +1,97 @@
+// Repositories - Storage of the app's models behind one interface, backed by MongoDB or by memory
+// Optional env var: STORAGE_BACKEND (mongo or memory, default: mongo); memory runs without MongoDB and
+// keeps data only as long as the process (offline development and end-to-end runs against a stubbed Todoist)
+//
+// repositoryFor(Model) returns the model's repository. Filters and updates use MongoDB syntax and are cast
+// with the model's schema; documents come back as plain objects. All operations are async:
+// - find(filter, { select, sort, skip, limit, populate, maxTimeMS }) -> [doc]; findOne(filter, options) -> doc or null
+// - count(filter), distinct(field, filter), iterate(filter, options) -> async iterator of docs
+// - insert(doc) -> doc with schema defaults
+// - updateOne / updateMany(filter, update, { upsert }) -> { matchedCount, modifiedCount, upsertedCount }
+// - findOneAndUpdate(filter, update, { upsert, runValidators, populate }) -> the updated doc or null
+// - deleteOne / deleteMany(filter) -> { deletedCount }
+// - bulkApply(operations) -> counts; insertOne / updateOne / updateMany / deleteOne / deleteMany, as in bulkWrite
+// - aggregate(pipeline) -> [doc]; syncIndexes()
+
+const { createMongoRepository } = require('./mongoRepository');
+const { createMemoryRepository, resetMemoryStorage } = require('./memoryRepository');
+
+const STORAGE_BACKENDS = {
+    mongo: createMongoRepository,
+    memory: createMemoryRepository,
+};
+
+const REPOSITORY_OPERATIONS = [
+    'find',
+    'findOne',
+    'count',
+    'distinct',
+    'iterate',
+    'insert',
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'deleteOne',
+    'deleteMany',
+    'bulkApply',
+    'aggregate',
+    'syncIndexes',
+];
+
+// Set with setStorageBackend(); otherwise STORAGE_BACKEND is read on each call
+let selectedBackend = null;
+
+// Name of the storage backend in use
+function getStorageBackend() {
+    const name = selectedBackend || process.env.STORAGE_BACKEND || 'mongo';
+    if (!STORAGE_BACKENDS[name]) {
+        throw new Error(`Unknown STORAGE_BACKEND "${name}" (use one of: ${Object.keys(STORAGE_BACKENDS).join(', ')})`);
+    }
+    return name;
+}
+
+// Switch the storage backend (before any data is read or written)
+function setStorageBackend(name) {
+    if (!STORAGE_BACKENDS[name]) {
+        throw new Error(`Unknown storage backend "${name}" (use one of: ${Object.keys(STORAGE_BACKENDS).join(', ')})`);
+    }
+    selectedBackend = name;
+}
+
+const isMemoryStorage = () => getStorageBackend() === 'memory';
+
+// Backend repositories by "backend:model name", created on first use
+const backendRepositories = new Map();
+
+function getBackendRepository(Model) {
+    const backend = getStorageBackend();
+    const key = `${backend}:${Model.modelName}`;
+    if (!backendRepositories.has(key)) {
+        backendRepositories.set(key, STORAGE_BACKENDS[backend](Model));
+    }
+    return backendRepositories.get(key);
+}
+
+/**
+ * Repository of a Mongoose model; each operation runs on the backend selected at the time of the call,
+ * so modules can create their repositories when loaded
+ */
+function repositoryFor(Model) {
+    const repository = Object.fromEntries(
+        REPOSITORY_OPERATIONS.map((operation) => [
+            operation,
+            (...args) => getBackendRepository(Model)[operation](...args),
+        ])
+    );
+    repository.model = Model;
+    repository.collectionName = Model.collection.name;
+    return repository;
+}
+
+module.exports = {
+    getStorageBackend,
+    setStorageBackend,
+    isMemoryStorage,
+    repositoryFor,
+    resetMemoryStorage,
+};
@@ -0,0 +1,50 @@
+// Section Schema - Defines MongoDB schema for Todoist project sections
+
+const mongoose = require('mongoose');
+
+// Section Schema fields
+const sectionSchema = new mongoose.Schema(
+    {
+        // Account the section belongs to (see accountSchema.js)
+        account_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Account',
+            default: null,
+        },
+        todoid: {
+            type: String,
+            required: true,
+        },
+        name: {
+            type: String,
+            required: true,
+        },
+        project_id: {
+            type: String,
+            required: true,
+            index: true,
+        },
+        order: {
+            type: Number,
+            default: 0,
+        },
+        is_archived: {
+            type: Boolean,
+            default: false,
+        },
+        updated_at: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        timestamps: false, // Timestamps are managed by the sync
+    }
+);
+
+// Todoist IDs are unique per account
+sectionSchema.index({ account_id: 1, todoid: 1 }, { unique: true });
+
+// Create and export the Section model
+const Section = mongoose.model('Section', sectionSchema);
+module.exports = Section;
@@ -1,32 +1,53 @@
 // Task Sync Checker - Compares Todoist tasks with MongoDB tasks to determine sync actions
 
-const { fetchTodoistTasks } = require('../todoist/todoist-task-fetcher');
+const { fetchTodoistTasks, fetchTodoistChanges, todoistTaskExists } = require('../todoist/todoist-task-fetcher');
+const { fetchNotionTasks } = require('../notion/notion-task-fetcher');
 const Task = require('./taskSchema');
+const SyncState = require('./syncStateSchema');
+const { compileSyncRules } = require('./syncRules');
+const { repositoryFor } = require('./repositories');
+const { normalizeDue, normalizeDuration, normalizeDeadline, dueFromDateFields } = require('./taskDue');
+
+const taskRepository = repositoryFor(Task);
+const syncStateRepository = repositoryFor(SyncState);
+
+// Fetchers for each sync source, keyed by the Task `source` value
+// Each fetcher is called with { accountId, snapshot, activeTasks } (snapshot: whether Todoist saves a task snapshot;
+// activeTasks: the active Todoist tasks when a full Sync API read already returned them)
+const SOURCE_FETCHERS = {
+    todoist: ({ accountId, snapshot, activeTasks }) => fetchTodoistTasks({ accountId, snapshot, activeTasks }),
+    notion: () => fetchNotionTasks(),
+};
+
+// last_updated_by values written by the importers and snapshot restores (never pushed back)
+const SYNC_WRITERS = ['todoist-sync', 'notion-sync', 'snapshot-restore'];
+
+// Whether a task has local edits (or a local delete) newer than its last sync
+function isLocallyModified(task) {
+    if (SYNC_WRITERS.includes(task.last_updated_by)) return false;
+    return !task.synced_at || new Date(task.updated_at) > new Date(task.synced_at);
+}
 
 /**
  * Normalizes task data for comparison by removing irrelevant fields
  * and ensuring consistent data types
+ * Works on source tasks (Todoist REST/Sync, Notion) and MongoDB tasks alike; tasks without
+ * a structured `due` (Notion, or stored before it existed) get one from due_date / due_time.
+ * due, duration and deadline are null when unset, so removing one is detected too.
  */
 function normalizeTaskForComparison(task) {
-    const normalizedTask = {
+    return {
         content: task.content || '',
         description: task.description || '',
         is_completed: Boolean(task.is_completed),
         labels: (task.labels || []).sort(),
         priority: Number(task.priority || 4),
         project_id: String(task.project_id || ''),
-        due_date: task.due_date ? new Date(task.due_date).toISOString() : null,
-        due_time: task.due_time || '',
+        section_id: String(task.section_id || ''),
+        due: normalizeDue(task.due !== undefined ? task.due : dueFromDateFields(task.due_date, task.due_time)),
+        duration: normalizeDuration(task.duration),
+        deadline: normalizeDeadline(task.deadline),
     };
-
-    // Remove null/undefined values for clean comparison
-    Object.keys(normalizedTask).forEach((key) => {
-        if (normalizedTask[key] === undefined || normalizedTask[key] === null) {
-            delete normalizedTask[key];
-        }
-    });
-
-    return normalizedTask;
 }
 
 /**
@@ -54,6 +75,12 @@ function areTasksDifferent(todoistTask, mongoTask) {
             if (val1.getTime() !== val2.getTime()) {
                 return true;
             }
+        } else if (val1 && val2 && typeof val1 === 'object' && typeof val2 === 'object') {
+            // Compare objects (e.g., due) on the keys the source reports, so an optional
+            // key one API leaves out (such as due.lang) does not count as a change
+            if (Object.keys(val1).some((k) => JSON.stringify(val1[k]) !== JSON.stringify(val2[k]))) {
+                return true;
+            }
         } else if (val1 !== val2) {
             // Compare other values
             return true;
@@ -64,52 +91,210 @@ function areTasksDifferent(todoistTask, mongoTask) {
 }
 
 /**
- * Checks tasks from Todoist against MongoDB and determines required sync actions
- * Returns arrays of tasks to create, update, and delete
+ * Lists the normalized fields that differ between a source task and its MongoDB task
+ * Returns [{ field, from (MongoDB value), to (source value) }]
  */
-async function checkSyncStatus() {
+function diffTaskFields(todoistTask, mongoTask) {
+    const todoistNorm = normalizeTaskForComparison(todoistTask);
+    const mongoNorm = normalizeTaskForComparison(mongoTask);
+
+    return Object.keys(todoistNorm)
+        .filter((key) => JSON.stringify(todoistNorm[key]) !== JSON.stringify(mongoNorm[key]))
+        .map((key) => ({ field: key, from: mongoNorm[key] ?? null, to: todoistNorm[key] }));
+}
+
+/**
+ * Fetches Todoist items changed since the account's stored sync token
+ * Returns null when a full resync is needed (no token, token rejected, or the API forces one)
+ */
+async function fetchIncrementalTodoistChanges(accountId) {
+    const state = await syncStateRepository.findOne({ source: 'todoist', account_id: accountId });
+    if (!state?.sync_token) {
+        console.log('🔁 No stored sync token, running a full resync');
+        return null;
+    }
+
     try {
-        // Fetch tasks from both sources
-        const [todoistTasks, mongoTasks] = await Promise.all([fetchTodoistTasks(), Task.find({}).lean()]);
-
-        // Create maps for faster lookup
-        const todoistMap = new Map(todoistTasks.map((task) => [String(task.task_id || task.id), task]));
-        const mongoMap = new Map(mongoTasks.map((task) => [task.todoid, task]));
-
-        // Initialize result arrays
-        const toCreate = [];
-        const toUpdate = [];
-        const toDelete = [];
-
-        // Find tasks to create or update
-        for (const [todoid, todoistTask] of todoistMap.entries()) {
-            const mongoTask = mongoMap.get(todoid);
-
-            if (!mongoTask) {
-                // Task exists in Todoist but not in MongoDB -> Create
-                toCreate.push(todoistTask);
-            } else if (areTasksDifferent(todoistTask, mongoTask)) {
-                // Task exists in both but is different -> Update
-                toUpdate.push({
-                    todoid,
-                    todoistData: todoistTask,
-                    mongoData: mongoTask,
-                });
-            }
+        const changes = await fetchTodoistChanges(state.sync_token);
+        if (changes.fullSync) {
+            console.log('🔁 Todoist requested a full sync, running a full resync');
+            return null;
+        }
+        return changes;
+    } catch (error) {
+        if (error.response?.status === 400) {
+            console.log('🔁 Stored sync token was rejected, running a full resync');
+            return null;
         }
+        throw error;
+    }
+}
+
+/**
+ * REST tasks carry no updated_at; take it from the Sync API items of the same tasks (used by the
+ * newest-wins conflict policy). Tasks without a Sync item, such as older completed ones, stay without one
+ */
+function addSyncTimestamps(sourceTasks, syncItems) {
+    const updatedAt = new Map(syncItems.map((item) => [String(item.id), item.updated_at]));
+    return sourceTasks.map((task) => {
+        const todoid = String(task.task_id || task.id);
+        return task.updated_at || !updatedAt.get(todoid) ? task : { ...task, updated_at: updatedAt.get(todoid) };
+    });
+}
 
-        // Find tasks to delete (in MongoDB but not in Todoist)
-        for (const [todoid, mongoTask] of mongoMap.entries()) {
-            if (!todoistMap.has(todoid)) {
-                toDelete.push(mongoTask);
+// Number of tasks missing from a full fetch that are confirmed with Todoist at a time
+const CONFIRM_GONE_CONCURRENCY = 5;
+
+// Calls fn for every item, at most `limit` at a time; resolves to the results in item order
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index]);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+// Total number of creates, updates and deletes
+const countChanges = ({ toCreate, toUpdate, toDelete }) => toCreate.length + toUpdate.length + toDelete.length;
+
+/**
+ * Determines the creates, updates and deletes that bring MongoDB tasks in line with source tasks
+ * - deletedIds: IDs the source reported deleted (incremental sync); without it, every MongoDB task
+ *   missing from sourceTasks is gone, unless confirmGone(todoid) resolves to false
+ *   (CONFIRM_GONE_CONCURRENCY checks run at a time)
+ * Returns { toCreate, toUpdate: [{ todoid, todoistData, mongoData }], toDelete, sourceCount }
+ */
+async function reconcileTasks(sourceTasks, mongoTasks, { deletedIds = null, confirmGone = null } = {}) {
+    // Create maps for faster lookup
+    // Active tasks come first and completed history is newest first, so the first entry wins
+    // (recurring tasks show up as active and again for each past completion)
+    const todoistMap = new Map();
+    sourceTasks.forEach((task) => {
+        const todoid = String(task.task_id || task.id);
+        if (!todoistMap.has(todoid)) todoistMap.set(todoid, task);
+    });
+    // Locally created tasks have no todoid until they are pushed, so they are never deleted here
+    const mongoMap = new Map(mongoTasks.filter((task) => task.todoid).map((task) => [task.todoid, task]));
+
+    // Initialize result arrays
+    const toCreate = [];
+    const toUpdate = [];
+
+    // Find tasks to create or update
+    for (const [todoid, todoistTask] of todoistMap.entries()) {
+        const mongoTask = mongoMap.get(todoid);
+
+        if (!mongoTask) {
+            // Task exists in Todoist but not in MongoDB -> Create
+            toCreate.push(todoistTask);
+        } else if (mongoTask.deleted_at && isLocallyModified(mongoTask)) {
+            // Deleted locally and not pushed yet -> leave it for the push to delete in Todoist
+            continue;
+        } else if (mongoTask.deleted_at || areTasksDifferent(todoistTask, mongoTask)) {
+            // Task exists in both but is different -> Update
+            toUpdate.push({
+                todoid,
+                todoistData: todoistTask,
+                mongoData: mongoTask,
+            });
+        }
+    }
+
+    // Find tasks to delete (reported deleted since the last sync, or missing from a full fetch)
+    const missing = [...mongoMap.entries()].filter(
+        ([todoid, mongoTask]) =>
+            !mongoTask.deleted_at && (deletedIds ? deletedIds.has(todoid) : !todoistMap.has(todoid))
+    );
+    const isGone = confirmGone
+        ? await mapWithConcurrency(missing, CONFIRM_GONE_CONCURRENCY, ([todoid]) => confirmGone(todoid))
+        : missing.map(() => true);
+    const toDelete = missing.filter((entry, index) => isGone[index]).map(([, mongoTask]) => mongoTask);
+
+    return { toCreate, toUpdate, toDelete, sourceCount: todoistMap.size };
+}
+
+/**
+ * Checks tasks from a source (Todoist by default, or Notion) against an account's
+ * MongoDB tasks and determines required sync actions. Only MongoDB tasks of the same
+ * source and account are considered, so one source never deletes another's tasks.
+ * Todoist calls use the client of the caller's context (see runForAccount).
+ * For Todoist, only items changed since the stored sync token are fetched and compared,
+ * unless `full` is set or no usable token exists.
+ * Changes to tasks outside the account's sync rules (see syncRules.js) are left out and counted as skipped;
+ * skippedTodoids lists the stored tasks whose changes were left out.
+ * A full Todoist fetch saves a task snapshot unless snapshot is false.
+ * Returns arrays of tasks to create, update, and delete, plus the new sync token
+ */
+async function checkSyncStatus({ source = 'todoist', full = false, accountId, rules = null, snapshot = true } = {}) {
+    try {
+        const fetchSourceTasks = SOURCE_FETCHERS[source];
+        if (!fetchSourceTasks) {
+            throw new Error(`Unknown sync source: ${source}`);
+        }
+
+        const changes = source === 'todoist' && !full ? await fetchIncrementalTodoistChanges(accountId) : null;
+        const mode = changes ? 'incremental' : 'full';
+        let syncToken = null;
+        let sourceTasks;
+        let mongoTasks;
+        let deletedIds = null;
+
+        if (changes) {
+            // Only the changed items and their MongoDB documents are compared
+            syncToken = changes.syncToken;
+            sourceTasks = changes.items.filter((item) => !item.is_deleted);
+            deletedIds = new Set(changes.items.filter((item) => item.is_deleted).map((item) => String(item.id)));
+            const changedIds = changes.items.map((item) => String(item.id));
+            mongoTasks = await taskRepository.find({ source, account_id: accountId, todoid: { $in: changedIds } });
+        } else {
+            // Take the token before the full fetch so nothing changed during it is missed
+            let syncItems = [];
+            let activeTasks = null;
+            if (source === 'todoist') {
+                ({ syncToken, items: syncItems } = await fetchTodoistChanges('*'));
+                // The full Sync API read already has every active task; only the completed history is fetched besides
+                activeTasks = syncItems.filter((item) => !item.is_deleted && !item.is_completed);
             }
+            // Fetch tasks from both sources
+            [sourceTasks, mongoTasks] = await Promise.all([
+                fetchSourceTasks({ accountId, snapshot, activeTasks }),
+                taskRepository.find({ source, account_id: accountId }),
+            ]);
+            sourceTasks = addSyncTimestamps(sourceTasks, syncItems);
         }
 
+        // Tasks missing from a full Todoist fetch are confirmed a few at a time, since the
+        // completed history Todoist returns can be incomplete for older tasks.
+        const reconciled = await reconcileTasks(sourceTasks, mongoTasks, {
+            deletedIds,
+            confirmGone:
+                !deletedIds && source === 'todoist' ? async (todoid) => !(await todoistTaskExists(todoid)) : null,
+        });
+
+        // Source tasks are checked against the rules, except deletes which only have the stored task
+        const inScope = compileSyncRules(rules);
+        const toCreate = reconciled.toCreate.filter((task) => inScope(task));
+        const toUpdate = reconciled.toUpdate.filter(({ todoistData }) => inScope(todoistData));
+        const toDelete = reconciled.toDelete.filter((task) => inScope(task));
+        const skipCount = countChanges(reconciled) - countChanges({ toCreate, toUpdate, toDelete });
+        const skippedTodoids = [
+            ...reconciled.toUpdate.filter(({ todoistData }) => !inScope(todoistData)).map(({ todoid }) => todoid),
+            ...reconciled.toDelete.filter((task) => !inScope(task)).map(({ todoid }) => todoid),
+        ];
+
         // Log summary with borders
-        console.log('\n═══════════════ 📊 Sync Check Summary ═══════════════');
+        console.log(`\n═══════════════ 📊 Sync Check Summary (${source}, ${mode}) ═══════════════`);
         console.log(`📥 To Create: ${toCreate.length} tasks`);
         console.log(`✏️ To Update: ${toUpdate.length} tasks`);
         console.log(`🗑️ To Delete: ${toDelete.length} tasks`);
+        if (skipCount > 0) {
+            console.log(`⏭️ Skipped by sync rules: ${skipCount} tasks`);
+        }
 
         if (toCreate.length > 0) {
             console.log('\n───────────── 📥 Tasks to Create ─────────────');
@@ -125,13 +310,8 @@ async function checkSyncStatus() {
             console.log('\n───────────── ✏️ Tasks to Update ─────────────');
             toUpdate.forEach(({ todoid, todoistData, mongoData }) => {
                 console.log(`  • "${todoistData.content}" (ID: ${todoid})`);
-                const todoistNorm = normalizeTaskForComparison(todoistData);
-                const mongoNorm = normalizeTaskForComparison(mongoData);
-
-                Object.keys(todoistNorm).forEach((key) => {
-                    if (JSON.stringify(todoistNorm[key]) !== JSON.stringify(mongoNorm[key])) {
-                        console.log(`    - ${key}: ${mongoNorm[key]} → ${todoistNorm[key]}`);
-                    }
+                diffTaskFields(todoistData, mongoData).forEach(({ field, from, to }) => {
+                    console.log(`    - ${field}: ${from} → ${to}`);
                 });
             });
         }
@@ -145,16 +325,23 @@ async function checkSyncStatus() {
 
         console.log('═══════════════════════════════════════════════════\n');
 
+        const mongoCount = await taskRepository.count({ source, account_id: accountId, deleted_at: null });
+
         return {
+            source,
+            mode,
+            syncToken,
             toCreate,
             toUpdate,
             toDelete,
+            skippedTodoids,
             summary: {
                 createCount: toCreate.length,
                 updateCount: toUpdate.length,
                 deleteCount: toDelete.length,
-                todoistCount: todoistTasks.length,
-                mongoCount: mongoTasks.length,
+                skipCount,
+                todoistCount: reconciled.sourceCount,
+                mongoCount,
             },
         };
     } catch (error) {
@@ -164,7 +351,12 @@ async function checkSyncStatus() {
 }
 
 module.exports = {
+    SOURCE_FETCHERS,
+    SYNC_WRITERS,
+    isLocallyModified,
     checkSyncStatus,
+    reconcileTasks,
     normalizeTaskForComparison,
     areTasksDifferent,
+    diffTaskFields,
 };
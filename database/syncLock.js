@@ -0,0 +1,77 @@
+// Sync Lock - Ensures only one sync runs at a time across processes
+// Optional env var: SYNC_LOCK_TTL_MS (default: 600000, 10 minutes)
+
+const crypto = require('crypto');
+const os = require('os');
+const SyncLock = require('./syncLockSchema');
+const { repositoryFor } = require('./repositories');
+
+const LOCK_NAME = 'task-sync';
+const LOCK_TTL_MS = Number(process.env.SYNC_LOCK_TTL_MS) || 10 * 60 * 1000;
+
+const syncLockRepository = repositoryFor(SyncLock);
+
+// Unique owner id for this process
+const OWNER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Tries to take the sync lock
+ * Returns true if acquired, false if another run holds an unexpired lock
+ */
+async function acquireSyncLock(trigger = '') {
+    const now = new Date();
+    try {
+        await syncLockRepository.updateOne(
+            { name: LOCK_NAME, $or: [{ owner: null }, { expires_at: { $lt: now } }] },
+            {
+                $set: {
+                    owner: OWNER_ID,
+                    trigger,
+                    acquired_at: now,
+                    expires_at: new Date(now.getTime() + LOCK_TTL_MS),
+                },
+            },
+            { upsert: true }
+        );
+        return true;
+    } catch (error) {
+        // Duplicate key: the lock document exists and is held by someone else
+        if (error.code === 11000) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+// Extend the lock while a long sync is still running
+async function renewSyncLock() {
+    await syncLockRepository.updateOne(
+        { name: LOCK_NAME, owner: OWNER_ID },
+        { $set: { expires_at: new Date(Date.now() + LOCK_TTL_MS) } }
+    );
+}
+
+// Release the lock if this process holds it
+async function releaseSyncLock() {
+    await syncLockRepository.updateOne(
+        { name: LOCK_NAME, owner: OWNER_ID },
+        { $set: { owner: null, trigger: '', acquired_at: null, expires_at: null } }
+    );
+}
+
+// Get the current lock holder, or null when no sync is running
+async function getSyncLock() {
+    const lock = await syncLockRepository.findOne({ name: LOCK_NAME });
+    if (!lock || !lock.owner || lock.expires_at < new Date()) {
+        return null;
+    }
+    return lock;
+}
+
+module.exports = {
+    LOCK_TTL_MS,
+    acquireSyncLock,
+    renewSyncLock,
+    releaseSyncLock,
+    getSyncLock,
+};
@@ -0,0 +1,39 @@
+// Sync Lock Schema - Defines MongoDB schema for cross-process sync locks
+
+const mongoose = require('mongoose');
+
+// Sync Lock Schema fields
+const syncLockSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        // Process holding the lock (hostname:pid:random)
+        owner: {
+            type: String,
+            default: null,
+        },
+        trigger: {
+            type: String,
+            default: '',
+        },
+        acquired_at: {
+            type: Date,
+            default: null,
+        },
+        // A lock past its expiry is considered abandoned (e.g. the holder crashed)
+        expires_at: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: false, // Timestamps are managed by the lock
+    }
+);
+
+// Create and export the SyncLock model
+const SyncLock = mongoose.model('SyncLock', syncLockSchema);
+module.exports = SyncLock;
@@ -0,0 +1,153 @@
+// Resource Sync - Imports Todoist projects, sections, labels and comments into their own collections
+
+const Project = require('./projectSchema');
+const Section = require('./sectionSchema');
+const Label = require('./labelSchema');
+const Comment = require('./commentSchema');
+const Task = require('./taskSchema');
+const { repositoryFor } = require('./repositories');
+const { fetchTodoistResources } = require('../todoist/todoist-task-fetcher');
+
+// Map Todoist (Sync API) resources to MongoDB schema format
+const mapProject = (project) => ({
+    todoid: String(project.id),
+    name: project.name,
+    color: project.color || '',
+    parent_id: project.parent_id ? String(project.parent_id) : null,
+    order: Number(project.child_order ?? project.order ?? 0),
+    is_favorite: Boolean(project.is_favorite),
+    is_archived: Boolean(project.is_archived),
+    is_inbox_project: Boolean(project.inbox_project || project.is_inbox_project),
+    view_style: project.view_style || 'list',
+});
+
+const mapSection = (section) => ({
+    todoid: String(section.id),
+    name: section.name,
+    project_id: String(section.project_id),
+    order: Number(section.section_order ?? section.order ?? 0),
+    is_archived: Boolean(section.is_archived),
+});
+
+const mapLabel = (label) => ({
+    todoid: String(label.id),
+    name: label.name,
+    color: label.color || '',
+    order: Number(label.item_order ?? label.order ?? 0),
+    is_favorite: Boolean(label.is_favorite),
+});
+
+const mapComment = (comment) => ({
+    todoid: String(comment.id),
+    task_id: String(comment.item_id || comment.task_id),
+    content: comment.content || '',
+    posted_at: comment.posted_at ? new Date(comment.posted_at) : null,
+    posted_by: comment.posted_uid ? String(comment.posted_uid) : '',
+    attachment: comment.file_attachment || comment.attachment || null,
+});
+
+// Collections kept in sync, with the mapper for each
+const RESOURCES = {
+    projects: { Model: Project, map: mapProject },
+    sections: { Model: Section, map: mapSection },
+    labels: { Model: Label, map: mapLabel },
+    comments: { Model: Comment, map: mapComment },
+};
+
+// Compare a mapped resource with its MongoDB document on the mapped fields only
+function isResourceDifferent(mapped, existing) {
+    return Object.keys(mapped).some((key) => {
+        const value = existing[key] instanceof Date ? existing[key].toISOString() : existing[key];
+        const mappedValue = mapped[key] instanceof Date ? mapped[key].toISOString() : mapped[key];
+        return JSON.stringify(mappedValue ?? null) !== JSON.stringify(value ?? null);
+    });
+}
+
+/**
+ * Reconciles an account's documents in one collection with the resources fetched from Todoist:
+ * creates new ones, updates changed ones and deletes ones no longer in Todoist
+ * `canDelete(doc)` limits deletions to documents Todoist is known to have returned in full
+ */
+async function reconcileCollection(Model, map, remoteItems, canDelete = () => true, accountId = null) {
+    const remote = new Map(
+        remoteItems.filter((item) => !item.is_deleted).map((item) => [String(item.id), map(item)])
+    );
+    const repository = repositoryFor(Model);
+    const existing = new Map((await repository.find({ account_id: accountId })).map((doc) => [doc.todoid, doc]));
+    const now = new Date();
+
+    const operations = [];
+    let created = 0;
+    let updated = 0;
+    let deleted = 0;
+
+    for (const [todoid, mapped] of remote.entries()) {
+        const doc = existing.get(todoid);
+        if (!doc) {
+            operations.push({ insertOne: { document: { ...mapped, account_id: accountId, updated_at: now } } });
+            created++;
+        } else if (isResourceDifferent(mapped, doc)) {
+            operations.push({
+                updateOne: {
+                    filter: { todoid, account_id: accountId },
+                    update: { $set: { ...mapped, updated_at: now } },
+                },
+            });
+            updated++;
+        }
+    }
+
+    for (const [todoid, doc] of existing.entries()) {
+        if (!remote.has(todoid) && canDelete(doc)) {
+            operations.push({ deleteOne: { filter: { todoid, account_id: accountId } } });
+            deleted++;
+        }
+    }
+
+    if (operations.length > 0) {
+        await repository.bulkApply(operations);
+    }
+
+    return { created, updated, deleted, total: remote.size };
+}
+
+/**
+ * Imports an account's projects, sections, labels and comments from Todoist
+ * Returns create/update/delete counts per collection
+ */
+async function syncResources(accountId) {
+    try {
+        console.log('\n───────────── 📁 Resource Sync ─────────────');
+        const fetched = await fetchTodoistResources();
+
+        // Todoist only returns comments of active tasks, so comments of completed tasks are kept
+        const activeTaskIds = new Set(
+            await repositoryFor(Task).distinct('todoid', {
+                source: 'todoist',
+                account_id: accountId,
+                is_completed: false,
+                deleted_at: null,
+            })
+        );
+        const canDelete = {
+            comments: (comment) => activeTaskIds.has(comment.task_id),
+        };
+
+        const results = {};
+        for (const [name, { Model, map }] of Object.entries(RESOURCES)) {
+            results[name] = await reconcileCollection(Model, map, fetched[name], canDelete[name], accountId);
+            const { created, updated, deleted } = results[name];
+            console.log(`📁 ${name}: ${created} created, ${updated} updated, ${deleted} deleted`);
+        }
+
+        return results;
+    } catch (error) {
+        console.error('❌ Resource sync failed:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    syncResources,
+    reconcileCollection,
+};
@@ -0,0 +1,135 @@
+// Sync Rules - Per-account include / exclude rules that limit which source tasks a sync imports
+// Stored on the account (sync_rules, see accountSchema.js) and set with PATCH /accounts/:id
+
+// Criteria a rule can use; a task matches a list criterion when it matches any entry
+const RULE_CRITERIA = ['project_ids', 'labels', 'priorities', 'content'];
+const SYNC_ACTIONS = ['create', 'update', 'delete'];
+const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * Validates sync rules: { include: criteria, exclude: criteria }, or null for no rules
+ * criteria: { project_ids: [String], labels: [String], priorities: [1-4], content: regex source }
+ * Returns a list of error messages (empty when valid)
+ */
+function validateSyncRules(rules) {
+    if (rules === null) return [];
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        return ['sync_rules must be an object with include and/or exclude, or null'];
+    }
+
+    const errors = [];
+    const unknownKeys = Object.keys(rules).filter((key) => !['include', 'exclude'].includes(key));
+    if (unknownKeys.length > 0) errors.push(`Unknown sync_rules keys: ${unknownKeys.join(', ')}`);
+
+    for (const kind of ['include', 'exclude']) {
+        const criteria = rules[kind];
+        if (criteria === undefined || criteria === null) continue;
+        if (typeof criteria !== 'object' || Array.isArray(criteria)) {
+            errors.push(`sync_rules.${kind} must be an object`);
+            continue;
+        }
+
+        const unknown = Object.keys(criteria).filter((key) => !RULE_CRITERIA.includes(key));
+        if (unknown.length > 0) errors.push(`Unknown sync_rules.${kind} criteria: ${unknown.join(', ')}`);
+
+        for (const key of ['project_ids', 'labels']) {
+            const value = criteria[key];
+            if (value !== undefined && (!Array.isArray(value) || value.some((entry) => typeof entry !== 'string'))) {
+                errors.push(`sync_rules.${kind}.${key} must be an array of strings`);
+            }
+        }
+        const { priorities, content } = criteria;
+        const validPriority = (priority) => [1, 2, 3, 4].includes(priority);
+        if (priorities !== undefined && (!Array.isArray(priorities) || !priorities.every(validPriority))) {
+            errors.push(`sync_rules.${kind}.priorities must be an array of 1, 2, 3 or 4`);
+        }
+        if (content !== undefined) {
+            if (typeof content !== 'string' || content.length > MAX_PATTERN_LENGTH) {
+                errors.push(
+                    `sync_rules.${kind}.content must be a regular expression of up to ${MAX_PATTERN_LENGTH} characters`
+                );
+            } else {
+                try {
+                    new RegExp(content, 'i');
+                } catch (error) {
+                    errors.push(`sync_rules.${kind}.content is not a valid regular expression: ${error.message}`);
+                }
+            }
+        }
+    }
+    return errors;
+}
+
+// Builds a function returning whether a task matches each criterion that is set, as an array of booleans
+function compileCriteria({ project_ids: projectIds, labels, priorities, content } = {}) {
+    const pattern = content ? new RegExp(content, 'i') : null;
+    return (task) => {
+        const matches = [];
+        if (projectIds?.length > 0) matches.push(projectIds.includes(String(task.project_id || '')));
+        if (labels?.length > 0) matches.push((task.labels || []).some((label) => labels.includes(label)));
+        if (priorities?.length > 0) matches.push(priorities.includes(Number(task.priority || 4)));
+        if (pattern) matches.push(pattern.test(task.content || ''));
+        return matches;
+    };
+}
+
+/**
+ * Builds a predicate telling whether a task (source or MongoDB) is in scope of the rules:
+ * it must match every include criterion that is set, and no exclude criterion
+ * Without rules every task is in scope
+ */
+function compileSyncRules(rules) {
+    if (!rules) return () => true;
+    const matchInclude = compileCriteria(rules.include || {});
+    const matchExclude = compileCriteria(rules.exclude || {});
+    return (task) => matchInclude(task).every(Boolean) && !matchExclude(task).some(Boolean);
+}
+
+/**
+ * Validates the change selection of a sync request
+ * - only: the actions to apply (subset of create, update, delete)
+ * - todoids: apply only changes to these tasks (e.g. picked from GET /tasks/sync/check)
+ * Returns a list of error messages (empty when valid)
+ */
+function validateSyncSelection({ only, todoids } = {}) {
+    const errors = [];
+    if (only !== undefined && (!Array.isArray(only) || only.some((action) => !SYNC_ACTIONS.includes(action)))) {
+        errors.push(`only must be an array of: ${SYNC_ACTIONS.join(', ')}`);
+    }
+    if (todoids !== undefined && (!Array.isArray(todoids) || todoids.some((id) => typeof id !== 'string' || !id))) {
+        errors.push('todoids must be an array of Todoist task IDs');
+    }
+    return errors;
+}
+
+/**
+ * Narrows a sync check's changes to the selected actions and tasks
+ * Returns { toCreate, toUpdate, toDelete, heldBack, heldBackTodoids } where heldBack counts the changes left out
+ * and heldBackTodoids lists the stored tasks whose updates or deletes were left out
+ */
+function selectSyncChanges({ toCreate, toUpdate, toDelete }, { only = SYNC_ACTIONS, todoids = null } = {}) {
+    const ids = todoids ? new Set(todoids.map(String)) : null;
+    const isSelected = (action, todoid) => only.includes(action) && (!ids || ids.has(String(todoid)));
+
+    const selected = {
+        toCreate: toCreate.filter((task) => isSelected('create', task.task_id || task.id)),
+        toUpdate: toUpdate.filter(({ todoid }) => isSelected('update', todoid)),
+        toDelete: toDelete.filter((task) => isSelected('delete', task.todoid)),
+    };
+    const heldBackTodoids = [
+        ...toUpdate.filter(({ todoid }) => !isSelected('update', todoid)).map(({ todoid }) => todoid),
+        ...toDelete.filter((task) => !isSelected('delete', task.todoid)).map(({ todoid }) => todoid),
+    ];
+    const total = toCreate.length + toUpdate.length + toDelete.length;
+    const kept = selected.toCreate.length + selected.toUpdate.length + selected.toDelete.length;
+    return { ...selected, heldBack: total - kept, heldBackTodoids };
+}
+
+module.exports = {
+    RULE_CRITERIA,
+    SYNC_ACTIONS,
+    validateSyncRules,
+    compileSyncRules,
+    validateSyncSelection,
+    selectSyncChanges,
+};
@@ -0,0 +1,98 @@
+// Sync Run Schema - Defines MongoDB schema for the sync run history (sync_runs collection)
+
+const mongoose = require('mongoose');
+
+// One task change applied by a run, with the field-level diff for updates
+const syncChangeSchema = new mongoose.Schema(
+    {
+        todoid: String,
+        content: String,
+        action: {
+            type: String,
+            enum: ['create', 'update', 'delete'],
+        },
+        fields: [
+            {
+                _id: false,
+                field: String,
+                from: mongoose.Schema.Types.Mixed,
+                to: mongoose.Schema.Types.Mixed,
+            },
+        ],
+    },
+    { _id: false }
+);
+
+// Sync Run Schema fields
+const syncRunSchema = new mongoose.Schema(
+    {
+        // Account the run belongs to (see accountSchema.js)
+        account_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Account',
+            default: null,
+            index: true,
+        },
+        source: {
+            type: String,
+            enum: ['todoist', 'notion'],
+            required: true,
+            index: true,
+        },
+        // What started the run: api, schedule, ...
+        trigger: {
+            type: String,
+            default: 'api',
+        },
+        status: {
+            type: String,
+            enum: ['running', 'success', 'failed'],
+            default: 'running',
+            index: true,
+        },
+        mode: {
+            type: String,
+            default: null,
+        },
+        started_at: {
+            type: Date,
+            required: true,
+            index: true,
+        },
+        finished_at: {
+            type: Date,
+            default: null,
+        },
+        duration_ms: {
+            type: Number,
+            default: null,
+        },
+        counts: {
+            created: { type: Number, default: 0 },
+            updated: { type: Number, default: 0 },
+            deleted: { type: Number, default: 0 },
+            conflicts: { type: Number, default: 0 },
+            skipped: { type: Number, default: 0 }, // left out by the account's sync rules
+            held_back: { type: Number, default: 0 }, // left out by the request's only / todoids
+            pushed: { type: Number, default: 0 },
+            source_tasks: { type: Number, default: 0 },
+            final_tasks: { type: Number, default: 0 },
+        },
+        // Named error_messages because `errors` is reserved by Mongoose documents
+        error_messages: {
+            type: [String],
+            default: [],
+        },
+        changes: {
+            type: [syncChangeSchema],
+            default: [],
+        },
+    },
+    {
+        timestamps: false, // Timestamps are managed by the sync
+    }
+);
+
+// Create and export the SyncRun model, stored in the sync_runs collection
+const SyncRun = mongoose.model('SyncRun', syncRunSchema, 'sync_runs');
+module.exports = SyncRun;
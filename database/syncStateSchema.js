@@ -0,0 +1,43 @@
+// Sync State Schema - Stores per-source, per-account sync state such as the Todoist Sync API token
+
+const mongoose = require('mongoose');
+
+// Sync State Schema fields
+const syncStateSchema = new mongoose.Schema(
+    {
+        // Account the state belongs to (see accountSchema.js)
+        account_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Account',
+            default: null,
+        },
+        source: {
+            type: String,
+            enum: ['todoist', 'notion'],
+            required: true,
+        },
+        // Sync API token for incremental fetches; null forces a full resync
+        sync_token: {
+            type: String,
+            default: null,
+        },
+        full_sync_at: {
+            type: Date,
+            default: null,
+        },
+        updated_at: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        timestamps: false, // Timestamps are managed by the sync
+    }
+);
+
+// One state per source and account
+syncStateSchema.index({ account_id: 1, source: 1 }, { unique: true });
+
+// Create and export the SyncState model
+const SyncState = mongoose.model('SyncState', syncStateSchema);
+module.exports = SyncState;
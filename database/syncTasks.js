@@ -1,50 +1,135 @@
-// Task Sync - Handles one-way task synchronization from Todoist to MongoDB
+// Task Sync - Handles task synchronization between Todoist (or Notion) and MongoDB
 
 const Task = require('./taskSchema');
-const { checkSyncStatus, normalizeTaskForComparison } = require('./syncChecker');
+const SyncState = require('./syncStateSchema');
+const SyncRun = require('./syncRunSchema');
+const { checkSyncStatus, diffTaskFields, isLocallyModified } = require('./syncChecker');
+const { mapTodoistTaskToSchema, mapNotionTaskToSchema, SOURCE_MAPPERS } = require('./taskMapper');
+const { SOURCE_PUSHERS } = require('./pushTasks');
+const { getConflictPolicy, mergeTask, buildMergeUpdate, recordConflicts } = require('./conflictResolver');
+const { syncResources } = require('./syncResources');
+const { runForAccount } = require('./accounts');
+const { selectSyncChanges } = require('./syncRules');
+const { getTaskScope, recordTaskEvents } = require('./taskEvents');
+const { recordTaskRevisions } = require('./taskRevisions');
+const { repositoryFor } = require('./repositories');
+const { recordSyncRun } = require('../monitoring/metrics');
 
-// Map Todoist task to MongoDB schema format
-const mapTodoistTaskToSchema = (todoistTask) => {
-    const taskId = String(todoistTask.task_id || todoistTask.id);
-    const dueDateObj = todoistTask.due?.datetime
-        ? new Date(todoistTask.due.datetime)
-        : todoistTask.due?.date
-        ? new Date(todoistTask.due.date)
-        : null;
+const taskRepository = repositoryFor(Task);
+const syncStateRepository = repositoryFor(SyncState);
+const syncRunRepository = repositoryFor(SyncRun);
 
-    const now = new Date();
+/**
+ * Sync tasks between Todoist (or Notion) and MongoDB
+ * The source is imported into MongoDB with a three-way merge against each task's
+ * last-synced snapshot, so local edits are kept; conflicts follow SYNC_CONFLICT_POLICY.
+ * For Todoist, only items changed since the last sync are fetched (unless full is set).
+ * Local edits are then pushed back to the source (unless push is false, see pushTasks.js).
+ * Todoist projects, sections, labels and comments are imported too (unless resources is false).
+ * Every run is recorded in the sync_runs collection with its counts, errors and field-level changes,
+ * and its changes are published to GET /tasks/stream (see taskEvents.js). Each task update also
+ * writes a revision with the task's previous values (see taskRevisions.js).
+ * Only the given account's tasks are synced, using that account's Todoist token, and only
+ * those within the account's sync rules (see syncRules.js).
+ * - only / todoids: apply just these actions / tasks; the sync token is then kept, so the
+ *   changes held back are found again by the next sync
+ * - dryRun: return the changes that would be applied without writing anything (see previewSync)
+ */
+async function syncTasks({ account, dryRun = false, ...options } = {}) {
+    if (!account) {
+        throw new Error('syncTasks needs the account to sync');
+    }
+    const syncOptions = { ...options, rules: account.sync_rules || null };
+    return runForAccount(account, () =>
+        dryRun ? previewSync(account._id, syncOptions) : syncAccountTasks(account._id, syncOptions)
+    );
+}
+
+// Describe the changes of a sync: [{ todoid, content, action, fields (updates only) }]
+function describeChanges({ toCreate, toUpdate, toDelete }) {
+    return [
+        ...toCreate.map((task) => ({
+            todoid: String(task.task_id || task.id),
+            content: task.content,
+            action: 'create',
+        })),
+        ...toUpdate.map(({ todoid, todoistData, mongoData }) => ({
+            todoid,
+            content: todoistData.content,
+            action: 'update',
+            fields: diffTaskFields(todoistData, mongoData),
+        })),
+        ...toDelete.map((task) => ({ todoid: task.todoid, content: task.content, action: 'delete' })),
+    ];
+}
+
+// Stream events of applied changes: their description plus the projects and labels they touch
+function buildTaskEvents(changes, { toCreate, toUpdate, toDelete }, mapTaskToSchema) {
+    // Task versions of each change, in the order of describeChanges
+    const versions = [
+        ...toCreate.map((task) => [mapTaskToSchema(task)]),
+        ...toUpdate.map(({ todoistData, mongoData }) => [mongoData, mapTaskToSchema(todoistData)]),
+        ...toDelete.map((task) => [task]),
+    ];
+    return changes.map((change, index) => ({ ...change, ...getTaskScope(versions[index]) }));
+}
+
+// Check the source and select changes like a sync would, without writing anything
+async function previewSync(accountId, { source = 'todoist', full = false, rules = null, only, todoids }) {
+    const check = await checkSyncStatus({ source, full, accountId, rules, snapshot: false });
+    const { toCreate, toUpdate, toDelete, heldBack } = selectSyncChanges(check, { only, todoids });
 
     return {
-        todoid: taskId,
-        content: todoistTask.content,
-        description: todoistTask.description || '',
-        is_completed: todoistTask.is_completed || false,
-        labels: (todoistTask.labels || []).sort(),
-        priority: Number(todoistTask.priority || 4),
-        due_date: dueDateObj,
-        due_time: todoistTask.due?.datetime ? dueDateObj.toISOString() : '',
-        url: todoistTask.url ?? `https://app.todoist.com/app/task/${taskId}`,
-        project_id: todoistTask.project_id || '',
-        created_at: todoistTask.created_at ? new Date(todoistTask.created_at) : now,
-        updated_at: now,
-        completed_at: todoistTask.completed_at ? new Date(todoistTask.completed_at) : null,
-        last_updated_by: 'todoist-sync',
-        source: 'todoist',
+        dryRun: true,
+        accountId,
+        source,
+        mode: check.mode,
+        created: toCreate.length,
+        updated: toUpdate.length,
+        deleted: toDelete.length,
+        skipped: check.summary.skipCount,
+        heldBack,
+        todoistCount: check.summary.todoistCount,
+        mongoCount: check.summary.mongoCount,
+        changes: describeChanges({ toCreate, toUpdate, toDelete }),
     };
-};
+}
+
+// Sync one account's tasks (see syncTasks)
+async function syncAccountTasks(
+    accountId,
+    { source = 'todoist', push = true, full = false, resources = true, trigger = 'api', rules = null, only, todoids }
+) {
+    const run = await syncRunRepository.insert({ account_id: accountId, source, trigger, started_at: new Date() });
+    const errorMessages = [];
 
-/**
- * Import/sync tasks from Todoist to MongoDB (one-way sync)
- * This function only imports data FROM Todoist TO MongoDB
- * It does not modify any data in Todoist
- */
-async function syncTasks() {
     try {
         console.log('\n═══════════════ 🔄 Task Sync Started ═══════════════');
-        console.log('🔄 Starting Todoist to MongoDB import...');
 
-        // Get sync status
-        const { toCreate, toUpdate, toDelete, summary } = await checkSyncStatus();
+        // Import related resources first so tasks can reference them; a failure here does not stop the task sync
+        let resourceCounts = null;
+        if (source === 'todoist' && resources) {
+            try {
+                resourceCounts = await syncResources(accountId);
+            } catch (error) {
+                errorMessages.push(`Resource sync failed: ${error.message}`);
+            }
+        }
+
+        console.log(`🔄 Starting ${source} to MongoDB import...`);
+
+        // Get sync status, then keep only the selected changes
+        const check = await checkSyncStatus({ source, full, accountId, rules });
+        const { mode, syncToken } = check;
+        const { toCreate, toUpdate, toDelete, heldBack, heldBackTodoids } = selectSyncChanges(check, { only, todoids });
+        const summary = {
+            ...check.summary,
+            createCount: toCreate.length,
+            updateCount: toUpdate.length,
+            deleteCount: toDelete.length,
+        };
+        const mapTaskToSchema = SOURCE_MAPPERS[source];
+        const policy = getConflictPolicy();
 
         // Show detailed changes
         if (toCreate.length > 0) {
@@ -62,13 +147,8 @@ async function syncTasks() {
             toUpdate.forEach(({ todoid, todoistData, mongoData }) => {
                 console.log(`  • "${todoistData.content}" (ID: ${todoid})`);
                 // Compare and show what's changing
-                const todoistNorm = normalizeTaskForComparison(todoistData);
-                const mongoNorm = normalizeTaskForComparison(mongoData);
-
-                Object.keys(todoistNorm).forEach((key) => {
-                    if (JSON.stringify(todoistNorm[key]) !== JSON.stringify(mongoNorm[key])) {
-                        console.log(`    - ${key}: ${mongoNorm[key]} → ${todoistNorm[key]}`);
-                    }
+                diffTaskFields(todoistData, mongoData).forEach(({ field, from, to }) => {
+                    console.log(`    - ${field}: ${from} → ${to}`);
                 });
             });
         }
@@ -83,36 +163,98 @@ async function syncTasks() {
         // Process tasks to create
         const createOperations = toCreate.map((task) => ({
             insertOne: {
-                document: mapTodoistTaskToSchema(task),
+                document: { ...mapTaskToSchema(task), account_id: accountId },
             },
         }));
 
-        // Process tasks to update
-        const updateOperations = toUpdate.map(({ todoid, todoistData }) => ({
+        // Process tasks to update, merging source and local changes field by field
+        const conflicts = [];
+        const revisions = [];
+        const updateOperations = toUpdate.map(({ todoid, todoistData, mongoData }) => {
+            const remoteTask = mapTaskToSchema(todoistData);
+            const merge = mergeTask({
+                base: mongoData.sync_snapshot,
+                local: mongoData,
+                remote: remoteTask,
+                remoteUpdatedAt: todoistData.updated_at,
+                policy,
+                localPending: isLocallyModified(mongoData),
+            });
+            if (merge.conflicts.length > 0) {
+                conflicts.push({ todoid, fields: merge.conflicts });
+            }
+
+            const update = buildMergeUpdate(remoteTask, merge);
+            revisions.push({ before: mongoData, after: { ...mongoData, ...update } });
+
+            return {
+                updateOne: {
+                    filter: { todoid, account_id: accountId },
+                    update: { $set: { ...update, sync_out_of_scope: false } },
+                },
+            };
+        });
+
+        // Process tasks to delete (tasks that no longer exist in Todoist)
+        // Deletes are soft: the task is tombstoned with deleted_at and kept for history
+        const deletedAt = new Date();
+        const deleteOperations = toDelete.map((task) => ({
             updateOne: {
-                filter: { todoid },
+                filter: { todoid: task.todoid, account_id: accountId },
                 update: {
                     $set: {
-                        ...mapTodoistTaskToSchema(todoistData),
-                        updated_at: new Date(),
+                        deleted_at: deletedAt,
+                        updated_at: deletedAt,
+                        last_updated_by: `${source}-sync`,
                     },
                 },
             },
         }));
 
-        // Process tasks to delete (tasks that no longer exist in Todoist)
-        const deleteOperations = toDelete.map((task) => ({
-            deleteOne: {
-                filter: { todoid: task.todoid },
+        // Tasks whose source changes the rules left out keep their stored copy, flagged so it is not pushed
+        // over the change it missed; the flag is cleared once a change within the rules is imported
+        const outOfScopeOperations = check.skippedTodoids.map((todoid) => ({
+            updateOne: {
+                filter: { todoid, account_id: accountId },
+                update: { $set: { sync_out_of_scope: true } },
             },
         }));
 
         // Combine all operations
-        const operations = [...createOperations, ...updateOperations, ...deleteOperations];
+        const operations = [...createOperations, ...updateOperations, ...deleteOperations, ...outOfScopeOperations];
 
         // Execute operations if any exist
         if (operations.length > 0) {
-            await Task.bulkWrite(operations);
+            await taskRepository.bulkApply(operations);
+        }
+        const changes = describeChanges({ toCreate, toUpdate, toDelete });
+        await recordTaskEvents(
+            accountId,
+            buildTaskEvents(changes, { toCreate, toUpdate, toDelete }, mapTaskToSchema),
+            `${source}-sync`
+        ).catch((error) => errorMessages.push(`Recording stream events failed: ${error.message}`));
+        await recordTaskRevisions(accountId, revisions, `${source}-sync`).catch((error) =>
+            errorMessages.push(`Recording task revisions failed: ${error.message}`)
+        );
+        await recordConflicts(source, conflicts, toUpdate.map(({ todoid }) => todoid), accountId);
+
+        // Store the sync token only once all its changes are applied
+        if (heldBack > 0) {
+            console.log(`⏸️ ${heldBack} changes held back by the request; keeping the previous sync token`);
+        } else if (syncToken) {
+            const now = new Date();
+            await syncStateRepository.updateOne(
+                { source, account_id: accountId },
+                { $set: { sync_token: syncToken, updated_at: now, ...(mode === 'full' && { full_sync_at: now }) } },
+                { upsert: true }
+            );
+        }
+
+        // Push local edits (including merged local-only fields) back to the source; tasks with held back
+        // source changes wait until those are merged, so the push cannot overwrite them
+        let pushed = null;
+        if (push) {
+            pushed = await SOURCE_PUSHERS[source](accountId, { excludeTodoids: heldBackTodoids });
         }
 
         // Log results with borders
@@ -120,21 +262,65 @@ async function syncTasks() {
         console.log(`📥 Created: ${summary.createCount} tasks`);
         console.log(`✏️ Updated: ${summary.updateCount} tasks`);
         console.log(`🗑️ Deleted: ${summary.deleteCount} tasks`);
+        if (conflicts.length > 0) {
+            console.log(`⚠️ Conflicts: ${conflicts.length} tasks need manual resolution (GET /tasks/conflicts)`);
+        }
 
         console.log('\n───────────── 📊 Final Statistics ─────────────');
-        console.log(`📊 Total tasks in Todoist: ${summary.todoistCount}`);
+        console.log(`📊 Total tasks in ${source}: ${summary.todoistCount}`);
         console.log(`📊 Total tasks in MongoDB: ${summary.mongoCount}`);
 
         // Get final counts
-        const finalCount = await Task.countDocuments();
-        const completedCount = await Task.countDocuments({ is_completed: true });
+        const finalCount = await taskRepository.count({ source, account_id: accountId, deleted_at: null });
+        const completedCount = await taskRepository.count({
+            source,
+            account_id: accountId,
+            deleted_at: null,
+            is_completed: true,
+        });
         console.log(`🗃️ Final task count: ${finalCount} (${completedCount} completed)`);
         console.log('═══════════════════════════════════════════════════\n');
 
+        // Record the run with the changes it applied
+        const finishedAt = new Date();
+        const runUpdate = {
+            status: 'success',
+            mode,
+            finished_at: finishedAt,
+            duration_ms: finishedAt - run.started_at,
+            counts: {
+                created: summary.createCount,
+                updated: summary.updateCount,
+                deleted: summary.deleteCount,
+                conflicts: conflicts.length,
+                skipped: summary.skipCount,
+                held_back: heldBack,
+                pushed: pushed ? pushed.created + pushed.updated + pushed.deleted : 0,
+                source_tasks: summary.todoistCount,
+                final_tasks: finalCount,
+            },
+            error_messages: [
+                ...errorMessages,
+                ...(pushed?.errors || []).map(({ task, error }) => `Push failed for ${task}: ${error}`),
+            ],
+            changes,
+        };
+        await syncRunRepository.updateOne({ _id: run._id }, { $set: runUpdate });
+        recordSyncRun({ source, status: 'success', durationMs: runUpdate.duration_ms, counts: runUpdate.counts });
+
         return {
+            runId: run._id,
+            accountId,
+            source,
+            mode,
+            pushed,
+            resources: resourceCounts,
             created: summary.createCount,
             updated: summary.updateCount,
             deleted: summary.deleteCount,
+            conflicts: conflicts.length,
+            skipped: summary.skipCount,
+            heldBack,
             todoistCount: summary.todoistCount,
             mongoCount: summary.mongoCount,
             finalCount,
@@ -148,8 +334,24 @@ async function syncTasks() {
                 data: error.response.data,
             });
         }
+        const finishedAt = new Date();
+        recordSyncRun({ source, status: 'failed', durationMs: finishedAt - run.started_at });
+        await syncRunRepository.updateOne(
+            { _id: run._id },
+            {
+                $set: {
+                    status: 'failed',
+                    finished_at: finishedAt,
+                    duration_ms: finishedAt - run.started_at,
+                    error_messages: [...errorMessages, error.message],
+                },
+            }
+        ).catch((recordError) => console.error('❌ Failed to record sync run:', recordError.message));
         throw error;
     }
 }
 
 module.exports = syncTasks;
+module.exports.mapTodoistTaskToSchema = mapTodoistTaskToSchema;
+module.exports.mapNotionTaskToSchema = mapNotionTaskToSchema;
+module.exports.describeChanges = describeChanges;
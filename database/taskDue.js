@@ -0,0 +1,81 @@
+// Task Due - Structured due, duration and deadline values shared by the mappers, comparison and push
+
+/**
+ * Normalizes a Todoist due object (REST or Sync API shape) to what is stored on tasks:
+ * - date: 'YYYY-MM-DD' (all-day), 'YYYY-MM-DDTHH:MM:SS' (floating time) or 'YYYY-MM-DDTHH:MM:SSZ' (fixed time)
+ * - string: the due as typed in Todoist (e.g. "every monday at 9")
+ * - is_recurring, timezone (fixed times only, else null), lang (only when reported)
+ * Returns null when there is no due
+ */
+function normalizeDue(due) {
+    if (!due || !(due.datetime || due.date)) return null;
+    return {
+        // REST reports timed dues in `datetime`, with fractional seconds
+        date: String(due.datetime || due.date).replace(/\.\d+(?=Z?$)/, ''),
+        string: due.string || '',
+        is_recurring: Boolean(due.is_recurring),
+        timezone: due.timezone || null,
+        ...(due.lang && { lang: due.lang }),
+    };
+}
+
+// Normalizes a Todoist duration ({ amount, unit: 'minute' | 'day' }); null when unset
+function normalizeDuration(duration) {
+    if (!duration || !duration.amount) return null;
+    return { amount: Number(duration.amount), unit: duration.unit || 'minute' };
+}
+
+// Normalizes a Todoist deadline ({ date, lang }); null when unset
+function normalizeDeadline(deadline) {
+    if (!deadline || !deadline.date) return null;
+    return { date: String(deadline.date), ...(deadline.lang && { lang: deadline.lang }) };
+}
+
+/**
+ * Builds a non-recurring due from the flat due_date / due_time fields
+ * (tasks written through the API, Notion tasks, and tasks stored before `due` existed)
+ */
+function dueFromDateFields(dueDate, dueTime) {
+    if (dueTime) {
+        return {
+            date: new Date(dueTime).toISOString().replace(/\.\d{3}Z$/, 'Z'),
+            string: '',
+            is_recurring: false,
+            timezone: 'UTC',
+        };
+    }
+    if (dueDate) {
+        return { date: new Date(dueDate).toISOString().slice(0, 10), string: '', is_recurring: false, timezone: null };
+    }
+    return null;
+}
+
+/**
+ * Derives the flat due_date / due_time fields (used for filtering and sorting) from a due
+ * due_time holds the full ISO datetime when the due has a time; floating times are read in the server's timezone
+ */
+function dueDateFields(due) {
+    if (!due) return { due_date: null, due_time: '' };
+    const dueDate = new Date(due.date);
+    return { due_date: dueDate, due_time: due.date.includes('T') ? dueDate.toISOString() : '' };
+}
+
+// Convert a normalized field value (see normalizeTaskForComparison) back to the Task schema type
+// (due_date / due_time only appear in conflicts recorded before the structured due)
+function toSchemaValue(field, value) {
+    if (field === 'due') return normalizeDue(value);
+    if (field === 'duration') return normalizeDuration(value);
+    if (field === 'deadline') return normalizeDeadline(value);
+    if (field === 'due_date') return value ? new Date(value) : null;
+    if (field === 'due_time') return value || '';
+    return value;
+}
+
+module.exports = {
+    normalizeDue,
+    normalizeDuration,
+    normalizeDeadline,
+    dueFromDateFields,
+    dueDateFields,
+    toSchemaValue,
+};
@@ -0,0 +1,71 @@
+// Task Event Schema - Task changes applied by syncs and webhooks, streamed by GET /tasks/stream
+
+const mongoose = require('mongoose');
+
+// Events are kept for a day; clients reconnecting after that are told to reload instead
+const EVENT_TTL_SECONDS = 24 * 60 * 60;
+
+// Task Event Schema fields
+const taskEventSchema = new mongoose.Schema(
+    {
+        // Sequence number, increasing across all accounts; sent as the SSE event id
+        seq: {
+            type: Number,
+            required: true,
+            unique: true,
+        },
+        account_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Account',
+            required: true,
+        },
+        // create | update | delete
+        action: {
+            type: String,
+            required: true,
+        },
+        todoid: {
+            type: String,
+            required: true,
+        },
+        content: {
+            type: String,
+            default: '',
+        },
+        // Projects and labels of the task before and after the change, for stream filters
+        project_ids: {
+            type: [String],
+            default: [],
+        },
+        labels: {
+            type: [String],
+            default: [],
+        },
+        // Field diffs of updates: [{ field, from, to }]
+        fields: {
+            type: mongoose.Schema.Types.Mixed,
+            default: undefined,
+        },
+        // What applied the change (todoist-sync, notion-sync, webhook)
+        origin: {
+            type: String,
+            default: '',
+        },
+        created_at: {
+            type: Date,
+            default: Date.now,
+            expires: EVENT_TTL_SECONDS,
+        },
+    },
+    {
+        collection: 'task_events',
+        versionKey: false,
+    }
+);
+
+// Stream replays read an account's events in sequence order
+taskEventSchema.index({ account_id: 1, seq: 1 });
+
+// Create and export the TaskEvent model
+const TaskEvent = mongoose.model('TaskEvent', taskEventSchema);
+module.exports = TaskEvent;
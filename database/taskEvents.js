@@ -0,0 +1,85 @@
+// Task Events - Records the task changes applied by syncs and webhooks, and reads them back for GET /tasks/stream
+// Events live in MongoDB (task_events, kept for a day) so any server process can stream changes applied by another
+
+const TaskEvent = require('./taskEventSchema');
+const Counter = require('./counterSchema');
+const { repositoryFor } = require('./repositories');
+
+const COUNTER_NAME = 'task_events';
+const MAX_BATCH = 500;
+
+const taskEventRepository = repositoryFor(TaskEvent);
+const counterRepository = repositoryFor(Counter);
+
+// Projects and labels a change touches (before and after), so streams filtered on either see it
+function getTaskScope(versions) {
+    const present = versions.filter(Boolean);
+    return {
+        project_ids: [...new Set(present.map((task) => String(task.project_id || '')).filter(Boolean))],
+        labels: [...new Set(present.flatMap((task) => task.labels || []))],
+    };
+}
+
+/**
+ * Records change events of an account: [{ action, todoid, content, fields, project_ids, labels }]
+ * Sequence numbers for the whole batch are reserved at once, so a sync's events stay in order
+ */
+async function recordTaskEvents(accountId, events, origin) {
+    if (events.length === 0) return;
+    const counter = await counterRepository.findOneAndUpdate(
+        { _id: COUNTER_NAME },
+        { $inc: { seq: events.length } },
+        { upsert: true }
+    );
+
+    const firstSeq = counter.seq - events.length + 1;
+    const createdAt = new Date();
+    await taskEventRepository.bulkApply(
+        events.map((event, index) => ({
+            insertOne: {
+                document: { ...event, seq: firstSeq + index, account_id: accountId, origin, created_at: createdAt },
+            },
+        }))
+    );
+}
+
+// Sequence number of the newest event (0 before the first one)
+async function getLatestEventSeq() {
+    const counter = await counterRepository.findOne({ _id: COUNTER_NAME });
+    return counter?.seq || 0;
+}
+
+/**
+ * Whether events after the given sequence number have expired, so a client resuming
+ * from it cannot be caught up and must reload its tasks instead
+ */
+async function hasExpiredEventsAfter(seq) {
+    const oldest = await taskEventRepository.findOne({}, { sort: { seq: 1 }, select: 'seq' });
+    const firstKept = oldest ? oldest.seq : (await getLatestEventSeq()) + 1;
+    return seq + 1 < firstKept;
+}
+
+/**
+ * Reads an account's events after a sequence number, oldest first
+ * - projectIds: only changes touching one of these projects
+ * - labels: only changes touching all of these labels
+ * - settledBefore: stop at the first event recorded after this time; a batch reserves its sequence
+ *   numbers before inserting, so a newer event may still be followed by an older one being inserted
+ */
+async function readTaskEvents(accountId, { afterSeq, projectIds = [], labels = [], settledBefore = new Date() }) {
+    const filter = { account_id: accountId, seq: { $gt: afterSeq } };
+    if (projectIds.length > 0) filter.project_ids = { $in: projectIds };
+    if (labels.length > 0) filter.labels = { $all: labels };
+
+    const events = await taskEventRepository.find(filter, { sort: { seq: 1 }, limit: MAX_BATCH });
+    const unsettled = events.findIndex((event) => event.created_at >= settledBefore);
+    return unsettled === -1 ? events : events.slice(0, unsettled);
+}
+
+module.exports = {
+    getTaskScope,
+    recordTaskEvents,
+    getLatestEventSeq,
+    hasExpiredEventsAfter,
+    readTaskEvents,
+};
@@ -0,0 +1,83 @@
+// Task Mapper - Converts source tasks (Todoist, Notion) to the MongoDB Task schema
+
+const { normalizeTaskForComparison } = require('./syncChecker');
+const { normalizeDue, normalizeDuration, normalizeDeadline, dueFromDateFields, dueDateFields } = require('./taskDue');
+
+// Map Todoist task to MongoDB schema format
+const mapTodoistTaskToSchema = (todoistTask) => {
+    const taskId = String(todoistTask.task_id || todoistTask.id);
+    const due = normalizeDue(todoistTask.due);
+    const now = new Date();
+
+    const task = {
+        todoid: taskId,
+        content: todoistTask.content,
+        description: todoistTask.description || '',
+        is_completed: todoistTask.is_completed || false,
+        labels: (todoistTask.labels || []).sort(),
+        priority: Number(todoistTask.priority || 4),
+        due,
+        duration: normalizeDuration(todoistTask.duration),
+        deadline: normalizeDeadline(todoistTask.deadline),
+        ...dueDateFields(due),
+        url: todoistTask.url ?? `https://app.todoist.com/app/task/${taskId}`,
+        project_id: todoistTask.project_id || '',
+        section_id: todoistTask.section_id || '',
+        created_at: todoistTask.created_at ? new Date(todoistTask.created_at) : now,
+        updated_at: now,
+        synced_at: now,
+        completed_at: todoistTask.completed_at ? new Date(todoistTask.completed_at) : null,
+        deleted_at: null,
+        last_updated_by: 'todoist-sync',
+        source: 'todoist',
+    };
+    // Sync API items carry updated_at; keep it so older webhook events cannot overwrite this data
+    if (todoistTask.updated_at) {
+        task.source_updated_at = new Date(todoistTask.updated_at);
+    }
+    task.sync_snapshot = normalizeTaskForComparison(task);
+    return task;
+};
+
+// Map a Notion task (see mapNotionPageToTask) to MongoDB schema format
+const mapNotionTaskToSchema = (notionTask) => {
+    const now = new Date();
+    const dueDateObj = notionTask.due_date ? new Date(notionTask.due_date) : null;
+
+    const task = {
+        todoid: String(notionTask.id),
+        content: notionTask.content,
+        description: notionTask.description || '',
+        is_completed: notionTask.is_completed || false,
+        labels: (notionTask.labels || []).sort(),
+        priority: Number(notionTask.priority || 1),
+        due: dueFromDateFields(dueDateObj, notionTask.due_time),
+        duration: null,
+        deadline: null,
+        due_date: dueDateObj,
+        due_time: notionTask.due_time || '',
+        url: notionTask.url || '',
+        project_id: notionTask.project_id || '',
+        created_at: notionTask.created_at ? new Date(notionTask.created_at) : now,
+        updated_at: now,
+        synced_at: now,
+        completed_at: notionTask.completed_at ? new Date(notionTask.completed_at) : null,
+        deleted_at: null,
+        last_updated_by: 'notion-sync',
+        source: 'notion',
+    };
+    task.sync_snapshot = normalizeTaskForComparison(task);
+    return task;
+};
+
+// Schema mappers for each sync source
+const SOURCE_MAPPERS = {
+    todoist: mapTodoistTaskToSchema,
+    notion: mapNotionTaskToSchema,
+};
+
+module.exports = {
+    mapTodoistTaskToSchema,
+    mapNotionTaskToSchema,
+    SOURCE_MAPPERS,
+};
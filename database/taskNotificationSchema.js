@@ -0,0 +1,52 @@
+// Task Notification Schema - Due notifications already delivered, so a task is announced once per channel and due
+
+const mongoose = require('mongoose');
+
+// Task Notification Schema fields
+const taskNotificationSchema = new mongoose.Schema(
+    {
+        account_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Account',
+            required: true,
+        },
+        // webhook | email
+        channel: {
+            type: String,
+            required: true,
+        },
+        task_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Task',
+            required: true,
+        },
+        todoid: {
+            type: String,
+            default: '',
+        },
+        // The due announced (due.date, e.g. 2024-05-01 or 2024-05-01T09:00:00Z); a new due is announced again
+        due_key: {
+            type: String,
+            required: true,
+        },
+        // overdue | due_soon, when it was announced
+        status: {
+            type: String,
+            default: '',
+        },
+        sent_at: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        collection: 'task_notifications',
+        versionKey: false,
+    }
+);
+
+taskNotificationSchema.index({ account_id: 1, channel: 1, task_id: 1, due_key: 1 }, { unique: true });
+
+// Create and export the TaskNotification model
+const TaskNotification = mongoose.model('TaskNotification', taskNotificationSchema);
+module.exports = TaskNotification;
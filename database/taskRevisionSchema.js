@@ -0,0 +1,66 @@
+// Task Revision Schema - Field changes applied to a task, kept so earlier states can be viewed and restored
+
+const mongoose = require('mongoose');
+
+// One changed field, with the normalized values of syncChecker.normalizeTaskForComparison (or deleted: true/false)
+const revisionChangeSchema = new mongoose.Schema(
+    {
+        field: {
+            type: String,
+            required: true,
+        },
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+    },
+    { _id: false }
+);
+
+// Task Revision Schema fields
+const taskRevisionSchema = new mongoose.Schema(
+    {
+        account_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Account',
+            required: true,
+        },
+        task_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Task',
+            required: true,
+        },
+        // Empty for tasks created locally that had not been pushed yet
+        todoid: {
+            type: String,
+            default: '',
+        },
+        changes: {
+            type: [revisionChangeSchema],
+            default: [],
+        },
+        // What applied the change: todoist-sync, notion-sync, webhook, api or snapshot-restore
+        source: {
+            type: String,
+            required: true,
+        },
+        // Set on revisions written by a revert: the revision whose earlier state was restored
+        reverted_revision_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null,
+        },
+        created_at: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        collection: 'task_revisions',
+        versionKey: false,
+    }
+);
+
+// History of a task, newest first
+taskRevisionSchema.index({ account_id: 1, task_id: 1, created_at: -1 });
+
+// Create and export the TaskRevision model
+const TaskRevision = mongoose.model('TaskRevision', taskRevisionSchema);
+module.exports = TaskRevision;
@@ -0,0 +1,124 @@
+// Task Revisions - Records the field changes applied to tasks, lists them and restores earlier task states
+// Every update by a sync, webhook, snapshot restore, conflict resolution or the API writes one revision with the
+// field diff (diffTaskFields); API deletes write a "deleted" change, creates are not revisions
+
+const mongoose = require('mongoose');
+const Task = require('./taskSchema');
+const TaskRevision = require('./taskRevisionSchema');
+const { diffTaskFields, normalizeTaskForComparison } = require('./syncChecker');
+const { dueDateFields, toSchemaValue } = require('./taskDue');
+const { repositoryFor } = require('./repositories');
+
+const taskRepository = repositoryFor(Task);
+const taskRevisionRepository = repositoryFor(TaskRevision);
+
+// Field diff of an update, plus a "deleted" change when it deletes the task (or brings it back)
+function revisionChanges(before, after) {
+    const changes = diffTaskFields(after, before);
+    const deleted = Boolean(after.deleted_at);
+    if (deleted !== Boolean(before.deleted_at)) {
+        changes.push({ field: 'deleted', from: !deleted, to: deleted });
+    }
+    return changes;
+}
+
+/**
+ * Records the revisions of updated tasks of an account
+ * - updates: [{ before, after, reverted_revision_id }], where before is the stored task and after
+ *   the task with the update applied; updates changing no compared field are left out
+ * - source: what applied the updates (todoist-sync, notion-sync, webhook, api, ...)
+ * Returns the recorded revisions
+ */
+async function recordTaskRevisions(accountId, updates, source) {
+    const createdAt = new Date();
+    const revisions = updates
+        .map(({ before, after, reverted_revision_id = null }) => ({
+            // _ids are set here so the revisions of a batch keep their order
+            _id: new mongoose.Types.ObjectId(),
+            account_id: accountId,
+            task_id: before._id,
+            todoid: after.todoid || before.todoid || '',
+            changes: revisionChanges(before, after),
+            source,
+            reverted_revision_id,
+            created_at: createdAt,
+        }))
+        .filter(({ changes }) => changes.length > 0);
+
+    if (revisions.length > 0) {
+        await taskRevisionRepository.bulkApply(revisions.map((document) => ({ insertOne: { document } })));
+    }
+    return revisions;
+}
+
+// A task's revisions, newest first, with their total count
+async function listTaskRevisions(task, { limit, offset }) {
+    const filter = { account_id: task.account_id, task_id: task._id };
+    const [revisions, total] = await Promise.all([
+        taskRevisionRepository.find(filter, { sort: { created_at: -1, _id: -1 }, skip: offset, limit }),
+        taskRevisionRepository.count(filter),
+    ]);
+    return { revisions, total };
+}
+
+/**
+ * Restores a task to its state before one of its revisions: each field changed by that revision or a later
+ * one gets back the value it had before the first of them. The revert is an API edit (pushed to Todoist
+ * on the next sync) and is recorded as a revision itself.
+ * Returns { task, changes, revision } (no changes when the task already has those values),
+ * or null when the task has no such revision or was deleted meanwhile
+ */
+async function revertTaskRevision(task, revisionId, { populate } = {}) {
+    const revisions = await taskRevisionRepository.find(
+        { account_id: task.account_id, task_id: task._id },
+        { sort: { created_at: 1, _id: 1 } }
+    );
+    const index = revisions.findIndex(({ _id }) => String(_id) === String(revisionId));
+    if (index === -1) return null;
+
+    const earlierValues = {};
+    revisions.slice(index).forEach(({ changes }) =>
+        changes.forEach(({ field, from }) => {
+            if (!(field in earlierValues)) earlierValues[field] = from ?? null;
+        })
+    );
+
+    // Only live tasks are reverted, so an earlier deleted: false is never written back
+    const current = { ...normalizeTaskForComparison(task), deleted: Boolean(task.deleted_at) };
+    const now = new Date();
+    const update = {};
+    for (const [field, value] of Object.entries(earlierValues)) {
+        if (JSON.stringify(current[field] ?? null) !== JSON.stringify(value)) {
+            update[field] = toSchemaValue(field, value);
+        }
+    }
+    if (Object.keys(update).length === 0) {
+        return { task, changes: [], revision: null };
+    }
+    if ('due' in update) {
+        Object.assign(update, dueDateFields(update.due));
+    }
+    if ('is_completed' in update) {
+        update.completed_at = update.is_completed ? now : null;
+    }
+
+    const reverted = await taskRepository.findOneAndUpdate(
+        { _id: task._id, deleted_at: null },
+        { $set: { ...update, updated_at: now, last_updated_by: 'api' } },
+        { runValidators: true, populate }
+    );
+    if (!reverted) return null;
+
+    const [revision = null] = await recordTaskRevisions(
+        task.account_id,
+        [{ before: task, after: reverted, reverted_revision_id: revisionId }],
+        'api'
+    );
+    return { task: reverted, changes: revision ? revision.changes : [], revision };
+}
+
+module.exports = {
+    recordTaskRevisions,
+    listTaskRevisions,
+    revertTaskRevision,
+};
@@ -2,14 +2,54 @@
 
 const mongoose = require('mongoose');
 
+// Due as reported by Todoist (see taskDue.js); key order matches normalizeDue
+const dueSchema = new mongoose.Schema(
+    {
+        // 'YYYY-MM-DD', floating 'YYYY-MM-DDTHH:MM:SS' or fixed-timezone 'YYYY-MM-DDTHH:MM:SSZ'
+        date: {
+            type: String,
+            required: true,
+        },
+        string: String,
+        is_recurring: Boolean,
+        // Set for fixed-timezone dues only
+        timezone: String,
+        lang: String,
+    },
+    { _id: false }
+);
+
+const durationSchema = new mongoose.Schema(
+    {
+        amount: Number,
+        unit: {
+            type: String,
+            enum: ['minute', 'day'],
+        },
+    },
+    { _id: false }
+);
+
+const deadlineSchema = new mongoose.Schema(
+    {
+        date: String,
+        lang: String,
+    },
+    { _id: false }
+);
+
 // Task Schema fields
 const taskSchema = new mongoose.Schema(
     {
+        // Account the task belongs to (see accountSchema.js)
+        account_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Account',
+            default: null,
+        },
+        // Source task ID; empty for tasks created locally until they are pushed to Todoist
         todoid: {
             type: String,
-            required: true,
-            unique: true,
-            index: true,
         },
         content: {
             type: String,
@@ -27,6 +67,7 @@ const taskSchema = new mongoose.Schema(
         labels: {
             type: [String],
             default: [],
+            index: true,
         },
         priority: {
             type: Number,
@@ -34,6 +75,19 @@ const taskSchema = new mongoose.Schema(
             default: 4,
             index: true,
         },
+        due: {
+            type: dueSchema,
+            default: null,
+        },
+        duration: {
+            type: durationSchema,
+            default: null,
+        },
+        deadline: {
+            type: deadlineSchema,
+            default: null,
+        },
+        // Flat copies of the due for filtering and sorting (see dueDateFields)
         due_date: {
             type: Date,
             default: null,
@@ -52,6 +106,11 @@ const taskSchema = new mongoose.Schema(
             default: '',
             index: true,
         },
+        section_id: {
+            type: String,
+            default: '',
+            index: true,
+        },
         created_at: {
             type: Date,
             required: true,
@@ -62,11 +121,44 @@ const taskSchema = new mongoose.Schema(
             required: true,
             index: true,
         },
+        // Last time this task matched the source; local edits after this are pushed back
+        synced_at: {
+            type: Date,
+            default: null,
+        },
+        // Normalized task fields as last agreed with the source (base for three-way merges)
+        sync_snapshot: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+        // Set while the task has an open conflict; such tasks are not pushed
+        sync_conflict: {
+            type: Boolean,
+            default: false,
+            index: true,
+        },
+        // Set when a source change to the task fell outside the account's sync rules and was not imported;
+        // such tasks are not pushed, so the stale copy cannot overwrite that change
+        sync_out_of_scope: {
+            type: Boolean,
+            default: false,
+        },
         completed_at: {
             type: Date,
             default: null,
             index: true,
         },
+        // When the source last changed the task (from webhook events); older events are dropped
+        source_updated_at: {
+            type: Date,
+            default: null,
+        },
+        // Set when the task is gone from its source; tombstoned tasks are kept for history
+        deleted_at: {
+            type: Date,
+            default: null,
+            index: true,
+        },
         last_updated_by: {
             type: String,
             default: '',
@@ -79,9 +171,61 @@ const taskSchema = new mongoose.Schema(
     },
     {
         timestamps: false, // Disable mongoose automatic timestamps
+        id: false,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true },
     }
 );
 
+// Source task IDs are unique per account (tasks in shared projects appear in several accounts);
+// locally created tasks without a todoid are left out
+taskSchema.index(
+    { account_id: 1, todoid: 1 },
+    { unique: true, partialFilterExpression: { todoid: { $type: 'string' } } }
+);
+
+// Completion history per account (archive and stats ranges)
+taskSchema.index({ account_id: 1, completed_at: -1 });
+
+// Related Todoist data of the same account, populated on task reads (see relatedPaths)
+const sameAccount = (task) => ({ account_id: task.account_id });
+
+taskSchema.virtual('project', {
+    ref: 'Project',
+    localField: 'project_id',
+    foreignField: 'todoid',
+    justOne: true,
+    match: sameAccount,
+});
+taskSchema.virtual('section', {
+    ref: 'Section',
+    localField: 'section_id',
+    foreignField: 'todoid',
+    justOne: true,
+    match: sameAccount,
+});
+taskSchema.virtual('label_details', {
+    ref: 'Label',
+    localField: 'labels',
+    foreignField: 'name',
+    match: sameAccount,
+});
+taskSchema.virtual('comments', {
+    ref: 'Comment',
+    localField: 'todoid',
+    foreignField: 'task_id',
+    match: sameAccount,
+    options: { sort: { posted_at: 1 } },
+});
+
+// Static - Populate paths of the related project, section and label details (and comments if asked),
+// for the populate option of repository reads (see repositories.js)
+taskSchema.statics.relatedPaths = function ({ comments = false } = {}) {
+    const paths = ['project', 'section', 'label_details'];
+    if (comments) paths.push('comments');
+    return paths;
+};
+
 // Pre-save middleware - Set created_at if not provided
 taskSchema.pre('save', function (next) {
     if (!this.created_at) {
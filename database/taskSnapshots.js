@@ -0,0 +1,209 @@
+// Task Snapshots - Diffs Todoist task snapshots (see todoist/todoist-snapshots.js) and restores MongoDB from one
+// Usage: node database/taskSnapshots.js list | diff <older> <newer> | prune
+//        | restore <name> [account name] [--dry-run] [--overwrite-local]
+
+const Task = require('./taskSchema');
+const SyncState = require('./syncStateSchema');
+const { reconcileTasks, diffTaskFields, isLocallyModified } = require('./syncChecker');
+const { mapTodoistTaskToSchema } = require('./taskMapper');
+const { recordTaskRevisions } = require('./taskRevisions');
+const { repositoryFor } = require('./repositories');
+const { listSnapshots, readSnapshot, parseSnapshotName, pruneSnapshots } = require('../todoist/todoist-snapshots');
+
+const taskRepository = repositoryFor(Task);
+const syncStateRepository = repositoryFor(SyncState);
+
+// Key snapshot tasks by Todoist ID; the first entry wins, as in a sync (active before completed)
+function mapSnapshotTasks(tasks) {
+    const map = new Map();
+    tasks.forEach((task) => {
+        const todoid = String(task.task_id || task.id);
+        if (!map.has(todoid)) map.set(todoid, task);
+    });
+    return map;
+}
+
+/**
+ * Compares two snapshots (older first)
+ * Returns { from, to, added, removed, changed } where changed lists the fields that differ,
+ * using the same normalized comparison as a sync
+ */
+async function diffSnapshots(fromName, toName) {
+    const [fromMap, toMap] = (await Promise.all([readSnapshot(fromName), readSnapshot(toName)])).map(mapSnapshotTasks);
+    const summarize = ([todoid, task]) => ({ todoid, content: task.content });
+
+    const added = [...toMap].filter(([todoid]) => !fromMap.has(todoid)).map(summarize);
+    const removed = [...fromMap].filter(([todoid]) => !toMap.has(todoid)).map(summarize);
+    const changed = [];
+    for (const entry of toMap) {
+        const older = fromMap.get(entry[0]);
+        if (!older) continue;
+        // from = the older snapshot's value, to = the newer one's
+        const fields = diffTaskFields(entry[1], older);
+        if (fields.length > 0) changed.push({ ...summarize(entry), fields });
+    }
+    return { from: fromName, to: toName, added, removed, changed };
+}
+
+// Whether a snapshot belongs to an account (snapshots without an account id belong to the default account)
+function isAccountSnapshot(name, account, isDefault) {
+    const snapshot = parseSnapshotName(name);
+    if (!snapshot) return false;
+    return snapshot.account_id ? snapshot.account_id === String(account._id) : isDefault;
+}
+
+/**
+ * Restores an account's Todoist tasks in MongoDB to a snapshot, with the same create / update /
+ * delete reconciliation as a sync (reconcileTasks). Restored tasks are written as 'snapshot-restore',
+ * so they are not pushed to Todoist. The account's sync token is cleared, so the next sync is a full
+ * one: it compares every task with Todoist and brings changed tasks back in line with it.
+ * Tasks the restore would change that have local edits not pushed yet are listed in localEdits; the
+ * restore refuses to overwrite them (error code SNAPSHOT_LOCAL_EDITS) unless overwriteLocal is set.
+ * With dryRun, nothing is written.
+ * Returns { snapshot, dryRun, created, updated, deleted, changes, localEdits }
+ */
+async function restoreSnapshot(name, accountId, { dryRun = false, overwriteLocal = false } = {}) {
+    const snapshotTasks = await readSnapshot(name);
+    const mongoTasks = await taskRepository.find({ source: 'todoist', account_id: accountId });
+    const { toCreate, toUpdate, toDelete } = await reconcileTasks(snapshotTasks, mongoTasks);
+
+    const changes = [
+        ...toCreate.map((task) => ({ todoid: String(task.task_id || task.id), content: task.content, action: 'create' })),
+        ...toUpdate.map(({ todoid, todoistData, mongoData }) => ({
+            todoid,
+            content: todoistData.content,
+            action: 'update',
+            fields: diffTaskFields(todoistData, mongoData),
+        })),
+        ...toDelete.map((task) => ({ todoid: task.todoid, content: task.content, action: 'delete' })),
+    ];
+    const localEdits = [...toUpdate.map(({ mongoData }) => mongoData), ...toDelete]
+        .filter(isLocallyModified)
+        .map(({ todoid, content }) => ({ todoid, content }));
+    const result = {
+        snapshot: name,
+        dryRun,
+        created: toCreate.length,
+        updated: toUpdate.length,
+        deleted: toDelete.length,
+        changes,
+        localEdits,
+    };
+    if (dryRun) return result;
+    if (localEdits.length > 0 && !overwriteLocal) {
+        const error = new Error(
+            `${localEdits.length} tasks have local edits not pushed to Todoist yet; sync first, or overwrite them`
+        );
+        throw Object.assign(error, { code: 'SNAPSHOT_LOCAL_EDITS', localEdits });
+    }
+
+    const restoredAt = new Date();
+    const restore = (task) => ({ ...mapTodoistTaskToSchema(task), last_updated_by: 'snapshot-restore' });
+    const operations = [
+        ...toCreate.map((task) => ({ insertOne: { document: { ...restore(task), account_id: accountId } } })),
+        ...toUpdate.map(({ todoid, todoistData }) => ({
+            updateOne: {
+                filter: { todoid, account_id: accountId },
+                update: { $set: { ...restore(todoistData), sync_conflict: false } },
+            },
+        })),
+        // Deletes are soft, as in a sync
+        ...toDelete.map((task) => ({
+            updateOne: {
+                filter: { todoid: task.todoid, account_id: accountId },
+                update: {
+                    $set: { deleted_at: restoredAt, updated_at: restoredAt, last_updated_by: 'snapshot-restore' },
+                },
+            },
+        })),
+    ];
+    if (operations.length > 0) {
+        await taskRepository.bulkApply(operations);
+    }
+    const revisions = toUpdate.map(({ todoistData, mongoData }) => ({
+        before: mongoData,
+        after: { ...mongoData, ...restore(todoistData) },
+    }));
+    await recordTaskRevisions(accountId, revisions, 'snapshot-restore').catch((error) =>
+        console.error('❌ Error recording restored task revisions:', error.message)
+    );
+    // The stored token would skip Todoist changes made since the snapshot, leaving MongoDB out of line
+    await syncStateRepository.updateOne(
+        { source: 'todoist', account_id: accountId },
+        { $set: { sync_token: null, updated_at: restoredAt } }
+    );
+
+    console.log(
+        `⏪ Restored snapshot ${name}: ${result.created} created, ${result.updated} updated, ${result.deleted} deleted`
+    );
+    return result;
+}
+
+module.exports = {
+    listSnapshots,
+    pruneSnapshots,
+    diffSnapshots,
+    isAccountSnapshot,
+    restoreSnapshot,
+};
+
+// Allow direct execution
+if (require.main === module) {
+    const mongoose = require('mongoose');
+    const connectDB = require('./config');
+    const { findAccount, getDefaultAccount, DEFAULT_ACCOUNT_NAME } = require('./accounts');
+    const { runWithSyncLock } = require('../scheduler/syncScheduler');
+
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const overwriteLocal = args.includes('--overwrite-local');
+    const [command, ...params] = args.filter((arg) => !arg.startsWith('--'));
+
+    const commands = {
+        list: async () => {
+            for (const { name, created_at, size } of await listSnapshots()) {
+                console.log(`${created_at.toISOString()}  ${String(size).padStart(10)}  ${name}`);
+            }
+        },
+        diff: async () => {
+            if (params.length < 2) throw new Error('Usage: diff <older snapshot> <newer snapshot>');
+            console.log(JSON.stringify(await diffSnapshots(params[0], params[1]), null, 2));
+        },
+        prune: async () => {
+            const removed = await pruneSnapshots();
+            console.log(removed.length > 0 ? removed.join('\n') : 'Nothing to prune (see SNAPSHOT_KEEP_COUNT)');
+        },
+        restore: async () => {
+            if (!params[0]) {
+                throw new Error('Usage: restore <snapshot> [account name] [--dry-run] [--overwrite-local]');
+            }
+            await connectDB();
+            const account = params[1] ? await findAccount(params[1]) : await getDefaultAccount();
+            if (!account) throw new Error(`No account "${params[1] || DEFAULT_ACCOUNT_NAME}"`);
+            if (!isAccountSnapshot(params[0], account, account.name === DEFAULT_ACCOUNT_NAME)) {
+                throw new Error(`Snapshot ${params[0]} does not belong to the ${account.name} account`);
+            }
+            const result = await runWithSyncLock(
+                () => restoreSnapshot(params[0], account._id, { dryRun, overwriteLocal }),
+                'snapshot-restore'
+            );
+            if (!result) throw new Error('A sync is already running, try again shortly');
+            console.log(JSON.stringify(result, null, 2));
+        },
+    };
+
+    if (!commands[command]) {
+        console.error(
+            'Usage: node database/taskSnapshots.js list | diff <older> <newer> | prune ' +
+                '| restore <name> [account] [--dry-run] [--overwrite-local]'
+        );
+        process.exit(1);
+    }
+
+    commands[command]()
+        .catch((error) => {
+            console.error('❌ Snapshot command failed:', error.message);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.disconnect());
+}
@@ -0,0 +1,269 @@
+// Task Stats - Aggregation pipelines for productivity analytics over an account's tasks
+// Deleted tasks are left out; recurring tasks count once, when their last occurrence is completed
+
+const Task = require('./taskSchema');
+const Project = require('./projectSchema');
+const { repositoryFor } = require('./repositories');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const taskRepository = repositoryFor(Task);
+const projectRepository = repositoryFor(Project);
+
+// $dateToString formats of the completion periods (ISO weeks start on Monday)
+const PERIOD_FORMATS = { day: '%Y-%m-%d', week: '%G-W%V' };
+
+// Live tasks of the account
+const accountMatch = (accountId) => ({ account_id: accountId, deleted_at: null });
+
+// Whether a date field lies within the range, as an aggregation expression
+const inRange = (field, { from, to }) => ({ $and: [{ $gte: [field, from] }, { $lte: [field, to] }] });
+
+// Milliseconds from creation to completion, as an aggregation expression (null when unknown)
+const LEAD_TIME_MS = {
+    $cond: [
+        { $and: [{ $gt: ['$created_at', null] }, { $gte: ['$completed_at', '$created_at'] }] },
+        { $subtract: ['$completed_at', '$created_at'] },
+        null,
+    ],
+};
+
+const toHours = (ms) => (ms === null || ms === undefined ? null : Math.round((ms / HOUR_MS) * 10) / 10);
+
+/**
+ * Start of today in a timezone, as stored for all-day dues (midnight UTC of that date)
+ * All-day tasks are overdue once their date is before this; timed tasks once their time has passed
+ */
+function startOfToday(timezone, now = new Date()) {
+    const today = new Intl.DateTimeFormat('en-CA', { timeZone: timezone }).format(now);
+    return new Date(`${today}T00:00:00Z`);
+}
+
+// Offset of a timezone from UTC at the given moment, in milliseconds
+function getTimezoneOffsetMs(timezone, now = new Date()) {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+        })
+            .formatToParts(now)
+            .map(({ type, value }) => [type, value])
+    );
+    const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return localAsUtc - Math.floor(now.getTime() / 1000) * 1000;
+}
+
+// Aggregation expression: whether an active task is overdue
+function overdueExpression(timezone, now) {
+    return {
+        $and: [
+            { $gt: ['$due_date', null] },
+            {
+                $cond: [
+                    { $gt: ['$due_time', ''] },
+                    { $lt: ['$due_date', now] },
+                    { $lt: ['$due_date', startOfToday(timezone, now)] },
+                ],
+            },
+        ],
+    };
+}
+
+/**
+ * Completions per period (day or week, in the given timezone) within the range
+ * Returns [{ period, count }] in order; periods without completions are left out
+ */
+async function getCompletionsByPeriod(accountId, range, { interval = 'day', timezone = 'UTC' } = {}) {
+    const periods = await taskRepository.aggregate([
+        {
+            $match: {
+                ...accountMatch(accountId),
+                is_completed: true,
+                completed_at: { $gte: range.from, $lte: range.to },
+            },
+        },
+        {
+            $group: {
+                _id: { $dateToString: { date: '$completed_at', format: PERIOD_FORMATS[interval], timezone } },
+                count: { $sum: 1 },
+            },
+        },
+        { $sort: { _id: 1 } },
+    ]);
+    return periods.map(({ _id, count }) => ({ period: _id, count }));
+}
+
+/**
+ * Totals for the range: tasks created and completed, and the average, shortest and longest
+ * time from creation to completion of the tasks completed in it (in hours)
+ */
+async function getRangeTotals(accountId, range) {
+    const [totals] = await taskRepository.aggregate([
+        {
+            $match: {
+                ...accountMatch(accountId),
+                $or: [
+                    { created_at: { $gte: range.from, $lte: range.to } },
+                    { completed_at: { $gte: range.from, $lte: range.to } },
+                ],
+            },
+        },
+        {
+            $addFields: {
+                completed_in_range: { $and: ['$is_completed', inRange('$completed_at', range)] },
+            },
+        },
+        {
+            $group: {
+                _id: null,
+                created: { $sum: { $cond: [inRange('$created_at', range), 1, 0] } },
+                completed: { $sum: { $cond: ['$completed_in_range', 1, 0] } },
+                avg_lead_time_ms: { $avg: { $cond: ['$completed_in_range', LEAD_TIME_MS, null] } },
+                min_lead_time_ms: { $min: { $cond: ['$completed_in_range', LEAD_TIME_MS, null] } },
+                max_lead_time_ms: { $max: { $cond: ['$completed_in_range', LEAD_TIME_MS, null] } },
+            },
+        },
+    ]);
+    return {
+        created: totals?.created || 0,
+        completed: totals?.completed || 0,
+        lead_time_hours: {
+            average: toHours(totals?.avg_lead_time_ms),
+            shortest: toHours(totals?.min_lead_time_ms),
+            longest: toHours(totals?.max_lead_time_ms),
+        },
+    };
+}
+
+/**
+ * Current overdue and due-today counts of active tasks, with overdue tasks by priority and project
+ * Returns { overdue, due_today, by_priority: { 1-4: count }, by_project: [{ project_id, name, count }] }
+ */
+async function getOverdueStats(accountId, { timezone = 'UTC', now = new Date() } = {}) {
+    const todayStart = startOfToday(timezone, now);
+    // The moment today ends in the timezone, for timed dues
+    const todayEnd = new Date(todayStart.getTime() + 24 * HOUR_MS - getTimezoneOffsetMs(timezone, now));
+
+    const [result] = await taskRepository.aggregate([
+        { $match: { ...accountMatch(accountId), is_completed: false, due_date: { $ne: null } } },
+        {
+            $addFields: {
+                is_overdue: overdueExpression(timezone, now),
+                // All-day dues of today, and timed dues still to come today
+                is_due_today: {
+                    $cond: [
+                        { $gt: ['$due_time', ''] },
+                        { $and: [{ $gte: ['$due_date', now] }, { $lt: ['$due_date', todayEnd] }] },
+                        { $eq: ['$due_date', todayStart] },
+                    ],
+                },
+            },
+        },
+        {
+            $facet: {
+                totals: [
+                    {
+                        $group: {
+                            _id: null,
+                            overdue: { $sum: { $cond: ['$is_overdue', 1, 0] } },
+                            due_today: { $sum: { $cond: ['$is_due_today', 1, 0] } },
+                        },
+                    },
+                ],
+                by_priority: [{ $match: { is_overdue: true } }, { $group: { _id: '$priority', count: { $sum: 1 } } }],
+                by_project: [
+                    { $match: { is_overdue: true } },
+                    { $group: { _id: '$project_id', count: { $sum: 1 } } },
+                    { $sort: { count: -1 } },
+                ],
+            },
+        },
+    ]);
+
+    const projectNames = await getProjectNames(accountId, result.by_project.map(({ _id }) => _id));
+    const countByPriority = new Map(result.by_priority.map(({ _id, count }) => [_id, count]));
+    return {
+        overdue: result.totals[0]?.overdue || 0,
+        due_today: result.totals[0]?.due_today || 0,
+        by_priority: Object.fromEntries([1, 2, 3, 4].map((priority) => [priority, countByPriority.get(priority) || 0])),
+        by_project: result.by_project.map(({ _id, count }) => ({
+            project_id: _id || '',
+            name: projectNames.get(_id) || null,
+            count,
+        })),
+    };
+}
+
+// Map of project todoid -> name for the account
+async function getProjectNames(accountId, projectIds) {
+    const projects = await projectRepository.find(
+        { account_id: accountId, todoid: { $in: projectIds } },
+        { select: 'todoid name' }
+    );
+    return new Map(projects.map(({ todoid, name }) => [todoid, name]));
+}
+
+/**
+ * Per project, label or priority: tasks created and completed in the range, active and overdue
+ * now, and the average time from creation to completion (hours) of those completed in the range.
+ * Tasks count once per label; tasks without labels are grouped under label null.
+ * Returns [{ key, name (projects only), created, completed, active, overdue, avg_lead_time_hours }]
+ */
+async function getBreakdown(accountId, range, { by, timezone = 'UTC', now = new Date() }) {
+    const groupKey = { project: '$project_id', label: '$labels', priority: '$priority' }[by];
+    const rows = await taskRepository.aggregate([
+        {
+            $match: {
+                ...accountMatch(accountId),
+                $or: [
+                    { is_completed: false },
+                    { created_at: { $gte: range.from, $lte: range.to } },
+                    { completed_at: { $gte: range.from, $lte: range.to } },
+                ],
+            },
+        },
+        ...(by === 'label' ? [{ $unwind: { path: '$labels', preserveNullAndEmptyArrays: true } }] : []),
+        {
+            $addFields: {
+                completed_in_range: { $and: ['$is_completed', inRange('$completed_at', range)] },
+                is_overdue: { $and: [{ $not: ['$is_completed'] }, overdueExpression(timezone, now)] },
+            },
+        },
+        {
+            $group: {
+                _id: groupKey,
+                created: { $sum: { $cond: [inRange('$created_at', range), 1, 0] } },
+                completed: { $sum: { $cond: ['$completed_in_range', 1, 0] } },
+                active: { $sum: { $cond: ['$is_completed', 0, 1] } },
+                overdue: { $sum: { $cond: ['$is_overdue', 1, 0] } },
+                avg_lead_time_ms: { $avg: { $cond: ['$completed_in_range', LEAD_TIME_MS, null] } },
+            },
+        },
+        { $sort: { completed: -1, active: -1, _id: 1 } },
+    ]);
+
+    const projectNames = by === 'project' ? await getProjectNames(accountId, rows.map(({ _id }) => _id)) : null;
+    return rows.map(({ _id, avg_lead_time_ms: avgLeadTimeMs, ...counts }) => ({
+        key: _id ?? null,
+        ...(projectNames && { name: projectNames.get(_id) || null }),
+        ...counts,
+        avg_lead_time_hours: toHours(avgLeadTimeMs),
+    }));
+}
+
+module.exports = {
+    PERIOD_FORMATS,
+    startOfToday,
+    getTimezoneOffsetMs,
+    getProjectNames,
+    getCompletionsByPeriod,
+    getRangeTotals,
+    getOverdueStats,
+    getBreakdown,
+};
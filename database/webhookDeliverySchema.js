@@ -0,0 +1,44 @@
+// Webhook Delivery Schema - Remembers received webhook deliveries so redeliveries are ignored
+
+const mongoose = require('mongoose');
+
+// Deliveries are forgotten after a week; Todoist stops retrying long before that
+const DELIVERY_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Webhook Delivery Schema fields
+const webhookDeliverySchema = new mongoose.Schema(
+    {
+        // X-Todoist-Delivery-ID header
+        delivery_id: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        event_name: {
+            type: String,
+            default: '',
+        },
+        todoid: {
+            type: String,
+            default: '',
+        },
+        // applied | stale | deferred | ignored
+        result: {
+            type: String,
+            default: '',
+        },
+        received_at: {
+            type: Date,
+            default: Date.now,
+            expires: DELIVERY_TTL_SECONDS,
+        },
+    },
+    {
+        collection: 'webhook_deliveries',
+        timestamps: false, // Timestamps are managed by the webhook receiver
+    }
+);
+
+// Create and export the WebhookDelivery model
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+module.exports = WebhookDelivery;
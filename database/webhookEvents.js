@@ -0,0 +1,185 @@
+// Webhook Events - Applies Todoist webhook events straight to the Task collection
+
+const Task = require('./taskSchema');
+const Account = require('./accountSchema');
+const WebhookDelivery = require('./webhookDeliverySchema');
+const { getDefaultAccount } = require('./accounts');
+const { isLocallyModified, diffTaskFields } = require('./syncChecker');
+const { compileSyncRules } = require('./syncRules');
+const { mapTodoistTaskToSchema } = require('./taskMapper');
+const { getTaskScope, recordTaskEvents } = require('./taskEvents');
+const { recordTaskRevisions } = require('./taskRevisions');
+const { repositoryFor } = require('./repositories');
+const { syncItemToTask } = require('../todoist/todoist-task-fetcher');
+
+const taskRepository = repositoryFor(Task);
+const accountRepository = repositoryFor(Account);
+const webhookDeliveryRepository = repositoryFor(WebhookDelivery);
+
+// Task events applied by the receiver; any other event is acknowledged and ignored
+const TASK_EVENTS = ['item:added', 'item:updated', 'item:completed', 'item:uncompleted', 'item:deleted'];
+
+// When the change happened: the item's updated_at, else when Todoist fired the webhook
+function getEventTime(payload) {
+    const time = payload.event_data?.updated_at || payload.triggered_at;
+    const date = time ? new Date(time) : new Date();
+    return isNaN(date) ? new Date() : date;
+}
+
+/**
+ * Finds the active account of the Todoist user an event belongs to
+ * Events of unknown users go to the default account while its Todoist user is not known
+ */
+async function findEventAccount(payload) {
+    const userId = payload.user_id ? String(payload.user_id) : '';
+    const account = userId ? await accountRepository.findOne({ todoist_user_id: userId, is_active: true }) : null;
+    if (account) return account;
+
+    const defaultAccount = await getDefaultAccount();
+    return defaultAccount?.is_active && !defaultAccount.todoist_user_id ? defaultAccount : null;
+}
+
+/**
+ * Applies one Todoist webhook event to the tasks of the account it belongs to
+ * Returns what happened to it:
+ * - applied: the task was created, updated or deleted
+ * - stale: the task already holds a newer change (event arrived out of order)
+ * - deferred: the task has local edits or an open conflict; the next sync merges it instead
+ * - ignored: not a task event, an event of an unknown account, a task outside the account's
+ *   sync rules, or a delete for a task we never had
+ */
+async function applyTodoistEvent(payload) {
+    const item = payload.event_data || {};
+    const todoid = item.id ? String(item.id) : '';
+    if (!TASK_EVENTS.includes(payload.event_name) || !todoid) {
+        return 'ignored';
+    }
+
+    const account = await findEventAccount(payload);
+    if (!account) {
+        return 'ignored';
+    }
+
+    const existing = await taskRepository.findOne({ todoid, source: 'todoist', account_id: account._id });
+    if (existing && (existing.sync_conflict || isLocallyModified(existing))) {
+        return 'deferred';
+    }
+
+    const eventAt = getEventTime(payload);
+    const isDelete = payload.event_name === 'item:deleted' || Boolean(item.is_deleted);
+    if (isDelete && !existing) {
+        return 'ignored';
+    }
+    const sourceTask = isDelete ? null : syncItemToTask(item);
+    if (!compileSyncRules(account.sync_rules)(isDelete ? existing : sourceTask)) {
+        // Keep the stored copy from being pushed over the change it missed (see syncTasks.js)
+        if (existing) {
+            await taskRepository.updateOne({ _id: existing._id }, { $set: { sync_out_of_scope: true } });
+        }
+        return 'ignored';
+    }
+
+    // Only touch the task if no newer change has been recorded for it
+    const filter = {
+        todoid,
+        source: 'todoist',
+        account_id: account._id,
+        $or: [{ source_updated_at: null }, { source_updated_at: { $lte: eventAt } }],
+    };
+
+    let update;
+    if (isDelete) {
+        const now = new Date();
+        update = {
+            deleted_at: now,
+            updated_at: now,
+            synced_at: now,
+            last_updated_by: 'todoist-sync',
+            source_updated_at: eventAt,
+        };
+    } else {
+        update = { ...mapTodoistTaskToSchema(sourceTask), source_updated_at: eventAt, sync_out_of_scope: false };
+    }
+
+    let result;
+    try {
+        result = await taskRepository.updateOne(filter, { $set: update }, { upsert: !isDelete });
+    } catch (error) {
+        // Duplicate key: the task exists with a newer change, so the upsert tried to insert a second copy
+        if (error.code === 11000) {
+            return 'stale';
+        }
+        throw error;
+    }
+    if (result.matchedCount === 0 && result.upsertedCount === 0) {
+        return 'stale';
+    }
+
+    await recordWebhookEvent(account._id, { existing, sourceTask, update, isDelete });
+    if (existing && !isDelete) {
+        const revision = { before: existing, after: { ...existing, ...update } };
+        await recordTaskRevisions(account._id, [revision], 'webhook').catch((error) =>
+            console.error('❌ Error recording webhook task revision:', error.message)
+        );
+    }
+    return 'applied';
+}
+
+// Publish an applied webhook change to GET /tasks/stream; a failure only loses the stream event
+async function recordWebhookEvent(accountId, { existing, sourceTask, update, isDelete }) {
+    const task = isDelete ? existing : sourceTask;
+    const event = {
+        action: isDelete ? 'delete' : existing ? 'update' : 'create',
+        todoid: existing?.todoid || String(sourceTask.task_id || sourceTask.id),
+        content: task.content,
+        ...getTaskScope([existing, !isDelete && update]),
+    };
+    if (event.action === 'update') {
+        event.fields = diffTaskFields(sourceTask, existing);
+        // Events for changes we do not track (e.g. comment counts) are not streamed
+        if (event.fields.length === 0) return;
+    }
+    await recordTaskEvents(accountId, [event], 'webhook').catch((error) =>
+        console.error('❌ Error recording webhook stream event:', error.message)
+    );
+}
+
+/**
+ * Handles one webhook delivery, ignoring redeliveries of the same X-Todoist-Delivery-ID
+ * Returns { result } with 'duplicate' or one of the applyTodoistEvent results
+ */
+async function handleTodoistDelivery(deliveryId, payload) {
+    const todoid = payload.event_data?.id ? String(payload.event_data.id) : '';
+
+    if (deliveryId) {
+        try {
+            await webhookDeliveryRepository.insert({ delivery_id: deliveryId, event_name: payload.event_name, todoid });
+        } catch (error) {
+            if (error.code === 11000) {
+                return { result: 'duplicate' };
+            }
+            throw error;
+        }
+    }
+
+    try {
+        const result = await applyTodoistEvent(payload);
+        if (deliveryId) {
+            await webhookDeliveryRepository.updateOne({ delivery_id: deliveryId }, { $set: { result } });
+        }
+        console.log(`🪝 Todoist ${payload.event_name} for ${todoid || 'unknown task'}: ${result}`);
+        return { result };
+    } catch (error) {
+        // Forget the delivery so Todoist's retry is processed
+        if (deliveryId) {
+            await webhookDeliveryRepository.deleteOne({ delivery_id: deliveryId }).catch(() => {});
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    TASK_EVENTS,
+    applyTodoistEvent,
+    handleTodoistDelivery,
+};
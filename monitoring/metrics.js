@@ -0,0 +1,107 @@
+// Metrics - The app's Prometheus metrics (served at GET /metrics) and the helpers that record them
+// Values are per process: they start at zero on restart, and each process of a deployment is scraped separately
+
+const { isConnected } = require('../database/config');
+const { createCounter, createGauge, createHistogram } = require('./prometheus');
+
+const syncRuns = createCounter({
+    name: 'todoist_sync_runs_total',
+    help: 'Task syncs run by this process, by source and status (success, failed)',
+    labelNames: ['source', 'status'],
+});
+const syncDuration = createHistogram({
+    name: 'todoist_sync_duration_seconds',
+    help: 'Duration of task syncs, by source',
+    labelNames: ['source'],
+    buckets: [1, 5, 10, 30, 60, 120, 300, 600],
+});
+const syncTaskChanges = createCounter({
+    name: 'todoist_sync_task_changes_total',
+    help: 'Tasks changed by syncs, by source and action (created, updated, deleted)',
+    labelNames: ['source', 'action'],
+});
+const lastSyncSuccess = createGauge({
+    name: 'todoist_sync_last_success_timestamp_seconds',
+    help: 'Unix time of the last successful sync in this process, by source',
+    labelNames: ['source'],
+});
+const todoistRequestDuration = createHistogram({
+    name: 'todoist_api_request_duration_seconds',
+    help: 'Duration of Todoist API request attempts (retries count separately), by API, method and status',
+    labelNames: ['api', 'method', 'status'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+});
+const todoistErrors = createCounter({
+    name: 'todoist_api_errors_total',
+    help: 'Failed Todoist API request attempts, by API and reason (HTTP status or network error code)',
+    labelNames: ['api', 'reason'],
+});
+const notificationDeliveries = createCounter({
+    name: 'todoist_notification_deliveries_total',
+    help: 'Due digests delivered by this process, by channel and status (sent, failed)',
+    labelNames: ['channel', 'status'],
+});
+const httpRequests = createCounter({
+    name: 'http_requests_total',
+    help: 'HTTP requests served, by method, route and status',
+    labelNames: ['method', 'route', 'status'],
+});
+const httpDuration = createHistogram({
+    name: 'http_request_duration_seconds',
+    help: 'Duration of HTTP requests, by method and route',
+    labelNames: ['method', 'route'],
+});
+const mongoUp = createGauge({
+    name: 'mongodb_up',
+    help: 'Whether the MongoDB connection is open (1) or not (0)',
+    collect: () => mongoUp.set({}, isConnected() ? 1 : 0),
+});
+
+// Record a finished sync (status success or failed); counts are the created / updated / deleted tasks
+function recordSyncRun({ source, status, durationMs, counts = null }) {
+    syncRuns.inc({ source, status });
+    syncDuration.observe({ source }, durationMs / 1000);
+    if (status === 'success') {
+        lastSyncSuccess.set({ source }, Math.floor(Date.now() / 1000));
+    }
+    if (counts) {
+        for (const action of ['created', 'updated', 'deleted']) {
+            syncTaskChanges.inc({ source, action }, counts[action] || 0);
+        }
+    }
+}
+
+// Record one Todoist API request attempt (api: rest or sync); error is set for failed attempts
+function recordTodoistRequest({ api, method, durationMs, status, error = null }) {
+    todoistRequestDuration.observe({ api, method, status: status || 'error' }, durationMs / 1000);
+    if (error) {
+        todoistErrors.inc({ api, reason: error.response ? String(error.response.status) : error.code || 'unknown' });
+    }
+}
+
+// Record one due digest delivery attempt (status sent or failed)
+function recordNotificationDelivery({ channel, status }) {
+    notificationDeliveries.inc({ channel, status });
+}
+
+/**
+ * Express middleware recording every request once its response is done (or the client went away)
+ * Requests are labeled with their route pattern (e.g. /tasks/:id), or "unmatched", to keep series few
+ */
+function httpMetrics(req, res, next) {
+    const startedAt = process.hrtime.bigint();
+    res.on('close', () => {
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        httpDuration.observe({ method: req.method, route }, seconds);
+    });
+    next();
+}
+
+module.exports = {
+    recordSyncRun,
+    recordTodoistRequest,
+    recordNotificationDelivery,
+    httpMetrics,
+};
@@ -0,0 +1,120 @@
+// Prometheus - Minimal metrics registry (counters, gauges, histograms) rendered in the Prometheus text format
+
+// Registered metrics, in registration order
+const registry = new Map();
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Escape a label value for the text format
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+// Render a label set as {a="1",b="2"} (empty string without labels)
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Key of a label set, so the same labels always land in the same series
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map((name) => String(labels[name] ?? '')));
+}
+
+// Pick the declared labels, in declaration order
+function pickLabels(labelNames, labels) {
+    return Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? '']));
+}
+
+/**
+ * Registers a metric; names must be unique
+ * type is counter, gauge or histogram; collect (optional) refreshes gauges right before rendering
+ */
+function register(type, { name, help, labelNames = [], buckets = DEFAULT_BUCKETS, collect = null }) {
+    if (registry.has(name)) {
+        throw new Error(`Metric ${name} is already registered`);
+    }
+    const metric = { type, name, help, labelNames, buckets, collect, series: new Map() };
+    registry.set(name, metric);
+
+    // Get (or start) the series of a label set
+    const getSeries = (labels) => {
+        const key = seriesKey(labelNames, labels);
+        if (!metric.series.has(key)) {
+            metric.series.set(key, {
+                labels: pickLabels(labelNames, labels),
+                value: 0,
+                ...(type === 'histogram' && { counts: buckets.map(() => 0), sum: 0, count: 0 }),
+            });
+        }
+        return metric.series.get(key);
+    };
+    return { metric, getSeries };
+}
+
+// Counter: a value that only goes up
+function createCounter(options) {
+    const { getSeries } = register('counter', options);
+    return {
+        inc: (labels = {}, amount = 1) => {
+            getSeries(labels).value += amount;
+        },
+    };
+}
+
+// Gauge: a value that can go up and down
+function createGauge(options) {
+    const { getSeries } = register('gauge', options);
+    return {
+        set: (labels, value) => {
+            getSeries(labels).value = value;
+        },
+    };
+}
+
+// Histogram: observations counted into cumulative buckets, with their sum and count
+function createHistogram(options) {
+    const { metric, getSeries } = register('histogram', options);
+    return {
+        observe: (labels, value) => {
+            const series = getSeries(labels);
+            metric.buckets.forEach((bound, index) => {
+                if (value <= bound) series.counts[index] += 1;
+            });
+            series.sum += value;
+            series.count += 1;
+        },
+    };
+}
+
+// Render the lines of one metric
+function renderMetric({ type, name, help, buckets, series }) {
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+    for (const { labels, value, counts, sum, count } of series.values()) {
+        if (type !== 'histogram') {
+            lines.push(`${name}${formatLabels(labels)} ${value}`);
+            continue;
+        }
+        buckets.forEach((bound, index) => {
+            lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines.join('\n');
+}
+
+// Render every registered metric, running their collect hooks first
+async function renderMetrics() {
+    for (const metric of registry.values()) {
+        if (metric.collect) await metric.collect();
+    }
+    return `${[...registry.values()].map(renderMetric).join('\n')}\n`;
+}
+
+module.exports = {
+    CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+    createCounter,
+    createGauge,
+    createHistogram,
+    renderMetrics,
+};
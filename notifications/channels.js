@@ -0,0 +1,72 @@
+// Notification Channels - Where due digests are delivered: an outgoing JSON webhook and SMTP email
+// Webhook env vars: NOTIFY_WEBHOOK_URL (e.g. a Slack incoming webhook), NOTIFY_WEBHOOK_TIMEOUT_MS
+// Email env vars: SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD, NOTIFY_EMAIL_FROM, NOTIFY_EMAIL_TO
+// A channel is used once its required settings are present
+
+const axios = require('axios');
+const { sendMail } = require('./smtpClient');
+
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+
+// Comma separated list from an env var
+const toList = (value) =>
+    (value || '')
+        .split(',')
+        .map((item) => item.trim())
+        .filter(Boolean);
+
+/**
+ * Channel settings from the environment; tests and the CLI can pass overrides
+ * (e.g. a local stand-in server) for either channel
+ */
+function getChannelSettings(env = process.env, overrides = {}) {
+    return {
+        webhook: {
+            url: env.NOTIFY_WEBHOOK_URL || '',
+            timeoutMs: Number(env.NOTIFY_WEBHOOK_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+            ...overrides.webhook,
+        },
+        email: {
+            host: env.SMTP_HOST || '',
+            port: Number(env.SMTP_PORT) || undefined,
+            secure: env.SMTP_SECURE === 'true',
+            user: env.SMTP_USER || '',
+            password: env.SMTP_PASSWORD || '',
+            from: env.NOTIFY_EMAIL_FROM || env.SMTP_USER || '',
+            to: toList(env.NOTIFY_EMAIL_TO),
+            ...overrides.email,
+        },
+    };
+}
+
+/**
+ * Channels with the given settings: { name, isConfigured(), send({ subject, text, digest }) }
+ * send() rejects when delivery fails
+ */
+function createChannels(settings = getChannelSettings()) {
+    const { webhook, email } = settings;
+    return [
+        {
+            name: 'webhook',
+            isConfigured: () => Boolean(webhook.url),
+            // Slack-compatible: `text` is shown; other receivers can read the structured `digest`
+            send: async ({ text, digest }) => {
+                await axios.post(webhook.url, { text, digest }, { timeout: webhook.timeoutMs });
+            },
+        },
+        {
+            name: 'email',
+            isConfigured: () => Boolean(email.host && email.from && email.to.length > 0),
+            send: ({ subject, text }) => sendMail({ ...email, subject, text }),
+        },
+    ];
+}
+
+// The configured channels, from the environment
+const getConfiguredChannels = (settings) => createChannels(settings).filter((channel) => channel.isConfigured());
+
+module.exports = {
+    getChannelSettings,
+    createChannels,
+    getConfiguredChannels,
+};
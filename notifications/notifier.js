@@ -0,0 +1,152 @@
+// Notifier - Delivers digests of overdue and due-soon tasks to the configured channels (see channels.js)
+// Optional env vars: NOTIFY_TIMEZONE (default UTC, decides when all-day tasks are overdue),
+// NOTIFY_DUE_SOON_HOURS (default 24: how far ahead tasks count as due soon)
+// Each channel announces a task once per due: tasks already announced there are left out of later digests
+
+const TaskNotification = require('../database/taskNotificationSchema');
+const { collectDueTasks, buildDueDigest } = require('../database/dueDigest');
+const { repositoryFor } = require('../database/repositories');
+const { recordNotificationDelivery } = require('../monitoring/metrics');
+const { getConfiguredChannels } = require('./channels');
+
+const DEFAULT_DUE_SOON_HOURS = 24;
+
+const notificationRepository = repositoryFor(TaskNotification);
+
+/**
+ * Digest settings from the environment: { timezone, windowHours }
+ * Throws when NOTIFY_TIMEZONE or NOTIFY_DUE_SOON_HOURS is invalid
+ */
+function getNotificationSettings(env = process.env) {
+    const timezone = env.NOTIFY_TIMEZONE || 'UTC';
+    const windowHours = env.NOTIFY_DUE_SOON_HOURS ? Number(env.NOTIFY_DUE_SOON_HOURS) : DEFAULT_DUE_SOON_HOURS;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch {
+        throw new Error(`Unknown NOTIFY_TIMEZONE "${timezone}" (use an IANA name such as Europe/Berlin)`);
+    }
+    if (!Number.isFinite(windowHours) || windowHours < 0) {
+        throw new Error(`NOTIFY_DUE_SOON_HOURS must be a number of hours, got "${env.NOTIFY_DUE_SOON_HOURS}"`);
+    }
+    return { timezone, windowHours };
+}
+
+// Todoist shows priority 4 as p1
+const priorityLabel = (priority) => `P${5 - priority}`;
+
+/**
+ * Subject and plain text of a digest; the text uses Slack's *bold*, which reads fine in email too
+ */
+function formatDigest(digest) {
+    const counts = [
+        digest.overdue > 0 && `${digest.overdue} overdue`,
+        digest.due_soon > 0 && `${digest.due_soon} due within ${digest.window_hours}h`,
+    ].filter(Boolean);
+    const subject = `Todoist tasks for ${digest.account}: ${counts.join(', ') || 'nothing overdue or due soon'}`;
+
+    const lines = [`*${subject}*`];
+    for (const project of digest.projects) {
+        lines.push('', `*${project.name || 'No project'}*`);
+        for (const { priority, tasks } of project.priorities) {
+            for (const task of tasks) {
+                const due = task.status === 'overdue' ? `overdue since ${task.due}` : `due ${task.due}`;
+                lines.push(`- [${priorityLabel(priority)}] ${task.content} (${due})`);
+            }
+        }
+    }
+    return { subject, text: lines.join('\n') };
+}
+
+// Record that the tasks were announced on a channel (kept once per task and due)
+async function recordNotifications(accountId, channelName, dueTasks, sentAt) {
+    await notificationRepository.bulkApply(
+        dueTasks.map(({ task, status, due_key: dueKey }) => ({
+            updateOne: {
+                filter: { account_id: accountId, channel: channelName, task_id: task._id, due_key: dueKey },
+                update: { $setOnInsert: { todoid: task.todoid || '', status, sent_at: sentAt } },
+                upsert: true,
+            },
+        }))
+    );
+}
+
+/**
+ * Sends each configured channel a digest of the account's due tasks it has not announced yet
+ * - now: the moment to compare dues with (default: now)
+ * - dryRun: only report what would be sent
+ * - settings, channels: override getNotificationSettings() and the configured channels
+ * Returns { overdue, due_soon, channels: [{ channel, status, tasks, error }] }, where status is
+ * sent, failed, skipped (nothing new) or pending (dry run); a failed channel does not stop the others
+ */
+async function sendDueDigests(
+    account,
+    { now = new Date(), dryRun = false, settings = getNotificationSettings(), channels = getConfiguredChannels() } = {}
+) {
+    const { timezone, windowHours } = settings;
+    const dueTasks = await collectDueTasks(account._id, { timezone, windowHours, now });
+    const taskIds = dueTasks.map(({ task }) => task._id);
+
+    const results = [];
+    for (const channel of channels) {
+        const announced = await notificationRepository.find(
+            { account_id: account._id, channel: channel.name, task_id: { $in: taskIds } },
+            { select: 'task_id due_key' }
+        );
+        const announcedKeys = new Set(announced.map(({ task_id: taskId, due_key: dueKey }) => `${taskId}:${dueKey}`));
+        const pending = dueTasks.filter(({ task, due_key: dueKey }) => !announcedKeys.has(`${task._id}:${dueKey}`));
+
+        const result = { channel: channel.name, status: 'skipped', tasks: pending.length, error: null };
+        results.push(result);
+        if (pending.length === 0) continue;
+        if (dryRun) {
+            result.status = 'pending';
+            continue;
+        }
+
+        const digest = await buildDueDigest(account, pending, { timezone, windowHours, now });
+        try {
+            await channel.send({ ...formatDigest(digest), digest });
+        } catch (error) {
+            console.error(`❌ Failed to send the due digest of ${account.name} by ${channel.name}:`, error.message);
+            recordNotificationDelivery({ channel: channel.name, status: 'failed' });
+            Object.assign(result, { status: 'failed', error: error.message });
+            continue;
+        }
+        recordNotificationDelivery({ channel: channel.name, status: 'sent' });
+        await recordNotifications(account._id, channel.name, pending, now);
+        result.status = 'sent';
+        console.log(`📣 Sent ${pending.length} due tasks of ${account.name} by ${channel.name}`);
+    }
+
+    return {
+        overdue: dueTasks.filter(({ status }) => status === 'overdue').length,
+        due_soon: dueTasks.filter(({ status }) => status === 'due_soon').length,
+        channels: results,
+    };
+}
+
+/**
+ * Sends a short test message to each configured channel, to check its settings (nothing is recorded)
+ * Returns [{ channel, status: sent | failed, error }]
+ */
+async function sendTestNotifications(account, { channels = getConfiguredChannels() } = {}) {
+    const subject = `Test notification for ${account.name}`;
+    const text = `*${subject}*\nDue task digests for this account will be delivered here.`;
+    return Promise.all(
+        channels.map(async (channel) => {
+            try {
+                await channel.send({ subject, text, digest: null });
+                return { channel: channel.name, status: 'sent', error: null };
+            } catch (error) {
+                return { channel: channel.name, status: 'failed', error: error.message };
+            }
+        })
+    );
+}
+
+module.exports = {
+    getNotificationSettings,
+    formatDigest,
+    sendDueDigests,
+    sendTestNotifications,
+};
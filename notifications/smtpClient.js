@@ -0,0 +1,203 @@
+// SMTP Client - Sends plain text email over SMTP: implicit TLS or STARTTLS, AUTH PLAIN or LOGIN
+// Just enough of RFC 5321 for notification digests, so no mail library is needed; works with any relay
+// and with a local stand-in server (plain connection, no auth)
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Reads SMTP replies from a socket: read() resolves with the next complete reply { code, lines }
+ * (continuation lines have a dash after the code, the last line a space)
+ */
+function createReplyReader(socket) {
+    let buffer = '';
+    let lines = [];
+    let failure = null;
+    const replies = [];
+    const waiting = [];
+
+    const settle = () => {
+        while (waiting.length > 0 && (replies.length > 0 || failure)) {
+            const { resolve, reject } = waiting.shift();
+            if (replies.length > 0) resolve(replies.shift());
+            else reject(failure);
+        }
+    };
+    const onData = (chunk) => {
+        buffer += chunk.toString('utf8');
+        let end;
+        while ((end = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, end).replace(/\r$/, '');
+            buffer = buffer.slice(end + 1);
+            lines.push(line.slice(4));
+            if (line.charAt(3) !== '-') {
+                replies.push({ code: Number(line.slice(0, 3)), lines });
+                lines = [];
+            }
+        }
+        settle();
+    };
+    const onError = (error) => {
+        failure = failure || error;
+        settle();
+    };
+    const onClose = () => onError(new Error('SMTP server closed the connection'));
+
+    socket.on('data', onData);
+    socket.on('error', onError);
+    socket.on('close', onClose);
+
+    return {
+        read: () =>
+            new Promise((resolve, reject) => {
+                waiting.push({ resolve, reject });
+                settle();
+            }),
+        // Stop reading, before the socket is handed over to TLS
+        detach: () => {
+            socket.off('data', onData);
+            socket.off('error', onError);
+            socket.off('close', onClose);
+        },
+    };
+}
+
+// SNI name of the host (not sent for IP addresses)
+const getServerName = (host) => (net.isIP(host) ? undefined : host);
+
+// Open a connection (TLS from the start when secure), failing after timeoutMs of inactivity
+function connect({ host, port, secure, timeoutMs, rejectUnauthorized }) {
+    return new Promise((resolve, reject) => {
+        const socket = secure
+            ? tls.connect({ host, port, servername: getServerName(host), rejectUnauthorized })
+            : net.connect({ host, port });
+        socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`SMTP server ${host}:${port} timed out`)));
+        socket.once('error', reject);
+        socket.once(secure ? 'secureConnect' : 'connect', () => {
+            socket.off('error', reject);
+            resolve(socket);
+        });
+    });
+}
+
+// Upgrade a plain connection to TLS after STARTTLS
+function startTls(socket, { host, timeoutMs, rejectUnauthorized }) {
+    return new Promise((resolve, reject) => {
+        const secureSocket = tls.connect({ socket, servername: getServerName(host), rejectUnauthorized });
+        secureSocket.setTimeout(timeoutMs, () => secureSocket.destroy(new Error(`SMTP server ${host} timed out`)));
+        secureSocket.once('error', reject);
+        secureSocket.once('secureConnect', () => {
+            secureSocket.off('error', reject);
+            resolve(secureSocket);
+        });
+    });
+}
+
+// Extensions from an EHLO reply (e.g. STARTTLS, AUTH PLAIN LOGIN), upper case
+const getExtensions = (reply) => reply.lines.slice(1).map((line) => line.toUpperCase());
+
+// The address of "Name <address>" or a bare address
+const getAddress = (value) => (/<([^>]+)>/.exec(value) || [null, value.trim()])[1];
+
+// RFC 2047 encoded word for header values that are not plain ASCII
+const encodeHeader = (value) =>
+    /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+
+// The message with headers; the body is base64 encoded, so no line can start with a dot
+function buildMessage({ from, to, subject, text }) {
+    const domain = getAddress(from).split('@')[1] || os.hostname();
+    const headers = [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+    ];
+    const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+    return `${headers.join('\r\n')}\r\n\r\n${body}`;
+}
+
+/**
+ * Sends one email
+ * - host, port (default 465 when secure, else 587), secure: TLS from the start (SMTPS)
+ * - startTls: upgrade with STARTTLS when the server offers it (default true)
+ * - user, password: AUTH PLAIN (or LOGIN when that is all the server offers); no auth without a user
+ * - from ("Name <address>" or an address), to: [addresses], subject, text
+ * Rejects with the failing command and the server's reply
+ */
+async function sendMail({
+    host,
+    port,
+    secure = false,
+    startTls: useStartTls = true,
+    user,
+    password = '',
+    from,
+    to,
+    subject,
+    text,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    rejectUnauthorized = true,
+}) {
+    const options = { host, port: port || (secure ? 465 : 587), secure, timeoutMs, rejectUnauthorized };
+    let socket = await connect(options);
+    let reader = createReplyReader(socket);
+
+    // Send a command (null just reads the greeting) and check the reply code; label names it in errors
+    const command = async (line, expectedCodes, label) => {
+        if (line !== null) socket.write(`${line}\r\n`);
+        const reply = await reader.read();
+        if (!expectedCodes.includes(reply.code)) {
+            throw new Error(`SMTP ${label} failed: ${reply.code} ${reply.lines.join(' ')}`);
+        }
+        return reply;
+    };
+    const hello = () => command(`EHLO ${os.hostname()}`, [250], 'EHLO');
+
+    try {
+        await command(null, [220], 'greeting');
+        let extensions = getExtensions(await hello());
+
+        if (!secure && useStartTls && extensions.includes('STARTTLS')) {
+            await command('STARTTLS', [220], 'STARTTLS');
+            reader.detach();
+            socket = await startTls(socket, options);
+            reader = createReplyReader(socket);
+            extensions = getExtensions(await hello());
+        }
+
+        if (user) {
+            const authMethods = extensions.find((extension) => extension.startsWith('AUTH '))?.split(' ') || [];
+            if (authMethods.includes('LOGIN') && !authMethods.includes('PLAIN')) {
+                await command('AUTH LOGIN', [334], 'AUTH');
+                await command(Buffer.from(user).toString('base64'), [334], 'AUTH');
+                await command(Buffer.from(password).toString('base64'), [235], 'AUTH');
+            } else {
+                const credentials = Buffer.from(`\0${user}\0${password}`).toString('base64');
+                await command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+            }
+        }
+
+        await command(`MAIL FROM:<${getAddress(from)}>`, [250], 'MAIL FROM');
+        for (const recipient of to) {
+            await command(`RCPT TO:<${getAddress(recipient)}>`, [250, 251], 'RCPT TO');
+        }
+        await command('DATA', [354], 'DATA');
+        await command(`${buildMessage({ from, to, subject, text })}.`, [250], 'DATA');
+        await command('QUIT', [221], 'QUIT').catch(() => {});
+    } finally {
+        socket.destroy();
+    }
+}
+
+module.exports = {
+    sendMail,
+    buildMessage,
+};
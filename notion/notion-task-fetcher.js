@@ -0,0 +1,292 @@
+// Notion Task Fetcher - Handles all Notion API interactions
+// Requires env vars: NOTION_API_TOKEN, NOTION_DATABASE_ID
+// Optional env vars: NOTION_API_BASE_URL, NOTION_PROPERTY_MAP, NOTION_TIMEOUT_MS (default 30000)
+
+require('dotenv').config();
+const axios = require('axios');
+
+const DEFAULT_BASE_URL = 'https://api.notion.com/v1';
+const NOTION_VERSION = '2022-06-28';
+
+// Notion property names and types used for each Task field
+const DEFAULT_PROPERTY_MAP = {
+    content: { name: 'Name', type: 'title' },
+    description: { name: 'Description', type: 'rich_text' },
+    is_completed: { name: 'Done', type: 'checkbox' },
+    labels: { name: 'Labels', type: 'multi_select' },
+    priority: { name: 'Priority', type: 'select' },
+    due: { name: 'Due', type: 'date' },
+    project: { name: 'Project', type: 'select' },
+};
+
+// Status names treated as completed when the completion property is a status
+const DONE_STATUSES = ['done', 'complete', 'completed'];
+
+/**
+ * Builds the Notion configuration from env vars, with optional overrides
+ * so tests can point the client at a local mock server
+ */
+function getNotionConfig(overrides = {}) {
+    let propertyMap = DEFAULT_PROPERTY_MAP;
+    if (process.env.NOTION_PROPERTY_MAP) {
+        propertyMap = { ...DEFAULT_PROPERTY_MAP, ...JSON.parse(process.env.NOTION_PROPERTY_MAP) };
+    }
+
+    const config = {
+        baseUrl: process.env.NOTION_API_BASE_URL || DEFAULT_BASE_URL,
+        token: process.env.NOTION_API_TOKEN,
+        databaseId: process.env.NOTION_DATABASE_ID,
+        timeout: Number(process.env.NOTION_TIMEOUT_MS) || 30000,
+        propertyMap,
+        ...overrides,
+    };
+
+    if (!config.token) {
+        throw new Error('NOTION_API_TOKEN is not set in .env file');
+    }
+    if (!config.databaseId) {
+        throw new Error('NOTION_DATABASE_ID is not set in .env file');
+    }
+
+    return config;
+}
+
+// Build request headers for the Notion API
+function notionHeaders(config) {
+    return {
+        Authorization: `Bearer ${config.token}`,
+        'Notion-Version': NOTION_VERSION,
+        'Content-Type': 'application/json',
+    };
+}
+
+/**
+ * Reads a Notion property value into a plain JS value based on its type
+ */
+function readProperty(property) {
+    if (!property) return null;
+
+    switch (property.type) {
+        case 'title':
+        case 'rich_text':
+            return (property[property.type] || []).map((part) => part.plain_text).join('');
+        case 'checkbox':
+            return Boolean(property.checkbox);
+        case 'multi_select':
+            return (property.multi_select || []).map((option) => option.name);
+        case 'select':
+        case 'status':
+            return property[property.type]?.name || null;
+        case 'number':
+            return property.number;
+        case 'date':
+            return property.date?.start || null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Converts a Notion priority value to Todoist priority (4 = urgent, 1 = normal)
+ * Accepts a number, or a select name like "P1".."P4" as shown in the Todoist UI; anything else is normal
+ */
+function parsePriority(value) {
+    if (typeof value === 'number' && [1, 2, 3, 4].includes(value)) {
+        return value;
+    }
+    const match = /^p?([1-4])$/i.exec(String(value || '').trim());
+    return match ? 5 - Number(match[1]) : 1;
+}
+
+/**
+ * Maps a Notion page to a flat task object with the same field names
+ * as the Task schema, so it can go through the shared check/sync flow
+ */
+function mapNotionPageToTask(page, propertyMap = DEFAULT_PROPERTY_MAP) {
+    const properties = page.properties || {};
+    const read = (field) => readProperty(properties[propertyMap[field].name]);
+
+    const completedValue = read('is_completed');
+    const isCompleted =
+        typeof completedValue === 'string'
+            ? DONE_STATUSES.includes(completedValue.toLowerCase())
+            : Boolean(completedValue);
+
+    const due = read('due');
+    const hasTime = typeof due === 'string' && due.includes('T');
+
+    return {
+        id: page.id,
+        content: read('content') || '',
+        description: read('description') || '',
+        is_completed: isCompleted,
+        labels: read('labels') || [],
+        priority: parsePriority(read('priority')),
+        due_date: due,
+        due_time: hasTime ? new Date(due).toISOString() : '',
+        project_id: read('project') || '',
+        url: page.url || '',
+        created_at: page.created_time,
+        updated_at: page.last_edited_time,
+        completed_at: isCompleted ? page.last_edited_time : null,
+    };
+}
+
+/**
+ * Builds Notion page properties from a Task-shaped object
+ * Only fields present on the task are written
+ */
+function buildNotionProperties(task, propertyMap = DEFAULT_PROPERTY_MAP) {
+    const properties = {};
+    const write = (field, value) => {
+        const { name, type } = propertyMap[field];
+        switch (type) {
+            case 'title':
+            case 'rich_text':
+                properties[name] = { [type]: [{ type: 'text', text: { content: String(value || '') } }] };
+                break;
+            case 'checkbox':
+                properties[name] = { checkbox: Boolean(value) };
+                break;
+            case 'multi_select':
+                properties[name] = { multi_select: (value || []).map((label) => ({ name: label })) };
+                break;
+            case 'select':
+            case 'status':
+                properties[name] = { [type]: value ? { name: String(value) } : null };
+                break;
+            case 'number':
+                properties[name] = { number: value };
+                break;
+            case 'date':
+                properties[name] = { date: value ? { start: value } : null };
+                break;
+        }
+    };
+
+    if (task.content !== undefined) write('content', task.content);
+    if (task.description !== undefined) write('description', task.description);
+    if (task.is_completed !== undefined) {
+        if (propertyMap.is_completed.type === 'status') {
+            write('is_completed', task.is_completed ? 'Done' : 'Not started');
+        } else {
+            write('is_completed', task.is_completed);
+        }
+    }
+    if (task.labels !== undefined) write('labels', task.labels);
+    if (task.priority !== undefined) {
+        write('priority', propertyMap.priority.type === 'number' ? task.priority : `P${5 - task.priority}`);
+    }
+    if (task.due_date !== undefined) {
+        const due = task.due_time || (task.due_date ? new Date(task.due_date).toISOString().slice(0, 10) : null);
+        write('due', due);
+    }
+    if (task.project_id !== undefined) write('project', task.project_id);
+
+    return properties;
+}
+
+// Fetch every page in the configured Notion database, following pagination
+async function queryDatabasePages(config = getNotionConfig()) {
+    try {
+        const pages = [];
+        let cursor;
+
+        do {
+            const response = await axios.post(
+                `${config.baseUrl}/databases/${config.databaseId}/query`,
+                { page_size: 100, ...(cursor && { start_cursor: cursor }) },
+                { headers: notionHeaders(config), timeout: config.timeout }
+            );
+            pages.push(...(response.data.results || []));
+            cursor = response.data.has_more ? response.data.next_cursor : null;
+        } while (cursor);
+
+        console.log(`📋 Found ${pages.length} Notion pages`);
+        return pages;
+    } catch (error) {
+        console.error('❌ Error querying Notion database:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+// Fetch all tasks from the Notion database, mapped to Task field names
+async function fetchNotionTasks(config = getNotionConfig()) {
+    console.log('\n═══════════════ 🔄 Notion Fetch Started ═══════════════');
+    const pages = await queryDatabasePages(config);
+    const tasks = pages.filter((page) => !page.archived).map((page) => mapNotionPageToTask(page, config.propertyMap));
+    console.log(`✅ Successfully fetched ${tasks.length} Notion tasks`);
+    console.log('═══════════════════════════════════════════════════\n');
+    return tasks;
+}
+
+// Create a page in the Notion database from a Task-shaped object
+async function createNotionPage(task, config = getNotionConfig()) {
+    try {
+        const response = await axios.post(
+            `${config.baseUrl}/pages`,
+            {
+                parent: { database_id: config.databaseId },
+                properties: buildNotionProperties(task, config.propertyMap),
+            },
+            { headers: notionHeaders(config), timeout: config.timeout }
+        );
+        return mapNotionPageToTask(response.data, config.propertyMap);
+    } catch (error) {
+        console.error('❌ Error creating Notion page:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+// Update an existing Notion page from a (partial) Task-shaped object
+async function updateNotionPage(pageId, task, config = getNotionConfig()) {
+    try {
+        const response = await axios.patch(
+            `${config.baseUrl}/pages/${pageId}`,
+            { properties: buildNotionProperties(task, config.propertyMap) },
+            { headers: notionHeaders(config), timeout: config.timeout }
+        );
+        return mapNotionPageToTask(response.data, config.propertyMap);
+    } catch (error) {
+        console.error('❌ Error updating Notion page:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+// Archive a Notion page (Notion has no hard delete through the API)
+async function archiveNotionPage(pageId, config = getNotionConfig()) {
+    try {
+        await axios.patch(
+            `${config.baseUrl}/pages/${pageId}`,
+            { archived: true },
+            { headers: notionHeaders(config), timeout: config.timeout }
+        );
+    } catch (error) {
+        console.error('❌ Error archiving Notion page:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+// Export functions
+module.exports = {
+    getNotionConfig,
+    fetchNotionTasks,
+    queryDatabasePages,
+    createNotionPage,
+    updateNotionPage,
+    archiveNotionPage,
+    mapNotionPageToTask,
+    buildNotionProperties,
+};
+
+// Allow direct execution for testing
+if (require.main === module) {
+    fetchNotionTasks()
+        .then((tasks) => {
+            console.log('Fetched Tasks:', JSON.stringify(tasks, null, 2));
+        })
+        .catch((error) => {
+            console.error(error.message);
+            process.exit(1);
+        });
+}
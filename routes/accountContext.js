@@ -0,0 +1,51 @@
+// Account Context - Resolves the calling account for task, project and label routes
+
+const Account = require('../database/accountSchema');
+const { findAccount, getDefaultAccount } = require('../database/accounts');
+const { repositoryFor } = require('../database/repositories');
+
+const accountRepository = repositoryFor(Account);
+
+/**
+ * Express middleware that sets req.account
+ * Keys limited to an account (req.apiKey.account_id) always use that account.
+ * Deployment-wide keys pick one with the X-Account-Id header (account _id or name),
+ * or use the default account when no header is sent.
+ */
+async function resolveAccount(req, res, next) {
+    const requested = req.get('X-Account-Id');
+    const boundAccountId = req.apiKey?.account_id;
+
+    try {
+        let account;
+        if (boundAccountId) {
+            account = await accountRepository.findOne({ _id: boundAccountId, is_active: true });
+            if (account && requested && ![String(account._id), account.name].includes(requested)) {
+                return res.status(403).json({
+                    status: 'error',
+                    error: 'Account not allowed',
+                    details: `This API key can only access the "${account.name}" account`,
+                });
+            }
+        } else {
+            account = requested ? await findAccount(requested) : await getDefaultAccount();
+        }
+
+        if (!account || !account.is_active) {
+            return res.status(404).json({
+                status: 'error',
+                error: 'Account not found',
+                details: requested ? `No active account "${requested}"` : 'The account is not set up or inactive',
+            });
+        }
+        req.account = account;
+        next();
+    } catch (error) {
+        console.error('Error resolving account:', error);
+        res.status(500).json({ status: 'error', error: 'Error resolving account', details: error.message });
+    }
+}
+
+module.exports = {
+    resolveAccount,
+};
@@ -0,0 +1,145 @@
+// Account Routes - Manages the Todoist accounts synced by this deployment
+// All routes need a deployment-wide admin API key (see auth.js)
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Account = require('../database/accountSchema');
+const { encryptToken } = require('../database/accounts');
+const { validateSyncRules } = require('../database/syncRules');
+const { repositoryFor } = require('../database/repositories');
+const { createTodoistClient, withTodoistClient } = require('../todoist/todoist-client');
+const { fetchTodoistUser } = require('../todoist/todoist-task-fetcher');
+const { requireDeploymentAdmin } = require('./auth');
+
+const accountRepository = repositoryFor(Account);
+
+router.use(requireDeploymentAdmin);
+
+// Response form of an account, through the schema's toJSON (which drops the token)
+const toAccountJSON = (account) => Account.hydrate(account).toJSON();
+
+/**
+ * Checks a Todoist token by fetching its user
+ * Returns the Todoist user ID, or null if Todoist rejects the token
+ */
+async function verifyTodoistToken(token) {
+    try {
+        const user = await withTodoistClient(createTodoistClient({ token }), fetchTodoistUser);
+        return String(user.id);
+    } catch (error) {
+        if ([401, 403].includes(error.response?.status)) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Validate account fields from a request body (name and token are required on create)
+function validateAccountInput(body = {}, { partial = false } = {}) {
+    const errors = [];
+    if ((!partial || body.name !== undefined) && (typeof body.name !== 'string' || body.name.trim() === '')) {
+        errors.push('name is required and must be a non-empty string');
+    }
+    if (
+        (!partial || body.todoist_token !== undefined) &&
+        (typeof body.todoist_token !== 'string' || body.todoist_token.trim() === '')
+    ) {
+        errors.push('todoist_token is required and must be a non-empty string');
+    }
+    if (body.is_active !== undefined && typeof body.is_active !== 'boolean') {
+        errors.push('is_active must be a boolean');
+    }
+    if (body.sync_rules !== undefined) {
+        errors.push(...validateSyncRules(body.sync_rules));
+    }
+    return errors;
+}
+
+// Respond 400 when Todoist does not accept a token
+function sendTokenRejected(res) {
+    res.status(400).json({ status: 'error', error: 'Invalid account', details: 'Todoist rejected the token' });
+}
+
+// GET /accounts - Get all accounts (tokens are never returned)
+router.get('/', async (req, res) => {
+    try {
+        const accounts = await accountRepository.find({}, { sort: { created_at: 1 } });
+        res.json(accounts.map(toAccountJSON));
+    } catch (error) {
+        console.error('Error fetching accounts:', error);
+        res.status(500).json({ error: 'Error fetching accounts' });
+    }
+});
+
+// POST /accounts - Add an account with its Todoist token
+router.post('/', async (req, res) => {
+    const errors = validateAccountInput(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ status: 'error', error: 'Invalid account', details: errors });
+    }
+
+    try {
+        const { name, todoist_token: token, is_active = true, sync_rules = null } = req.body;
+        const todoistUserId = await verifyTodoistToken(token);
+        if (!todoistUserId) {
+            return sendTokenRejected(res);
+        }
+
+        const account = await accountRepository.insert({
+            name: name.trim(),
+            todoist_token: encryptToken(token),
+            todoist_user_id: todoistUserId,
+            is_active,
+            sync_rules,
+        });
+        res.status(201).json({ status: 'success', account: toAccountJSON(account) });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ status: 'error', error: 'An account with that name already exists' });
+        }
+        console.error('Error creating account:', error);
+        res.status(500).json({ status: 'error', error: 'Error creating account', details: error.message });
+    }
+});
+
+// PATCH /accounts/:id - Rename an account, replace its token, (de)activate it, or set its sync rules
+router.patch('/:id', async (req, res) => {
+    const errors = validateAccountInput(req.body, { partial: true });
+    if (errors.length > 0) {
+        return res.status(400).json({ status: 'error', error: 'Invalid account', details: errors });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ status: 'error', error: 'Account not found' });
+    }
+
+    try {
+        const { name, todoist_token: token, is_active, sync_rules } = req.body;
+        const update = { updated_at: new Date() };
+        if (name !== undefined) update.name = name.trim();
+        if (is_active !== undefined) update.is_active = is_active;
+        if (sync_rules !== undefined) update.sync_rules = sync_rules;
+        if (token !== undefined) {
+            const todoistUserId = await verifyTodoistToken(token);
+            if (!todoistUserId) {
+                return sendTokenRejected(res);
+            }
+            update.todoist_token = encryptToken(token);
+            update.todoist_user_id = todoistUserId;
+        }
+
+        const account = await accountRepository.findOneAndUpdate({ _id: req.params.id }, { $set: update });
+        if (!account) {
+            return res.status(404).json({ status: 'error', error: 'Account not found' });
+        }
+        res.json({ status: 'success', account: toAccountJSON(account) });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ status: 'error', error: 'An account with that name already exists' });
+        }
+        console.error('Error updating account:', error);
+        res.status(500).json({ status: 'error', error: 'Error updating account', details: error.message });
+    }
+});
+
+module.exports = router;
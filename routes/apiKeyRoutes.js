@@ -0,0 +1,85 @@
+// API Key Routes - Manages HTTP API keys
+// All routes need a deployment-wide admin API key (see auth.js)
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const ApiKey = require('../database/apiKeySchema');
+const Account = require('../database/accountSchema');
+const { API_KEY_SCOPES, createApiKey } = require('../database/apiKeys');
+const { repositoryFor } = require('../database/repositories');
+const { requireDeploymentAdmin } = require('./auth');
+
+const apiKeyRepository = repositoryFor(ApiKey);
+const accountRepository = repositoryFor(Account);
+
+router.use(requireDeploymentAdmin);
+
+// Response form of an API key, through the schema's toJSON (which drops the hash)
+const toApiKeyJSON = (apiKey) => ApiKey.hydrate(apiKey).toJSON();
+
+// GET /api-keys - Get all API keys (hashes are never returned)
+router.get('/', async (req, res) => {
+    try {
+        const filter = req.query.include_revoked === 'true' ? {} : { revoked_at: null };
+        const apiKeys = await apiKeyRepository.find(filter, { sort: { created_at: -1 } });
+        res.json(apiKeys.map(toApiKeyJSON));
+    } catch (error) {
+        console.error('Error fetching API keys:', error);
+        res.status(500).json({ error: 'Error fetching API keys' });
+    }
+});
+
+// POST /api-keys - Create an API key; the key is only returned in this response
+router.post('/', async (req, res) => {
+    const { name, scope = 'read', account_id: accountId = null } = req.body || {};
+    const errors = [];
+    if (typeof name !== 'string' || name.trim() === '') {
+        errors.push('name is required and must be a non-empty string');
+    }
+    if (!API_KEY_SCOPES.includes(scope)) {
+        errors.push(`scope must be one of: ${API_KEY_SCOPES.join(', ')}`);
+    }
+    if (accountId !== null && !mongoose.isValidObjectId(accountId)) {
+        errors.push('account_id must be an account _id or null');
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ status: 'error', error: 'Invalid API key', details: errors });
+    }
+
+    try {
+        if (accountId && !(await accountRepository.findOne({ _id: accountId }, { select: '_id' }))) {
+            return res
+                .status(400)
+                .json({ status: 'error', error: 'Invalid API key', details: ['account_id does not exist'] });
+        }
+        const { key, apiKey } = await createApiKey({ name: name.trim(), scope, accountId });
+        res.status(201).json({ status: 'success', key, api_key: toApiKeyJSON(apiKey) });
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        res.status(500).json({ status: 'error', error: 'Error creating API key', details: error.message });
+    }
+});
+
+// DELETE /api-keys/:id - Revoke an API key
+router.delete('/:id', async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ status: 'error', error: 'API key not found' });
+    }
+
+    try {
+        const apiKey = await apiKeyRepository.findOneAndUpdate(
+            { _id: req.params.id, revoked_at: null },
+            { $set: { revoked_at: new Date() } }
+        );
+        if (!apiKey) {
+            return res.status(404).json({ status: 'error', error: 'API key not found' });
+        }
+        res.json({ status: 'success', api_key: toApiKeyJSON(apiKey) });
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        res.status(500).json({ status: 'error', error: 'Error revoking API key', details: error.message });
+    }
+});
+
+module.exports = router;
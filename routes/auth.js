@@ -0,0 +1,128 @@
+// Auth - API key authentication and scope checks for the HTTP API
+// Keys are sent as "Authorization: Bearer <key>" or "X-API-Key: <key>" (create one with database/apiKeys.js);
+// calendar feeds (.ics) and the task stream also accept ?api_key=<key>, since calendar apps and browser
+// EventSource clients cannot send headers
+
+const ApiKey = require('../database/apiKeySchema');
+const {
+    API_KEY_SCOPES,
+    findApiKey,
+    getAuthFailures,
+    getBlockedUntil,
+    recordAuthFailure,
+    clearAuthFailures,
+} = require('../database/apiKeys');
+const { repositoryFor } = require('../database/repositories');
+
+const apiKeyRepository = repositoryFor(ApiKey);
+
+// last_used_at is refreshed at most this often per key
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+// GET paths that accept ?api_key: calendar feeds and the task stream
+const QUERY_KEY_PATHS = [/\.ics$/, /^\/tasks\/stream$/];
+
+// Read the presented key from the Authorization or X-API-Key header (or ?api_key, see QUERY_KEY_PATHS)
+function getPresentedKey(req) {
+    const authorization = req.get('Authorization') || '';
+    if (authorization.startsWith('Bearer ')) {
+        return authorization.slice('Bearer '.length).trim();
+    }
+    if (req.get('X-API-Key')) {
+        return req.get('X-API-Key');
+    }
+    const acceptsQueryKey = QUERY_KEY_PATHS.some((pattern) => pattern.test(req.baseUrl + req.path));
+    if (req.method === 'GET' && acceptsQueryKey && typeof req.query.api_key === 'string') {
+        return req.query.api_key;
+    }
+    return null;
+}
+
+/**
+ * Express middleware that requires a valid API key and sets req.apiKey
+ * Failed attempts are counted per client IP; once an IP has too many, its requests are refused
+ * with 429 until the lockout ends. They are not counted per key: the key prefix is public, so
+ * anyone knowing it could otherwise lock the key's owner out
+ */
+async function authenticate(req, res, next) {
+    const presented = getPresentedKey(req);
+    const throttleKeys = [`ip:${req.ip}`];
+
+    try {
+        const failures = await getAuthFailures(throttleKeys);
+        const blockedUntil = getBlockedUntil(failures);
+        if (blockedUntil) {
+            res.set('Retry-After', String(Math.ceil((blockedUntil.getTime() - Date.now()) / 1000)));
+            return res.status(429).json({
+                status: 'error',
+                error: 'Too many failed authentication attempts',
+                details: `Try again after ${blockedUntil.toISOString()}`,
+            });
+        }
+
+        if (!presented) {
+            return res.status(401).json({
+                status: 'error',
+                error: 'Authentication required',
+                details: 'Send an API key as "Authorization: Bearer <key>" or "X-API-Key: <key>"',
+            });
+        }
+
+        const apiKey = await findApiKey(presented);
+        if (!apiKey) {
+            await recordAuthFailure(throttleKeys);
+            return res.status(401).json({ status: 'error', error: 'Invalid API key' });
+        }
+
+        if (failures.length > 0) {
+            await clearAuthFailures(throttleKeys);
+        }
+        if (!apiKey.last_used_at || Date.now() - apiKey.last_used_at.getTime() > LAST_USED_INTERVAL_MS) {
+            apiKeyRepository
+                .updateOne({ _id: apiKey._id }, { $set: { last_used_at: new Date() } })
+                .catch((error) => console.error('Failed to record API key use:', error.message));
+        }
+
+        req.apiKey = apiKey;
+        next();
+    } catch (error) {
+        console.error('Error authenticating request:', error);
+        res.status(500).json({ status: 'error', error: 'Error authenticating request', details: error.message });
+    }
+}
+
+// Express middleware factory: the API key needs at least the given scope (read < admin)
+function requireScope(scope) {
+    return (req, res, next) => {
+        if (API_KEY_SCOPES.indexOf(req.apiKey?.scope) < API_KEY_SCOPES.indexOf(scope)) {
+            return res.status(403).json({
+                status: 'error',
+                error: 'Insufficient scope',
+                details: `This route needs an API key with the ${scope} scope`,
+            });
+        }
+        next();
+    };
+}
+
+// Admin scope: required by sync and write routes
+const requireAdmin = requireScope('admin');
+
+// Express middleware: a deployment-wide admin key (not limited to one account), for account and key management
+function requireDeploymentAdmin(req, res, next) {
+    if (req.apiKey?.scope !== 'admin' || req.apiKey.account_id) {
+        return res.status(403).json({
+            status: 'error',
+            error: 'Insufficient scope',
+            details: 'This route needs a deployment-wide API key with the admin scope',
+        });
+    }
+    next();
+}
+
+module.exports = {
+    authenticate,
+    requireScope,
+    requireAdmin,
+    requireDeploymentAdmin,
+};
@@ -0,0 +1,101 @@
+// Health Routes - Liveness (/healthz) and readiness (/readyz) checks, and Prometheus metrics (/metrics)
+// The checks need no API key so load balancers and orchestrators can probe them; /metrics needs any valid key
+// Optional env var: READY_MAX_SYNC_AGE_MINUTES (/readyz fails once the last successful sync is older than this)
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const SyncRun = require('../database/syncRunSchema');
+const { getConnectionState, isConnected } = require('../database/config');
+const { getStorageBackend, repositoryFor } = require('../database/repositories');
+const { CONTENT_TYPE, renderMetrics } = require('../monitoring/prometheus');
+const { authenticate } = require('./auth');
+
+const PING_TIMEOUT_MS = 2000;
+
+const syncRunRepository = repositoryFor(SyncRun);
+
+// Ping MongoDB; resolves with whether it answered in time
+async function pingMongo() {
+    if (!isConnected()) return false;
+    let timer;
+    const timeout = new Promise((resolve) => {
+        timer = setTimeout(() => resolve(false), PING_TIMEOUT_MS);
+    });
+    try {
+        return await Promise.race([mongoose.connection.db.admin().ping().then(() => true), timeout]);
+    } catch {
+        return false;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Last successful sync of any account and source: { source, finished_at, age_seconds }, or null
+async function getLastSuccessfulSync() {
+    const run = await syncRunRepository.findOne(
+        { status: 'success' },
+        { sort: { finished_at: -1 }, select: 'source finished_at', maxTimeMS: PING_TIMEOUT_MS }
+    );
+    if (!run) return null;
+    return {
+        source: run.source,
+        finished_at: run.finished_at,
+        age_seconds: Math.round((Date.now() - run.finished_at.getTime()) / 1000),
+    };
+}
+
+// Storage backend, MongoDB state and last successful sync; the sync is unknown (undefined) while MongoDB
+// cannot be reached. The in-memory backend (STORAGE_BACKEND=memory) has no database to check.
+async function getHealth() {
+    const storage = getStorageBackend();
+    const storageReachable = storage === 'memory' || (await pingMongo());
+    const lastSync = storageReachable ? await getLastSuccessfulSync().catch(() => undefined) : undefined;
+    return {
+        storage,
+        ...(storage === 'mongo' && { mongodb: { state: getConnectionState(), reachable: storageReachable } }),
+        last_successful_sync: lastSync,
+        uptime_seconds: Math.round(process.uptime()),
+    };
+}
+
+// GET /healthz - Liveness: answers 200 while the process runs, reporting MongoDB and sync state
+router.get('/healthz', async (req, res) => {
+    res.json({ status: 'ok', ...(await getHealth()) });
+});
+
+// GET /readyz - Readiness: 503 while MongoDB cannot be reached (when used), or the last successful sync is
+// older than READY_MAX_SYNC_AGE_MINUTES (when set)
+router.get('/readyz', async (req, res) => {
+    const health = await getHealth();
+    const maxSyncAgeMinutes = Number(process.env.READY_MAX_SYNC_AGE_MINUTES);
+
+    const problems = [];
+    if (health.mongodb && !health.mongodb.reachable) {
+        problems.push(`MongoDB is not reachable (${health.mongodb.state})`);
+    } else if (maxSyncAgeMinutes > 0) {
+        const lastSync = health.last_successful_sync;
+        if (lastSync === undefined) {
+            problems.push('Could not read the sync history');
+        } else if (!lastSync || lastSync.age_seconds > maxSyncAgeMinutes * 60) {
+            problems.push(`No successful sync in the last ${maxSyncAgeMinutes} minutes`);
+        }
+    }
+
+    if (problems.length > 0) {
+        return res.status(503).json({ status: 'error', error: 'Not ready', details: problems.join('; '), ...health });
+    }
+    res.json({ status: 'ok', ...health });
+});
+
+// GET /metrics - Prometheus metrics of this process (see monitoring/metrics.js)
+router.get('/metrics', authenticate, async (req, res) => {
+    try {
+        res.type(CONTENT_TYPE).send(await renderMetrics());
+    } catch (error) {
+        console.error('Error rendering metrics:', error);
+        res.status(500).json({ status: 'error', error: 'Error rendering metrics', details: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,47 @@
+// Label Routes - Handles label endpoints for the calling account (req.account)
+
+const express = require('express');
+const router = express.Router();
+const Label = require('../database/labelSchema');
+const Task = require('../database/taskSchema');
+const { repositoryFor } = require('../database/repositories');
+
+const labelRepository = repositoryFor(Label);
+const taskRepository = repositoryFor(Task);
+
+// GET /labels - Get all labels with their active task counts
+router.get('/', async (req, res) => {
+    try {
+        const accountId = req.account._id;
+        const [labels, counts] = await Promise.all([
+            labelRepository.find({ account_id: accountId }, { sort: { order: 1 } }),
+            taskRepository.aggregate([
+                { $match: { account_id: accountId, is_completed: false, deleted_at: null } },
+                { $unwind: '$labels' },
+                { $group: { _id: '$labels', count: { $sum: 1 } } },
+            ]),
+        ]);
+        const countByLabel = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+        res.json(labels.map((label) => ({ ...label, active_task_count: countByLabel.get(label.name) || 0 })));
+    } catch (error) {
+        console.error('Error fetching labels:', error);
+        res.status(500).json({ error: 'Error fetching labels' });
+    }
+});
+
+// GET /labels/:name/tasks - Get active tasks with a label
+router.get('/:name/tasks', async (req, res) => {
+    try {
+        const tasks = await taskRepository.find(
+            { account_id: req.account._id, labels: req.params.name, is_completed: false, deleted_at: null },
+            { sort: { due_date: 1 }, populate: Task.relatedPaths({ comments: req.query.comments === 'true' }) }
+        );
+        res.json(tasks);
+    } catch (error) {
+        console.error('Error fetching label tasks:', error);
+        res.status(500).json({ error: 'Error fetching label tasks' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,150 @@
+// Notification Routes - Due task digests of the calling account (req.account): preview, send and test channels
+// Channels and settings come from the environment (see notifications/channels.js and notifier.js)
+// Sending needs an admin API key (see auth.js)
+
+const express = require('express');
+const router = express.Router();
+const TaskNotification = require('../database/taskNotificationSchema');
+const { collectDueTasks, buildDueDigest } = require('../database/dueDigest');
+const { repositoryFor } = require('../database/repositories');
+const {
+    getNotificationSettings,
+    formatDigest,
+    sendDueDigests,
+    sendTestNotifications,
+} = require('../notifications/notifier');
+const { getConfiguredChannels } = require('../notifications/channels');
+const { runWithSyncLock } = require('../scheduler/syncScheduler');
+const { sendSyncInProgress } = require('./taskRoutes');
+const { requireAdmin } = require('./auth');
+
+const notificationRepository = repositoryFor(TaskNotification);
+
+// Respond 400 when no channel is configured; returns the configured channels otherwise
+function getChannelsOrFail(res) {
+    const channels = getConfiguredChannels();
+    if (channels.length === 0) {
+        res.status(400).json({
+            status: 'error',
+            error: 'No notification channels configured',
+            details: 'Set NOTIFY_WEBHOOK_URL, or SMTP_HOST, NOTIFY_EMAIL_FROM and NOTIFY_EMAIL_TO',
+        });
+        return null;
+    }
+    return channels;
+}
+
+// GET /notifications - Show the notification settings and configured channels
+router.get('/', (req, res) => {
+    try {
+        const { timezone, windowHours } = getNotificationSettings();
+        res.json({
+            status: 'success',
+            settings: { timezone, due_soon_hours: windowHours },
+            channels: getConfiguredChannels().map(({ name }) => name),
+            endpoints: {
+                'GET /notifications/digest': 'Preview the digest of overdue and due-soon tasks (?hours, ?tz)',
+                'GET /notifications/sent': 'Get the tasks already announced, newest first (?channel, ?limit)',
+                'POST /notifications/send': 'Send due tasks not announced yet to each channel ({ dry_run: true })',
+                'POST /notifications/test': 'Send a test message to each configured channel',
+            },
+        });
+    } catch (error) {
+        res.status(500).json({ status: 'error', error: 'Invalid notification settings', details: error.message });
+    }
+});
+
+// GET /notifications/digest - All overdue and due-soon tasks, whether announced or not
+// ?hours and ?tz override NOTIFY_DUE_SOON_HOURS and NOTIFY_TIMEZONE
+router.get('/digest', async (req, res) => {
+    let settings;
+    try {
+        settings = getNotificationSettings({
+            NOTIFY_TIMEZONE: req.query.tz || process.env.NOTIFY_TIMEZONE,
+            NOTIFY_DUE_SOON_HOURS: req.query.hours || process.env.NOTIFY_DUE_SOON_HOURS,
+        });
+    } catch (error) {
+        return res.status(400).json({ status: 'error', error: 'Invalid query parameters', details: error.message });
+    }
+
+    try {
+        const now = new Date();
+        const dueTasks = await collectDueTasks(req.account._id, { ...settings, now });
+        const digest = await buildDueDigest(req.account, dueTasks, { ...settings, now });
+        res.json({ status: 'success', ...digest, text: formatDigest(digest).text });
+    } catch (error) {
+        console.error('Error building due digest:', error);
+        res.status(500).json({ status: 'error', error: 'Error building due digest', details: error.message });
+    }
+});
+
+// GET /notifications/sent - Tasks already announced per channel (each is announced once per due)
+router.get('/sent', async (req, res) => {
+    try {
+        const filter = { account_id: req.account._id };
+        if (req.query.channel) filter.channel = req.query.channel;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+
+        const notifications = await notificationRepository.find(filter, { sort: { sent_at: -1 }, limit });
+        res.json(notifications);
+    } catch (error) {
+        console.error('Error fetching sent notifications:', error);
+        res.status(500).json({ error: 'Error fetching sent notifications' });
+    }
+});
+
+// POST /notifications/send - Send each channel the due tasks it has not announced yet
+// Runs under the sync lock, so digests never go out while a sync is changing tasks
+router.post('/send', requireAdmin, async (req, res) => {
+    const dryRun = req.body?.dry_run ?? false;
+    if (typeof dryRun !== 'boolean') {
+        return res
+            .status(400)
+            .json({ status: 'error', error: 'Invalid options', details: 'dry_run must be a boolean' });
+    }
+    const channels = getChannelsOrFail(res);
+    if (!channels) return;
+
+    try {
+        const send = () => sendDueDigests(req.account, { dryRun, channels });
+        // A dry run sends and records nothing, so it does not need the lock
+        const result = dryRun ? await send() : await runWithSyncLock(send, 'notify');
+        if (!result) {
+            return sendSyncInProgress(res);
+        }
+
+        const failed = result.channels.filter(({ status }) => status === 'failed');
+        if (failed.length > 0) {
+            return res.status(502).json({
+                status: 'error',
+                error: 'Some notification channels failed',
+                details: failed.map(({ channel, error }) => `${channel}: ${error}`),
+                ...result,
+            });
+        }
+        res.json({ status: 'success', ...result });
+    } catch (error) {
+        console.error('Error sending due digests:', error);
+        res.status(500).json({ status: 'error', error: 'Error sending due digests', details: error.message });
+    }
+});
+
+// POST /notifications/test - Send a test message to each configured channel
+router.post('/test', requireAdmin, async (req, res) => {
+    const channels = getChannelsOrFail(res);
+    if (!channels) return;
+
+    const results = await sendTestNotifications(req.account, { channels });
+    const failed = results.filter(({ status }) => status === 'failed');
+    if (failed.length > 0) {
+        return res.status(502).json({
+            status: 'error',
+            error: 'Some notification channels failed',
+            details: failed.map(({ channel, error }) => `${channel}: ${error}`),
+            channels: results,
+        });
+    }
+    res.json({ status: 'success', channels: results });
+});
+
+module.exports = router;
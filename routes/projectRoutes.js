@@ -0,0 +1,68 @@
+// Project Routes - Handles project and section endpoints for the calling account (req.account)
+
+const express = require('express');
+const router = express.Router();
+const Project = require('../database/projectSchema');
+const Section = require('../database/sectionSchema');
+const Task = require('../database/taskSchema');
+const { repositoryFor } = require('../database/repositories');
+
+const projectRepository = repositoryFor(Project);
+const sectionRepository = repositoryFor(Section);
+const taskRepository = repositoryFor(Task);
+
+// GET /projects - Get all projects with their sections and active task counts
+router.get('/', async (req, res) => {
+    try {
+        const accountId = req.account._id;
+        const [projects, sections, counts] = await Promise.all([
+            projectRepository.find({ account_id: accountId }, { sort: { order: 1 } }),
+            sectionRepository.find({ account_id: accountId }, { sort: { order: 1 } }),
+            taskRepository.aggregate([
+                { $match: { account_id: accountId, is_completed: false, deleted_at: null } },
+                { $group: { _id: '$project_id', count: { $sum: 1 } } },
+            ]),
+        ]);
+        const countByProject = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+        res.json(
+            projects.map((project) => ({
+                ...project,
+                sections: sections.filter((section) => section.project_id === project.todoid),
+                active_task_count: countByProject.get(project.todoid) || 0,
+            }))
+        );
+    } catch (error) {
+        console.error('Error fetching projects:', error);
+        res.status(500).json({ error: 'Error fetching projects' });
+    }
+});
+
+// GET /projects/:todoid - Get one project with its sections and active tasks
+router.get('/:todoid', async (req, res) => {
+    try {
+        const accountId = req.account._id;
+        const project = await projectRepository.findOne({ todoid: req.params.todoid, account_id: accountId });
+        if (!project) {
+            return res.status(404).json({ status: 'error', error: 'Project not found' });
+        }
+
+        const [sections, tasks] = await Promise.all([
+            sectionRepository.find({ project_id: project.todoid, account_id: accountId }, { sort: { order: 1 } }),
+            taskRepository.find(
+                { project_id: project.todoid, account_id: accountId, is_completed: false, deleted_at: null },
+                {
+                    sort: { section_id: 1, due_date: 1 },
+                    populate: Task.relatedPaths({ comments: req.query.comments === 'true' }),
+                }
+            ),
+        ]);
+
+        res.json({ ...project, sections, tasks });
+    } catch (error) {
+        console.error('Error fetching project:', error);
+        res.status(500).json({ error: 'Error fetching project' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,140 @@
+// Stats Routes - Productivity analytics for the calling account (req.account)
+// Ranges are read from ?from and ?to (default: the last 30 days); ?tz sets the timezone for days and weeks
+
+const express = require('express');
+const router = express.Router();
+const {
+    PERIOD_FORMATS,
+    getCompletionsByPeriod,
+    getRangeTotals,
+    getOverdueStats,
+    getBreakdown,
+} = require('../database/taskStats');
+
+const DEFAULT_RANGE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whether a timezone name is known to the runtime (e.g. Europe/Berlin)
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Parses ?from, ?to and ?tz; a date-only ?to includes that whole day
+ * Responds 400 and returns null when invalid, else { range: { from, to }, timezone }
+ */
+function getStatsOptions(req, res) {
+    const { from, to, tz: timezone = 'UTC' } = req.query;
+    const toDate = to ? new Date(to) : new Date();
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+        toDate.setUTCHours(23, 59, 59, 999);
+    }
+    const fromDate = from ? new Date(from) : new Date(toDate.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+    let details = null;
+    if (isNaN(fromDate) || isNaN(toDate)) {
+        details = 'from and to must be valid dates (e.g. 2024-01-31)';
+    } else if (fromDate > toDate) {
+        details = 'from must not be after to';
+    } else if (!isValidTimezone(timezone)) {
+        details = `Unknown timezone "${timezone}" (use an IANA name such as Europe/Berlin)`;
+    }
+    if (details) {
+        res.status(400).json({ status: 'error', error: 'Invalid query parameters', details });
+        return null;
+    }
+    return { range: { from: fromDate, to: toDate }, timezone };
+}
+
+// Send a stats response, or a 500 if the aggregation fails
+async function sendStats(res, label, buildStats) {
+    try {
+        res.json({ status: 'success', ...(await buildStats()) });
+    } catch (error) {
+        console.error(`Error computing ${label}:`, error);
+        res.status(500).json({ status: 'error', error: `Error computing ${label}`, details: error.message });
+    }
+}
+
+// GET /stats - Overview of the range: created and completed counts, time to completion,
+// completions per week, and the current overdue and due-today counts
+router.get('/', (req, res) => {
+    const options = getStatsOptions(req, res);
+    if (!options) return;
+    const { range, timezone } = options;
+    const accountId = req.account._id;
+
+    sendStats(res, 'stats overview', async () => {
+        const [totals, perWeek, overdue] = await Promise.all([
+            getRangeTotals(accountId, range),
+            getCompletionsByPeriod(accountId, range, { interval: 'week', timezone }),
+            getOverdueStats(accountId, { timezone }),
+        ]);
+        return {
+            range,
+            timezone,
+            ...totals,
+            completions_per_week: perWeek,
+            overdue: overdue.overdue,
+            due_today: overdue.due_today,
+        };
+    });
+});
+
+// GET /stats/completions - Completed tasks per day or week (?interval=day|week, default day)
+router.get('/completions', (req, res) => {
+    const options = getStatsOptions(req, res);
+    if (!options) return;
+    const interval = req.query.interval || 'day';
+    if (!PERIOD_FORMATS[interval]) {
+        return res.status(400).json({
+            status: 'error',
+            error: 'Invalid query parameters',
+            details: `interval must be one of: ${Object.keys(PERIOD_FORMATS).join(', ')}`,
+        });
+    }
+
+    sendStats(res, 'completion stats', async () => {
+        const completions = await getCompletionsByPeriod(req.account._id, options.range, {
+            interval,
+            timezone: options.timezone,
+        });
+        return {
+            range: options.range,
+            timezone: options.timezone,
+            interval,
+            total: completions.reduce((sum, { count }) => sum + count, 0),
+            completions,
+        };
+    });
+});
+
+// GET /stats/overdue - Active tasks overdue and due today (as of now, in ?tz), by priority and project
+router.get('/overdue', (req, res) => {
+    const options = getStatsOptions(req, res);
+    if (!options) return;
+    sendStats(res, 'overdue stats', () => getOverdueStats(req.account._id, { timezone: options.timezone }));
+});
+
+// GET /stats/projects, /stats/labels, /stats/priorities - Breakdowns over the range
+for (const [path, by] of [
+    ['/projects', 'project'],
+    ['/labels', 'label'],
+    ['/priorities', 'priority'],
+]) {
+    router.get(path, (req, res) => {
+        const options = getStatsOptions(req, res);
+        if (!options) return;
+        sendStats(res, `${by} stats`, async () => ({
+            range: options.range,
+            [path.slice(1)]: await getBreakdown(req.account._id, options.range, { by, timezone: options.timezone }),
+        }));
+    });
+}
+
+module.exports = router;
@@ -0,0 +1,254 @@
+// Task Export - Formats tasks as an iCalendar feed (VEVENT / VTODO) or CSV
+
+const { dueFromDateFields } = require('../database/taskDue');
+
+const ICAL_COMPONENTS = ['event', 'todo'];
+
+// Todoist priority (4 = urgent) to iCalendar PRIORITY (1 = highest, 0 = undefined)
+const ICAL_PRIORITY = { 4: 1, 3: 5, 2: 9, 1: 0 };
+
+const WEEKDAYS = {
+    mon: 'MO',
+    monday: 'MO',
+    tue: 'TU',
+    tues: 'TU',
+    tuesday: 'TU',
+    wed: 'WE',
+    wednesday: 'WE',
+    thu: 'TH',
+    thurs: 'TH',
+    thursday: 'TH',
+    fri: 'FR',
+    friday: 'FR',
+    sat: 'SA',
+    saturday: 'SA',
+    sun: 'SU',
+    sunday: 'SU',
+};
+
+const FREQUENCIES = {
+    day: 'DAILY',
+    days: 'DAILY',
+    week: 'WEEKLY',
+    weeks: 'WEEKLY',
+    month: 'MONTHLY',
+    months: 'MONTHLY',
+    year: 'YEARLY',
+    years: 'YEARLY',
+};
+
+const SHORTHANDS = { daily: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY', yearly: 'YEARLY', annually: 'YEARLY' };
+
+// The task's due, built from due_date / due_time when it has no structured one
+const getDue = (task) => (task.due !== undefined ? task.due : dueFromDateFields(task.due_date, task.due_time));
+
+/**
+ * Derives an RRULE (without the "RRULE:" prefix) from a recurring due's English string
+ * Handles "every day", "every 3 weeks", "every other month", "every weekday", "every mon, fri",
+ * "every 15th", "daily" and the like, optionally followed by "at <time>" or "starting <date>".
+ * Returns null when the recurrence cannot be expressed (other languages, "every!" which repeats
+ * from the completion date, end dates, or anything not recognised)
+ */
+function deriveRRule(due) {
+    if (!due?.is_recurring || !due.string || (due.lang && due.lang !== 'en')) return null;
+
+    const text = due.string
+        .toLowerCase()
+        .trim()
+        .replace(/\s+(at|@)\s+.+$/, '')
+        .replace(/\s+(starting|from)\s+.+$/, '');
+
+    if (SHORTHANDS[text]) return `FREQ=${SHORTHANDS[text]}`;
+
+    const match = /^every\s+(.+)$/.exec(text);
+    if (!match) return null;
+    let rest = match[1];
+
+    let interval = 1;
+    const intervalMatch = /^(other|\d+)\s+(.+)$/.exec(rest);
+    if (intervalMatch) {
+        interval = intervalMatch[1] === 'other' ? 2 : Number(intervalMatch[1]);
+        rest = intervalMatch[2];
+    }
+    const withInterval = (rule) => (interval > 1 ? `${rule};INTERVAL=${interval}` : rule);
+
+    if (FREQUENCIES[rest]) return withInterval(`FREQ=${FREQUENCIES[rest]}`);
+    if (interval === 1 && ['weekday', 'workday'].includes(rest)) return 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR';
+
+    const days = rest.split(/\s*(?:,|\band\b)\s*/).filter(Boolean);
+    if (days.length > 0 && days.every((day) => WEEKDAYS[day])) {
+        return withInterval(`FREQ=WEEKLY;BYDAY=${[...new Set(days.map((day) => WEEKDAYS[day]))].join(',')}`);
+    }
+
+    const monthDay = /^(\d{1,2})(?:st|nd|rd|th)$/.exec(rest);
+    if (monthDay && Number(monthDay[1]) >= 1 && Number(monthDay[1]) <= 31) {
+        return withInterval(`FREQ=MONTHLY;BYMONTHDAY=${Number(monthDay[1])}`);
+    }
+
+    return null;
+}
+
+// Escape a TEXT value (RFC 5545 3.3.11)
+const escapeText = (value) =>
+    String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+
+// Fold a content line to 75 octets per line, without splitting multi-byte characters
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const charSize = Buffer.byteLength(char);
+        // Continuation lines start with a space, which counts towards their 75 octets
+        if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += charSize;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+// UTC timestamp in iCalendar form (20240301T080000Z)
+const toICalTimestamp = (date) =>
+    new Date(date)
+        .toISOString()
+        .replace(/\.\d{3}/, '')
+        .replace(/[-:]/g, '');
+
+/**
+ * iCalendar property parameters and value for a due date:
+ * all-day dues become DATE values, floating times local (floating) times, fixed times UTC times
+ */
+function toICalDate(dueDate) {
+    if (!dueDate.includes('T')) {
+        return { params: ';VALUE=DATE', value: dueDate.replace(/-/g, '') };
+    }
+    if (/Z$/.test(dueDate)) {
+        return { params: '', value: toICalTimestamp(dueDate) };
+    }
+    return { params: '', value: dueDate.slice(0, 19).replace(/[-:]/g, '') };
+}
+
+// The day after an all-day due, as an iCalendar DATE (exclusive end of an all-day event)
+function nextICalDay(dueDate) {
+    const date = new Date(`${dueDate.slice(0, 10)}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + 1);
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+// iCalendar DURATION for a Todoist duration ({ amount, unit })
+const toICalDuration = ({ amount, unit }) => (unit === 'day' ? `P${amount}D` : `PT${amount}M`);
+
+// Lines of one VEVENT or VTODO for a task (VEVENTs need a due, so tasks without one are skipped)
+function buildComponentLines(task, component) {
+    const due = getDue(task);
+    if (component === 'event' && !due) return [];
+
+    const id = task.todoid || String(task._id);
+    const name = component === 'event' ? 'VEVENT' : 'VTODO';
+    const lines = [
+        `BEGIN:${name}`,
+        `UID:${id}@todoist-sync`,
+        `DTSTAMP:${toICalTimestamp(task.updated_at || task.created_at || new Date())}`,
+        // Calendars have no completion state for events, so completed ones are marked in the title
+        `SUMMARY:${escapeText(component === 'event' && task.is_completed ? `✓ ${task.content}` : task.content)}`,
+    ];
+    if (task.description) lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+    if (task.url) lines.push(`URL:${task.url}`);
+    if (ICAL_PRIORITY[task.priority]) lines.push(`PRIORITY:${ICAL_PRIORITY[task.priority]}`);
+    if (task.labels?.length > 0) lines.push(`CATEGORIES:${task.labels.map(escapeText).join(',')}`);
+
+    if (due) {
+        const { params, value } = toICalDate(due.date);
+        const rrule = deriveRRule(due);
+        if (component === 'event') {
+            lines.push(`DTSTART${params}:${value}`);
+            if (task.duration) lines.push(`DURATION:${toICalDuration(task.duration)}`);
+            else if (!due.date.includes('T')) lines.push(`DTEND;VALUE=DATE:${nextICalDay(due.date)}`);
+        } else {
+            // A recurring VTODO needs a DTSTART for its RRULE to apply to
+            if (rrule) lines.push(`DTSTART${params}:${value}`);
+            lines.push(`DUE${params}:${value}`);
+        }
+        if (rrule) lines.push(`RRULE:${rrule}`);
+    }
+
+    if (component === 'todo') {
+        lines.push(`STATUS:${task.is_completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+        if (task.is_completed && task.completed_at) lines.push(`COMPLETED:${toICalTimestamp(task.completed_at)}`);
+    } else {
+        lines.push('TRANSP:TRANSPARENT');
+    }
+    lines.push(`END:${name}`);
+    return lines;
+}
+
+/**
+ * Builds an iCalendar document with one VEVENT (component 'event', tasks with a due only)
+ * or one VTODO (component 'todo') per task
+ */
+function buildICalendar(tasks, { component = 'event', calendarName = 'Tasks' } = {}) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//todoist-sync//Tasks//EN',
+        'CALSCALE:GREGORIAN',
+        `X-WR-CALNAME:${escapeText(calendarName)}`,
+        ...tasks.flatMap((task) => buildComponentLines(task, component)),
+        'END:VCALENDAR',
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// CSV columns: header and how to read the value from a task (with project and section populated)
+const CSV_COLUMNS = [
+    ['id', (task) => task.todoid || String(task._id)],
+    ['content', (task) => task.content],
+    ['description', (task) => task.description],
+    ['project', (task) => task.project?.name || task.project_id],
+    ['section', (task) => task.section?.name || task.section_id],
+    ['labels', (task) => (task.labels || []).join(', ')],
+    ['priority', (task) => task.priority],
+    ['is_completed', (task) => task.is_completed],
+    ['due', (task) => getDue(task)?.date],
+    ['due_string', (task) => getDue(task)?.string],
+    ['is_recurring', (task) => Boolean(getDue(task)?.is_recurring)],
+    ['deadline', (task) => task.deadline?.date],
+    ['completed_at', (task) => task.completed_at?.toISOString()],
+    ['created_at', (task) => task.created_at?.toISOString()],
+    ['url', (task) => task.url],
+];
+
+/**
+ * Quotes a CSV cell when needed; cells starting with =, +, - or @ get a leading ' so
+ * spreadsheets show them as text instead of running them as formulas
+ */
+function toCsvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Builds a CSV document with a header row and one row per task
+function buildCsv(tasks) {
+    const rows = [
+        CSV_COLUMNS.map(([header]) => header),
+        ...tasks.map((task) => CSV_COLUMNS.map(([, read]) => read(task))),
+    ];
+    return rows.map((row) => row.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    ICAL_COMPONENTS,
+    deriveRRule,
+    buildICalendar,
+    buildCsv,
+};
@@ -0,0 +1,92 @@
+// Task Query - Parses list query parameters (filters, search, sorting, pagination) into a MongoDB query
+
+// Fields that can be used with ?sort= (prefix with - for descending)
+const SORT_FIELDS = ['due_date', 'priority', 'created_at', 'updated_at', 'completed_at', 'content'];
+
+const MAX_LIMIT = 1000;
+
+// Escape user input for use inside a RegExp
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a comma-separated query value into trimmed, non-empty parts
+const splitList = (value) =>
+    String(value)
+        .split(',')
+        .map((part) => part.trim())
+        .filter(Boolean);
+
+/**
+ * Parses task list query parameters:
+ * - project_id, section_id: one or more IDs (comma-separated)
+ * - label: one or more labels, tasks must have all of them
+ * - priority: one or more of 1-4
+ * - due_from, due_to, completed_from, completed_to: date range (inclusive)
+ * - q: case-insensitive search in content and description
+ * - sort: comma-separated fields, - prefix for descending (default: created_at)
+ * - limit, offset: pagination (no limit by default)
+ * Returns { filter, sort, limit, offset }, or { error } for invalid parameters
+ */
+function parseTaskQuery(query) {
+    const filter = {};
+
+    if (query.project_id) filter.project_id = { $in: splitList(query.project_id) };
+    if (query.section_id) filter.section_id = { $in: splitList(query.section_id) };
+    if (query.label) filter.labels = { $all: splitList(query.label) };
+
+    if (query.priority) {
+        const priorities = splitList(query.priority).map(Number);
+        if (priorities.some((priority) => ![1, 2, 3, 4].includes(priority))) {
+            return { error: 'priority must be one or more of 1, 2, 3, 4' };
+        }
+        filter.priority = { $in: priorities };
+    }
+
+    // Date ranges
+    for (const [field, fromKey, toKey] of [
+        ['due_date', 'due_from', 'due_to'],
+        ['completed_at', 'completed_from', 'completed_to'],
+    ]) {
+        const from = query[fromKey] ? new Date(query[fromKey]) : null;
+        const to = query[toKey] ? new Date(query[toKey]) : null;
+        if ((from && isNaN(from)) || (to && isNaN(to))) {
+            return { error: `${fromKey} and ${toKey} must be valid dates (e.g. 2024-01-31)` };
+        }
+        if (from || to) {
+            filter[field] = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+        }
+    }
+
+    if (query.q) {
+        const pattern = new RegExp(escapeRegExp(String(query.q)), 'i');
+        filter.$or = [{ content: pattern }, { description: pattern }];
+    }
+
+    // Sorting, with _id as a tie-breaker so pages are stable
+    const sort = {};
+    for (const part of splitList(query.sort || 'created_at')) {
+        const field = part.replace(/^-/, '');
+        if (!SORT_FIELDS.includes(field)) {
+            return { error: `sort must use one of: ${SORT_FIELDS.join(', ')}` };
+        }
+        sort[field] = part.startsWith('-') ? -1 : 1;
+    }
+    sort._id = 1;
+
+    // Pagination
+    const limit = query.limit !== undefined ? parseInt(query.limit, 10) : null;
+    const offset = query.offset !== undefined ? parseInt(query.offset, 10) : 0;
+    if (limit !== null && (isNaN(limit) || limit < 1 || limit > MAX_LIMIT)) {
+        return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+    }
+    if (isNaN(offset) || offset < 0) {
+        return { error: 'offset must be 0 or more' };
+    }
+
+    return { filter, sort, limit, offset };
+}
+
+module.exports = {
+    SORT_FIELDS,
+    splitList,
+    parseTaskQuery,
+};
@@ -1,10 +1,83 @@
 // Task Routes - Handles all task-related endpoints
+// Every route works on the calling account's data (req.account, see accountContext.js)
+// Sync and write routes need an admin API key (see auth.js)
 
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Task = require('../database/taskSchema');
+const { checkSyncStatus, SOURCE_FETCHERS } = require('../database/syncChecker');
+const { SOURCE_PUSHERS } = require('../database/pushTasks');
+const { getSyncLock } = require('../database/syncLock');
+const { runExclusiveSync, runWithSyncLock } = require('../scheduler/syncScheduler');
+const { parseTaskQuery, splitList } = require('./taskQuery');
+const { validateTaskInput } = require('./taskValidation');
+const { ICAL_COMPONENTS, buildICalendar, buildCsv } = require('./taskExport');
+const Conflict = require('../database/conflictSchema');
+const SyncRun = require('../database/syncRunSchema');
+const { applyConflictResolution, MERGE_FIELDS } = require('../database/conflictResolver');
+const { runForAccount, DEFAULT_ACCOUNT_NAME } = require('../database/accounts');
 const syncTasks = require('../database/syncTasks');
-const { checkSyncStatus } = require('../database/syncChecker');
+const { validateSyncSelection } = require('../database/syncRules');
+const { listSnapshots, diffSnapshots, isAccountSnapshot, restoreSnapshot } = require('../database/taskSnapshots');
+const { getLatestEventSeq, hasExpiredEventsAfter, readTaskEvents } = require('../database/taskEvents');
+const { recordTaskRevisions, listTaskRevisions, revertTaskRevision } = require('../database/taskRevisions');
+const { repositoryFor } = require('../database/repositories');
+const { requireAdmin } = require('./auth');
+
+const taskRepository = repositoryFor(Task);
+const conflictRepository = repositoryFor(Conflict);
+const syncRunRepository = repositoryFor(SyncRun);
+
+// Read and validate the sync source from the query string or body (default: todoist)
+function getSyncSource(req, res) {
+    const source = req.query.source || req.body?.source || 'todoist';
+    if (!SOURCE_FETCHERS[source]) {
+        res.status(400).json({
+            status: 'error',
+            error: 'Invalid sync source',
+            details: `source must be one of: ${Object.keys(SOURCE_FETCHERS).join(', ')}`,
+        });
+        return null;
+    }
+    return source;
+}
+
+// Respond 409 when another sync holds the lock
+async function sendSyncInProgress(res) {
+    const lock = await getSyncLock().catch(() => null);
+    res.status(409).json({
+        status: 'error',
+        error: 'A sync is already running',
+        details: lock ? `Started at ${lock.acquired_at.toISOString()} (${lock.trigger})` : 'Try again shortly',
+    });
+}
+
+/**
+ * Sends a filtered, sorted and paginated task list (see parseTaskQuery)
+ * The total number of matches is sent in the X-Total-Count header
+ */
+async function listTasks(req, res, baseFilter, label) {
+    const { error, filter, sort, limit, offset } = parseTaskQuery(req.query);
+    if (error) {
+        return res.status(400).json({ status: 'error', error: 'Invalid query parameters', details: error });
+    }
+
+    try {
+        const query = { ...filter, ...baseFilter, account_id: req.account._id, deleted_at: null };
+        const populate = Task.relatedPaths({ comments: req.query.comments === 'true' });
+
+        const [tasks, total] = await Promise.all([
+            taskRepository.find(query, { sort, skip: offset, limit, populate }),
+            taskRepository.count(query),
+        ]);
+        res.set('X-Total-Count', String(total));
+        res.json(tasks);
+    } catch (error) {
+        console.error(`Error fetching ${label}:`, error);
+        res.status(500).json({ error: `Error fetching ${label}` });
+    }
+}
 
 // GET /tasks - Show API status
 router.get('/', async (req, res) => {
@@ -12,30 +85,60 @@ router.get('/', async (req, res) => {
         status: 'success',
         message: 'Task sync API is running',
         endpoints: {
-            'GET /tasks/db': 'Get all tasks from database',
-            'GET /tasks/active': 'Get active tasks',
-            'GET /tasks/completed': 'Get completed tasks',
-            'GET /tasks/sync/check': 'Check what needs to be synced from Todoist to MongoDB',
-            'POST /tasks/sync': 'Import/sync tasks from Todoist to MongoDB (one-way sync)',
+            'GET /tasks/db': 'Get all tasks from database (filters, ?q, ?sort, ?limit, ?offset; ?comments=true adds comments)',
+            'GET /tasks/active': 'Get active tasks (same query parameters as /tasks/db)',
+            'GET /tasks/completed': 'Get completed tasks (same query parameters as /tasks/db)',
+            'GET /tasks/archive': 'Get completed task history (?from, ?to, ?project_id, ?include_deleted, ?limit, ?offset)',
+            'GET /tasks/export.ics':
+                'iCalendar feed of tasks (same filters as /tasks/db, ?status=active|completed, ?component=event|todo)',
+            'GET /tasks/export.csv': 'Download tasks as CSV (same filters as /tasks/export.ics)',
+            'GET /tasks/export.json': 'Download tasks as JSON (same filters as /tasks/export.ics)',
+            'GET /tasks/stream':
+                'Server-Sent Events stream of task changes applied by syncs and webhooks (?project_id, ?label; resumes after Last-Event-ID)',
+            'GET /tasks/snapshots': 'List the Todoist task snapshots saved by full syncs',
+            'GET /tasks/snapshots/diff': 'Compare two snapshots (?from=<older>&to=<newer>)',
+            'POST /tasks/snapshots/:name/restore':
+                'Restore MongoDB tasks to a snapshot ({ dry_run: true } to preview, { overwrite_local: true })',
+            'GET /tasks/sync/check':
+                'Check what needs to be synced from Todoist to MongoDB (?source=notion for Notion, ?full=true to ignore the sync token)',
+            'POST /tasks/sync':
+                'Import changes from Todoist to MongoDB, then push local edits ({ source: "notion" }, { push: false }, { full: true } for a full resync, { dryRun: true } to preview, { only: ["create", "update"] }, { todoids: [...] })',
+            'POST /tasks/sync/push': 'Push local MongoDB edits back to Todoist ({ source: "notion" } for Notion)',
+            'GET /tasks/sync/status': 'Show whether a sync is currently running',
+            'GET /tasks/sync/runs': 'Get sync run history (?source, ?status, ?limit)',
+            'GET /tasks/sync/runs/:id': 'Get one sync run with its field-level changes',
+            'GET /tasks/conflicts': 'Get sync conflicts (?status=open|resolved|all, default open)',
+            'POST /tasks/conflicts/:id/resolve': 'Resolve a conflict ({ resolution: "todoist" | "local" | "custom", values })',
+            'POST /tasks': 'Create a task (pushed to Todoist on the next sync)',
+            'GET /tasks/:id': 'Get one task by Todoist ID (or database _id for tasks not pushed yet)',
+            'PATCH /tasks/:id': 'Update task fields (pushed to Todoist on the next sync)',
+            'DELETE /tasks/:id': 'Delete a task (soft delete, pushed to Todoist on the next sync)',
+            'POST /tasks/:id/complete': 'Mark a task as completed',
+            'POST /tasks/:id/reopen': 'Mark a task as not completed',
+            'GET /tasks/:id/history': 'Get the field changes of a task, newest first (?limit, ?offset)',
+            'POST /tasks/:id/revert/:revisionId': 'Restore task fields to their values before a revision',
         },
     });
 });
 
 // GET /tasks/db - Get all tasks from MongoDB
-router.get('/db', async (req, res) => {
-    try {
-        const tasks = await Task.find({});
-        res.json(tasks);
-    } catch (error) {
-        console.error('Error fetching tasks:', error);
-        res.status(500).json({ error: 'Error fetching tasks' });
-    }
-});
+router.get('/db', (req, res) => listTasks(req, res, {}, 'tasks'));
 
 // GET /tasks/sync/check - Check what needs to be synced
-router.get('/sync/check', async (req, res) => {
+router.get('/sync/check', requireAdmin, async (req, res) => {
+    const source = getSyncSource(req, res);
+    if (!source) return;
+
     try {
-        const syncStatus = await checkSyncStatus();
+        const syncStatus = await runForAccount(req.account, () =>
+            checkSyncStatus({
+                source,
+                full: req.query.full === 'true',
+                accountId: req.account._id,
+                rules: req.account.sync_rules,
+                snapshot: false,
+            })
+        );
         res.json({
             status: 'success',
             ...syncStatus,
@@ -50,15 +153,50 @@ router.get('/sync/check', async (req, res) => {
     }
 });
 
-// POST /tasks/sync - Import tasks from Todoist to MongoDB (one-way sync)
-router.post('/sync', async (req, res) => {
+// POST /tasks/sync - Import changes from Todoist to MongoDB, then push local edits back
+// { dryRun: true } previews the changes; { only, todoids } apply a subset of them
+router.post('/sync', requireAdmin, async (req, res) => {
+    const source = getSyncSource(req, res);
+    if (!source) return;
+
+    const { dryRun = false, only, todoids } = req.body || {};
+    const errors = validateSyncSelection({ only, todoids });
+    if (typeof dryRun !== 'boolean') errors.push('dryRun must be a boolean');
+    if (errors.length > 0) {
+        return res.status(400).json({ status: 'error', error: 'Invalid sync options', details: errors });
+    }
+
     try {
+        const options = {
+            source,
+            account: req.account,
+            push: req.body?.push !== false,
+            full: req.body?.full === true,
+            resources: req.body?.resources !== false,
+            only,
+            todoids,
+        };
+        const sourceName = source.charAt(0).toUpperCase() + source.slice(1);
+
+        // A dry run writes nothing, so it does not need the sync lock
+        if (dryRun) {
+            const preview = await syncTasks({ ...options, dryRun: true });
+            return res.json({
+                status: 'success',
+                message: `Dry run: nothing was imported from ${sourceName}`,
+                ...preview,
+            });
+        }
+
         // Proceed with sync
         console.log('\n🔄 Proceeding with sync...');
-        const result = await syncTasks();
+        const result = await runExclusiveSync(options, 'api');
+        if (!result) {
+            return sendSyncInProgress(res);
+        }
         res.json({
             status: 'success',
-            message: 'Successfully imported tasks from Todoist to MongoDB',
+            message: `Successfully imported tasks from ${sourceName} to MongoDB`,
             ...result,
         });
     } catch (error) {
@@ -71,26 +209,635 @@ router.post('/sync', async (req, res) => {
     }
 });
 
+// GET /tasks/sync/status - Show whether a sync is currently running (in any process)
+router.get('/sync/status', async (req, res) => {
+    try {
+        const lock = await getSyncLock();
+        res.json({
+            status: 'success',
+            running: Boolean(lock),
+            ...(lock && { trigger: lock.trigger, started_at: lock.acquired_at, expires_at: lock.expires_at }),
+        });
+    } catch (error) {
+        console.error('Error fetching sync status:', error);
+        res.status(500).json({ error: 'Error fetching sync status' });
+    }
+});
+
+// GET /tasks/sync/runs - Get sync run history, newest first (without per-task changes)
+router.get('/sync/runs', async (req, res) => {
+    try {
+        const filter = { account_id: req.account._id };
+        if (req.query.source) filter.source = req.query.source;
+        if (req.query.status) filter.status = req.query.status;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+        const runs = await syncRunRepository.find(filter, { select: '-changes', sort: { started_at: -1 }, limit });
+        res.json(runs);
+    } catch (error) {
+        console.error('Error fetching sync runs:', error);
+        res.status(500).json({ error: 'Error fetching sync runs' });
+    }
+});
+
+// GET /tasks/sync/runs/:id - Get one sync run with its field-level changes
+router.get('/sync/runs/:id', async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ status: 'error', error: 'Sync run not found' });
+    }
+
+    try {
+        const run = await syncRunRepository.findOne({ _id: req.params.id, account_id: req.account._id });
+        if (!run) {
+            return res.status(404).json({ status: 'error', error: 'Sync run not found' });
+        }
+        res.json(run);
+    } catch (error) {
+        console.error('Error fetching sync run:', error);
+        res.status(500).json({ error: 'Error fetching sync run' });
+    }
+});
+
+// POST /tasks/sync/push - Push local MongoDB edits back to Todoist (or Notion)
+router.post('/sync/push', requireAdmin, async (req, res) => {
+    const source = getSyncSource(req, res);
+    if (!source) return;
+    const sourceName = source.charAt(0).toUpperCase() + source.slice(1);
+
+    try {
+        const result = await runWithSyncLock(
+            () => runForAccount(req.account, () => SOURCE_PUSHERS[source](req.account._id)),
+            'api-push'
+        );
+        if (!result) {
+            return sendSyncInProgress(res);
+        }
+        res.json({
+            status: 'success',
+            message: `Successfully pushed local changes to ${sourceName}`,
+            ...result,
+        });
+    } catch (error) {
+        console.error(`Error pushing tasks to ${sourceName}:`, error);
+        res.status(500).json({
+            status: 'error',
+            error: `Error pushing tasks to ${sourceName}`,
+            details: error.message,
+        });
+    }
+});
+
+// GET /tasks/conflicts - Get sync conflicts
+router.get('/conflicts', async (req, res) => {
+    try {
+        const status = req.query.status || 'open';
+        const filter = { account_id: req.account._id, ...(status !== 'all' && { status }) };
+        const conflicts = await conflictRepository.find(filter, { sort: { created_at: -1 } });
+        res.json(conflicts);
+    } catch (error) {
+        console.error('Error fetching conflicts:', error);
+        res.status(500).json({ error: 'Error fetching conflicts' });
+    }
+});
+
+// POST /tasks/conflicts/:id/resolve - Resolve a sync conflict
+router.post('/conflicts/:id/resolve', requireAdmin, async (req, res) => {
+    const { resolution, values = {} } = req.body || {};
+    if (!['todoist', 'local', 'custom'].includes(resolution)) {
+        return res.status(400).json({
+            status: 'error',
+            error: 'Invalid resolution',
+            details: 'resolution must be one of: todoist, local, custom',
+        });
+    }
+    const unknownFields = Object.keys(values).filter((field) => !MERGE_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+        return res.status(400).json({
+            status: 'error',
+            error: 'Invalid resolution values',
+            details: `Unknown fields: ${unknownFields.join(', ')}`,
+        });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ status: 'error', error: 'Conflict not found' });
+    }
+
+    try {
+        const open = await conflictRepository.findOne({
+            _id: req.params.id,
+            account_id: req.account._id,
+            status: 'open',
+        });
+        const missing = open && resolution === 'custom' && open.fields.filter(({ field }) => !(field in values));
+        if (missing && missing.length > 0) {
+            return res.status(400).json({
+                status: 'error',
+                error: 'Invalid resolution values',
+                details: `Custom resolution needs values for: ${missing.map(({ field }) => field).join(', ')}`,
+            });
+        }
+
+        const conflict = await applyConflictResolution(req.params.id, { resolution, values }, req.account._id);
+        if (!conflict) {
+            return res.status(404).json({ status: 'error', error: 'Conflict not found' });
+        }
+        res.json({
+            status: 'success',
+            message: 'Conflict resolved',
+            conflict,
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json({
+                status: 'error',
+                error: 'Invalid resolution values',
+                details: error.message,
+            });
+        }
+        console.error('Error resolving conflict:', error);
+        res.status(500).json({
+            status: 'error',
+            error: 'Error resolving conflict',
+            details: error.message,
+        });
+    }
+});
+
 // GET /tasks/completed - Get completed tasks
-router.get('/completed', async (req, res) => {
+router.get('/completed', (req, res) => listTasks(req, res, { is_completed: true }, 'completed tasks'));
+
+// GET /tasks/archive - Get completed task history for reporting, newest completion first
+router.get('/archive', async (req, res) => {
+    const { from, to, project_id, include_deleted } = req.query;
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        return res.status(400).json({
+            status: 'error',
+            error: 'Invalid date range',
+            details: 'from and to must be valid dates (e.g. 2024-01-31)',
+        });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
     try {
-        const tasks = await Task.find({ is_completed: true });
-        res.json(tasks);
+        const filter = { account_id: req.account._id, is_completed: true };
+        if (fromDate || toDate) {
+            filter.completed_at = {
+                ...(fromDate && { $gte: fromDate }),
+                ...(toDate && { $lte: toDate }),
+            };
+        }
+        if (project_id) filter.project_id = project_id;
+        if (include_deleted !== 'true') filter.deleted_at = null;
+
+        const [tasks, total] = await Promise.all([
+            taskRepository.find(filter, {
+                sort: { completed_at: -1 },
+                skip: offset,
+                limit,
+                populate: Task.relatedPaths({ comments: req.query.comments === 'true' }),
+            }),
+            taskRepository.count(filter),
+        ]);
+        res.json({ total, limit, offset, tasks });
     } catch (error) {
-        console.error('Error fetching completed tasks:', error);
-        res.status(500).json({ error: 'Error fetching completed tasks' });
+        console.error('Error fetching archived tasks:', error);
+        res.status(500).json({ error: 'Error fetching archived tasks' });
     }
 });
 
 // GET /tasks/active - Get active (not completed) tasks
-router.get('/active', async (req, res) => {
+router.get('/active', (req, res) => listTasks(req, res, { is_completed: false }, 'active tasks'));
+
+// Whether the snapshot file belongs to the calling account, responding 404 if not
+function checkAccountSnapshot(req, res, name) {
+    if (isAccountSnapshot(name, req.account, req.account.name === DEFAULT_ACCOUNT_NAME)) return true;
+    res.status(404).json({ status: 'error', error: 'Snapshot not found', details: `No snapshot "${name}"` });
+    return false;
+}
+
+// Respond 404 for unknown snapshots and 500 for other errors
+function sendSnapshotError(res, error, action) {
+    if (error.code === 'SNAPSHOT_NOT_FOUND') {
+        return res.status(404).json({ status: 'error', error: 'Snapshot not found', details: error.message });
+    }
+    if (error.code === 'SNAPSHOT_LOCAL_EDITS') {
+        return res.status(409).json({
+            status: 'error',
+            error: 'The restore would overwrite local edits',
+            details: `${error.message} (send { "overwrite_local": true })`,
+            local_edits: error.localEdits,
+        });
+    }
+    console.error(`Error ${action} snapshot:`, error);
+    res.status(500).json({ status: 'error', error: `Error ${action} snapshot`, details: error.message });
+}
+
+// GET /tasks/snapshots - List the account's task snapshots, newest first
+router.get('/snapshots', async (req, res) => {
     try {
-        const tasks = await Task.find({ is_completed: false });
-        res.json(tasks);
+        const snapshots = await listSnapshots({
+            accountId: req.account._id,
+            includeUnassigned: req.account.name === DEFAULT_ACCOUNT_NAME,
+        });
+        res.json({ status: 'success', snapshots });
+    } catch (error) {
+        sendSnapshotError(res, error, 'listing');
+    }
+});
+
+// GET /tasks/snapshots/diff?from=<older>&to=<newer> - Tasks added, removed and changed between two snapshots
+router.get('/snapshots/diff', async (req, res) => {
+    const { from, to } = req.query;
+    if (typeof from !== 'string' || typeof to !== 'string') {
+        return res.status(400).json({
+            status: 'error',
+            error: 'Invalid query parameters',
+            details: 'from and to must be snapshot names (see GET /tasks/snapshots)',
+        });
+    }
+    if (!checkAccountSnapshot(req, res, from) || !checkAccountSnapshot(req, res, to)) return;
+
+    try {
+        res.json({ status: 'success', ...(await diffSnapshots(from, to)) });
+    } catch (error) {
+        sendSnapshotError(res, error, 'comparing');
+    }
+});
+
+// POST /tasks/snapshots/:name/restore - Restore the account's MongoDB tasks to a snapshot (under the sync lock)
+// Responds 409 when tasks with local edits not pushed yet would change, unless overwrite_local is true
+router.post('/snapshots/:name/restore', requireAdmin, async (req, res) => {
+    const { name } = req.params;
+    if (!checkAccountSnapshot(req, res, name)) return;
+
+    try {
+        const dryRun = req.body?.dry_run === true;
+        const overwriteLocal = req.body?.overwrite_local === true;
+        const result = await runWithSyncLock(
+            () => restoreSnapshot(name, req.account._id, { dryRun, overwriteLocal }),
+            'snapshot-restore'
+        );
+        if (!result) {
+            return sendSyncInProgress(res);
+        }
+        res.json({ status: 'success', ...result });
+    } catch (error) {
+        sendSnapshotError(res, error, 'restoring');
+    }
+});
+
+// Completion filter for exports (?status=active|completed, all tasks by default)
+const EXPORT_STATUS_FILTERS = { all: {}, active: { is_completed: false }, completed: { is_completed: true } };
+
+// Export formats: content type, whether the response is a download, and how to build the body
+const EXPORT_FORMATS = {
+    ics: {
+        contentType: 'text/calendar; charset=utf-8',
+        download: false,
+        build: (tasks, req) =>
+            buildICalendar(tasks, { component: req.query.component || 'event', calendarName: req.account.name }),
+    },
+    csv: { contentType: 'text/csv; charset=utf-8', download: true, build: (tasks) => buildCsv(tasks) },
+    json: { contentType: 'application/json; charset=utf-8', download: true, build: (tasks) => JSON.stringify(tasks) },
+};
+
+/**
+ * Sends the calling account's tasks in an export format
+ * Accepts the same query parameters as listTasks (filters, q, sort, limit, offset), plus ?status
+ */
+async function exportTasks(req, res, format) {
+    const { error, filter, sort, limit, offset } = parseTaskQuery(req.query);
+    const status = req.query.status || 'all';
+    const details = [
+        error,
+        !EXPORT_STATUS_FILTERS[status] && `status must be one of: ${Object.keys(EXPORT_STATUS_FILTERS).join(', ')}`,
+        format === 'ics' &&
+            req.query.component &&
+            !ICAL_COMPONENTS.includes(req.query.component) &&
+            `component must be one of: ${ICAL_COMPONENTS.join(', ')}`,
+    ].filter(Boolean);
+    if (details.length > 0) {
+        return res.status(400).json({ status: 'error', error: 'Invalid query parameters', details: details.join('; ') });
+    }
+
+    try {
+        const query = { ...filter, ...EXPORT_STATUS_FILTERS[status], account_id: req.account._id, deleted_at: null };
+        const tasks = await taskRepository.find(query, { sort, skip: offset, limit, populate: Task.relatedPaths() });
+
+        const { contentType, download, build } = EXPORT_FORMATS[format];
+        res.type(contentType);
+        if (download) res.attachment(`tasks.${format}`);
+        res.send(build(tasks, req));
+    } catch (error) {
+        console.error(`Error exporting tasks as ${format}:`, error);
+        res.status(500).json({ status: 'error', error: 'Error exporting tasks', details: error.message });
+    }
+}
+
+// GET /tasks/export.ics, /tasks/export.csv, /tasks/export.json - Export tasks
+router.get('/export.ics', (req, res) => exportTasks(req, res, 'ics'));
+router.get('/export.csv', (req, res) => exportTasks(req, res, 'csv'));
+router.get('/export.json', (req, res) => exportTasks(req, res, 'json'));
+
+// Task change stream - Server-Sent Events for the changes syncs and webhooks apply (see taskEvents.js).
+// Events are polled from MongoDB, so changes applied by any server process are streamed.
+const STREAM_POLL_MS = 1000;
+// Events are sent once this old, so batches still being inserted by another process are not skipped
+const STREAM_SETTLE_MS = 1000;
+const STREAM_HEARTBEAT_MS = 15 * 1000;
+// Reconnect delay suggested to EventSource clients
+const STREAM_RETRY_MS = 5000;
+
+// Open streams, ended on shutdown (see closeTaskStreams)
+const openStreams = new Set();
+
+// Write one Server-Sent Event
+function writeStreamEvent(res, { id, event, data }) {
+    res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Where a stream starts: after Last-Event-ID, or at the newest event for new clients and clients
+// resuming after expired events (reset tells them to reload their tasks)
+async function getStreamStart(lastEventId) {
+    if (lastEventId === null) {
+        return { cursor: await getLatestEventSeq(), reset: false };
+    }
+    if (await hasExpiredEventsAfter(lastEventId)) {
+        return { cursor: await getLatestEventSeq(), reset: true };
+    }
+    return { cursor: lastEventId, reset: false };
+}
+
+// GET /tasks/stream - Stream task changes as Server-Sent Events (create, update with field diffs, delete)
+// ?project_id and ?label filter like /tasks/db; the Last-Event-ID header (or ?last_event_id) resumes a stream
+router.get('/stream', async (req, res) => {
+    const presentedId = req.get('Last-Event-ID') ?? req.query.last_event_id;
+    const lastEventId = presentedId === undefined || presentedId === '' ? null : Number(presentedId);
+    if (lastEventId !== null && (!Number.isInteger(lastEventId) || lastEventId < 0)) {
+        return res.status(400).json({
+            status: 'error',
+            error: 'Invalid query parameters',
+            details: 'Last-Event-ID must be an event id sent by this stream',
+        });
+    }
+    const accountId = req.account._id;
+    const filters = {
+        projectIds: req.query.project_id ? splitList(req.query.project_id) : [],
+        labels: req.query.label ? splitList(req.query.label) : [],
+    };
+
+    let start;
+    try {
+        start = await getStreamStart(lastEventId);
+    } catch (error) {
+        console.error('Error opening task stream:', error);
+        return res.status(500).json({ status: 'error', error: 'Error opening task stream', details: error.message });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no', // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+    let cursor = start.cursor;
+    writeStreamEvent(res, { id: cursor, event: start.reset ? 'reset' : 'ready', data: { last_event_id: cursor } });
+
+    let closed = false;
+    let wake = null;
+    openStreams.add(res);
+    res.on('close', () => {
+        closed = true;
+        openStreams.delete(res);
+        wake?.();
+    });
+
+    let lastWriteAt = Date.now();
+    while (!closed) {
+        try {
+            const events = await readTaskEvents(accountId, {
+                afterSeq: cursor,
+                ...filters,
+                settledBefore: new Date(Date.now() - STREAM_SETTLE_MS),
+            });
+            for (const event of events) {
+                const data = {
+                    todoid: event.todoid,
+                    content: event.content,
+                    project_ids: event.project_ids,
+                    labels: event.labels,
+                    ...(event.fields && { fields: event.fields }),
+                    origin: event.origin,
+                    at: event.created_at,
+                };
+                writeStreamEvent(res, { id: event.seq, event: event.action, data });
+                cursor = event.seq;
+                lastWriteAt = Date.now();
+            }
+        } catch (error) {
+            // Keep the stream open; the next poll retries from the same event
+            console.error('Error reading task events:', error.message);
+        }
+
+        if (closed) break;
+        if (Date.now() - lastWriteAt >= STREAM_HEARTBEAT_MS) {
+            res.write(': keep-alive\n\n');
+            lastWriteAt = Date.now();
+        }
+        await new Promise((resolve) => {
+            const timer = setTimeout(resolve, STREAM_POLL_MS);
+            wake = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        });
+    }
+});
+
+// End all open task streams (on shutdown); clients reconnect with Last-Event-ID and miss nothing
+function closeTaskStreams() {
+    openStreams.forEach((res) => res.end());
+}
+
+// Task CRUD - registered last so /:id does not shadow the routes above.
+// Tasks are looked up by todoid, or by _id for tasks created here that have not been pushed yet.
+// Every write marks the task as edited by the API, so the next sync pushes it to Todoist.
+
+// Filter matching a live (not deleted, unless includeDeleted) task of the calling account by todoid or _id
+function findTaskFilter(req, { includeDeleted = false } = {}) {
+    const { id } = req.params;
+    const ids = [{ todoid: id }];
+    if (/^[0-9a-f]{24}$/i.test(id)) ids.push({ _id: id });
+    return { account_id: req.account._id, ...(!includeDeleted && { deleted_at: null }), $or: ids };
+}
+
+// Respond 400 with the validation errors
+function sendValidationErrors(res, errors) {
+    res.status(400).json({ status: 'error', error: 'Invalid task', details: errors });
+}
+
+// Apply validated field values to a task and respond with the updated task
+async function updateTask(req, res, values) {
+    const now = new Date();
+    const update = { ...values, updated_at: now, last_updated_by: 'api' };
+    if (values.is_completed !== undefined) {
+        update.completed_at = values.is_completed ? now : null;
+    }
+
+    try {
+        // Read first so the edit can be recorded as a revision (see taskRevisions.js)
+        const previous = await taskRepository.findOne(findTaskFilter(req));
+        const task = previous
+            ? await taskRepository.findOneAndUpdate(
+                  { _id: previous._id, deleted_at: null },
+                  { $set: update },
+                  { runValidators: true, populate: Task.relatedPaths() }
+              )
+            : null;
+        if (!task) {
+            return res.status(404).json({ status: 'error', error: 'Task not found' });
+        }
+        // The edit is saved either way; a failure only loses its revision
+        await recordTaskRevisions(req.account._id, [{ before: previous, after: task }], 'api').catch((error) =>
+            console.error('Error recording task revision:', error)
+        );
+        res.json({ status: 'success', task });
+    } catch (error) {
+        console.error('Error updating task:', error);
+        res.status(500).json({ status: 'error', error: 'Error updating task', details: error.message });
+    }
+}
+
+// POST /tasks - Create a task
+router.post('/', requireAdmin, async (req, res) => {
+    const { errors, values } = validateTaskInput(req.body);
+    if (errors) return sendValidationErrors(res, errors);
+
+    try {
+        const now = new Date();
+        const task = await taskRepository.insert({
+            ...values,
+            account_id: req.account._id,
+            completed_at: values.is_completed ? now : null,
+            source: 'todoist',
+            last_updated_by: 'api',
+            created_at: now,
+            updated_at: now,
+            synced_at: null,
+        });
+        res.status(201).json({ status: 'success', task });
+    } catch (error) {
+        console.error('Error creating task:', error);
+        res.status(500).json({ status: 'error', error: 'Error creating task', details: error.message });
+    }
+});
+
+// GET /tasks/:id - Get one task
+router.get('/:id', async (req, res) => {
+    try {
+        const task = await taskRepository.findOne(findTaskFilter(req), {
+            populate: Task.relatedPaths({ comments: req.query.comments === 'true' }),
+        });
+        if (!task) {
+            return res.status(404).json({ status: 'error', error: 'Task not found' });
+        }
+        res.json(task);
+    } catch (error) {
+        console.error('Error fetching task:', error);
+        res.status(500).json({ error: 'Error fetching task' });
+    }
+});
+
+// PATCH /tasks/:id - Update task fields
+router.patch('/:id', requireAdmin, async (req, res) => {
+    const { errors, values } = validateTaskInput(req.body, { partial: true });
+    if (errors) return sendValidationErrors(res, errors);
+    await updateTask(req, res, values);
+});
+
+// POST /tasks/:id/complete - Mark a task as completed
+router.post('/:id/complete', requireAdmin, (req, res) => updateTask(req, res, { is_completed: true }));
+
+// POST /tasks/:id/reopen - Mark a task as not completed
+router.post('/:id/reopen', requireAdmin, (req, res) => updateTask(req, res, { is_completed: false }));
+
+// DELETE /tasks/:id - Soft delete a task
+router.delete('/:id', requireAdmin, async (req, res) => {
+    try {
+        const now = new Date();
+        // Read first so the delete can be recorded as a revision, as in updateTask
+        const previous = await taskRepository.findOne(findTaskFilter(req));
+        const task = previous
+            ? await taskRepository.findOneAndUpdate(
+                  { _id: previous._id, deleted_at: null },
+                  { $set: { deleted_at: now, updated_at: now, last_updated_by: 'api' } }
+              )
+            : null;
+        if (!task) {
+            return res.status(404).json({ status: 'error', error: 'Task not found' });
+        }
+        await recordTaskRevisions(req.account._id, [{ before: previous, after: task }], 'api').catch((error) =>
+            console.error('Error recording task revision:', error)
+        );
+        res.json({ status: 'success', task });
+    } catch (error) {
+        console.error('Error deleting task:', error);
+        res.status(500).json({ status: 'error', error: 'Error deleting task', details: error.message });
+    }
+});
+
+// GET /tasks/:id/history - Get a task's revisions (field changes with their source), newest first
+// Deleted tasks keep their history
+router.get('/:id/history', async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    try {
+        const task = await taskRepository.findOne(findTaskFilter(req, { includeDeleted: true }));
+        if (!task) {
+            return res.status(404).json({ status: 'error', error: 'Task not found' });
+        }
+        const { revisions, total } = await listTaskRevisions(task, { limit, offset });
+        res.json({ total, limit, offset, revisions });
+    } catch (error) {
+        console.error('Error fetching task history:', error);
+        res.status(500).json({ error: 'Error fetching task history' });
+    }
+});
+
+// POST /tasks/:id/revert/:revisionId - Restore the fields changed by a revision (and any later revision)
+// to their values before it; pushed to Todoist on the next sync
+router.post('/:id/revert/:revisionId', requireAdmin, async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.revisionId)) {
+        return res.status(404).json({ status: 'error', error: 'Revision not found' });
+    }
+
+    try {
+        const task = await taskRepository.findOne(findTaskFilter(req), { populate: Task.relatedPaths() });
+        if (!task) {
+            return res.status(404).json({ status: 'error', error: 'Task not found' });
+        }
+        const result = await revertTaskRevision(task, req.params.revisionId, { populate: Task.relatedPaths() });
+        if (!result) {
+            return res.status(404).json({ status: 'error', error: 'Revision not found' });
+        }
+        res.json({
+            status: 'success',
+            message: result.changes.length > 0 ? 'Task reverted' : 'The task already has these values',
+            ...result,
+        });
     } catch (error) {
-        console.error('Error fetching active tasks:', error);
-        res.status(500).json({ error: 'Error fetching active tasks' });
+        console.error('Error reverting task:', error);
+        res.status(500).json({ status: 'error', error: 'Error reverting task', details: error.message });
     }
 });
 
 module.exports = router;
+module.exports.closeTaskStreams = closeTaskStreams;
+module.exports.sendSyncInProgress = sendSyncInProgress;
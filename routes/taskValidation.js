@@ -0,0 +1,113 @@
+// Task Validation - Validates task request bodies against the rules in taskSchema.js
+
+const Task = require('../database/taskSchema');
+const { dueFromDateFields } = require('../database/taskDue');
+
+// Fields a client may set on a task
+const WRITABLE_FIELDS = [
+    'content',
+    'description',
+    'is_completed',
+    'labels',
+    'priority',
+    'due_date',
+    'due_time',
+    'project_id',
+    'section_id',
+];
+
+const isValidDate = (value) => !isNaN(new Date(value).getTime());
+
+/**
+ * Validates a task create (partial = false) or update (partial = true) body
+ * Returns { errors } with one message per invalid field, or { values } with the
+ * fields converted to their schema types
+ */
+function validateTaskInput(body, { partial = false } = {}) {
+    const errors = [];
+    const values = {};
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { errors: ['Request body must be a JSON object'] };
+    }
+
+    const unknown = Object.keys(body).filter((field) => !WRITABLE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        errors.push(`Unknown or read-only fields: ${unknown.join(', ')}`);
+    }
+
+    const has = (field) => body[field] !== undefined;
+
+    // content is required on create and can never be emptied
+    if (has('content') || !partial) {
+        if (typeof body.content !== 'string' || body.content.trim() === '') {
+            errors.push('content is required and must be a non-empty string');
+        } else {
+            values.content = body.content;
+        }
+    }
+
+    for (const field of ['description', 'project_id', 'section_id']) {
+        if (!has(field)) continue;
+        if (typeof body[field] !== 'string') errors.push(`${field} must be a string`);
+        else values[field] = body[field];
+    }
+
+    if (has('is_completed')) {
+        if (typeof body.is_completed !== 'boolean') errors.push('is_completed must be a boolean');
+        else values.is_completed = body.is_completed;
+    }
+
+    if (has('labels')) {
+        if (!Array.isArray(body.labels) || body.labels.some((label) => typeof label !== 'string')) {
+            errors.push('labels must be an array of strings');
+        } else {
+            values.labels = [...new Set(body.labels)].sort();
+        }
+    }
+
+    if (has('priority')) {
+        const allowed = Task.schema.path('priority').options.enum;
+        if (!allowed.includes(body.priority)) errors.push(`priority must be one of ${allowed.join(', ')}`);
+        else values.priority = body.priority;
+    }
+
+    if (has('due_date')) {
+        if (body.due_date !== null && !isValidDate(body.due_date)) errors.push('due_date must be a date or null');
+        else values.due_date = body.due_date === null ? null : new Date(body.due_date);
+    }
+
+    if (has('due_time')) {
+        if (body.due_time !== '' && (typeof body.due_time !== 'string' || !isValidDate(body.due_time))) {
+            errors.push('due_time must be an ISO datetime or an empty string');
+        } else {
+            values.due_time = body.due_time ? new Date(body.due_time).toISOString() : '';
+        }
+    }
+
+    // Keep the due fields consistent: a due time implies its date, a date without a time is all-day
+    if (values.due_time && !has('due_date')) {
+        values.due_date = new Date(values.due_time);
+    }
+    if ('due_date' in values && !has('due_time')) {
+        values.due_time = '';
+    }
+    if (values.due_date === null) {
+        values.due_time = '';
+    }
+    // The structured due replaces any recurrence with a one-off due
+    if ('due_date' in values) {
+        values.due = dueFromDateFields(values.due_date, values.due_time);
+    }
+
+    if (partial && Object.keys(body).length === 0) {
+        errors.push('Request body must contain at least one field to update');
+    }
+
+    return errors.length > 0 ? { errors } : { values };
+}
+
+module.exports = {
+    WRITABLE_FIELDS,
+    validateTaskInput,
+};
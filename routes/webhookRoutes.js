@@ -0,0 +1,31 @@
+// Webhook Routes - Receives webhook deliveries from Todoist
+
+const express = require('express');
+const router = express.Router();
+const { verifyWebhookSignature } = require('../todoist/todoist-webhook');
+const { handleTodoistDelivery } = require('../database/webhookEvents');
+
+// POST /webhooks/todoist - Apply a Todoist task event
+router.post('/todoist', async (req, res) => {
+    let verified;
+    try {
+        verified = verifyWebhookSignature(req.rawBody, req.get('X-Todoist-Hmac-SHA256'));
+    } catch (error) {
+        console.error('Webhook error:', error.message);
+        return res.status(503).json({ status: 'error', error: 'Todoist webhooks are not configured' });
+    }
+    if (!verified) {
+        return res.status(401).json({ status: 'error', error: 'Invalid webhook signature' });
+    }
+
+    try {
+        const { result } = await handleTodoistDelivery(req.get('X-Todoist-Delivery-ID'), req.body);
+        res.json({ status: 'success', result });
+    } catch (error) {
+        // A non-2xx response makes Todoist retry the delivery
+        console.error('Error applying Todoist webhook:', error);
+        res.status(500).json({ status: 'error', error: 'Error applying webhook', details: error.message });
+    }
+});
+
+module.exports = router;
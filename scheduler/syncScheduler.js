@@ -0,0 +1,175 @@
+// Sync Scheduler - Runs background syncs on an interval or cron schedule, one run at a time
+// Optional env vars: SYNC_CRON (e.g. "*/15 * * * *"), SYNC_INTERVAL_MINUTES, SYNC_SOURCES (default: todoist)
+// SYNC_CRON takes precedence over SYNC_INTERVAL_MINUTES; with neither set, no background sync runs
+// Todoist is synced for every active account; Notion (configured per deployment) for the default account only
+// Due digests (see notifications/notifier.js) are sent after each sync with NOTIFY_AFTER_SYNC=true,
+// and for every active account on the NOTIFY_CRON schedule
+
+const cron = require('node-cron');
+const syncTasks = require('../database/syncTasks');
+const { LOCK_TTL_MS, acquireSyncLock, renewSyncLock, releaseSyncLock } = require('../database/syncLock');
+const { DEFAULT_ACCOUNT_NAME, getActiveAccounts } = require('../database/accounts');
+const { sendDueDigests } = require('../notifications/notifier');
+const { getConfiguredChannels } = require('../notifications/channels');
+
+let cronTask = null;
+let notifyCronTask = null;
+let intervalTimer = null;
+
+// Promise of the sync running in this process (null when idle)
+let activeRun = null;
+
+/**
+ * Runs a job (sync or push) while holding the cross-process sync lock
+ * Returns the job result, or null without running it if another run holds the lock
+ */
+async function runWithSyncLock(job, trigger = 'api') {
+    if (activeRun) return null;
+
+    const acquired = await acquireSyncLock(trigger);
+    if (!acquired) return null;
+
+    // Keep the lock alive for syncs that outlast its TTL
+    const renewTimer = setInterval(() => {
+        renewSyncLock().catch((error) => console.error('❌ Failed to renew sync lock:', error.message));
+    }, LOCK_TTL_MS / 2);
+
+    activeRun = (async () => {
+        try {
+            return await job();
+        } finally {
+            clearInterval(renewTimer);
+            activeRun = null;
+            await releaseSyncLock().catch((error) => console.error('❌ Failed to release sync lock:', error.message));
+        }
+    })();
+
+    return activeRun;
+}
+
+// Send the account's due digests, logging failures (a failed digest does not fail the sync before it)
+async function notifyAccount(account) {
+    try {
+        await sendDueDigests(account);
+    } catch (error) {
+        console.error(`❌ Failed to send the due digests of ${account.name}:`, error.message);
+    }
+}
+
+// Runs syncTasks under the sync lock (see runWithSyncLock), then sends due digests with NOTIFY_AFTER_SYNC=true
+function runExclusiveSync(options = {}, trigger = 'api') {
+    return runWithSyncLock(async () => {
+        const result = await syncTasks({ ...options, trigger });
+        if (process.env.NOTIFY_AFTER_SYNC === 'true' && options.account && getConfiguredChannels().length > 0) {
+            await notifyAccount(options.account);
+        }
+        return result;
+    }, trigger);
+}
+
+// Resolves once the sync running in this process (if any) has finished
+async function waitForActiveSync() {
+    if (activeRun) {
+        await activeRun.catch(() => {});
+    }
+}
+
+// One scheduled tick: sync each configured source of each active account in turn
+async function runScheduledSync() {
+    const sources = (process.env.SYNC_SOURCES || 'todoist').split(',').map((source) => source.trim());
+
+    let accounts;
+    try {
+        accounts = await getActiveAccounts();
+    } catch (error) {
+        console.error('❌ Scheduled sync failed to load accounts:', error.message);
+        return;
+    }
+
+    for (const account of accounts) {
+        for (const source of sources) {
+            if (source !== 'todoist' && account.name !== DEFAULT_ACCOUNT_NAME) continue;
+            try {
+                const result = await runExclusiveSync({ source, account }, 'schedule');
+                if (!result) {
+                    console.log(`⏭️ Skipping scheduled ${source} sync of ${account.name}, another sync is running`);
+                }
+            } catch (error) {
+                console.error(`❌ Scheduled ${source} sync of ${account.name} failed:`, error.message);
+            }
+        }
+    }
+}
+
+// One scheduled notification tick: send the due digests of each active account, under the sync lock
+async function runScheduledNotifications() {
+    let accounts;
+    try {
+        accounts = await getActiveAccounts();
+    } catch (error) {
+        console.error('❌ Scheduled notifications failed to load accounts:', error.message);
+        return;
+    }
+
+    for (const account of accounts) {
+        try {
+            const result = await runWithSyncLock(() => notifyAccount(account), 'notify');
+            if (result === null) {
+                console.log(`⏭️ Skipping scheduled notifications of ${account.name}, a sync is running`);
+            }
+        } catch (error) {
+            console.error(`❌ Scheduled notifications of ${account.name} failed:`, error.message);
+        }
+    }
+}
+
+/**
+ * Starts the background scheduler from SYNC_CRON or SYNC_INTERVAL_MINUTES, and NOTIFY_CRON
+ */
+function startScheduler() {
+    const cronExpression = process.env.SYNC_CRON;
+    const intervalMinutes = Number(process.env.SYNC_INTERVAL_MINUTES);
+    const notifyCronExpression = process.env.NOTIFY_CRON;
+
+    if (notifyCronExpression && !cron.validate(notifyCronExpression)) {
+        throw new Error(`Invalid NOTIFY_CRON expression: ${notifyCronExpression}`);
+    }
+    if (cronExpression) {
+        if (!cron.validate(cronExpression)) {
+            throw new Error(`Invalid SYNC_CRON expression: ${cronExpression}`);
+        }
+        cronTask = cron.schedule(cronExpression, runScheduledSync);
+        console.log(`⏰ Background sync scheduled with cron "${cronExpression}"`);
+    } else if (intervalMinutes > 0) {
+        intervalTimer = setInterval(runScheduledSync, intervalMinutes * 60 * 1000);
+        console.log(`⏰ Background sync scheduled every ${intervalMinutes} minutes`);
+    }
+    if (notifyCronExpression) {
+        notifyCronTask = cron.schedule(notifyCronExpression, runScheduledNotifications);
+        console.log(`⏰ Due digests scheduled with cron "${notifyCronExpression}"`);
+    }
+}
+
+// Stops scheduling new background syncs and digests (a running sync is not interrupted)
+function stopScheduler() {
+    if (cronTask) {
+        cronTask.stop();
+        cronTask = null;
+    }
+    if (notifyCronTask) {
+        notifyCronTask.stop();
+        notifyCronTask = null;
+    }
+    if (intervalTimer) {
+        clearInterval(intervalTimer);
+        intervalTimer = null;
+    }
+}
+
+module.exports = {
+    runWithSyncLock,
+    runExclusiveSync,
+    waitForActiveSync,
+    startScheduler,
+    stopScheduler,
+};
@@ -1,27 +1,52 @@
 // Main server file for Todoist-MongoDB sync app
-// Required env vars: PORT, MONGODB_URI, TODOIST_API_TOKEN
+// Required env vars: PORT, MONGODB_URI, TODOIST_API_TOKEN (token of the default account)
+// Optional env var for more accounts: ACCOUNT_TOKEN_KEY (encrypts their Todoist tokens)
+// Optional env vars for API key throttling: AUTH_MAX_FAILURES, AUTH_LOCKOUT_MINUTES, TRUST_PROXY
+// Optional env vars for Notion sync: NOTION_API_TOKEN, NOTION_DATABASE_ID, NOTION_API_BASE_URL, NOTION_TIMEOUT_MS
+// Optional env vars for background sync: SYNC_CRON or SYNC_INTERVAL_MINUTES, SYNC_SOURCES
+// Optional env var for Todoist webhooks: TODOIST_CLIENT_SECRET
+// Optional env var for the readiness check: READY_MAX_SYNC_AGE_MINUTES
+// Optional env vars for due task digests: NOTIFY_WEBHOOK_URL, SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER,
+// SMTP_PASSWORD, NOTIFY_EMAIL_FROM, NOTIFY_EMAIL_TO, NOTIFY_TIMEZONE, NOTIFY_DUE_SOON_HOURS,
+// NOTIFY_AFTER_SYNC, NOTIFY_CRON
+// Optional env var to run without MongoDB: STORAGE_BACKEND=memory (data is lost when the process exits)
 
 require('dotenv').config();
-const express = require('express');
+const app = require('./app');
 const connectDB = require('./database/config');
 const taskRoutes = require('./routes/taskRoutes');
+const { ensureDefaultAccount } = require('./database/accounts');
+const { createApiKey } = require('./database/apiKeys');
+const { isMemoryStorage } = require('./database/repositories');
+const { migrateTaskDue } = require('./database/migrateTaskDue');
+const { startScheduler, stopScheduler, waitForActiveSync } = require('./scheduler/syncScheduler');
 
-// Initialize Express app
-const app = express();
-app.use(express.json());
 const PORT = process.env.PORT || 3000;
 
-// Connect to MongoDB
-connectDB();
+/**
+ * In-memory storage starts empty and no other process can reach it to create API keys,
+ * so an admin key is created on startup and printed once
+ */
+async function setUpMemoryStorage() {
+    console.log('🧪 Using in-memory storage: nothing is saved once the server stops');
+    const { key } = await createApiKey({ name: 'memory-storage-admin', scope: 'admin' });
+    console.log(`🔑 Admin API key for this run: ${key}`);
+}
 
-// Root endpoint - Shows server status
-app.get('/', (req, res) => {
-    res.send('Server is running! Go to /tasks to fetch tasks.');
+// Connect to MongoDB (unless STORAGE_BACKEND=memory), set up the default account and migrate stored tasks,
+// then start background sync (if configured)
+(isMemoryStorage() ? Promise.resolve() : connectDB()).then(async () => {
+    try {
+        await ensureDefaultAccount();
+        if (isMemoryStorage()) await setUpMemoryStorage();
+        await migrateTaskDue();
+        startScheduler();
+    } catch (error) {
+        console.error('Startup error:', error.message);
+        process.exit(1);
+    }
 });
 
-// Mount task routes
-app.use('/tasks', taskRoutes);
-
 // Start server with error handling
 const server = app
     .listen(PORT, () => {
@@ -42,11 +67,15 @@ const server = app
         }
     });
 
-// Handle graceful shutdown
+// Handle graceful shutdown - stop scheduling, end open task streams, then let an in-flight sync finish
 process.on('SIGTERM', () => {
     console.log('Received SIGTERM. Performing graceful shutdown...');
-    server.close(() => {
-        console.log('Server closed. Exiting process.');
+    stopScheduler();
+    server.close(async () => {
+        console.log('Server closed. Waiting for any in-flight sync to finish...');
+        await waitForActiveSync();
+        console.log('Exiting process.');
         process.exit(0);
     });
+    taskRoutes.closeTaskStreams();
 });
@@ -0,0 +1,139 @@
+// Account Tests - Encrypted Todoist tokens and the account a request acts on (X-Account-Id)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTodoistStub } = require('./helpers/todoistStub');
+
+// Keep snapshots of full fetches out of the repository (read when todoist-snapshots.js loads)
+process.env.SNAPSHOT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'todoist-snapshot-test-'));
+
+const app = require('../app');
+const Account = require('../database/accountSchema');
+const { encryptToken, decryptToken, ensureDefaultAccount } = require('../database/accounts');
+const { createApiKey } = require('../database/apiKeys');
+const { repositoryFor, setStorageBackend } = require('../database/repositories');
+
+setStorageBackend('memory');
+
+// Routes and syncs log every step; keep the test report readable
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+const accountRepository = repositoryFor(Account);
+
+let stub;
+let server;
+let baseUrl;
+let adminKey;
+let defaultAccount;
+
+test.before(async () => {
+    stub = await startTodoistStub();
+    Object.assign(process.env, {
+        ACCOUNT_TOKEN_KEY: 'test-account-token-key',
+        TODOIST_API_TOKEN: 'default-token',
+        TODOIST_REST_BASE_URL: stub.restBaseUrl,
+        TODOIST_SYNC_BASE_URL: stub.syncBaseUrl,
+        TODOIST_MAX_RETRIES: '0',
+    });
+    defaultAccount = await ensureDefaultAccount();
+    ({ key: adminKey } = await createApiKey({ name: 'test-admin', scope: 'admin' }));
+    await new Promise((resolve) => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await stub.close();
+    fs.rmSync(process.env.SNAPSHOT_DIR, { recursive: true, force: true });
+});
+
+// Send a request with an API key (the admin key by default); resolves to { status, body }
+async function request(method, route, { body, key = adminKey, accountId } = {}) {
+    const response = await fetch(`${baseUrl}${route}`, {
+        method,
+        headers: {
+            Authorization: `Bearer ${key}`,
+            'Content-Type': 'application/json',
+            ...(accountId && { 'X-Account-Id': accountId }),
+        },
+        body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test('tokens are encrypted with a random IV and only decrypt with the same key', (t) => {
+    t.after(() => {
+        process.env.ACCOUNT_TOKEN_KEY = 'test-account-token-key';
+    });
+
+    const encrypted = encryptToken('secret-token');
+    assert.equal(encrypted.split(':').length, 3);
+    assert.doesNotMatch(encrypted, /secret-token/);
+    assert.notEqual(encryptToken('secret-token'), encrypted);
+    assert.equal(decryptToken(encrypted), 'secret-token');
+
+    const [iv, tag, ciphertext] = encrypted.split(':');
+    const tampered = Buffer.from(ciphertext, 'base64');
+    tampered[0] ^= 1;
+    assert.throws(() => decryptToken([iv, tag, tampered.toString('base64')].join(':')));
+
+    process.env.ACCOUNT_TOKEN_KEY = 'another-key';
+    assert.throws(() => decryptToken(encrypted));
+    delete process.env.ACCOUNT_TOKEN_KEY;
+    assert.throws(() => encryptToken('secret-token'), /ACCOUNT_TOKEN_KEY is not set/);
+});
+
+test('requests act on the account named by X-Account-Id, with its own Todoist token', async (t) => {
+    let work;
+
+    await t.test('added accounts store their token encrypted and never return it', async () => {
+        const created = await request('POST', '/accounts', { body: { name: 'work', todoist_token: 'work-token' } });
+        assert.equal(created.status, 201);
+        work = created.body.account;
+        assert.equal(work.todoist_token, undefined);
+
+        const stored = await accountRepository.findOne({ _id: work._id });
+        assert.notEqual(stored.todoist_token, 'work-token');
+        assert.equal(decryptToken(stored.todoist_token), 'work-token');
+    });
+
+    await t.test('tasks are scoped to the account given by name or _id', async () => {
+        const created = await request('POST', '/tasks', { body: { content: 'Work task' }, accountId: 'work' });
+        assert.equal(created.status, 201);
+        const { _id: taskId, account_id: taskAccountId } = created.body.task;
+        assert.equal(taskAccountId, work._id);
+
+        assert.equal((await request('GET', `/tasks/${taskId}`, { accountId: work._id })).status, 200);
+        assert.equal((await request('GET', `/tasks/${taskId}`)).status, 404);
+
+        const unknown = await request('GET', `/tasks/${taskId}`, { accountId: 'personal' });
+        assert.equal(unknown.status, 404);
+        assert.equal(unknown.body.error, 'Account not found');
+    });
+
+    await t.test('keys limited to an account cannot pick another one', async () => {
+        const { key } = await createApiKey({ name: 'default-only', scope: 'read', accountId: defaultAccount._id });
+        assert.equal((await request('GET', '/tasks/db', { key })).status, 200);
+        assert.equal((await request('GET', '/tasks/db', { key, accountId: 'default' })).status, 200);
+        const other = await request('GET', '/tasks/db', { key, accountId: 'work' });
+        assert.equal(other.status, 403);
+        assert.equal(other.body.error, 'Account not allowed');
+    });
+
+    await t.test("syncs call Todoist with the account's token", async () => {
+        const requestCount = stub.requests.length;
+        const synced = await request('POST', '/tasks/sync', { body: { resources: false }, accountId: 'work' });
+        assert.equal(synced.status, 200);
+        assert.equal(synced.body.pushed.created, 1);
+
+        const sent = stub.requests.slice(requestCount);
+        assert.ok(sent.length > 0);
+        assert.ok(sent.every(({ headers }) => headers.authorization === 'Bearer work-token'));
+    });
+});
@@ -0,0 +1,62 @@
+// Auth Tests - API key checks and the throttling of failed attempts
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { authenticate, requireAdmin } = require('../routes/auth');
+const { createApiKey } = require('../database/apiKeys');
+const { setStorageBackend } = require('../database/repositories');
+
+setStorageBackend('memory');
+
+// Failed attempts are logged when an IP is blocked
+test.mock.method(console, 'warn', () => {});
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    const app = express();
+    app.set('trust proxy', true);
+    app.get('/tasks', authenticate, (req, res) => res.json({ scope: req.apiKey.scope }));
+    app.post('/tasks/sync', authenticate, requireAdmin, (req, res) => res.json({ status: 'success' }));
+    await new Promise((resolve) => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+// Request as the client at ip, with an optional API key
+const request = (path, { ip, key, method = 'GET' }) =>
+    fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'X-Forwarded-For': ip, ...(key && { Authorization: `Bearer ${key}` }) },
+    });
+
+test('keys are required and checked against their scope', async () => {
+    const { key: readKey } = await createApiKey({ name: 'reader', scope: 'read' });
+
+    assert.equal((await request('/tasks', { ip: '10.0.0.1' })).status, 401);
+    const response = await request('/tasks', { ip: '10.0.0.1', key: readKey });
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { scope: 'read' });
+    assert.equal((await request('/tasks/sync', { ip: '10.0.0.1', key: readKey, method: 'POST' })).status, 403);
+});
+
+test('guessing with a key prefix blocks the guessing IP, not the key', async () => {
+    const { key, apiKey } = await createApiKey({ name: 'owner', scope: 'admin' });
+    const guess = `tsk_${apiKey.prefix}_${'x'.repeat(43)}`;
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+        assert.equal((await request('/tasks', { ip: '10.0.0.66', key: guess })).status, 401);
+    }
+    const blocked = await request('/tasks', { ip: '10.0.0.66', key: guess });
+    assert.equal(blocked.status, 429);
+    assert.ok(Number(blocked.headers.get('Retry-After')) > 0);
+
+    assert.equal((await request('/tasks', { ip: '10.0.0.2', key })).status, 200);
+    // The blocked IP stays blocked, even with a valid key
+    assert.equal((await request('/tasks', { ip: '10.0.0.66', key })).status, 429);
+});
@@ -0,0 +1,95 @@
+// Conflict Resolver Tests - Three-way merges, conflict policies and resolving open conflicts
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Task = require('../database/taskSchema');
+const Conflict = require('../database/conflictSchema');
+const { normalizeTaskForComparison } = require('../database/syncChecker');
+const { mergeTask, applyConflictResolution } = require('../database/conflictResolver');
+const { repositoryFor, setStorageBackend } = require('../database/repositories');
+
+setStorageBackend('memory');
+
+const taskRepository = repositoryFor(Task);
+const conflictRepository = repositoryFor(Conflict);
+const accountId = new mongoose.Types.ObjectId();
+
+const baseTask = { content: 'Task', description: '', priority: 4, labels: [], project_id: 'p1' };
+
+// Merge a task edited on both sides: content in both, description locally, priority in Todoist
+function mergeEdits({ policy, localUpdatedAt, remoteUpdatedAt }) {
+    return mergeTask({
+        base: normalizeTaskForComparison(baseTask),
+        local: { ...baseTask, content: 'Local', description: 'Notes', updated_at: localUpdatedAt },
+        remote: { ...baseTask, content: 'Remote', priority: 1 },
+        remoteUpdatedAt,
+        policy,
+    });
+}
+
+test('fields changed on one side are taken from that side', () => {
+    const merge = mergeEdits({ policy: 'todoist-wins' });
+    assert.deepEqual(merge.localFields, ['description']);
+    assert.deepEqual(merge.remoteFields, ['content', 'priority']);
+    assert.deepEqual(merge.conflicts, []);
+});
+
+test('manual leaves fields changed on both sides as conflicts', () => {
+    const merge = mergeEdits({ policy: 'manual' });
+    assert.deepEqual(merge.conflicts, [{ field: 'content', base: 'Task', local: 'Local', remote: 'Remote' }]);
+});
+
+test('newest-wins takes the side changed last', () => {
+    const older = '2026-01-01T10:00:00Z';
+    const newer = '2026-01-01T11:00:00Z';
+    const localNewer = mergeEdits({ policy: 'newest-wins', localUpdatedAt: newer, remoteUpdatedAt: older });
+    assert.deepEqual(localNewer.localFields, ['content', 'description']);
+    const remoteNewer = mergeEdits({ policy: 'newest-wins', localUpdatedAt: older, remoteUpdatedAt: newer });
+    assert.deepEqual(remoteNewer.remoteFields, ['content', 'priority']);
+});
+
+test('newest-wins leaves the field for manual review when Todoist reports no timestamp', () => {
+    const merge = mergeEdits({ policy: 'newest-wins', localUpdatedAt: '2026-01-01T10:00:00Z' });
+    assert.deepEqual(merge.conflicts.map(({ field }) => field), ['content']);
+});
+
+test('custom resolution values are validated against the task schema', async () => {
+    const now = new Date();
+    const task = await taskRepository.insert({
+        ...baseTask,
+        todoid: '7',
+        account_id: accountId,
+        source: 'todoist',
+        sync_conflict: true,
+        created_at: now,
+        updated_at: now,
+    });
+    const conflict = await conflictRepository.insert({
+        account_id: accountId,
+        todoid: '7',
+        source: 'todoist',
+        status: 'open',
+        fields: [{ field: 'priority', base: 4, local: 2, remote: 1 }],
+        created_at: now,
+        updated_at: now,
+    });
+
+    await assert.rejects(
+        applyConflictResolution(conflict._id, { resolution: 'custom', values: { priority: 9 } }, accountId),
+        { name: 'ValidationError' }
+    );
+    assert.equal((await taskRepository.findOne({ _id: task._id })).priority, 4);
+    assert.equal((await conflictRepository.findOne({ _id: conflict._id })).status, 'open');
+
+    const resolved = await applyConflictResolution(
+        conflict._id,
+        { resolution: 'custom', values: { priority: 3 } },
+        accountId
+    );
+    assert.equal(resolved.status, 'resolved');
+    const stored = await taskRepository.findOne({ _id: task._id });
+    assert.equal(stored.priority, 3);
+    assert.equal(stored.sync_conflict, false);
+    assert.equal(stored.last_updated_by, 'conflict-resolution');
+});
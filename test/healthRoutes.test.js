@@ -0,0 +1,99 @@
+// Health Route Tests - Liveness, readiness and Prometheus metrics through the app, on the in-memory storage
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const app = require('../app');
+const SyncRun = require('../database/syncRunSchema');
+const { createApiKey } = require('../database/apiKeys');
+const { recordSyncRun } = require('../monitoring/metrics');
+const { repositoryFor, resetMemoryStorage, setStorageBackend } = require('../database/repositories');
+
+setStorageBackend('memory');
+
+const syncRunRepository = repositoryFor(SyncRun);
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    await new Promise((resolve) => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+test.beforeEach(() => {
+    resetMemoryStorage();
+    delete process.env.READY_MAX_SYNC_AGE_MINUTES;
+});
+
+// GET a path, with an API key when given; resolves to the response
+const get = (route, key) => fetch(`${baseUrl}${route}`, { headers: key ? { Authorization: `Bearer ${key}` } : {} });
+
+// Record a successful sync that finished minutesAgo
+const recordSuccessfulSync = (minutesAgo) => {
+    const finishedAt = new Date(Date.now() - minutesAgo * 60000);
+    return syncRunRepository.insert({
+        account_id: new mongoose.Types.ObjectId(),
+        source: 'todoist',
+        trigger: 'test',
+        status: 'success',
+        started_at: finishedAt,
+        finished_at: finishedAt,
+    });
+};
+
+test('/healthz reports the storage and the last successful sync without an API key', async () => {
+    const empty = await get('/healthz');
+    assert.equal(empty.status, 200);
+    const health = await empty.json();
+    assert.equal(health.status, 'ok');
+    assert.equal(health.storage, 'memory');
+    assert.equal(health.mongodb, undefined);
+    assert.equal(health.last_successful_sync, null);
+
+    await recordSuccessfulSync(2);
+    const { last_successful_sync: lastSync } = await (await get('/healthz')).json();
+    assert.equal(lastSync.source, 'todoist');
+    assert.ok(lastSync.age_seconds >= 119 && lastSync.age_seconds <= 125);
+});
+
+test('/readyz fails once the last successful sync is older than READY_MAX_SYNC_AGE_MINUTES', async () => {
+    assert.equal((await get('/readyz')).status, 200);
+
+    process.env.READY_MAX_SYNC_AGE_MINUTES = '5';
+    const neverSynced = await get('/readyz');
+    assert.equal(neverSynced.status, 503);
+    assert.equal((await neverSynced.json()).details, 'No successful sync in the last 5 minutes');
+
+    await recordSuccessfulSync(10);
+    assert.equal((await get('/readyz')).status, 503);
+
+    await recordSuccessfulSync(1);
+    const ready = await get('/readyz');
+    assert.equal(ready.status, 200);
+    assert.equal((await ready.json()).status, 'ok');
+});
+
+test('/metrics needs an API key and renders the Prometheus text format', async () => {
+    assert.equal((await get('/metrics')).status, 401);
+
+    const { key } = await createApiKey({ name: 'metrics', scope: 'read' });
+    recordSyncRun({ source: 'todoist', status: 'success', durationMs: 1500, counts: { created: 2 } });
+
+    const response = await get('/metrics', key);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+
+    const text = await response.text();
+    const lines = text.split('\n');
+    assert.ok(lines.includes('# TYPE todoist_sync_runs_total counter'));
+    assert.ok(lines.includes('todoist_sync_runs_total{source="todoist",status="success"} 1'));
+    assert.ok(lines.includes('todoist_sync_duration_seconds_sum{source="todoist"} 1.5'));
+    assert.match(text, /^http_requests_total\{method="GET",route="\/readyz",status="503"\} \d+$/m);
+    assert.ok(lines.includes('http_requests_total{method="GET",route="/metrics",status="401"} 1'));
+    assert.ok(lines.includes('mongodb_up 0'));
+});
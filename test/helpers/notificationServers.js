@@ -0,0 +1,118 @@
+// Notification Servers - Local stand-ins for an SMTP relay and a webhook receiver, for offline notification tests
+// Both record what they receive and can be told to fail, to test how failed deliveries are handled
+
+const http = require('http');
+const net = require('net');
+
+// Header value and decoded base64 body of a message built by smtpClient.buildMessage()
+function parseMessage(data) {
+    const [head, body] = data.split('\r\n\r\n');
+    const headers = Object.fromEntries(
+        head.split('\r\n').map((line) => {
+            const separator = line.indexOf(':');
+            return [line.slice(0, separator).toLowerCase(), line.slice(separator + 1).trim()];
+        })
+    );
+    return { headers, text: Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8') };
+}
+
+/**
+ * Starts a plain SMTP stand-in on a free local port (no TLS; offers AUTH PLAIN)
+ * Returns { host, port, messages, failCommand, close }: messages are { from, to, auth, headers, text },
+ * and failCommand(verb) may return a reply (e.g. '550 No such user') to send instead of the usual one
+ */
+async function startSmtpServer() {
+    const smtp = { messages: [], failCommand: () => null };
+
+    const server = net.createServer((socket) => {
+        let buffer = '';
+        let envelope = { from: null, to: [], auth: null };
+        let data = null;
+
+        const reply = (line) => socket.write(`${line}\r\n`);
+        const onCommand = (line) => {
+            const [verb, ...args] = line.split(' ');
+            const failure = smtp.failCommand(verb.toUpperCase());
+            if (failure) return reply(failure);
+
+            switch (verb.toUpperCase()) {
+                case 'EHLO':
+                    reply('250-localhost');
+                    return reply('250 AUTH PLAIN');
+                case 'AUTH': {
+                    const [, user, password] = Buffer.from(args[1], 'base64').toString('utf8').split('\0');
+                    envelope.auth = { user, password };
+                    return reply('235 Authenticated');
+                }
+                case 'MAIL':
+                    envelope.from = /<(.*)>/.exec(line)[1];
+                    return reply('250 OK');
+                case 'RCPT':
+                    envelope.to.push(/<(.*)>/.exec(line)[1]);
+                    return reply('250 OK');
+                case 'DATA':
+                    data = [];
+                    return reply('354 End data with <CR><LF>.<CR><LF>');
+                case 'QUIT':
+                    reply('221 Bye');
+                    return socket.end();
+                default:
+                    return reply('502 Command not implemented');
+            }
+        };
+        const onLine = (line) => {
+            if (data === null) return onCommand(line);
+            if (line !== '.') return data.push(line);
+            smtp.messages.push({ ...envelope, ...parseMessage(data.join('\r\n')) });
+            envelope = { from: null, to: [], auth: null };
+            data = null;
+            return reply('250 Queued');
+        };
+
+        socket.on('data', (chunk) => {
+            buffer += chunk.toString('utf8');
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                onLine(line);
+            }
+        });
+        socket.on('error', () => {});
+        reply('220 localhost SMTP stand-in');
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    smtp.host = '127.0.0.1';
+    smtp.port = server.address().port;
+    smtp.close = () => new Promise((resolve) => server.close(resolve));
+    return smtp;
+}
+
+/**
+ * Starts a webhook receiver on a free local port
+ * Returns { url, requests, status, close }: requests are the JSON bodies received, answered with
+ * the status (200 unless changed)
+ */
+async function startWebhookServer() {
+    const webhook = { requests: [], status: 200 };
+
+    const server = http.createServer((req, res) => {
+        let data = '';
+        req.on('data', (chunk) => {
+            data += chunk;
+        });
+        req.on('end', () => {
+            webhook.requests.push(JSON.parse(data));
+            res.writeHead(webhook.status, { 'Content-Type': 'text/plain' });
+            res.end(webhook.status === 200 ? 'ok' : 'error');
+        });
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    webhook.url = `http://127.0.0.1:${server.address().port}/hook`;
+    webhook.close = () => new Promise((resolve) => server.close(resolve));
+    return webhook;
+}
+
+module.exports = { startSmtpServer, startWebhookServer };
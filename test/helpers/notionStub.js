@@ -0,0 +1,97 @@
+// Notion Stub - Local stand-in for the Notion database query and page endpoints, enough for offline sync tests
+// Pages keep their properties in the shape Notion returns them; written properties are converted to it
+
+const http = require('http');
+
+// A written property value ({ title: [{ text }] }, { checkbox }, ...) as Notion returns it, with its type
+function toReadProperty(value) {
+    const type = Object.keys(value)[0];
+    if (type === 'title' || type === 'rich_text') {
+        return { type, [type]: value[type].map(({ text }) => ({ plain_text: text.content })) };
+    }
+    return { type, ...value };
+}
+
+/**
+ * Starts the stub on a free local port
+ * Returns { baseUrl, databaseId, addPage, getPage, requests, pageSize, hang, close }: query results
+ * are paged by pageSize, and while hang is true requests get no response
+ */
+async function startNotionStub() {
+    const pages = new Map();
+    const requests = [];
+    let nextId = 1;
+
+    const stub = { databaseId: 'db1', requests, pageSize: 100, hang: false };
+
+    // properties in the shape Notion returns them, e.g. { Name: { type: 'title', title: [{ plain_text }] } }
+    stub.addPage = (properties = {}, fields = {}) => {
+        const id = `page-${nextId++}`;
+        const now = new Date().toISOString();
+        const page = {
+            id,
+            url: `https://www.notion.so/${id}`,
+            created_time: now,
+            last_edited_time: now,
+            archived: false,
+            properties,
+            ...fields,
+        };
+        pages.set(id, page);
+        return page;
+    };
+    stub.getPage = (id) => pages.get(id) || null;
+
+    const writePage = (page, body) => {
+        for (const [name, value] of Object.entries(body.properties || {})) {
+            page.properties[name] = toReadProperty(value);
+        }
+        if (body.archived !== undefined) page.archived = body.archived;
+        page.last_edited_time = new Date().toISOString();
+        return page;
+    };
+
+    const route = (method, path, body) => {
+        const query = /^\/databases\/([^/]+)\/query$/.exec(path);
+        if (method === 'POST' && query) {
+            const all = [...pages.values()].filter((page) => !page.archived);
+            const start = Number(body.start_cursor || 0);
+            const end = start + Math.min(body.page_size || 100, stub.pageSize);
+            return { results: all.slice(start, end), has_more: end < all.length, next_cursor: String(end) };
+        }
+        if (method === 'POST' && path === '/pages') {
+            return writePage(stub.addPage(), body);
+        }
+        const page = /^\/pages\/([^/]+)$/.exec(path);
+        if (method === 'PATCH' && page && pages.has(page[1])) {
+            return writePage(pages.get(page[1]), body);
+        }
+        return null;
+    };
+
+    const server = http.createServer((req, res) => {
+        let data = '';
+        req.on('data', (chunk) => {
+            data += chunk;
+        });
+        req.on('end', () => {
+            const body = data ? JSON.parse(data) : {};
+            requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+            if (stub.hang) return;
+
+            const result = route(req.method, req.url, body);
+            res.writeHead(result ? 200 : 404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(result ?? { object: 'error', status: 404, code: 'object_not_found' }));
+        });
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    stub.baseUrl = `http://127.0.0.1:${server.address().port}`;
+    stub.close = () => {
+        server.closeAllConnections();
+        return new Promise((resolve) => server.close(resolve));
+    };
+    return stub;
+}
+
+module.exports = { startNotionStub };
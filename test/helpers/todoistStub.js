@@ -0,0 +1,184 @@
+// Todoist Stub - Local stand-in for the Todoist REST and Sync APIs, enough for offline sync tests
+// Tasks are kept as Sync API items; every change bumps the sync token, so incremental syncs see it
+
+const http = require('http');
+
+// Stored item without the stub's change counter
+const toSyncItem = ({ version, ...item }) => item;
+
+// Sync API item as the REST API returns it
+function toRestTask(item) {
+    const { checked, added_at: addedAt, is_deleted: isDeleted, updated_at: updatedAt, ...task } = toSyncItem(item);
+    return { ...task, is_completed: checked, created_at: addedAt };
+}
+
+// Completed history entry (completed/get_all) of an item
+const toCompletedItem = (item) => ({
+    id: `completion-${item.id}`,
+    task_id: item.id,
+    content: item.content,
+    project_id: item.project_id,
+    section_id: item.section_id,
+    completed_at: item.completed_at,
+});
+
+// REST create parameters as a Sync API due
+function dueFromRestParams({ due_date: date, due_datetime: datetime, due_string: string }) {
+    if (!date && !datetime && !string) return null;
+    return { date: date || datetime || string, string: string || date || datetime, is_recurring: false };
+}
+
+/**
+ * Starts the stub on a free local port
+ * Returns { restBaseUrl, syncBaseUrl, addTask, updateTask, removeTask, getTask, commands, requests,
+ * failCommand, close } where failCommand(command) may return a sync_status error for a command
+ */
+async function startTodoistStub() {
+    const items = new Map();
+    const commands = [];
+    const requests = [];
+    let version = 0;
+    let nextId = 1000;
+
+    const stub = { commands, requests, failCommand: () => null };
+
+    const touch = (item) => {
+        item.version = ++version;
+        item.updated_at = new Date().toISOString();
+    };
+
+    stub.addTask = (fields = {}) => {
+        const id = String(fields.id || nextId++);
+        const item = {
+            id,
+            content: 'Task',
+            description: '',
+            checked: false,
+            labels: [],
+            priority: 1,
+            project_id: 'inbox',
+            section_id: null,
+            due: null,
+            duration: null,
+            deadline: null,
+            added_at: new Date().toISOString(),
+            completed_at: null,
+            is_deleted: false,
+            url: `https://app.todoist.com/app/task/${id}`,
+            ...fields,
+            id,
+        };
+        touch(item);
+        items.set(id, item);
+        return item;
+    };
+    stub.updateTask = (id, fields) => {
+        const item = items.get(String(id));
+        Object.assign(item, fields);
+        touch(item);
+        return item;
+    };
+    stub.removeTask = (id) => stub.updateTask(id, { is_deleted: true });
+    stub.getTask = (id) => (items.has(String(id)) ? toSyncItem(items.get(String(id))) : null);
+
+    // Apply one Sync API command; returns 'ok' or an error object
+    const applyCommand = (command) => {
+        commands.push(command);
+        const failure = stub.failCommand(command);
+        if (failure) return failure;
+
+        const item = items.get(String(command.args.id));
+        if (!item || item.is_deleted) return { error_code: 22, error: 'Item not found' };
+        const { id, ...args } = command.args;
+        switch (command.type) {
+            case 'item_update':
+                stub.updateTask(id, args);
+                return 'ok';
+            case 'item_move':
+                stub.updateTask(id, args);
+                return 'ok';
+            case 'item_complete':
+                stub.updateTask(id, { checked: true, completed_at: new Date().toISOString() });
+                return 'ok';
+            case 'item_uncomplete':
+                stub.updateTask(id, { checked: false, completed_at: null });
+                return 'ok';
+            case 'item_delete':
+                stub.removeTask(id);
+                return 'ok';
+            default:
+                return { error_code: 19, error: `Unknown command ${command.type}` };
+        }
+    };
+
+    const routes = {
+        'GET /rest/v2/tasks': () =>
+            [...items.values()].filter((item) => !item.checked && !item.is_deleted).map(toRestTask),
+        'POST /rest/v2/tasks': (body) =>
+            toRestTask(
+                stub.addTask({
+                    content: body.content,
+                    description: body.description || '',
+                    labels: body.labels || [],
+                    priority: body.priority || 1,
+                    project_id: body.project_id || 'inbox',
+                    section_id: body.section_id || null,
+                    due: dueFromRestParams(body),
+                })
+            ),
+        'GET /sync/v9/completed/get_all': (body, query) => {
+            const completed = [...items.values()].filter((item) => item.checked && !item.is_deleted);
+            const offset = Number(query.get('offset') || 0);
+            const limit = Number(query.get('limit') || 30);
+            return { items: completed.slice(offset, offset + limit).map(toCompletedItem) };
+        },
+        'POST /sync/v9/items/get': (body) => {
+            const item = items.get(String(body.item_id));
+            return item && !item.is_deleted ? { item: toSyncItem(item) } : null;
+        },
+        'POST /sync/v9/sync': (body) => {
+            if (body.commands) {
+                const results = body.commands.map((command) => [command.uuid, applyCommand(command)]);
+                return { sync_status: Object.fromEntries(results), temp_id_mapping: {} };
+            }
+            const types = body.resource_types || [];
+            if (types.includes('user')) return { user: { id: 'user-1', full_name: 'Test User' } };
+            if (!types.includes('items')) return { projects: [], sections: [], labels: [], notes: [] };
+
+            const fullSync = body.sync_token === '*';
+            const since = fullSync ? 0 : Number(body.sync_token);
+            const changed = [...items.values()].filter((item) => (fullSync ? !item.is_deleted : item.version > since));
+            return {
+                items: changed.map(toSyncItem),
+                sync_token: String(version),
+                full_sync: fullSync,
+            };
+        },
+    };
+
+    const server = http.createServer((req, res) => {
+        let data = '';
+        req.on('data', (chunk) => {
+            data += chunk;
+        });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const body = data ? JSON.parse(data) : {};
+            requests.push({ method: req.method, path: url.pathname, headers: req.headers, body });
+
+            const route = routes[`${req.method} ${url.pathname}`];
+            const result = route ? route(body, url.searchParams) : null;
+            res.writeHead(result ? 200 : 404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(result ?? { error: 'Not found' }));
+        });
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    stub.restBaseUrl = `${baseUrl}/rest/v2`;
+    stub.syncBaseUrl = `${baseUrl}/sync/v9`;
+    stub.close = () => new Promise((resolve) => server.close(resolve));
+    return stub;
+}
+
+module.exports = { startTodoistStub };
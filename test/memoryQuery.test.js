@@ -0,0 +1,145 @@
+// Memory Query Tests - MongoDB filter, sort, update and pipeline semantics of the in-memory storage
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { matchDocument, sortDocuments, applyUpdate, runPipeline } = require('../database/memoryQuery');
+
+const ids = (docs) => docs.map(({ _id: id }) => id);
+const filterDocs = (docs, filter) => ids(docs.filter((doc) => matchDocument(doc, filter)));
+
+const tasks = [
+    { _id: 1, content: 'Write report', priority: 4, labels: ['work', 'urgent'], due: { date: '2026-01-10' } },
+    { _id: 2, content: 'Buy milk', priority: 1, labels: ['home'], due: null },
+    { _id: 3, content: 'Call Bob', priority: 2, labels: [], notes: [{ by: 'ann', votes: 3 }] },
+    { _id: 4, content: 'write tests', priority: 4, labels: ['work'], completed_at: new Date('2026-01-05') },
+];
+
+test('comparison operators', () => {
+    assert.deepEqual(filterDocs(tasks, { priority: 4 }), [1, 4]);
+    assert.deepEqual(filterDocs(tasks, { priority: { $ne: 4 } }), [2, 3]);
+    assert.deepEqual(filterDocs(tasks, { priority: { $gt: 1, $lte: 2 } }), [3]);
+    assert.deepEqual(filterDocs(tasks, { priority: { $gte: 2, $lt: 4 } }), [3]);
+    assert.deepEqual(filterDocs(tasks, { priority: { $in: [1, 2] } }), [2, 3]);
+    assert.deepEqual(filterDocs(tasks, { priority: { $nin: [1, 2] } }), [1, 4]);
+    assert.deepEqual(filterDocs(tasks, { completed_at: { $gte: new Date('2026-01-01') } }), [4]);
+});
+
+test('array fields match any element, or the whole array', () => {
+    assert.deepEqual(filterDocs(tasks, { labels: 'work' }), [1, 4]);
+    assert.deepEqual(filterDocs(tasks, { labels: { $all: ['work', 'urgent'] } }), [1]);
+    assert.deepEqual(filterDocs(tasks, { labels: { $size: 0 } }), [3]);
+    assert.deepEqual(filterDocs(tasks, { labels: ['home'] }), [2]);
+    assert.deepEqual(filterDocs(tasks, { notes: { $elemMatch: { by: 'ann', votes: { $gt: 2 } } } }), [3]);
+    assert.deepEqual(filterDocs(tasks, { 'notes.by': 'ann' }), [3]);
+});
+
+test('null, $exists and $type', () => {
+    // null matches missing fields too, as in MongoDB
+    assert.deepEqual(filterDocs(tasks, { due: null }), [2, 3, 4]);
+    assert.deepEqual(filterDocs(tasks, { completed_at: { $exists: true } }), [4]);
+    assert.deepEqual(filterDocs(tasks, { notes: { $exists: false } }), [1, 2, 4]);
+    assert.deepEqual(filterDocs(tasks, { due: { $type: 'object' } }), [1]);
+    assert.deepEqual(filterDocs(tasks, { 'due.date': '2026-01-10' }), [1]);
+});
+
+test('$regex, $options and $not', () => {
+    assert.deepEqual(filterDocs(tasks, { content: { $regex: '^write', $options: 'i' } }), [1, 4]);
+    assert.deepEqual(filterDocs(tasks, { content: /milk/ }), [2]);
+    assert.deepEqual(filterDocs(tasks, { content: { $not: /^write/i } }), [2, 3]);
+});
+
+test('logical operators and $expr', () => {
+    assert.deepEqual(filterDocs(tasks, { $or: [{ priority: 1 }, { labels: 'urgent' }] }), [1, 2]);
+    assert.deepEqual(filterDocs(tasks, { $and: [{ priority: 4 }, { labels: 'urgent' }] }), [1]);
+    assert.deepEqual(filterDocs(tasks, { $nor: [{ priority: 4 }, { priority: 1 }] }), [3]);
+    assert.deepEqual(
+        filterDocs([{ _id: 1, updated: 5, synced: 3 }, { _id: 2, updated: 2, synced: 3 }], {
+            $expr: { $gt: ['$updated', '$synced'] },
+        }),
+        [1]
+    );
+});
+
+test('ObjectIds and dates compare by value', () => {
+    const accountId = new mongoose.Types.ObjectId();
+    const docs = [{ _id: 1, account_id: new mongoose.Types.ObjectId(accountId.toHexString()) }];
+    assert.deepEqual(filterDocs(docs, { account_id: accountId }), [1]);
+    assert.deepEqual(filterDocs(docs, { account_id: { $in: [accountId] } }), [1]);
+    assert.deepEqual(filterDocs(tasks, { completed_at: new Date('2026-01-05') }), [4]);
+});
+
+test('unsupported operators throw instead of matching silently', () => {
+    assert.throws(() => matchDocument(tasks[0], { location: { $near: [0, 0] } }), /does not support the \$near/);
+});
+
+test('sort by several keys, in object or string form', () => {
+    assert.deepEqual(ids(sortDocuments(tasks, { priority: -1, _id: 1 })), [1, 4, 3, 2]);
+    assert.deepEqual(ids(sortDocuments(tasks, '-priority -_id')), [4, 1, 3, 2]);
+    // Missing and null values sort first
+    assert.deepEqual(ids(sortDocuments(tasks, { completed_at: 1, _id: -1 })), [3, 2, 1, 4]);
+});
+
+test('$set, $unset, $inc, $min and $max', () => {
+    const doc = { _id: 1, count: 2, low: 5, high: 5, nested: { a: 1 }, gone: true };
+    const updated = applyUpdate(doc, {
+        $set: { 'nested.b': 2 },
+        $unset: { gone: '' },
+        $inc: { count: 3, fresh: 1 },
+        $min: { low: 3, high: 3 },
+        $max: { high: 9 },
+    });
+    assert.deepEqual(updated, { _id: 1, count: 5, low: 3, high: 9, nested: { a: 1, b: 2 }, fresh: 1 });
+    // The original is left untouched
+    assert.equal(doc.count, 2);
+    assert.equal(doc.gone, true);
+});
+
+test('fields outside operators are set, like Mongoose does', () => {
+    assert.deepEqual(applyUpdate({ _id: 1, a: 1 }, { a: 2, $inc: { b: 1 } }), { _id: 1, a: 2, b: 1 });
+});
+
+test('$setOnInsert only applies when inserting', () => {
+    const update = { $set: { a: 1 }, $setOnInsert: { created: true } };
+    assert.deepEqual(applyUpdate({ _id: 1 }, update), { _id: 1, a: 1 });
+    assert.deepEqual(applyUpdate({ _id: 1 }, update, { isInsert: true }), { _id: 1, a: 1, created: true });
+});
+
+test('$push, $addToSet and $pull', () => {
+    const doc = { tags: ['a'], notes: [{ by: 'ann' }, { by: 'bob' }] };
+    assert.deepEqual(applyUpdate(doc, { $push: { tags: { $each: ['b', 'a'] } } }).tags, ['a', 'b', 'a']);
+    assert.deepEqual(applyUpdate(doc, { $addToSet: { tags: { $each: ['b', 'a'] } } }).tags, ['a', 'b']);
+    assert.deepEqual(applyUpdate(doc, { $pull: { notes: { by: 'ann' } } }).notes, [{ by: 'bob' }]);
+    assert.deepEqual(applyUpdate(doc, { $pull: { tags: { $in: ['a'] } } }).tags, []);
+});
+
+test('unsupported update operators throw', () => {
+    assert.throws(() => applyUpdate({}, { $rename: { a: 'b' } }), /does not support the \$rename update operator/);
+});
+
+test('pipelines match, group, sort and limit', () => {
+    const result = runPipeline(tasks, [
+        { $match: { priority: { $gte: 2 } } },
+        { $unwind: '$labels' },
+        { $group: { _id: '$labels', count: { $sum: 1 }, tasks: { $push: '$_id' } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: 2 },
+    ]);
+    assert.deepEqual(result, [
+        { _id: 'work', count: 2, tasks: [1, 4] },
+        { _id: 'urgent', count: 1, tasks: [1] },
+    ]);
+});
+
+test('$facet runs sub-pipelines on the same input', () => {
+    const [result] = runPipeline(tasks, [
+        {
+            $facet: {
+                total: [{ $group: { _id: null, count: { $sum: 1 }, average: { $avg: '$priority' } } }],
+                top: [{ $sort: { priority: -1, _id: 1 } }, { $skip: 1 }, { $limit: 1 }],
+            },
+        },
+    ]);
+    assert.deepEqual(result.total, [{ _id: null, count: 4, average: 2.75 }]);
+    assert.deepEqual(ids(result.top), [4]);
+});
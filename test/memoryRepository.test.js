@@ -0,0 +1,119 @@
+// Memory Repository Tests - The in-memory backend behind repositoryFor(): paging, upserts, casting and indexes
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Task = require('../database/taskSchema');
+const Label = require('../database/labelSchema');
+const { repositoryFor, setStorageBackend } = require('../database/repositories');
+const { resetMemoryStorage } = require('../database/memoryRepository');
+
+setStorageBackend('memory');
+
+const taskRepository = repositoryFor(Task);
+const labelRepository = repositoryFor(Label);
+const accountId = new mongoose.Types.ObjectId();
+
+// A valid task with the given fields
+const newTask = (fields) => ({
+    account_id: accountId,
+    source: 'todoist',
+    created_at: new Date('2026-01-01'),
+    updated_at: new Date('2026-01-01'),
+    ...fields,
+});
+
+test.beforeEach(() => resetMemoryStorage());
+
+test('find sorts, skips, limits and projects', async () => {
+    for (const [index, priority] of [3, 1, 4, 2].entries()) {
+        await taskRepository.insert(newTask({ todoid: String(index), content: `Task ${index}`, priority }));
+    }
+
+    const page = await taskRepository.find(
+        { account_id: accountId },
+        { sort: { priority: -1 }, skip: 1, limit: 2, select: 'content priority' }
+    );
+    assert.deepEqual(
+        page.map(({ content, priority }) => ({ content, priority })),
+        [
+            { content: 'Task 0', priority: 3 },
+            { content: 'Task 3', priority: 2 },
+        ]
+    );
+    assert.equal(page[0].todoid, undefined);
+    assert.ok(page[0]._id);
+    assert.equal(await taskRepository.count({ priority: { $gte: 3 } }), 2);
+});
+
+test('inserts get schema defaults and casts, and reject missing required fields', async () => {
+    const task = await taskRepository.insert(newTask({ todoid: '1', content: 'Cast me', priority: '2' }));
+    assert.equal(task.priority, 2);
+    assert.equal(task.description, '');
+    assert.deepEqual(task.labels, []);
+    assert.ok(task._id instanceof mongoose.Types.ObjectId);
+
+    await assert.rejects(taskRepository.insert({ todoid: '2', content: 'No source' }), /source/);
+});
+
+test('updateOne with upsert inserts once, seeded from the filter', async () => {
+    const filter = { account_id: accountId, todoid: 'l1' };
+    const update = { $set: { name: 'work' }, $setOnInsert: { color: 'red' } };
+
+    const inserted = await labelRepository.updateOne(filter, update, { upsert: true });
+    assert.equal(inserted.upsertedCount, 1);
+    const updated = await labelRepository.updateOne(filter, { ...update, $set: { name: 'office' } }, { upsert: true });
+    assert.equal(updated.upsertedCount, 0);
+    assert.equal(updated.modifiedCount, 1);
+
+    const labels = await labelRepository.find({ account_id: accountId });
+    assert.equal(labels.length, 1);
+    assert.equal(labels[0].todoid, 'l1');
+    assert.equal(labels[0].name, 'office');
+    assert.equal(labels[0].color, 'red');
+});
+
+test('updateMany, findOneAndUpdate and validators', async () => {
+    await taskRepository.insert(newTask({ todoid: '1', content: 'One' }));
+    await taskRepository.insert(newTask({ todoid: '2', content: 'Two' }));
+
+    const result = await taskRepository.updateMany({ account_id: accountId }, { $set: { labels: ['work'] } });
+    assert.equal(result.modifiedCount, 2);
+
+    const task = await taskRepository.findOneAndUpdate({ todoid: '2' }, { $inc: { priority: -1 } });
+    assert.equal(task.priority, 3);
+
+    await assert.rejects(
+        taskRepository.findOneAndUpdate({ todoid: '2' }, { $set: { priority: 9 } }, { runValidators: true }),
+        /priority/
+    );
+    assert.equal((await taskRepository.findOne({ todoid: '2' })).priority, 3);
+});
+
+test('unique indexes reject duplicates with code 11000', async () => {
+    await labelRepository.insert({ account_id: accountId, todoid: 'l1', name: 'work' });
+    await assert.rejects(labelRepository.insert({ account_id: accountId, todoid: 'l1', name: 'home' }), {
+        code: 11000,
+    });
+    // The same todoid in another account is fine
+    await labelRepository.insert({ account_id: new mongoose.Types.ObjectId(), todoid: 'l1', name: 'work' });
+});
+
+test('bulkApply runs operations in order', async () => {
+    const result = await labelRepository.bulkApply([
+        { insertOne: { document: { account_id: accountId, todoid: 'l1', name: 'a' } } },
+        { insertOne: { document: { account_id: accountId, todoid: 'l2', name: 'b' } } },
+        { updateOne: { filter: { todoid: 'l3' }, update: { $set: { name: 'c' } }, upsert: true } },
+        { updateMany: { filter: {}, update: { $set: { color: 'blue' } } } },
+        { deleteOne: { filter: { todoid: 'l1' } } },
+    ]);
+    assert.deepEqual(result, {
+        insertedCount: 2,
+        matchedCount: 3,
+        modifiedCount: 3,
+        deletedCount: 1,
+        upsertedCount: 1,
+    });
+    assert.deepEqual(await labelRepository.distinct('color'), ['blue']);
+    assert.deepEqual((await labelRepository.find({}, { sort: 'todoid' })).map(({ name }) => name), ['b', 'c']);
+});
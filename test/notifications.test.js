@@ -0,0 +1,159 @@
+// Notification Tests - Due digests delivered to a local SMTP stand-in and webhook receiver, with in-memory storage
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Task = require('../database/taskSchema');
+const TaskNotification = require('../database/taskNotificationSchema');
+const { repositoryFor, setStorageBackend } = require('../database/repositories');
+const { resetMemoryStorage } = require('../database/memoryRepository');
+const { sendMail } = require('../notifications/smtpClient');
+const { getChannelSettings, createChannels } = require('../notifications/channels');
+const { sendDueDigests } = require('../notifications/notifier');
+const { startSmtpServer, startWebhookServer } = require('./helpers/notificationServers');
+
+setStorageBackend('memory');
+
+// Deliveries are logged; keep the test report readable
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+const taskRepository = repositoryFor(Task);
+const notificationRepository = repositoryFor(TaskNotification);
+
+const account = { _id: new mongoose.Types.ObjectId(), name: 'Test' };
+const now = new Date('2026-10-19T12:00:00Z');
+const settings = { timezone: 'UTC', windowHours: 24 };
+
+let smtp;
+let webhook;
+let channels;
+
+test.before(async () => {
+    smtp = await startSmtpServer();
+    webhook = await startWebhookServer();
+    channels = createChannels(
+        getChannelSettings(
+            {},
+            {
+                webhook: { url: webhook.url },
+                email: { host: smtp.host, port: smtp.port, from: 'todoist@example.com', to: ['me@example.com'] },
+            }
+        )
+    );
+});
+
+test.after(async () => {
+    await smtp.close();
+    await webhook.close();
+});
+
+test.beforeEach(async () => {
+    resetMemoryStorage();
+    smtp.messages.length = 0;
+    smtp.failCommand = () => null;
+    webhook.requests.length = 0;
+    webhook.status = 200;
+
+    // One overdue all-day task, one due in a few hours and one not due yet
+    const tasks = [
+        { content: 'Pay rent', date: '2026-10-15' },
+        { content: 'Call Ann', date: '2026-10-19T18:00:00Z', due_time: '2026-10-19T18:00:00Z' },
+        { content: 'Plan trip', date: '2026-11-01' },
+    ];
+    for (const { content, date, due_time: dueTime = '' } of tasks) {
+        await taskRepository.insert({
+            account_id: account._id,
+            source: 'todoist',
+            content,
+            due: { date, string: date, is_recurring: false },
+            due_date: new Date(date),
+            due_time: dueTime,
+            created_at: now,
+            updated_at: now,
+        });
+    }
+});
+
+const statuses = (result) => Object.fromEntries(result.channels.map(({ channel, status }) => [channel, status]));
+
+test('sendMail authenticates and delivers to every recipient', async () => {
+    await sendMail({
+        host: smtp.host,
+        port: smtp.port,
+        user: 'me',
+        password: 'secret',
+        from: 'Todoist <todoist@example.com>',
+        to: ['me@example.com', 'you@example.com'],
+        subject: 'Due tasks ✔',
+        text: '.starts with a dot\nand ünicode',
+    });
+
+    const [message] = smtp.messages;
+    assert.deepEqual(message.auth, { user: 'me', password: 'secret' });
+    assert.equal(message.from, 'todoist@example.com');
+    assert.deepEqual(message.to, ['me@example.com', 'you@example.com']);
+    assert.equal(message.headers.subject, `=?UTF-8?B?${Buffer.from('Due tasks ✔').toString('base64')}?=`);
+    assert.equal(message.text, '.starts with a dot\nand ünicode');
+});
+
+test('sendMail rejects with the failing command and reply', async () => {
+    smtp.failCommand = (verb) => (verb === 'RCPT' ? '550 No such user' : null);
+    const message = { from: 'a@example.com', to: ['b@example.com'], subject: 'Hi', text: 'Hello' };
+    await assert.rejects(
+        sendMail({ host: smtp.host, port: smtp.port, ...message }),
+        /SMTP RCPT TO failed: 550 No such user/
+    );
+    assert.equal(smtp.messages.length, 0);
+});
+
+test('every channel gets the due tasks, and each task is announced once', async () => {
+    const result = await sendDueDigests(account, { now, settings, channels });
+    assert.equal(result.overdue, 1);
+    assert.equal(result.due_soon, 1);
+    assert.deepEqual(statuses(result), { webhook: 'sent', email: 'sent' });
+
+    const [request] = webhook.requests;
+    assert.match(request.text, /Pay rent \(overdue since 2026-10-15\)/);
+    assert.match(request.text, /Call Ann \(due 2026-10-19T18:00:00Z\)/);
+    assert.doesNotMatch(request.text, /Plan trip/);
+    assert.equal(request.digest.overdue, 1);
+    assert.match(smtp.messages[0].text, /Pay rent/);
+    assert.equal(await notificationRepository.count({ account_id: account._id }), 4);
+
+    const again = await sendDueDigests(account, { now, settings, channels });
+    assert.deepEqual(statuses(again), { webhook: 'skipped', email: 'skipped' });
+    assert.equal(webhook.requests.length, 1);
+    assert.equal(smtp.messages.length, 1);
+});
+
+test('a failed channel records nothing, does not stop the others and is retried next time', async () => {
+    webhook.status = 500;
+    const result = await sendDueDigests(account, { now, settings, channels });
+    assert.deepEqual(statuses(result), { webhook: 'failed', email: 'sent' });
+    assert.match(result.channels[0].error, /500/);
+    assert.equal(smtp.messages.length, 1);
+    assert.equal(await notificationRepository.count({ channel: 'webhook' }), 0);
+    assert.equal(await notificationRepository.count({ channel: 'email' }), 2);
+
+    webhook.status = 200;
+    const retried = await sendDueDigests(account, { now, settings, channels });
+    assert.deepEqual(statuses(retried), { webhook: 'sent', email: 'skipped' });
+    assert.equal(retried.channels[0].tasks, 2);
+    assert.equal(await notificationRepository.count({ channel: 'webhook' }), 2);
+});
+
+test('an email the relay refuses is not recorded either', async () => {
+    smtp.failCommand = (verb) => (verb === 'DATA' ? '451 Try again later' : null);
+    const result = await sendDueDigests(account, { now, settings, channels });
+    assert.deepEqual(statuses(result), { webhook: 'sent', email: 'failed' });
+    assert.match(result.channels[1].error, /451 Try again later/);
+    assert.equal(await notificationRepository.count({ channel: 'email' }), 0);
+});
+
+test('dry runs send and record nothing', async () => {
+    const result = await sendDueDigests(account, { now, settings, channels, dryRun: true });
+    assert.deepEqual(statuses(result), { webhook: 'pending', email: 'pending' });
+    assert.equal(webhook.requests.length + smtp.messages.length, 0);
+    assert.equal(await notificationRepository.count({}), 0);
+});
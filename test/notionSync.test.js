@@ -0,0 +1,124 @@
+// Notion Sync Tests - Imports from the local Notion stub and pushes local edits of Notion tasks back to their pages
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Task = require('../database/taskSchema');
+const syncTasks = require('../database/syncTasks');
+const { pushNotionChanges } = require('../database/pushTasks');
+const { ensureDefaultAccount } = require('../database/accounts');
+const { repositoryFor, setStorageBackend } = require('../database/repositories');
+const { startNotionStub } = require('./helpers/notionStub');
+
+setStorageBackend('memory');
+
+// The sync logs every step; keep the test report readable
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+const taskRepository = repositoryFor(Task);
+
+const title = (text) => ({ type: 'title', title: [{ plain_text: text }] });
+const readTitle = (page) => page.properties.Name.title.map(({ plain_text: text }) => text).join('');
+
+let stub;
+let account;
+
+test.before(async () => {
+    stub = await startNotionStub();
+    // The account context needs a Todoist token; a Notion sync sends nothing to Todoist
+    Object.assign(process.env, {
+        TODOIST_API_TOKEN: 'test-token',
+        NOTION_API_TOKEN: 'test-token',
+        NOTION_DATABASE_ID: stub.databaseId,
+        NOTION_API_BASE_URL: stub.baseUrl,
+    });
+    account = await ensureDefaultAccount();
+});
+
+test.after(() => stub.close());
+
+const sync = () => syncTasks({ account, source: 'notion', trigger: 'test' });
+
+// Edit a stored task the way the API routes do
+const editLocally = (filter, fields) =>
+    taskRepository.updateOne(
+        { ...filter, account_id: account._id },
+        { $set: { ...fields, updated_at: new Date(), last_updated_by: 'api' } }
+    );
+
+test('local edits of Notion tasks are written back to their pages', async (t) => {
+    const page = stub.addPage({ Name: title('Write report') });
+
+    await t.test('a sync imports the pages', async () => {
+        const result = await sync();
+        assert.equal(result.created, 1);
+        assert.deepEqual(result.pushed, { created: 0, updated: 0, deleted: 0, failed: 0, errors: [] });
+        const stored = await taskRepository.findOne({ todoid: page.id });
+        assert.equal(stored.source, 'notion');
+        assert.equal(stored.priority, 1);
+    });
+
+    await t.test('edited tasks update their page', async () => {
+        await editLocally({ todoid: page.id }, { content: 'Write the report', priority: 4 });
+        const result = await sync();
+        assert.equal(result.pushed.updated, 1);
+        assert.equal(readTitle(stub.getPage(page.id)), 'Write the report');
+        assert.equal(stub.getPage(page.id).properties.Priority.select.name, 'P1');
+    });
+
+    await t.test('tasks created locally become pages and take their ID', async () => {
+        const now = new Date();
+        await taskRepository.insert({
+            account_id: account._id,
+            source: 'notion',
+            content: 'Created locally',
+            priority: 1,
+            created_at: now,
+            updated_at: now,
+            last_updated_by: 'api',
+        });
+        const result = await sync();
+        assert.equal(result.pushed.created, 1);
+
+        const { todoid } = await taskRepository.findOne({ content: 'Created locally' });
+        assert.equal(readTitle(stub.getPage(todoid)), 'Created locally');
+    });
+
+    await t.test('tasks deleted locally archive their page', async () => {
+        await editLocally({ todoid: page.id }, { deleted_at: new Date() });
+        const result = await sync();
+        assert.equal(result.pushed.deleted, 1);
+        assert.equal(stub.getPage(page.id).archived, true);
+    });
+
+    await t.test('a sync after the push changes nothing on either side', async () => {
+        const requestCount = stub.requests.length;
+        const result = await sync();
+        assert.equal(result.created + result.updated + result.deleted, 0);
+        assert.equal(result.pushed.created + result.pushed.updated + result.pushed.deleted, 0);
+        // Only the database query was sent
+        assert.deepEqual(
+            stub.requests.slice(requestCount).map(({ method }) => method),
+            ['POST']
+        );
+    });
+});
+
+test('a page that fails to update stays pending', async () => {
+    const now = new Date();
+    await taskRepository.insert({
+        account_id: account._id,
+        source: 'notion',
+        todoid: 'page-gone',
+        content: 'Gone from Notion',
+        created_at: now,
+        updated_at: now,
+        synced_at: new Date(now.getTime() - 1000),
+        last_updated_by: 'api',
+    });
+    const result = await pushNotionChanges(account._id);
+    assert.equal(result.failed, 1);
+    assert.match(result.errors[0].error, /404/);
+    const stored = await taskRepository.findOne({ todoid: 'page-gone' });
+    assert.ok(stored.synced_at < stored.updated_at);
+});
@@ -0,0 +1,100 @@
+// Notion Task Fetcher Tests - Database queries, page writes and timeouts against the local Notion stub
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    fetchNotionTasks,
+    createNotionPage,
+    updateNotionPage,
+    archiveNotionPage,
+    mapNotionPageToTask,
+} = require('../notion/notion-task-fetcher');
+const { startNotionStub } = require('./helpers/notionStub');
+
+// Fetches are logged; keep the test report readable
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+const title = (text) => ({ type: 'title', title: [{ plain_text: text }] });
+const select = (name) => ({ type: 'select', select: name ? { name } : null });
+
+let stub;
+
+test.before(async () => {
+    stub = await startNotionStub();
+    Object.assign(process.env, {
+        NOTION_API_TOKEN: 'test-token',
+        NOTION_DATABASE_ID: stub.databaseId,
+        NOTION_API_BASE_URL: stub.baseUrl,
+        NOTION_TIMEOUT_MS: '200',
+    });
+});
+
+test.after(() => stub.close());
+
+test('fetches every page of the database and maps them to tasks', async () => {
+    stub.pageSize = 1;
+    stub.addPage({ Name: title('Write report'), Priority: select('P1') });
+    stub.addPage({ Name: title('Buy milk'), Priority: select('P3') });
+    stub.addPage({ Name: title('Old'), Priority: select('P1') }, { archived: true });
+
+    const tasks = await fetchNotionTasks();
+    stub.pageSize = 100;
+    assert.deepEqual(
+        tasks.map(({ content, priority }) => ({ content, priority })),
+        [
+            { content: 'Write report', priority: 4 },
+            { content: 'Buy milk', priority: 2 },
+        ]
+    );
+    const queries = stub.requests.filter(({ path }) => path === `/databases/${stub.databaseId}/query`);
+    assert.deepEqual(
+        queries.map(({ body }) => body.start_cursor),
+        [undefined, '1']
+    );
+    assert.equal(queries[0].headers.authorization, 'Bearer test-token');
+});
+
+test('pages without a recognised priority are normal priority, not urgent', () => {
+    const priorityOf = (priority) => mapNotionPageToTask({ id: 'p', properties: { Priority: priority } }).priority;
+    assert.equal(priorityOf(select(null)), 1);
+    assert.equal(priorityOf(select('Someday')), 1);
+    assert.equal(priorityOf(undefined), 1);
+    assert.equal(priorityOf(select('p2')), 3);
+});
+
+test('creates, updates and archives pages from tasks', async () => {
+    const created = await createNotionPage({
+        content: 'Plan trip',
+        description: 'Book flights',
+        is_completed: false,
+        labels: ['travel'],
+        priority: 3,
+        due_date: new Date('2026-11-01'),
+        due_time: '',
+        project_id: 'Personal',
+    });
+    const page = stub.getPage(created.id);
+    assert.equal(page.properties.Priority.select.name, 'P2');
+    assert.deepEqual(page.properties.Due.date, { start: '2026-11-01' });
+    assert.equal(created.content, 'Plan trip');
+    assert.deepEqual(created.labels, ['travel']);
+    assert.equal(created.project_id, 'Personal');
+
+    const updated = await updateNotionPage(created.id, { content: 'Plan the trip', is_completed: true });
+    assert.equal(updated.content, 'Plan the trip');
+    assert.equal(updated.is_completed, true);
+    assert.equal(updated.description, 'Book flights');
+
+    await archiveNotionPage(created.id);
+    assert.equal(stub.getPage(created.id).archived, true);
+
+    await assert.rejects(updateNotionPage('missing', { content: 'x' }), /404/);
+});
+
+test('requests time out instead of hanging', async () => {
+    stub.hang = true;
+    await assert.rejects(fetchNotionTasks(), /timeout of 200ms exceeded/);
+    await assert.rejects(archiveNotionPage('page-1'), /timeout of 200ms exceeded/);
+    stub.hang = false;
+});
@@ -0,0 +1,241 @@
+// Offline Sync Tests - Full and incremental two-way syncs against the local Todoist stub and in-memory storage
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTodoistStub } = require('./helpers/todoistStub');
+
+// Keep snapshots of full fetches out of the repository (read when todoist-snapshots.js loads)
+process.env.SNAPSHOT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'todoist-sync-test-'));
+
+const Task = require('../database/taskSchema');
+const SyncRun = require('../database/syncRunSchema');
+const syncTasks = require('../database/syncTasks');
+const { ensureDefaultAccount } = require('../database/accounts');
+const { repositoryFor, setStorageBackend } = require('../database/repositories');
+
+setStorageBackend('memory');
+
+// The sync logs every step; keep the test report readable
+test.mock.method(console, 'log', () => {});
+
+const taskRepository = repositoryFor(Task);
+const syncRunRepository = repositoryFor(SyncRun);
+
+let stub;
+let account;
+
+test.before(async () => {
+    stub = await startTodoistStub();
+    Object.assign(process.env, {
+        TODOIST_API_TOKEN: 'test-token',
+        TODOIST_REST_BASE_URL: stub.restBaseUrl,
+        TODOIST_SYNC_BASE_URL: stub.syncBaseUrl,
+        TODOIST_MAX_RETRIES: '0',
+    });
+    account = await ensureDefaultAccount();
+});
+
+test.after(async () => {
+    await stub.close();
+    fs.rmSync(process.env.SNAPSHOT_DIR, { recursive: true, force: true });
+});
+
+const findTask = (todoid) => taskRepository.findOne({ todoid, account_id: account._id });
+
+test('syncs Todoist into storage and pushes local edits back', async (t) => {
+    const report = stub.addTask({ content: 'Write report', priority: 4, labels: ['work'] });
+    const milk = stub.addTask({ content: 'Buy milk', checked: true, completed_at: '2026-01-02T10:00:00Z' });
+
+    await t.test('a first sync is a full import', async () => {
+        const result = await syncTasks({ account, trigger: 'test' });
+        assert.equal(result.mode, 'full');
+        assert.equal(result.created, 2);
+
+        const stored = await findTask(report.id);
+        assert.equal(stored.content, 'Write report');
+        assert.deepEqual(stored.labels, ['work']);
+        assert.equal(stored.last_updated_by, 'todoist-sync');
+        assert.equal((await findTask(milk.id)).is_completed, true);
+        assert.equal(fs.readdirSync(process.env.SNAPSHOT_DIR).length, 1);
+
+        // Active tasks come from the full Sync API read; only the completed history is fetched besides
+        const reads = stub.requests.map(({ method, path: requestPath }) => `${method} ${requestPath}`);
+        assert.equal(reads.includes('GET /rest/v2/tasks'), false);
+        assert.equal(reads.filter((read) => read === 'GET /sync/v9/completed/get_all').length, 1);
+    });
+
+    await t.test('later syncs are incremental and merge both sides', async () => {
+        const now = new Date();
+        await taskRepository.updateOne(
+            { todoid: report.id, account_id: account._id },
+            { $set: { content: 'Write the report', updated_at: now, last_updated_by: 'api' } }
+        );
+        await taskRepository.insert({
+            account_id: account._id,
+            source: 'todoist',
+            content: 'Created locally',
+            priority: 3,
+            created_at: now,
+            updated_at: now,
+            last_updated_by: 'api',
+        });
+        const call = stub.addTask({ content: 'Call Bob' });
+        stub.removeTask(milk.id);
+
+        const result = await syncTasks({ account, trigger: 'test' });
+        assert.equal(result.mode, 'incremental');
+        assert.equal(result.created, 1);
+        assert.equal(result.deleted, 1);
+        assert.deepEqual(result.pushed, { created: 1, updated: 1, deleted: 0, failed: 0, errors: [] });
+
+        assert.equal(stub.getTask(report.id).content, 'Write the report');
+        assert.equal((await findTask(call.id)).content, 'Call Bob');
+        assert.ok((await findTask(milk.id)).deleted_at);
+
+        const created = await taskRepository.findOne({ content: 'Created locally' });
+        assert.equal(stub.getTask(created.todoid).content, 'Created locally');
+        assert.equal(stub.getTask(created.todoid).priority, 3);
+    });
+
+    await t.test('moves to another project reach Todoist and stay there', async () => {
+        await taskRepository.updateOne(
+            { todoid: report.id, account_id: account._id },
+            { $set: { project_id: 'work', updated_at: new Date(), last_updated_by: 'api' } }
+        );
+        await syncTasks({ account, trigger: 'test' });
+        assert.equal(stub.getTask(report.id).project_id, 'work');
+        assert.equal(stub.commands.filter(({ type }) => type === 'item_move').length, 1);
+
+        await syncTasks({ account, trigger: 'test', full: true });
+        assert.equal((await findTask(report.id)).project_id, 'work');
+    });
+
+    await t.test('a sync with nothing new changes nothing', async () => {
+        const commandCount = stub.commands.length;
+        const result = await syncTasks({ account, trigger: 'test' });
+        assert.equal(result.created + result.updated + result.deleted, 0);
+        assert.equal(result.pushed.updated, 0);
+        assert.equal(stub.commands.length, commandCount);
+    });
+
+    await t.test('every run is recorded', async () => {
+        const runs = await syncRunRepository.find({ account_id: account._id }, { sort: { started_at: 1 } });
+        assert.deepEqual(
+            runs.map(({ status, mode }) => `${status}:${mode}`),
+            ['success:full', 'success:incremental', 'success:incremental', 'success:full', 'success:incremental']
+        );
+    });
+});
+
+test('Todoist changes a sync leaves out are not overwritten by the push', async (t) => {
+    // Edit a stored task the way the API routes do
+    const editLocally = async (item, localFields) => {
+        await taskRepository.updateOne(
+            { todoid: item.id, account_id: account._id },
+            { $set: { ...localFields, updated_at: new Date(), last_updated_by: 'api' } }
+        );
+    };
+
+    await t.test('held back changes survive and are merged by the next sync', async () => {
+        const item = stub.addTask({ content: 'Plan trip' });
+        await syncTasks({ account, trigger: 'test' });
+
+        stub.updateTask(item.id, { content: 'Plan the trip' });
+        await editLocally(item, { description: 'Book flights' });
+
+        const held = await syncTasks({ account, trigger: 'test', only: ['create', 'delete'] });
+        assert.equal(held.heldBack, 1);
+        assert.equal(held.pushed.updated, 0);
+        assert.equal(stub.getTask(item.id).content, 'Plan the trip');
+
+        await syncTasks({ account, trigger: 'test' });
+        assert.equal(stub.getTask(item.id).content, 'Plan the trip');
+        assert.equal(stub.getTask(item.id).description, 'Book flights');
+        assert.equal((await findTask(item.id)).content, 'Plan the trip');
+    });
+
+    await t.test('tasks moved out of the sync rules are kept and not pushed', async () => {
+        const rules = { exclude: { labels: ['private'] } };
+        const scopedAccount = { ...account, sync_rules: rules };
+        const item = stub.addTask({ content: 'Dentist' });
+        await syncTasks({ account: scopedAccount, trigger: 'test' });
+
+        stub.updateTask(item.id, { content: 'Dentist at 3', labels: ['private'] });
+        await editLocally(item, { priority: 3 });
+
+        const skipped = await syncTasks({ account: scopedAccount, trigger: 'test' });
+        assert.equal(skipped.skipped, 1);
+        assert.equal(skipped.pushed.updated, 0);
+        const stored = await findTask(item.id);
+        assert.equal(stored.sync_out_of_scope, true);
+        assert.equal(stored.content, 'Dentist');
+
+        // Still left alone once the skipped change is behind the sync token
+        await syncTasks({ account: scopedAccount, trigger: 'test' });
+        assert.equal(stub.getTask(item.id).content, 'Dentist at 3');
+        assert.equal(stub.getTask(item.id).priority, 1);
+
+        // Back within the rules, the Todoist change is merged and the local edit pushed
+        await syncTasks({ account, trigger: 'test', full: true });
+        assert.equal((await findTask(item.id)).sync_out_of_scope, false);
+        assert.equal(stub.getTask(item.id).content, 'Dentist at 3');
+        assert.equal(stub.getTask(item.id).priority, 3);
+    });
+
+    await t.test('dry runs write no snapshot', async () => {
+        const snapshotCount = fs.readdirSync(process.env.SNAPSHOT_DIR).length;
+        const preview = await syncTasks({ account, dryRun: true, full: true });
+        assert.equal(preview.mode, 'full');
+        assert.equal(fs.readdirSync(process.env.SNAPSHOT_DIR).length, snapshotCount);
+    });
+});
+
+test('a task created in Todoist keeps its ID when the rest of its push fails', async () => {
+    const now = new Date();
+    await taskRepository.insert({
+        account_id: account._id,
+        source: 'todoist',
+        content: 'Done offline',
+        is_completed: true,
+        completed_at: now,
+        created_at: now,
+        updated_at: now,
+        last_updated_by: 'api',
+    });
+    stub.failCommand = ({ type }) => (type === 'item_complete' ? { error_code: 500, error: 'Unavailable' } : null);
+
+    const failed = await syncTasks({ account, trigger: 'test' });
+    assert.equal(failed.pushed.created, 0);
+    assert.equal(failed.pushed.failed, 1);
+    const { todoid } = await taskRepository.findOne({ content: 'Done offline' });
+    assert.ok(todoid);
+
+    stub.failCommand = () => null;
+    const retried = await syncTasks({ account, trigger: 'test' });
+    assert.equal(retried.pushed.created, 0);
+    assert.equal(retried.pushed.updated, 1);
+    assert.equal(stub.getTask(todoid).checked, true);
+    assert.equal(stub.requests.filter(({ body }) => body.content === 'Done offline').length, 1);
+    assert.equal((await findTask(todoid)).is_completed, true);
+});
+
+test('newest-wins compares with Todoist Sync timestamps in full syncs too', async (t) => {
+    process.env.SYNC_CONFLICT_POLICY = 'newest-wins';
+    t.after(() => delete process.env.SYNC_CONFLICT_POLICY);
+    const item = stub.addTask({ content: 'Water plants' });
+    await syncTasks({ account, trigger: 'test' });
+
+    stub.updateTask(item.id, { content: 'Water the plants' });
+    await taskRepository.updateOne(
+        { todoid: item.id, account_id: account._id },
+        { $set: { content: 'Water all plants', updated_at: new Date(Date.now() + 60000), last_updated_by: 'api' } }
+    );
+
+    // The full fetch takes updated_at from the Sync API items; the newer local edit still wins
+    const result = await syncTasks({ account, trigger: 'test', full: true });
+    assert.equal(result.conflicts, 0);
+    assert.equal(stub.getTask(item.id).content, 'Water all plants');
+});
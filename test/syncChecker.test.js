@@ -0,0 +1,40 @@
+// Sync Checker Tests - Reconciling source tasks with stored tasks
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { reconcileTasks } = require('../database/syncChecker');
+
+const storedTask = (todoid) => ({ todoid, content: `Task ${todoid}`, priority: 4, deleted_at: null });
+
+test('tasks missing from a full fetch are confirmed a few at a time', async () => {
+    const mongoTasks = Array.from({ length: 12 }, (value, index) => storedTask(String(index + 1)));
+    let running = 0;
+    let mostRunning = 0;
+    const confirmGone = async (todoid) => {
+        running += 1;
+        mostRunning = Math.max(mostRunning, running);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        running -= 1;
+        // Odd IDs still exist in Todoist (e.g. old completions missing from the history)
+        return Number(todoid) % 2 === 0;
+    };
+
+    const { toDelete } = await reconcileTasks([{ id: '1', content: 'Task 1', priority: 4 }], mongoTasks, {
+        confirmGone,
+    });
+    assert.deepEqual(
+        toDelete.map(({ todoid }) => todoid),
+        ['2', '4', '6', '8', '10', '12']
+    );
+    assert.equal(mostRunning, 5);
+});
+
+test('deletes reported by an incremental sync need no confirmation', async () => {
+    const { toDelete } = await reconcileTasks([], [storedTask('1'), storedTask('2')], {
+        deletedIds: new Set(['2']),
+    });
+    assert.deepEqual(
+        toDelete.map(({ todoid }) => todoid),
+        ['2']
+    );
+});
@@ -0,0 +1,118 @@
+// Task Export Tests - iCalendar and CSV output: escaping, line folding and RRULEs from Todoist due strings
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { deriveRRule, buildICalendar, buildCsv } = require('../routes/taskExport');
+
+const recurring = (string, fields = {}) => ({ date: '2026-10-19', string, is_recurring: true, ...fields });
+
+// Content lines of an iCalendar document, unfolded
+const unfold = (ics) => ics.replace(/\r\n /g, '').split('\r\n');
+
+test('recurring English due strings become RRULEs', () => {
+    const rules = {
+        'every day': 'FREQ=DAILY',
+        daily: 'FREQ=DAILY',
+        'every 3 weeks': 'FREQ=WEEKLY;INTERVAL=3',
+        'every other month at 9am': 'FREQ=MONTHLY;INTERVAL=2',
+        'every weekday': 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR',
+        'every mon, fri and monday': 'FREQ=WEEKLY;BYDAY=MO,FR',
+        'every 15th starting nov 1': 'FREQ=MONTHLY;BYMONTHDAY=15',
+        'Every Year': 'FREQ=YEARLY',
+    };
+    for (const [string, rule] of Object.entries(rules)) {
+        assert.equal(deriveRRule(recurring(string)), rule, string);
+    }
+});
+
+test('recurrences that cannot be expressed get no RRULE', () => {
+    assert.equal(deriveRRule(recurring('every! 3 days')), null);
+    assert.equal(deriveRRule(recurring('every day until dec 1')), null);
+    assert.equal(deriveRRule(recurring('every 32nd')), null);
+    assert.equal(deriveRRule(recurring('jeden tag', { lang: 'de' })), null);
+    assert.equal(deriveRRule({ date: '2026-10-19', string: 'every day', is_recurring: false }), null);
+});
+
+test('iCalendar text is escaped and long lines are folded at 75 octets', () => {
+    const ics = buildICalendar(
+        [
+            {
+                todoid: '1',
+                content: 'Call Ann; then Bob, about \\ the "plan"',
+                description: `Line one\nLine two ${'é'.repeat(60)}`,
+                labels: ['work,home'],
+                priority: 4,
+                due: recurring('every mon'),
+                updated_at: new Date('2026-10-19T08:00:00Z'),
+            },
+        ],
+        { calendarName: 'My; tasks' }
+    );
+
+    const physicalLines = ics.split('\r\n');
+    assert.ok(physicalLines.every((line) => Buffer.byteLength(line) <= 75));
+    assert.ok(ics.endsWith('\r\n'));
+
+    const lines = unfold(ics);
+    assert.ok(lines.includes('X-WR-CALNAME:My\\; tasks'));
+    assert.ok(lines.includes('SUMMARY:Call Ann\\; then Bob\\, about \\\\ the "plan"'));
+    assert.ok(lines.includes(`DESCRIPTION:Line one\\nLine two ${'é'.repeat(60)}`));
+    assert.ok(lines.includes('CATEGORIES:work\\,home'));
+    assert.ok(lines.includes('PRIORITY:1'));
+    assert.ok(lines.includes('DTSTART;VALUE=DATE:20261019'));
+    assert.ok(lines.includes('DTEND;VALUE=DATE:20261020'));
+    assert.ok(lines.includes('RRULE:FREQ=WEEKLY;BYDAY=MO'));
+});
+
+test('recurring VTODOs get a DTSTART for their RRULE, and completed ones their completion', () => {
+    const lines = unfold(
+        buildICalendar(
+            [
+                {
+                    todoid: '1',
+                    content: 'Water plants',
+                    due: recurring('every 2 days', { date: '2026-10-19T18:00:00' }),
+                },
+                {
+                    todoid: '2',
+                    content: 'Pay rent',
+                    due: { date: '2026-10-01T09:00:00Z', string: 'oct 1 9am', is_recurring: false },
+                    is_completed: true,
+                    completed_at: new Date('2026-10-01T10:30:00Z'),
+                },
+            ],
+            { component: 'todo' }
+        )
+    );
+    assert.ok(lines.includes('DTSTART:20261019T180000'));
+    assert.ok(lines.includes('DUE:20261019T180000'));
+    assert.ok(lines.includes('RRULE:FREQ=DAILY;INTERVAL=2'));
+    assert.ok(lines.includes('DUE:20261001T090000Z'));
+    assert.ok(lines.includes('STATUS:COMPLETED'));
+    assert.ok(lines.includes('COMPLETED:20261001T103000Z'));
+    assert.equal(lines.filter((line) => line.startsWith('DTSTART')).length, 1);
+});
+
+test('CSV cells are quoted when needed and formulas are neutralised', () => {
+    const csv = buildCsv([
+        {
+            todoid: '1',
+            content: 'Say "hi", then leave',
+            description: 'Line one\nLine two',
+            labels: ['work', 'home'],
+            priority: 4,
+            project: { name: '=HYPERLINK("http://example.com")' },
+            created_at: new Date('2026-10-19T08:00:00Z'),
+        },
+        { todoid: '2', content: '-1 day', priority: 1, due: recurring('every day') },
+    ]);
+
+    const [header, first, second] = csv.split(/\r\n(?=\d,)/);
+    assert.match(header, /^id,content,description,project,section,labels,priority,is_completed,due,/);
+    assert.equal(
+        first,
+        '1,"Say ""hi"", then leave","Line one\nLine two","\'=HYPERLINK(""http://example.com"")",,"work, home",4,,,,' +
+            'false,,,2026-10-19T08:00:00.000Z,'
+    );
+    assert.equal(second, "2,'-1 day,,,,,1,,2026-10-19,every day,true,,,,\r\n");
+});
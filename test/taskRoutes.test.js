@@ -0,0 +1,136 @@
+// Task Route Tests - Task CRUD and syncs through the app, on the in-memory storage and the Todoist stub
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTodoistStub } = require('./helpers/todoistStub');
+
+// Keep snapshots of full fetches out of the repository (read when todoist-snapshots.js loads)
+process.env.SNAPSHOT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'todoist-snapshot-test-'));
+
+const app = require('../app');
+const Project = require('../database/projectSchema');
+const { ensureDefaultAccount } = require('../database/accounts');
+const { createApiKey } = require('../database/apiKeys');
+const { repositoryFor, setStorageBackend } = require('../database/repositories');
+
+setStorageBackend('memory');
+
+// Routes and syncs log every step; keep the test report readable
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+let stub;
+let server;
+let baseUrl;
+let adminKey;
+
+test.before(async () => {
+    stub = await startTodoistStub();
+    Object.assign(process.env, {
+        TODOIST_API_TOKEN: 'test-token',
+        TODOIST_REST_BASE_URL: stub.restBaseUrl,
+        TODOIST_SYNC_BASE_URL: stub.syncBaseUrl,
+        TODOIST_MAX_RETRIES: '0',
+    });
+    const account = await ensureDefaultAccount();
+    await repositoryFor(Project).insert({ account_id: account._id, todoid: 'inbox', name: 'Inbox' });
+    ({ key: adminKey } = await createApiKey({ name: 'test-admin', scope: 'admin' }));
+    await new Promise((resolve) => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await stub.close();
+    fs.rmSync(process.env.SNAPSHOT_DIR, { recursive: true, force: true });
+});
+
+// Send a request with the admin key; resolves to { status, body }
+async function request(method, route, body) {
+    const response = await fetch(`${baseUrl}/tasks${route}`, {
+        method,
+        headers: { Authorization: `Bearer ${adminKey}`, 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test('tasks created, edited and deleted through the API are pushed to Todoist by a sync', async (t) => {
+    let task;
+    let todoid;
+
+    await t.test('a created task is found by its _id until it is pushed', async () => {
+        const created = await request('POST', '/', {
+            content: 'Write report',
+            priority: 3,
+            labels: ['work'],
+            project_id: 'inbox',
+        });
+        assert.equal(created.status, 201);
+        task = created.body.task;
+        assert.equal(task.todoid, undefined);
+
+        const fetched = await request('GET', `/${task._id}`);
+        assert.equal(fetched.status, 200);
+        assert.equal(fetched.body.content, 'Write report');
+    });
+
+    await t.test('an edit returns the task with its related documents', async () => {
+        const edited = await request('PATCH', `/${task._id}`, { content: 'Write the report' });
+        assert.equal(edited.status, 200);
+        assert.equal(edited.body.task.content, 'Write the report');
+        assert.equal(edited.body.task.priority, 3);
+        assert.equal(edited.body.task.project.name, 'Inbox');
+
+        const invalid = await request('PATCH', `/${task._id}`, { priority: 9 });
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.error, 'Invalid task');
+    });
+
+    await t.test('a sync creates the task in Todoist and stores its Todoist ID', async () => {
+        const synced = await request('POST', '/sync', { resources: false });
+        assert.equal(synced.status, 200);
+        assert.equal(synced.body.pushed.created, 1);
+
+        todoid = (await request('GET', `/${task._id}`)).body.todoid;
+        assert.equal(stub.getTask(todoid).content, 'Write the report');
+        assert.deepEqual(stub.getTask(todoid).labels, ['work']);
+        assert.equal((await request('GET', `/${todoid}`)).body._id, task._id);
+    });
+
+    await t.test('changes made in Todoist are imported', async () => {
+        stub.updateTask(todoid, { content: 'Write the final report' });
+        const synced = await request('POST', '/sync', { resources: false });
+        assert.equal(synced.body.updated, 1);
+        assert.equal((await request('GET', `/${todoid}`)).body.content, 'Write the final report');
+    });
+
+    await t.test('completing and deleting by Todoist ID are pushed too', async () => {
+        const completed = await request('POST', `/${todoid}/complete`);
+        assert.equal(completed.body.task.is_completed, true);
+
+        const deleted = await request('DELETE', `/${todoid}`);
+        assert.equal(deleted.status, 200);
+        assert.ok(deleted.body.task.deleted_at);
+        assert.equal((await request('GET', `/${todoid}`)).status, 404);
+        assert.equal((await request('DELETE', `/${todoid}`)).status, 404);
+
+        const [revision] = (await request('GET', `/${todoid}/history`)).body.revisions;
+        assert.equal(revision.source, 'api');
+        assert.deepEqual(revision.changes, [{ field: 'deleted', from: false, to: true }]);
+
+        const synced = await request('POST', '/sync', { resources: false });
+        assert.equal(synced.body.pushed.deleted, 1);
+        assert.equal(stub.getTask(todoid).is_deleted, true);
+    });
+});
+
+test('unknown tasks are not found', async () => {
+    assert.equal((await request('GET', '/123456789')).status, 404);
+    assert.equal((await request('PATCH', '/0123456789abcdef01234567', { content: 'x' })).status, 404);
+});
@@ -0,0 +1,86 @@
+// Task Snapshot Tests - Restoring MongoDB to a snapshot of a full fetch, then syncing with the Todoist stub again
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTodoistStub } = require('./helpers/todoistStub');
+
+// Keep snapshots of full fetches out of the repository (read when todoist-snapshots.js loads)
+process.env.SNAPSHOT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'todoist-snapshot-test-'));
+
+const Task = require('../database/taskSchema');
+const syncTasks = require('../database/syncTasks');
+const { listSnapshots, restoreSnapshot } = require('../database/taskSnapshots');
+const { ensureDefaultAccount } = require('../database/accounts');
+const { repositoryFor, setStorageBackend } = require('../database/repositories');
+
+setStorageBackend('memory');
+
+// Syncs and restores log every step; keep the test report readable
+test.mock.method(console, 'log', () => {});
+
+const taskRepository = repositoryFor(Task);
+
+let stub;
+let account;
+
+test.before(async () => {
+    stub = await startTodoistStub();
+    Object.assign(process.env, {
+        TODOIST_API_TOKEN: 'test-token',
+        TODOIST_REST_BASE_URL: stub.restBaseUrl,
+        TODOIST_SYNC_BASE_URL: stub.syncBaseUrl,
+        TODOIST_MAX_RETRIES: '0',
+    });
+    account = await ensureDefaultAccount();
+});
+
+test.after(async () => {
+    await stub.close();
+    fs.rmSync(process.env.SNAPSHOT_DIR, { recursive: true, force: true });
+});
+
+const findTask = (todoid) => taskRepository.findOne({ todoid, account_id: account._id });
+
+test('a restore is followed by a full sync that brings tasks back in line with Todoist', async (t) => {
+    const item = stub.addTask({ content: 'Write report' });
+    await syncTasks({ account, trigger: 'test' });
+    const [{ name }] = await listSnapshots({ accountId: account._id, includeUnassigned: true });
+
+    stub.updateTask(item.id, { content: 'Write the report' });
+    await syncTasks({ account, trigger: 'test' });
+
+    await t.test('the restore writes the snapshot values and pushes nothing', async () => {
+        const result = await restoreSnapshot(name, account._id);
+        assert.equal(result.updated, 1);
+        assert.deepEqual(result.localEdits, []);
+        assert.equal((await findTask(item.id)).content, 'Write report');
+    });
+
+    await t.test('the next sync is a full one and imports the current Todoist values', async () => {
+        const commandCount = stub.commands.length;
+        const result = await syncTasks({ account, trigger: 'test' });
+        assert.equal(result.mode, 'full');
+        assert.equal(result.updated, 1);
+        assert.equal((await findTask(item.id)).content, 'Write the report');
+        assert.equal(stub.commands.length, commandCount);
+    });
+
+    await t.test('local edits not pushed yet are not overwritten without overwriteLocal', async () => {
+        const [{ name: latest }] = await listSnapshots({ accountId: account._id, includeUnassigned: true });
+        await taskRepository.updateOne(
+            { todoid: item.id, account_id: account._id },
+            { $set: { priority: 3, updated_at: new Date(), last_updated_by: 'api' } }
+        );
+        const preview = await restoreSnapshot(latest, account._id, { dryRun: true });
+        assert.deepEqual(preview.localEdits, [{ todoid: item.id, content: 'Write the report' }]);
+
+        await assert.rejects(restoreSnapshot(latest, account._id), { code: 'SNAPSHOT_LOCAL_EDITS' });
+        assert.equal((await findTask(item.id)).priority, 3);
+
+        await restoreSnapshot(latest, account._id, { overwriteLocal: true });
+        assert.equal((await findTask(item.id)).priority, 1);
+    });
+});
@@ -0,0 +1,123 @@
+// Task Sync CLI Tests - Argument parsing and exit codes, running bin/task-sync.js on the in-memory storage
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { startTodoistStub } = require('./helpers/todoistStub');
+
+// Keep snapshots of full fetches out of the repository (read when todoist-snapshots.js loads)
+process.env.SNAPSHOT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'todoist-snapshot-test-'));
+
+const SyncLock = require('../database/syncLockSchema');
+const { repositoryFor, setStorageBackend } = require('../database/repositories');
+const { EXIT_CODES, parseArgs, main } = require('../bin/task-sync');
+
+setStorageBackend('memory');
+
+// Commands run in this process log to stderr
+test.mock.method(console, 'error', () => {});
+
+const CLI = path.join(__dirname, '..', 'bin', 'task-sync.js');
+
+let stub;
+
+test.before(async () => {
+    stub = await startTodoistStub();
+    Object.assign(process.env, {
+        TODOIST_API_TOKEN: 'test-token',
+        TODOIST_REST_BASE_URL: stub.restBaseUrl,
+        TODOIST_SYNC_BASE_URL: stub.syncBaseUrl,
+        TODOIST_MAX_RETRIES: '0',
+    });
+    stub.addTask({ content: 'Write report' });
+});
+
+test.after(async () => {
+    await stub.close();
+    fs.rmSync(process.env.SNAPSHOT_DIR, { recursive: true, force: true });
+});
+
+/**
+ * Runs the CLI in its own process (with its own, empty in-memory storage)
+ * Resolves to { code, stdout, stderr }
+ */
+function runCli(args) {
+    const env = { ...process.env, STORAGE_BACKEND: 'memory', NOTIFY_WEBHOOK_URL: '', SMTP_HOST: '' };
+    return new Promise((resolve) => {
+        execFile(process.execPath, [CLI, ...args], { env, timeout: 60000 }, (error, stdout, stderr) =>
+            resolve({ code: error ? error.code : 0, stdout, stderr })
+        );
+    });
+}
+
+test('options take values as --name value or --name=value, and anything else is a flag', () => {
+    assert.deepEqual(parseArgs(['restore', 'snap.json', '--source=notion', '--limit', '5', '--dry-run']), {
+        command: 'restore',
+        params: ['snap.json'],
+        options: { source: 'notion', limit: '5', 'dry-run': true },
+    });
+    assert.deepEqual(parseArgs(['export', '--output=a=b.csv']).options, { output: 'a=b.csv' });
+    assert.throws(() => parseArgs(['runs', '--limit']), { message: '--limit needs a value', exitCode: 64 });
+});
+
+test('invalid usage exits with 64 and says why', async () => {
+    const cases = [
+        [[], /Usage: task-sync <command>/],
+        [['frobnicate'], /Unknown command "frobnicate"/],
+        [['check', '--dry-run'], /Unknown option for check: --dry-run/],
+        [['check', '--source', 'jira'], /--source must be one of: todoist, notion/],
+        [['export'], /--format is required/],
+        [['runs', '--limit', '0'], /--limit must be a whole number from 1 to 100/],
+        [['restore'], /restore needs the snapshot name/],
+        [['runs', '--account', 'nobody'], /No active account "nobody"/],
+    ];
+    for (const [args, message] of cases) {
+        const { code, stdout, stderr } = await runCli(args);
+        assert.equal(code, EXIT_CODES.usage, args.join(' '));
+        assert.match(stdout + stderr, message);
+    }
+
+    const help = await runCli(['help']);
+    assert.equal(help.code, EXIT_CODES.ok);
+    assert.match(help.stdout, /Exit codes: 0 ok, 1 error, 2 pending changes or conflicts, 3 another sync/);
+});
+
+test('check exits with 2 when there are changes, and sync prints JSON and exits with 0', async () => {
+    const check = await runCli(['check', '--quiet']);
+    assert.equal(check.code, EXIT_CODES.pending);
+    assert.match(check.stdout, /todoist \(full\): 1 to create/);
+    assert.equal(check.stderr, '');
+
+    const sync = await runCli(['sync', '--json', '--quiet', '--no-resources']);
+    assert.equal(sync.code, EXIT_CODES.ok);
+    const result = JSON.parse(sync.stdout);
+    assert.equal(result.created, 1);
+    assert.deepEqual(result.errors, []);
+});
+
+test('commands that fail exit with 1', async () => {
+    const { code, stderr } = await runCli(['restore', 'missing.json']);
+    assert.equal(code, EXIT_CODES.error);
+    assert.match(stderr, /Snapshot missing\.json does not belong to the default account/);
+
+    const notify = await runCli(['notify']);
+    assert.equal(notify.code, EXIT_CODES.error);
+    assert.match(notify.stderr, /No notification channels configured/);
+});
+
+test('sync exits with 3 while another process holds the sync lock', async () => {
+    const now = new Date();
+    await repositoryFor(SyncLock).insert({
+        name: 'task-sync',
+        owner: 'other-host:1:0000',
+        trigger: 'scheduler',
+        acquired_at: now,
+        expires_at: new Date(now.getTime() + 60000),
+    });
+    const requestCount = stub.requests.length;
+    assert.equal(await main(['sync', '--quiet']), EXIT_CODES.busy);
+    assert.equal(stub.requests.length, requestCount);
+});
@@ -0,0 +1,63 @@
+// Todoist Task Writer Tests - Sync API commands built for local task changes
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeTaskForComparison } = require('../database/syncChecker');
+const { buildUpdateCommands, toTodoistDue } = require('../todoist/todoist-task-writer');
+
+// A stored task as last synced, with the given local changes
+function syncedTask(changes = {}) {
+    const task = { todoid: '42', content: 'Task', priority: 4, project_id: 'p1', section_id: '', labels: [] };
+    return { ...task, sync_snapshot: normalizeTaskForComparison(task), ...changes };
+}
+
+const commandTypes = (commands) => commands.map(({ type }) => type);
+
+test('unmoved tasks get an update and their changed completion state', () => {
+    const commands = buildUpdateCommands(syncedTask({ content: 'Renamed', is_completed: true }));
+    assert.deepEqual(commandTypes(commands), ['item_update', 'item_complete']);
+    assert.equal(commands[0].args.content, 'Renamed');
+    assert.equal(commands[0].args.project_id, undefined);
+});
+
+test('content-only edits send no completion command', () => {
+    assert.deepEqual(commandTypes(buildUpdateCommands(syncedTask({ content: 'Renamed' }))), ['item_update']);
+
+    const completed = syncedTask({ is_completed: true });
+    completed.sync_snapshot = normalizeTaskForComparison(completed);
+    assert.deepEqual(commandTypes(buildUpdateCommands({ ...completed, content: 'Renamed' })), ['item_update']);
+    assert.deepEqual(commandTypes(buildUpdateCommands({ ...completed, is_completed: false })), [
+        'item_update',
+        'item_uncomplete',
+    ]);
+});
+
+test('tasks without a sync snapshot get their project and completion state', () => {
+    const commands = buildUpdateCommands(syncedTask({ sync_snapshot: null }));
+    assert.deepEqual(commandTypes(commands), ['item_update', 'item_move', 'item_uncomplete']);
+});
+
+test('a project change becomes an item_move to the project', () => {
+    const commands = buildUpdateCommands(syncedTask({ project_id: 'p2' }));
+    assert.deepEqual(commandTypes(commands), ['item_update', 'item_move']);
+    assert.deepEqual(commands[1].args, { id: '42', project_id: 'p2' });
+});
+
+test('a section change moves the task to the section, and leaving it moves it to the project', () => {
+    const [, toSection] = buildUpdateCommands(syncedTask({ section_id: 's1' }));
+    assert.deepEqual(toSection.args, { id: '42', section_id: 's1' });
+
+    const inSection = syncedTask({ section_id: 's1' });
+    inSection.sync_snapshot = normalizeTaskForComparison(inSection);
+    const [, toProject] = buildUpdateCommands({ ...inSection, section_id: '' });
+    assert.deepEqual(toProject.args, { id: '42', project_id: 'p1' });
+});
+
+test('dues keep their recurrence and fall back to the flat due fields', () => {
+    assert.deepEqual(toTodoistDue({ due: { date: '2026-01-05', string: 'every monday', is_recurring: true } }), {
+        date: '2026-01-05',
+        string: 'every monday',
+    });
+    assert.deepEqual(toTodoistDue({ due_date: new Date('2026-01-05T00:00:00Z') }), { date: '2026-01-05' });
+    assert.equal(toTodoistDue({ due: null, due_date: new Date() }), null);
+});
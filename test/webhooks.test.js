@@ -0,0 +1,115 @@
+// Webhook Tests - Todoist webhook signatures, redeliveries and out-of-order events through the app
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const app = require('../app');
+const Task = require('../database/taskSchema');
+const { ensureDefaultAccount } = require('../database/accounts');
+const { repositoryFor, setStorageBackend } = require('../database/repositories');
+
+setStorageBackend('memory');
+
+// Deliveries and rejected signatures are logged; keep the test report readable
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+const taskRepository = repositoryFor(Task);
+const SECRET = 'test-client-secret';
+
+let server;
+let baseUrl;
+let account;
+let nextDelivery = 1;
+
+test.before(async () => {
+    process.env.TODOIST_API_TOKEN = 'test-token';
+    account = await ensureDefaultAccount();
+    await new Promise((resolve) => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+const sign = (body, secret = SECRET) => crypto.createHmac('sha256', secret).update(body).digest('base64');
+
+/**
+ * Delivers a webhook the way Todoist does; resolves to { status, result }
+ * - signature: the X-Todoist-Hmac-SHA256 header (signed with SECRET by default)
+ * - deliveryId: the X-Todoist-Delivery-ID header (a new one by default)
+ */
+async function deliver(payload, { signature, deliveryId = `delivery-${nextDelivery++}` } = {}) {
+    const body = JSON.stringify(payload);
+    const response = await fetch(`${baseUrl}/webhooks/todoist`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Todoist-Hmac-SHA256': signature ?? sign(body),
+            'X-Todoist-Delivery-ID': deliveryId,
+        },
+        body,
+    });
+    const { result } = await response.json();
+    return { status: response.status, result };
+}
+
+// A Todoist item event, changed in Todoist at updatedAt
+const itemEvent = (eventName, id, fields = {}, updatedAt = '2026-10-19T10:00:00Z') => ({
+    event_name: eventName,
+    user_id: 'user-1',
+    event_data: { id, content: 'Task', priority: 1, checked: false, updated_at: updatedAt, ...fields },
+    triggered_at: updatedAt,
+});
+
+const findTask = (todoid) => taskRepository.findOne({ todoid, account_id: account._id });
+
+test('deliveries are refused until a client secret is set, and need its signature', async () => {
+    delete process.env.TODOIST_CLIENT_SECRET;
+    assert.equal((await deliver(itemEvent('item:added', '500'))).status, 503);
+
+    process.env.TODOIST_CLIENT_SECRET = SECRET;
+    const payload = itemEvent('item:added', '500');
+    assert.equal((await deliver(payload, { signature: sign(JSON.stringify(payload), 'other-secret') })).status, 401);
+    assert.equal((await deliver(payload, { signature: '' })).status, 401);
+    assert.equal(await findTask('500'), null);
+
+    assert.deepEqual(await deliver(payload), { status: 200, result: 'applied' });
+    assert.equal((await findTask('500')).content, 'Task');
+});
+
+test('redeliveries of the same delivery ID are applied once', async () => {
+    const added = itemEvent('item:added', '501', { content: 'Call Ann' });
+    assert.equal((await deliver(added, { deliveryId: 'same' })).result, 'applied');
+
+    const renamed = itemEvent('item:updated', '501', { content: 'Call Ann back' }, '2026-10-19T11:00:00Z');
+    assert.equal((await deliver(renamed, { deliveryId: 'same' })).result, 'duplicate');
+    assert.equal((await findTask('501')).content, 'Call Ann');
+});
+
+test('events older than the stored change are stale', async () => {
+    await deliver(itemEvent('item:added', '502', { content: 'Plan trip' }, '2026-10-19T10:00:00Z'));
+    const newer = itemEvent('item:updated', '502', { content: 'Plan the trip' }, '2026-10-19T12:00:00Z');
+    const older = itemEvent('item:updated', '502', { content: 'Plan a trip' }, '2026-10-19T11:00:00Z');
+
+    assert.equal((await deliver(newer)).result, 'applied');
+    assert.equal((await deliver(older)).result, 'stale');
+    assert.equal((await findTask('502')).content, 'Plan the trip');
+
+    assert.equal((await deliver(itemEvent('item:deleted', '502', {}, '2026-10-19T13:00:00Z'))).result, 'applied');
+    assert.ok((await findTask('502')).deleted_at);
+});
+
+test('tasks with local edits are left for the next sync', async () => {
+    await deliver(itemEvent('item:added', '503', { content: 'Buy milk' }));
+    await taskRepository.updateOne(
+        { todoid: '503', account_id: account._id },
+        { $set: { content: 'Buy oat milk', updated_at: new Date(), last_updated_by: 'api' } }
+    );
+
+    const completed = itemEvent('item:completed', '503', { checked: true }, '2026-10-19T12:00:00Z');
+    assert.equal((await deliver(completed)).result, 'deferred');
+    assert.equal((await findTask('503')).content, 'Buy oat milk');
+    assert.equal((await deliver(itemEvent('item:deleted', '504'))).result, 'ignored');
+});
@@ -0,0 +1,153 @@
+// Todoist Client - Shared HTTP client for the Todoist REST and Sync APIs
+// Requires env var: TODOIST_API_TOKEN
+// Optional env vars: TODOIST_REST_BASE_URL, TODOIST_SYNC_BASE_URL, TODOIST_TIMEOUT_MS, TODOIST_MAX_RETRIES
+
+require('dotenv').config();
+const { AsyncLocalStorage } = require('async_hooks');
+const axios = require('axios');
+const { recordTodoistRequest } = require('../monitoring/metrics');
+
+const DEFAULT_REST_BASE_URL = 'https://api.todoist.com/rest/v2';
+const DEFAULT_SYNC_BASE_URL = 'https://api.todoist.com/sync/v9';
+
+// Network error codes worth retrying
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Whether a failed request should be retried (network errors, 429 and 5xx)
+function isRetryable(error) {
+    if (!error.response) {
+        return RETRYABLE_ERROR_CODES.includes(error.code);
+    }
+    const { status } = error.response;
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Milliseconds to wait before the next attempt
+ * Uses the Retry-After header (seconds or HTTP date) when present,
+ * otherwise exponential backoff with jitter
+ */
+function getRetryDelay(error, attempt, { retryBaseDelayMs, maxRetryDelayMs }) {
+    const retryAfter = error.response?.headers?.['retry-after'];
+    if (retryAfter !== undefined) {
+        const seconds = Number(retryAfter);
+        const delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+        if (!Number.isNaN(delay)) {
+            return Math.min(Math.max(delay, 0), maxRetryDelayMs);
+        }
+    }
+    const backoff = retryBaseDelayMs * 2 ** attempt;
+    return Math.min(backoff + Math.random() * retryBaseDelayMs, maxRetryDelayMs);
+}
+
+/**
+ * Creates a Todoist client with `rest` and `sync` APIs ({ get, post })
+ * Every option can be injected, so tests can point the client at a local stand-in server
+ */
+function createTodoistClient(options = {}) {
+    const config = {
+        token: process.env.TODOIST_API_TOKEN,
+        restBaseUrl: process.env.TODOIST_REST_BASE_URL || DEFAULT_REST_BASE_URL,
+        syncBaseUrl: process.env.TODOIST_SYNC_BASE_URL || DEFAULT_SYNC_BASE_URL,
+        timeout: Number(process.env.TODOIST_TIMEOUT_MS) || 30000,
+        maxRetries: process.env.TODOIST_MAX_RETRIES !== undefined ? Number(process.env.TODOIST_MAX_RETRIES) : 3,
+        retryBaseDelayMs: 500,
+        maxRetryDelayMs: 60000,
+        ...options,
+    };
+
+    if (!config.token) {
+        throw new Error('TODOIST_API_TOKEN is not set in .env file');
+    }
+
+    // Send a request, retrying transient failures; every attempt is recorded in the metrics (api: rest or sync)
+    const request = async (apiName, baseURL, requestConfig) => {
+        for (let attempt = 0; ; attempt++) {
+            const startedAt = Date.now();
+            const record = (status, error) =>
+                recordTodoistRequest({
+                    api: apiName,
+                    method: requestConfig.method,
+                    durationMs: Date.now() - startedAt,
+                    status,
+                    error,
+                });
+            try {
+                const response = await axios.request({
+                    baseURL,
+                    timeout: config.timeout,
+                    ...requestConfig,
+                    headers: {
+                        Authorization: `Bearer ${config.token}`,
+                        ...requestConfig.headers,
+                    },
+                });
+                record(response.status);
+                return response;
+            } catch (error) {
+                record(error.response?.status, error);
+                if (attempt >= config.maxRetries || !isRetryable(error)) {
+                    throw error;
+                }
+                const delay = Math.round(getRetryDelay(error, attempt, config));
+                const reason = error.response ? `HTTP ${error.response.status}` : error.code;
+                console.warn(
+                    `⏳ Todoist ${requestConfig.method.toUpperCase()} ${requestConfig.url} failed (${reason}), ` +
+                        `retrying in ${delay}ms (${attempt + 1}/${config.maxRetries})`
+                );
+                await sleep(delay);
+            }
+        }
+    };
+
+    const api = (apiName, baseURL) => ({
+        get: (url, requestConfig = {}) => request(apiName, baseURL, { ...requestConfig, method: 'get', url }),
+        post: (url, data, requestConfig = {}) =>
+            request(apiName, baseURL, { ...requestConfig, method: 'post', url, data }),
+    });
+
+    return {
+        config,
+        rest: api('rest', config.restBaseUrl),
+        sync: api('sync', config.syncBaseUrl),
+    };
+}
+
+// Shared client, created from env vars on first use
+let defaultClient = null;
+
+// Client of the account being synced, set by withTodoistClient for everything called inside it
+const clientContext = new AsyncLocalStorage();
+
+// Get the Todoist client of the current account, or the shared one
+function getTodoistClient() {
+    const accountClient = clientContext.getStore();
+    if (accountClient) {
+        return accountClient;
+    }
+    if (!defaultClient) {
+        defaultClient = createTodoistClient();
+    }
+    return defaultClient;
+}
+
+// Run fn with every Todoist call inside it (including awaited ones) going through client
+function withTodoistClient(client, fn) {
+    return clientContext.run(client, fn);
+}
+
+// Replace the shared Todoist client (e.g. with one pointing at a test server); null resets it
+function setTodoistClient(client) {
+    defaultClient = client;
+}
+
+module.exports = {
+    createTodoistClient,
+    getTodoistClient,
+    setTodoistClient,
+    withTodoistClient,
+    isRetryable,
+    getRetryDelay,
+};
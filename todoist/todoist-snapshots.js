@@ -0,0 +1,152 @@
+// Todoist Snapshots - Full task dumps in logs/, with retention, optional gzip and listing
+// Optional env vars: SNAPSHOT_DIR (default: logs/), SNAPSHOT_KEEP_COUNT (snapshots kept per account),
+// SNAPSHOT_MAX_AGE_DAYS, SNAPSHOT_GZIP (true to write .json.gz files); without a count or age every snapshot is kept
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || path.join(__dirname, '..', 'logs');
+
+// todoist-tasks-<timestamp>[-<account id>].json[.gz]; files without an account id are the default account's.
+// Older files have only the tens digit of the seconds in their timestamp.
+const SNAPSHOT_PATTERN =
+    /^todoist-tasks-(\d{4}-\d{2}-\d{2})--(\d{2})-(\d{2})-(\d{1,2})(?:-([0-9a-f]{24}))?\.json(\.gz)?$/;
+
+// Read the retention settings from the environment
+function getRetentionPolicy() {
+    const keepCount = parseInt(process.env.SNAPSHOT_KEEP_COUNT, 10);
+    const maxAgeDays = Number(process.env.SNAPSHOT_MAX_AGE_DAYS);
+    return {
+        keepCount: keepCount > 0 ? keepCount : null,
+        maxAgeMs: maxAgeDays > 0 ? maxAgeDays * 24 * 60 * 60 * 1000 : null,
+    };
+}
+
+// Parse a snapshot file name; null for names that are not snapshots
+function parseSnapshotName(name) {
+    const match = SNAPSHOT_PATTERN.exec(name);
+    if (!match) return null;
+    const [, date, hours, minutes, seconds, accountId, gz] = match;
+    return {
+        name,
+        created_at: new Date(`${date}T${hours}:${minutes}:${seconds.padEnd(2, '0')}Z`),
+        account_id: accountId || null,
+        compressed: Boolean(gz),
+    };
+}
+
+/**
+ * Lists snapshots, newest first, with their size
+ * With an accountId, only that account's snapshots (plus unassigned ones when includeUnassigned is set)
+ */
+async function listSnapshots({ accountId, includeUnassigned = false } = {}) {
+    let names;
+    try {
+        names = await fs.readdir(SNAPSHOT_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const snapshots = names
+        .map(parseSnapshotName)
+        .filter(Boolean)
+        .filter(
+            (snapshot) =>
+                accountId === undefined ||
+                snapshot.account_id === (accountId && String(accountId)) ||
+                (includeUnassigned && snapshot.account_id === null)
+        );
+    for (const snapshot of snapshots) {
+        snapshot.size = (await fs.stat(path.join(SNAPSHOT_DIR, snapshot.name))).size;
+    }
+    return snapshots.sort((a, b) => b.created_at - a.created_at || b.name.localeCompare(a.name));
+}
+
+// Read the tasks of a snapshot (plain or gzipped); throws a 'not found' error for unknown names
+async function readSnapshot(name) {
+    const snapshot = parseSnapshotName(name);
+    if (!snapshot) {
+        throw Object.assign(new Error(`"${name}" is not a snapshot file name`), { code: 'SNAPSHOT_NOT_FOUND' });
+    }
+    let data;
+    try {
+        data = await fs.readFile(path.join(SNAPSHOT_DIR, name));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw Object.assign(new Error(`Snapshot "${name}" does not exist`), { code: 'SNAPSHOT_NOT_FOUND' });
+        }
+        throw error;
+    }
+    return JSON.parse(snapshot.compressed ? await gunzip(data) : data);
+}
+
+/**
+ * Deletes snapshots beyond the retention policy: older than SNAPSHOT_MAX_AGE_DAYS, or past
+ * the newest SNAPSHOT_KEEP_COUNT of their account. Returns the names of deleted snapshots
+ */
+async function pruneSnapshots(policy = getRetentionPolicy()) {
+    const { keepCount, maxAgeMs } = policy;
+    if (!keepCount && !maxAgeMs) return [];
+
+    const byAccount = new Map();
+    for (const snapshot of await listSnapshots()) {
+        const key = snapshot.account_id || 'unassigned';
+        if (!byAccount.has(key)) byAccount.set(key, []);
+        byAccount.get(key).push(snapshot);
+    }
+
+    const now = Date.now();
+    const expired = [...byAccount.values()].flatMap((snapshots) =>
+        snapshots.filter(
+            (snapshot, index) =>
+                (keepCount && index >= keepCount) || (maxAgeMs && now - snapshot.created_at.getTime() > maxAgeMs)
+        )
+    );
+
+    for (const { name } of expired) {
+        await fs.unlink(path.join(SNAPSHOT_DIR, name)).catch((error) => {
+            if (error.code !== 'ENOENT') throw error;
+        });
+    }
+    if (expired.length > 0) {
+        console.log(`🧹 Removed ${expired.length} old task snapshots`);
+    }
+    return expired.map(({ name }) => name);
+}
+
+/**
+ * Saves a full task dump (gzipped when SNAPSHOT_GZIP is true), then applies the retention policy
+ * Returns the snapshot's file path
+ */
+async function saveSnapshot(tasks, { accountId = null, date = new Date() } = {}) {
+    const timestamp = date.toISOString().replace(/[:.]/g, '-').replace('T', '--').slice(0, 20);
+    const compress = process.env.SNAPSHOT_GZIP === 'true';
+    const fileName = `todoist-tasks-${timestamp}${accountId ? `-${accountId}` : ''}.json${compress ? '.gz' : ''}`;
+
+    // Ensure logs directory exists
+    await fs.mkdir(SNAPSHOT_DIR, { recursive: true });
+
+    const filePath = path.join(SNAPSHOT_DIR, fileName);
+    const json = JSON.stringify(tasks, null, 2);
+    await fs.writeFile(filePath, compress ? await gzip(json) : json);
+
+    // A failed cleanup must not fail the fetch that produced the snapshot
+    await pruneSnapshots().catch((error) => console.error('❌ Error pruning task snapshots:', error.message));
+    return filePath;
+}
+
+module.exports = {
+    SNAPSHOT_DIR,
+    getRetentionPolicy,
+    parseSnapshotName,
+    listSnapshots,
+    readSnapshot,
+    pruneSnapshots,
+    saveSnapshot,
+};
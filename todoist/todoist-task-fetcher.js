@@ -1,27 +1,13 @@
-// Todoist Task Fetcher - Handles all Todoist API interactions
-// Requires env var: TODOIST_API_TOKEN
+// Todoist Task Fetcher - Handles all Todoist API reads
+// Requires env var: TODOIST_API_TOKEN (see todoist-client.js for base URL and retry settings)
 
-require('dotenv').config();
-const axios = require('axios');
-const fs = require('fs').promises;
-const path = require('path');
-
-// Load and validate Todoist API token
-const TODOIST_API_TOKEN = process.env.TODOIST_API_TOKEN;
-
-if (!TODOIST_API_TOKEN) {
-    console.error('Error: TODOIST_API_TOKEN is not set in .env file');
-    process.exit(1);
-}
+const { getTodoistClient } = require('./todoist-client');
+const { saveSnapshot } = require('./todoist-snapshots');
 
 // Fetch active (uncompleted) tasks from Todoist
 async function fetchActiveTasks() {
     try {
-        const ActiveTasksResponse = await axios.get('https://api.todoist.com/rest/v2/tasks', {
-            headers: {
-                Authorization: `Bearer ${TODOIST_API_TOKEN}`,
-            },
-        });
+        const ActiveTasksResponse = await getTodoistClient().rest.get('/tasks');
         const activeTasksItems = ActiveTasksResponse.data || [];
         console.log(`📋 Found ${activeTasksItems.length} Active tasks`);
         console.log('✅ Successfully fetched Active tasks');
@@ -32,35 +18,44 @@ async function fetchActiveTasks() {
     }
 }
 
-// Fetch completed tasks from last 30 days
-async function fetchCompletedTasks() {
+// Page size for the completed tasks endpoint (maximum allowed by API)
+const COMPLETED_PAGE_SIZE = 200;
+
+/**
+ * Fetch completed tasks, following pagination until the whole range is read
+ * With no `since`, the full completed history is backfilled
+ */
+async function fetchCompletedTasks({ since = null, until = null } = {}) {
     try {
-        // Get completed tasks from the last 30 days
-        const now = new Date();
-        const since = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000); // 30 days ago
-        const sinceStr = since.toISOString().slice(0, 10); // Format: YYYY-MM-DD
-
-        // First get all completed task IDs
-        const completedTasksResponse = await axios.get('https://api.todoist.com/sync/v9/completed/get_all', {
-            headers: {
-                Authorization: `Bearer ${TODOIST_API_TOKEN}`,
-            },
-            params: {
-                since: sinceStr,
-                limit: 200, // Maximum allowed by API
-            },
-        });
+        const sinceStr = since ? new Date(since).toISOString().slice(0, 19) : null; // Format: YYYY-MM-DDTHH:MM:SS
+        const untilStr = until ? new Date(until).toISOString().slice(0, 19) : null;
+
+        // Page through completed tasks until a short page is returned
+        const completedTasksItems = [];
+        let offset = 0;
+        let pageItems;
+        do {
+            const completedTasksResponse = await getTodoistClient().sync.get('/completed/get_all', {
+                params: {
+                    ...(sinceStr && { since: sinceStr }),
+                    ...(untilStr && { until: untilStr }),
+                    limit: COMPLETED_PAGE_SIZE,
+                    offset,
+                },
+            });
+            pageItems = completedTasksResponse.data.items || [];
+            completedTasksItems.push(...pageItems);
+            offset += pageItems.length;
+        } while (pageItems.length === COMPLETED_PAGE_SIZE);
 
-        const completedTasksItems = completedTasksResponse.data.items || [];
         console.log(`✔️  Found ${completedTasksItems.length} completed tasks`);
+        console.log('✅ Successfully fetched Completed tasks since:', sinceStr || 'the beginning');
 
-        console.log('✅ Successfully fetched Completed tasks since:', sinceStr);
-
-        // Then get full task details for each completed task
+        // Mark every item as completed
         const completedTasksWithDetails = completedTasksItems.map((item) => ({
             ...item,
             is_completed: true,
-            completed_at: item.completed_date,
+            completed_at: item.completed_at || item.completed_date,
         }));
 
         console.log(`✨ Successfully processed ${completedTasksWithDetails.length} completed tasks`);
@@ -77,13 +72,107 @@ async function fetchCompletedTasks() {
     }
 }
 
-// Fetch all tasks from Todoist and save to logs
-async function fetchTodoistTasks() {
+/**
+ * Check whether a task still exists in Todoist (active or completed)
+ * Returns false only when Todoist reports it as deleted or unknown
+ */
+async function todoistTaskExists(taskId) {
+    try {
+        const response = await getTodoistClient().sync.post('/items/get', { item_id: taskId, all_data: false });
+        return !response.data.item?.is_deleted;
+    } catch (error) {
+        if (error.response?.status === 404) {
+            return false;
+        }
+        console.error(`❌ Error checking Todoist task ${taskId}:`, error.response?.data || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Converts a Sync API item to the REST task shape used by the rest of the app
+ * (Sync API uses `checked` and `added_at` where REST uses `is_completed` and `created_at`)
+ */
+function syncItemToTask(item) {
+    return {
+        ...item,
+        is_completed: Boolean(item.checked),
+        created_at: item.added_at,
+    };
+}
+
+/**
+ * Fetch items changed since the given Sync API token ('*' for a full sync)
+ * Returns { items, syncToken, fullSync }; deleted items are flagged with is_deleted
+ */
+async function fetchTodoistChanges(syncToken = '*') {
+    try {
+        const response = await getTodoistClient().sync.post('/sync', {
+            sync_token: syncToken,
+            resource_types: ['items'],
+        });
+
+        const items = (response.data.items || []).map(syncItemToTask);
+        console.log(`🔁 Found ${items.length} changed items since last sync`);
+        return {
+            items,
+            syncToken: response.data.sync_token,
+            fullSync: Boolean(response.data.full_sync),
+        };
+    } catch (error) {
+        console.error('❌ Error fetching Todoist changes:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Fetch projects, sections, labels and comments (notes) through the Sync API
+ * These are small compared to tasks, so they are always fetched in full
+ */
+async function fetchTodoistResources() {
+    try {
+        const response = await getTodoistClient().sync.post('/sync', {
+            sync_token: '*',
+            resource_types: ['projects', 'sections', 'labels', 'notes'],
+        });
+        const { projects = [], sections = [], labels = [], notes = [] } = response.data;
+        console.log(
+            `📁 Found ${projects.length} projects, ${sections.length} sections, ` +
+                `${labels.length} labels, ${notes.length} comments`
+        );
+        return { projects, sections, labels, comments: notes };
+    } catch (error) {
+        console.error('❌ Error fetching Todoist resources:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+// Fetch the Todoist user the API token belongs to (also checks that the token works)
+async function fetchTodoistUser() {
+    try {
+        const response = await getTodoistClient().sync.post('/sync', {
+            sync_token: '*',
+            resource_types: ['user'],
+        });
+        return response.data.user;
+    } catch (error) {
+        console.error('❌ Error fetching Todoist user:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+// Fetch all tasks from Todoist and save a snapshot to logs (named after the account, when given);
+// snapshot: false skips the snapshot, for reads that must not write anything (checks and dry runs);
+// activeTasks: the active tasks when already read (e.g. by a full Sync API read), so only completed ones are fetched
+async function fetchTodoistTasks({ accountId = null, snapshot = true, activeTasks: knownActiveTasks = null } = {}) {
     try {
         // Fetch both active and completed tasks
         console.log('\n═══════════════ 🔄 Task Fetch Started ═══════════════');
-        console.log('🚀 Started fetching Active and Completed tasks...');
-        const [activeTasks, completedTasks] = await Promise.all([fetchActiveTasks(), fetchCompletedTasks()]);
+        console.log(`🚀 Started fetching ${knownActiveTasks ? 'Completed' : 'Active and Completed'} tasks...`);
+        const [activeTasks, completedTasks] = await Promise.all([
+            knownActiveTasks || fetchActiveTasks(),
+            fetchCompletedTasks(),
+        ]);
 
         console.log('\n───────────── 📊 Task Statistics ─────────────');
         // Calculate total tasks and log the breakdown between active and completed
@@ -93,21 +182,11 @@ async function fetchTodoistTasks() {
         // Combine tasks and ensure completed tasks are marked
         const allTasks = [...activeTasks, ...completedTasks];
 
-        // Create timestamp for the filename
-        const now = new Date();
-        const timestamp = now.toISOString().replace(/[:.]/g, '-').replace('T', '--').slice(0, 19);
-
-        const fileName = `todoist-tasks-${timestamp}.json`;
-        const logsDir = path.join(__dirname, '..', 'logs');
-
-        // Ensure logs directory exists
-        await fs.mkdir(logsDir, { recursive: true });
-
-        const filePath = path.join(logsDir, fileName);
-
-        // Save tasks to file for logging
-        await fs.writeFile(filePath, JSON.stringify(allTasks, null, 2));
-        console.log(`💾 Tasks saved to ${filePath}`);
+        // Save tasks to a snapshot file (see todoist-snapshots.js for retention)
+        if (snapshot) {
+            const filePath = await saveSnapshot(allTasks, { accountId });
+            console.log(`💾 Tasks saved to ${filePath}`);
+        }
         console.log('═══════════════════════════════════════════════════\n');
 
         return allTasks;
@@ -129,6 +208,11 @@ module.exports = {
     fetchTodoistTasks,
     fetchActiveTasks,
     fetchCompletedTasks,
+    fetchTodoistChanges,
+    todoistTaskExists,
+    fetchTodoistResources,
+    fetchTodoistUser,
+    syncItemToTask,
 };
 
 // Allow direct execution for testing
@@ -138,6 +222,7 @@ if (require.main === module) {
             console.log('Fetched Tasks:', JSON.stringify(tasks, null, 2));
         })
         .catch((error) => {
+            console.error(error.message);
             process.exit(1);
         });
 }
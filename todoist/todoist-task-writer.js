@@ -0,0 +1,173 @@
+// Todoist Task Writer - Pushes task changes back to Todoist (REST and Sync APIs)
+// Requires env var: TODOIST_API_TOKEN (see todoist-client.js for base URL and retry settings)
+
+const crypto = require('crypto');
+const { getTodoistClient } = require('./todoist-client');
+
+/**
+ * Converts a MongoDB task's due to a Todoist `due` object
+ * Recurring dues send their string so Todoist keeps the recurrence; tasks stored before
+ * the structured due fall back to due_date / due_time (full ISO datetime when the task has a time)
+ */
+function toTodoistDue(task) {
+    if (task.due) {
+        const { date, string, is_recurring: isRecurring, timezone, lang } = task.due;
+        return {
+            date,
+            ...(isRecurring && string && { string }),
+            ...(timezone && { timezone }),
+            ...(lang && { lang }),
+        };
+    }
+    if (task.due === null) return null;
+    if (task.due_time) {
+        return { date: new Date(task.due_time).toISOString().replace(/\.\d{3}Z$/, 'Z') };
+    }
+    if (task.due_date) {
+        return { date: new Date(task.due_date).toISOString().slice(0, 10) };
+    }
+    return null;
+}
+
+// REST API due parameters for a Todoist `due` object (due_string keeps recurrence)
+function toRestDueParams(due) {
+    if (!due) return {};
+    if (due.string) return { due_string: due.string, ...(due.lang && { due_lang: due.lang }) };
+    return due.date.includes('T') ? { due_datetime: due.date } : { due_date: due.date };
+}
+
+// Create a task through the REST API and return the created Todoist task
+async function createTodoistTask(task) {
+    try {
+        // X-Request-Id makes the create idempotent, so a retried request cannot duplicate the task
+        const response = await getTodoistClient().rest.post(
+            '/tasks',
+            {
+                content: task.content,
+                description: task.description || '',
+                priority: Number(task.priority || 4),
+                labels: task.labels || [],
+                ...(task.project_id && { project_id: task.project_id }),
+                ...(task.section_id && { section_id: task.section_id }),
+                ...toRestDueParams(toTodoistDue(task)),
+                ...(task.duration && { duration: task.duration.amount, duration_unit: task.duration.unit }),
+                ...(task.deadline && { deadline_date: task.deadline.date }),
+            },
+            { headers: { 'X-Request-Id': crypto.randomUUID() } }
+        );
+        console.log(`📤 Created Todoist task "${task.content}" (${response.data.id})`);
+        return response.data;
+    } catch (error) {
+        console.error('❌ Error creating Todoist task:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Builds the item_move command for a task whose project or section differs from its sync snapshot
+ * (item_update cannot move tasks); null when it has not moved or has no project to move to
+ */
+function buildMoveCommand(task) {
+    const projectId = String(task.project_id || '');
+    const sectionId = String(task.section_id || '');
+    const base = task.sync_snapshot;
+    if (base && base.project_id === projectId && base.section_id === sectionId) return null;
+    if (!projectId && !sectionId) return null;
+
+    // A section implies its project; without one the task goes to the project's top level
+    return {
+        type: 'item_move',
+        uuid: crypto.randomUUID(),
+        args: { id: task.todoid, ...(sectionId ? { section_id: sectionId } : { project_id: projectId }) },
+    };
+}
+
+/**
+ * Builds the item_complete or item_uncomplete command matching a task's completion;
+ * null when it matches the sync snapshot
+ */
+function buildCompletionCommand(task) {
+    const base = task.sync_snapshot;
+    if (base && base.is_completed === Boolean(task.is_completed)) return null;
+
+    return {
+        type: task.is_completed ? 'item_complete' : 'item_uncomplete',
+        uuid: crypto.randomUUID(),
+        args: { id: task.todoid },
+    };
+}
+
+/**
+ * Builds Sync API commands that bring a Todoist task in line with a MongoDB task:
+ * an item_update for the editable fields, plus an item_move when the project or section changed and
+ * an item_complete/item_uncomplete when the completion changed
+ */
+function buildUpdateCommands(task) {
+    const commands = [
+        {
+            type: 'item_update',
+            uuid: crypto.randomUUID(),
+            args: {
+                id: task.todoid,
+                content: task.content,
+                description: task.description || '',
+                priority: Number(task.priority || 4),
+                labels: task.labels || [],
+                due: toTodoistDue(task),
+                duration: task.duration || null,
+                deadline: task.deadline ? { date: task.deadline.date } : null,
+            },
+        },
+    ];
+
+    const moveCommand = buildMoveCommand(task);
+    if (moveCommand) commands.push(moveCommand);
+    const completionCommand = buildCompletionCommand(task);
+    if (completionCommand) commands.push(completionCommand);
+
+    return commands;
+}
+
+// Builds the Sync API command that deletes a task in Todoist
+function buildDeleteCommands(task) {
+    return [
+        {
+            type: 'item_delete',
+            uuid: crypto.randomUUID(),
+            args: { id: task.todoid },
+        },
+    ];
+}
+
+/**
+ * Sends a batch of commands to the Sync API
+ * Returns the sync_status map (uuid -> 'ok' or error) and temp_id_mapping
+ */
+async function sendSyncCommands(commands) {
+    if (commands.length === 0) {
+        return { sync_status: {}, temp_id_mapping: {} };
+    }
+
+    try {
+        // Commands carry their own uuid, so Todoist ignores duplicates from retried requests
+        const response = await getTodoistClient().sync.post('/sync', { commands });
+        return {
+            sync_status: response.data.sync_status || {},
+            temp_id_mapping: response.data.temp_id_mapping || {},
+        };
+    } catch (error) {
+        console.error('❌ Error sending Todoist sync commands:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+// Export functions
+module.exports = {
+    createTodoistTask,
+    buildUpdateCommands,
+    buildMoveCommand,
+    buildCompletionCommand,
+    buildDeleteCommands,
+    sendSyncCommands,
+    toTodoistDue,
+};
@@ -0,0 +1,26 @@
+// Todoist Webhook - Verifies webhook request signatures
+// Requires env var: TODOIST_CLIENT_SECRET (client secret of the Todoist app the webhook belongs to)
+
+require('dotenv').config();
+const crypto = require('crypto');
+
+/**
+ * Checks the X-Todoist-Hmac-SHA256 header: a base64 HMAC-SHA256 of the raw request body,
+ * keyed with the app's client secret
+ */
+function verifyWebhookSignature(rawBody, signature, secret = process.env.TODOIST_CLIENT_SECRET) {
+    if (!secret) {
+        throw new Error('TODOIST_CLIENT_SECRET is not set in .env file');
+    }
+    if (!rawBody || !signature) {
+        return false;
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+    const received = Buffer.from(String(signature), 'base64');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+module.exports = {
+    verifyWebhookSignature,
+};